@@ -6,6 +6,12 @@ import articlesRoutes from './routes/articlesRoutes.js';
 import newsRoutes from './routes/newsRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import scraperRoutes from './routes/scraperRoutes.js';
+import sourcesRoutes from './routes/sourcesRoutes.js';
+import feedsRoutes from './routes/feedsRoutes.js';
+import trackersRoutes from './routes/trackersRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import categoryRulesRoutes from './routes/categoryRulesRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -29,6 +35,12 @@ app.use('/api/articles', articlesRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/scraper', scraperRoutes);
+app.use('/api/sources', sourcesRoutes);
+app.use('/api/feeds', feedsRoutes);
+app.use('/api/trackers', trackersRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/category-rules', categoryRulesRoutes);
+app.use('/api/review', reviewRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
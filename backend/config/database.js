@@ -37,7 +37,7 @@ const SILENT_QUERIES = [
   'CREATE TABLE IF NOT EXISTS',
   'SELECT COUNT(*)',
   'SELECT DISTINCT category',
-  'SELECT id, type, title, message, data, is_read, created_at',
+  'SELECT n.id, n.type, n.title, n.message, n.data',
   'SELECT last_execution_date FROM script_executions',
 ];
 
@@ -64,4 +64,23 @@ export const query = async (text, params) => {
   }
 };
 
+/**
+ * Run work(client) in a transaction: committed when it resolves, rolled
+ * back when it throws
+ */
+export const withTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 export default pool;
\ No newline at end of file
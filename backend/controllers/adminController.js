@@ -0,0 +1,89 @@
+/**
+ * Admin Controller
+ * 
+ * User management for admins: list users, promote and demote.
+ * Role changes apply from the user's next token refresh (the role is in the JWT).
+ */
+
+import userService from '../services/userService.js';
+
+/**
+ * List users with their roles
+ * GET /api/admin/users
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const users = await userService.getUsers();
+    
+    res.json({
+      success: true,
+      data: {
+        users,
+        roles: userService.ROLES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+};
+
+/**
+ * Promote or demote a user
+ * PUT /api/admin/users/:id/role
+ * Body: { role: 'admin' | 'user' }
+ */
+export const setUserRole = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+    
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    if (!userService.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${userService.ROLES.join(', ')}`
+      });
+    }
+    
+    const user = await userService.getUserById(userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Never demote the last admin, nobody could promote anyone afterwards
+    if (user.role === 'admin' && role !== 'admin' && await userService.countAdmins() <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot demote the last admin'
+      });
+    }
+    
+    const updated = await userService.setUserRole({ id: userId }, role);
+    
+    res.json({
+      success: true,
+      message: role === 'admin' ? 'User promoted to admin' : 'User demoted to user',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role'
+    });
+  }
+};
@@ -1,7 +1,11 @@
 import { query } from '../config/database.js';
+import searchService from '../services/searchService.js';
+import articleDedupService from '../services/articleDedupService.js';
+import { categoryFilter, CATEGORIES_SELECT, ensureArticleCategoriesTable, getCategoryCounts, confirmArticleCategories } from '../services/articleCategoryService.js';
 
 /**
  * Get paginated articles with filtering and sorting
+ * category matches any category assigned to an article, not only its main one
  */
 export const getArticles = async (req, res) => {
   try {
@@ -15,12 +19,14 @@ export const getArticles = async (req, res) => {
     // Calculate offset
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
+    await ensureArticleCategoriesTable();
+
     // Build WHERE clause for filtering
     let whereClause = '';
     const queryParams = [];
     
     if (category && category !== 'all') {
-      whereClause = 'WHERE category = $1';
+      whereClause = `WHERE ${categoryFilter('$1')}`;
       queryParams.push(category);
     }
 
@@ -48,7 +54,8 @@ export const getArticles = async (req, res) => {
         author,
         pubdate,
         category,
-        tags
+        tags,
+        ${CATEGORIES_SELECT}
       FROM articles
       ${whereClause}
       ${orderBy}
@@ -84,12 +91,73 @@ export const getArticles = async (req, res) => {
 };
 
 /**
- * Get single article by ID
+ * Full-text search over articles
+ * Results are ranked by relevance unless sort is 'newest' or 'oldest'
+ */
+export const searchArticles = async (req, res) => {
+  try {
+    const {
+      q,
+      page = 1,
+      limit = 10,
+      category,
+      sort = 'relevance'
+    } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) is required'
+      });
+    }
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const perPage = Math.min(50, Math.max(1, parseInt(limit) || 10));
+
+    const { articles, total } = await searchService.searchArticles({
+      q: q.trim(),
+      category,
+      page: currentPage,
+      limit: perPage,
+      sort
+    });
+
+    const totalPages = Math.ceil(total / perPage);
+
+    res.json({
+      success: true,
+      data: {
+        query: q.trim(),
+        articles,
+        pagination: {
+          currentPage,
+          totalPages,
+          totalArticles: total,
+          articlesPerPage: perPage,
+          hasNextPage: currentPage < totalPages,
+          hasPrevPage: currentPage > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching articles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching articles'
+    });
+  }
+};
+
+/**
+ * Get single article by ID, with the near-duplicates linked to it
  */
 export const getArticleById = async (req, res) => {
   try {
     const { id } = req.params;
 
+    await ensureArticleCategoriesTable();
+
     const articleQuery = `
       SELECT 
         id,
@@ -100,7 +168,8 @@ export const getArticleById = async (req, res) => {
         content_text,
         category,
         tags,
-        created_at
+        created_at,
+        ${CATEGORIES_SELECT}
       FROM articles
       WHERE id = $1
     `;
@@ -114,9 +183,11 @@ export const getArticleById = async (req, res) => {
       });
     }
 
+    const variants = await articleDedupService.getVariants(result.rows[0].id);
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: { ...result.rows[0], variants }
     });
 
   } catch (error) {
@@ -130,6 +201,7 @@ export const getArticleById = async (req, res) => {
 
 /**
  * Get single article by URL
+ * Also finds an article by the URL of one of its variants.
  */
 export const getArticleByUrl = async (req, res) => {
   try {
@@ -142,6 +214,8 @@ export const getArticleByUrl = async (req, res) => {
       });
     }
 
+    await ensureArticleCategoriesTable();
+
     const articleQuery = `
       SELECT 
         id,
@@ -152,12 +226,16 @@ export const getArticleByUrl = async (req, res) => {
         content_text,
         category,
         tags,
-        created_at
+        created_at,
+        ${CATEGORIES_SELECT}
       FROM articles
-      WHERE url = $1
+      WHERE url = $1 OR id = $2
+      ORDER BY (url = $1) DESC
+      LIMIT 1
     `;
 
-    const result = await query(articleQuery, [url]);
+    const variantOf = await articleDedupService.getArticleIdByVariantUrl(url);
+    const result = await query(articleQuery, [url, variantOf]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -181,22 +259,15 @@ export const getArticleByUrl = async (req, res) => {
 };
 
 /**
- * Get available categories
+ * Get available categories (every category assigned to an article)
  */
 export const getCategories = async (req, res) => {
   try {
-    const categoriesQuery = `
-      SELECT DISTINCT category 
-      FROM articles 
-      WHERE category IS NOT NULL
-      ORDER BY category
-    `;
-
-    const result = await query(categoriesQuery);
+    const categories = await getCategoryCounts();
 
     res.json({
       success: true,
-      data: result.rows.map(row => row.category)
+      data: categories.map(row => row.category)
     });
 
   } catch (error) {
@@ -206,4 +277,50 @@ export const getCategories = async (req, res) => {
       message: 'Error fetching categories'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Confirm or correct an article's categories
+ * PUT /api/articles/:id/categories
+ * Body: { categories: [names], main category first }
+ */
+export const confirmCategories = async (req, res) => {
+  try {
+    const { categories } = req.body;
+
+    const valid = Array.isArray(categories) && categories.length > 0 &&
+      categories.every(category => typeof category === 'string' && category.trim() && category.length <= 100);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'categories must be a non-empty array of category names'
+      });
+    }
+
+    const id = parseInt(req.params.id);
+    const names = [...new Set(categories.map(category => category.trim()))];
+    const confirmed = String(id) === req.params.id
+      ? await confirmArticleCategories(id, names, req.user.userId)
+      : null;
+
+    if (!confirmed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Categories confirmed',
+      data: { id, category: names[0], categories: confirmed }
+    });
+
+  } catch (error) {
+    console.error('Error confirming categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming categories'
+    });
+  }
+};
@@ -1,6 +1,8 @@
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { query } from '../config/database.js';
+import { ensureUserRoleColumn } from '../services/userService.js';
+import sessionService from '../services/sessionService.js';
+import accountService from '../services/accountService.js';
 
 /**
  * Login controller
@@ -19,7 +21,9 @@ export const login = async (req, res) => {
       });
     }
 
-    // Query database for user
+    // Query database for user (role and verification columns are added on first use)
+    await ensureUserRoleColumn();
+    await accountService.ensureAccountTables();
     const result = await query('SELECT * FROM users WHERE username = $1', [username]);
     
     if (result.rows.length === 0) {
@@ -41,23 +45,30 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        username: username,
-        role: 'user' // Can be extended with roles from DB
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Accounts must confirm their email address first
+    if (user.email_verified === false) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    // Short-lived access token + server-side refresh token
+    const { accessToken, refreshToken } = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent')
+    });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
+        token: accessToken,
+        refreshToken,
         user: {
-          username
+          id: user.id,
+          username,
+          role: user.role || 'user'
         }
       }
     });
@@ -71,6 +82,107 @@ export const login = async (req, res) => {
   }
 };
 
+/**
+ * Refresh controller
+ * Exchanges a refresh token for a new access token and a new refresh token
+ * (the old one stops working)
+ */
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const session = await sessionService.rotateSession(refreshToken, {
+      userAgent: req.get('user-agent')
+    });
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please login again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        user: {
+          id: session.user.id,
+          username: session.user.username,
+          role: session.user.role || 'user'
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+};
+
+/**
+ * Logout controller
+ * Revokes the session of the given refresh token
+ */
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await sessionService.revokeSession(refreshToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+/**
+ * Logout all controller
+ * Revokes every session of the current user
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    const sessions = await sessionService.revokeAllSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: {
+        sessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
 /**
  * Verify token endpoint (optional, for checking if token is still valid)
  */
@@ -122,17 +234,34 @@ export const register = async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Insert new user
+    // Insert new user (unverified until the emailed link is opened)
+    await accountService.ensureAccountTables();
     const result = await query(
-      'INSERT INTO users (username, password, email) VALUES ($1, $2, $3) RETURNING username, email',
+      'INSERT INTO users (username, password, email) VALUES ($1, $2, $3) RETURNING id, username, email',
       [username, hashedPassword, email]
     );
+    const user = result.rows[0];
+
+    // A mail failure must not lose the account; the link can be re-sent
+    let verificationSent = true;
+    try {
+      await accountService.sendVerificationEmail(user);
+    } catch (mailError) {
+      verificationSent = false;
+      console.error('Error sending verification email:', mailError);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: verificationSent
+        ? 'User registered successfully. Check your email to verify your address.'
+        : 'User registered successfully, but the verification email could not be sent. Please request a new one.',
       data: {
-        user: result.rows[0]
+        user: {
+          username: user.username,
+          email: user.email
+        },
+        verificationSent
       }
     });
 
@@ -143,4 +272,149 @@ export const register = async (req, res) => {
       message: 'Server error during registration'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Verify email controller
+ * Confirms the address of the token's account
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const verified = await accountService.verifyEmail(token);
+
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified. You can now login.'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+};
+
+/**
+ * Resend verification controller
+ * Always answers the same way, so it does not reveal which emails exist
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    await accountService.resendVerification(email);
+
+    res.json({
+      success: true,
+      message: 'If this address has an unverified account, a new verification link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending the verification email'
+    });
+  }
+};
+
+/**
+ * Forgot password controller
+ * Always answers the same way, so it does not reveal which emails exist
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    await accountService.requestPasswordReset(email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this address, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending the reset email'
+    });
+  }
+};
+
+/**
+ * Reset password controller
+ * Sets a new password from a reset token and ends all sessions
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long'
+      });
+    }
+
+    const reset = await accountService.resetPassword(token, password);
+
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password updated. You can now login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+};
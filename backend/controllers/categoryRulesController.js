@@ -0,0 +1,312 @@
+/**
+ * Category Rules Controller
+ *
+ * Admin API for the weighted keyword rules of the "rules" categorizer
+ * (category_rules table).
+ */
+
+import categoryRuleService from '../services/categoryRuleService.js';
+import { compileRule } from '../services/categorizers/rules.js';
+import { listCategorizers, getActiveCategorizer } from '../services/categorizers/index.js';
+import { readModel, getModelPath } from '../services/categorizers/model.js';
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_WEIGHT = 100;
+
+/**
+ * Validate rule fields shared by create and update
+ * Returns an error message, or null when the fields are valid
+ */
+const validateRuleFields = ({ category, pattern, isRegex, weight, enabled }) => {
+  if (category !== undefined && (typeof category !== 'string' || !category.trim() || category.length > 100)) {
+    return 'category must be a non-empty string of at most 100 characters';
+  }
+
+  if (pattern !== undefined && (typeof pattern !== 'string' || !pattern.trim() || pattern.length > MAX_PATTERN_LENGTH)) {
+    return `pattern must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  if (isRegex !== undefined && typeof isRegex !== 'boolean') {
+    return 'isRegex must be a boolean';
+  }
+
+  if (weight !== undefined && (typeof weight !== 'number' || !Number.isFinite(weight) || weight === 0 || Math.abs(weight) > MAX_WEIGHT)) {
+    return `weight must be a non-zero number between -${MAX_WEIGHT} and ${MAX_WEIGHT}`;
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  if (pattern !== undefined && isRegex === true) {
+    try {
+      compileRule({ pattern, isRegex });
+    } catch (e) {
+      return `pattern is not a valid regular expression: ${e.message}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a rule id route parameter (null if not a positive integer)
+ */
+const parseRuleId = (value) => {
+  const id = parseInt(value);
+  return String(id) === String(value) && id > 0 ? id : null;
+};
+
+/**
+ * List all rules, the registered categorizers and the trained model's metrics
+ * GET /api/category-rules
+ * A misconfigured CATEGORIZER or an unreadable model file is reported in
+ * categorizerError / modelError rather than failing the listing.
+ */
+export const getRules = async (req, res) => {
+  try {
+    const rules = await categoryRuleService.getRules();
+
+    let activeCategorizer = null;
+    let categorizerError = null;
+    try {
+      activeCategorizer = getActiveCategorizer().id;
+    } catch (error) {
+      categorizerError = error.message;
+    }
+
+    let model = null;
+    let modelError = null;
+    try {
+      model = await readModel();
+    } catch (error) {
+      modelError = `Cannot read the category model at ${getModelPath()}: ${error.message}`;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        categorizers: listCategorizers().map(({ id, name }) => ({ id, name })),
+        activeCategorizer,
+        categorizerError,
+        model: model
+          ? {
+              trainedAt: model.trainedAt,
+              trainingArticles: model.trainingArticles,
+              categories: model.categories,
+              metrics: model.metrics || null
+            }
+          : null,
+        modelError
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching category rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category rules'
+    });
+  }
+};
+
+/**
+ * Add a rule
+ * POST /api/category-rules
+ * Body: { category, pattern, isRegex?, weight?, enabled? }
+ */
+export const addRule = async (req, res) => {
+  try {
+    const { category, pattern, isRegex, weight, enabled } = req.body;
+
+    if (!category || !pattern) {
+      return res.status(400).json({
+        success: false,
+        message: 'category and pattern are required'
+      });
+    }
+
+    const validationError = validateRuleFields({ category, pattern, isRegex, weight, enabled });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const rule = await categoryRuleService.addRule({
+      category: category.trim(),
+      pattern: pattern.trim(),
+      isRegex: isRegex === true,
+      weight: weight ?? 1,
+      enabled: enabled !== false
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category rule added',
+      data: rule
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This category already has a rule with this pattern'
+      });
+    }
+    console.error('Error adding category rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding category rule'
+    });
+  }
+};
+
+/**
+ * Update a rule (partial)
+ * PUT /api/category-rules/:id
+ * Body: { category?, pattern?, isRegex?, weight?, enabled? }
+ */
+export const updateRule = async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    if (!id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category rule not found'
+      });
+    }
+
+    const { category, pattern, isRegex, weight, enabled } = req.body;
+
+    const validationError = validateRuleFields({ category, pattern, isRegex, weight, enabled });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // A rule turned into a regex keeps its pattern, and a regex rule's new
+    // pattern stays a regex: either must compile
+    if ((isRegex === true && pattern === undefined) || (pattern !== undefined && isRegex === undefined)) {
+      const current = await categoryRuleService.getRuleById(id);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category rule not found'
+        });
+      }
+
+      const regexError = validateRuleFields({
+        pattern: pattern ?? current.pattern,
+        isRegex: isRegex ?? current.isRegex
+      });
+      if (regexError) {
+        return res.status(400).json({
+          success: false,
+          message: regexError
+        });
+      }
+    }
+
+    const rule = await categoryRuleService.updateRule(id, {
+      category: category?.trim(),
+      pattern: pattern?.trim(),
+      isRegex,
+      weight,
+      enabled
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category rule updated',
+      data: rule
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This category already has a rule with this pattern'
+      });
+    }
+    console.error('Error updating category rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating category rule'
+    });
+  }
+};
+
+/**
+ * Delete a rule (articles already categorized keep their categories)
+ * DELETE /api/category-rules/:id
+ */
+export const deleteRule = async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    const deleted = id ? await categoryRuleService.deleteRule(id) : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category rule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting category rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting category rule'
+    });
+  }
+};
+
+/**
+ * Categorize a sample text with the active categorizer, without storing it
+ * POST /api/category-rules/test
+ * Body: { title, content? }
+ */
+export const testCategorize = async (req, res) => {
+  try {
+    const { title, content } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'title is required'
+      });
+    }
+
+    const categorizer = getActiveCategorizer();
+    const classify = await categorizer.load();
+    const categories = await classify({ title, content: typeof content === 'string' ? content : '' });
+
+    res.json({
+      success: true,
+      data: {
+        categorizer: categorizer.id,
+        categories
+      }
+    });
+  } catch (error) {
+    console.error('Error test-categorizing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error test-categorizing',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,159 @@
+/**
+ * Feeds Controller
+ * 
+ * RSS/Atom feeds of articles and releases, plus feed token management.
+ */
+
+import feedService from '../services/feedService.js';
+
+const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+/**
+ * Base URL of the feeds API as seen by the client
+ */
+const getFeedsBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+/**
+ * Send a feed in the requested format
+ */
+const sendFeed = (res, format, feed) => {
+  const body = format === 'atom' ? feedService.buildAtom(feed) : feedService.buildRss(feed);
+  res.set('Content-Type', FEED_CONTENT_TYPES[format]);
+  res.send(body);
+};
+
+/**
+ * Build an articles feed handler
+ * GET /api/feeds/articles.rss, GET /api/feeds/articles.atom
+ * Query params: token (required), category
+ */
+const articlesFeed = (format) => async (req, res) => {
+  try {
+    const { category } = req.query;
+    if (category !== undefined && typeof category !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'category must be a single value'
+      });
+    }
+    
+    const articles = await feedService.getArticlesForFeed({ category });
+    const hasCategory = category && category !== 'all';
+    
+    sendFeed(res, format, {
+      id: `urn:vt:feeds:articles${hasCategory ? `:${category}` : ''}`,
+      title: hasCategory ? `DB-Articles: ${category}` : 'DB-Articles',
+      description: 'Latest database technology articles',
+      link: process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`,
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      items: articles.map(feedService.articleToFeedItem)
+    });
+  } catch (error) {
+    console.error('Error building articles feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building articles feed'
+    });
+  }
+};
+
+/**
+ * Build a releases feed handler
+ * GET /api/feeds/releases.rss, GET /api/feeds/releases.atom
+ * Query params: token (required), name
+ */
+const releasesFeed = (format) => async (req, res) => {
+  try {
+    const { name } = req.query;
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'name must be a single value'
+      });
+    }
+    
+    const releases = await feedService.getReleasesForFeed({ name });
+    
+    sendFeed(res, format, {
+      id: `urn:vt:feeds:releases${name ? `:${name.toLowerCase()}` : ''}`,
+      title: name ? `Database releases: ${name}` : 'Database releases',
+      description: 'New versions of tracked databases',
+      link: process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`,
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      items: releases.map(feedService.releaseToFeedItem)
+    });
+  } catch (error) {
+    console.error('Error building releases feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building releases feed'
+    });
+  }
+};
+
+export const getArticlesRss = articlesFeed('rss');
+export const getArticlesAtom = articlesFeed('atom');
+export const getReleasesRss = releasesFeed('rss');
+export const getReleasesAtom = releasesFeed('atom');
+
+/**
+ * Build the token response with ready-to-use subscription URLs
+ */
+const feedTokenResponse = (req, token) => {
+  const baseUrl = getFeedsBaseUrl(req);
+  return {
+    token,
+    urls: {
+      articlesRss: `${baseUrl}/articles.rss?token=${token}`,
+      articlesAtom: `${baseUrl}/articles.atom?token=${token}`,
+      releasesRss: `${baseUrl}/releases.rss?token=${token}`,
+      releasesAtom: `${baseUrl}/releases.atom?token=${token}`
+    }
+  };
+};
+
+/**
+ * Get (or create) the current user's feed token
+ * GET /api/feeds/token
+ */
+export const getFeedToken = async (req, res) => {
+  try {
+    const token = await feedService.getOrCreateFeedToken(req.user.userId);
+    
+    res.json({
+      success: true,
+      data: feedTokenResponse(req, token)
+    });
+  } catch (error) {
+    console.error('Error fetching feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feed token'
+    });
+  }
+};
+
+/**
+ * Regenerate the current user's feed token (revokes old feed URLs)
+ * POST /api/feeds/token/regenerate
+ */
+export const regenerateFeedToken = async (req, res) => {
+  try {
+    const token = await feedService.regenerateFeedToken(req.user.userId);
+    
+    res.json({
+      success: true,
+      message: 'Feed token regenerated',
+      data: feedTokenResponse(req, token)
+    });
+  } catch (error) {
+    console.error('Error regenerating feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating feed token'
+    });
+  }
+};
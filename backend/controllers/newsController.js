@@ -82,7 +82,7 @@ export const getAllReleases = async (req, res) => {
 };
 
 /**
- * Get notifications
+ * Get notifications with the current user's read state
  * GET /api/notifications
  */
 export const getNotifications = async (req, res) => {
@@ -94,15 +94,16 @@ export const getNotifications = async (req, res) => {
     await notificationService.generateNotificationsFromTodaysReleases();
     
     const { unreadOnly } = req.query;
+    const { userId } = req.user;
     
     let notifications;
     if (unreadOnly === 'true') {
-      notifications = await notificationService.getUnreadNotifications();
+      notifications = await notificationService.getUnreadNotifications(userId);
     } else {
-      notifications = await notificationService.getAllNotifications();
+      notifications = await notificationService.getAllNotifications(userId);
     }
     
-    const unreadCount = await notificationService.getUnreadCount();
+    const unreadCount = await notificationService.getUnreadCount(userId);
     
     res.json({
       success: true,
@@ -121,14 +122,14 @@ export const getNotifications = async (req, res) => {
 };
 
 /**
- * Mark notification as read
+ * Mark notification as read (for the current user only)
  * PUT /api/notifications/:id/read
  */
 export const markNotificationRead = async (req, res) => {
   try {
     const { id } = req.params;
     
-    await notificationService.markAsRead(parseInt(id));
+    await notificationService.markAsRead(parseInt(id), req.user.userId);
     
     res.json({
       success: true,
@@ -144,12 +145,12 @@ export const markNotificationRead = async (req, res) => {
 };
 
 /**
- * Mark all notifications as read
+ * Mark all notifications as read (for the current user only)
  * PUT /api/notifications/read-all
  */
 export const markAllNotificationsRead = async (req, res) => {
   try {
-    await notificationService.markAllAsRead();
+    await notificationService.markAllAsRead(req.user.userId);
     
     res.json({
       success: true,
@@ -163,3 +164,26 @@ export const markAllNotificationsRead = async (req, res) => {
     });
   }
 };
+
+/**
+ * Dismiss a notification (for the current user only)
+ * PUT /api/notifications/:id/dismiss
+ */
+export const dismissNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    await notificationService.dismissNotification(parseInt(id), req.user.userId);
+    
+    res.json({
+      success: true,
+      message: 'Notification dismissed'
+    });
+  } catch (error) {
+    console.error('Error dismissing notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing notification'
+    });
+  }
+};
@@ -0,0 +1,227 @@
+/**
+ * Review Controller
+ *
+ * Admin API for the queue of raw articles rejected by processing: list
+ * them, publish one with the reviewer's categories, or discard it.
+ */
+
+import reviewQueueService from '../services/reviewQueueService.js';
+import { REJECTION_REASONS } from '../services/dataProcessingService.js';
+import { compileRule } from '../services/categorizers/rules.js';
+
+const MAX_KEYWORD_LENGTH = 200;
+
+/**
+ * Load the pending review item named by the :id route parameter
+ * Sends the error response and returns null when there is none.
+ */
+const loadPendingItem = async (req, res) => {
+  const id = parseInt(req.params.id);
+  const item = String(id) === req.params.id ? await reviewQueueService.getReviewItem(id) : null;
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Rejected article not found'
+    });
+    return null;
+  }
+
+  if (item.reviewStatus !== 'pending') {
+    res.status(409).json({
+      success: false,
+      message: `This article was already ${item.reviewStatus}`
+    });
+    return null;
+  }
+
+  return item;
+};
+
+/**
+ * List rejected articles
+ * GET /api/review
+ * Query: status (pending | published | discarded, default pending),
+ * reason (no_content | no_category | insert_failed), page, limit
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'pending', reason, page = 1, limit = 20 } = req.query;
+
+    if (!reviewQueueService.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${reviewQueueService.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    if (reason && !Object.values(REJECTION_REASONS).includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${Object.values(REJECTION_REASONS).join(', ')}`
+      });
+    }
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const perPage = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const { items, total, counts } = await reviewQueueService.getReviewQueue({
+      status,
+      reason: reason || null,
+      page: currentPage,
+      limit: perPage
+    });
+    const totalPages = Math.ceil(total / perPage);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        counts,
+        pagination: {
+          currentPage,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: perPage,
+          hasNextPage: currentPage < totalPages,
+          hasPrevPage: currentPage > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review queue'
+    });
+  }
+};
+
+/**
+ * Get a rejected article with its full content
+ * GET /api/review/:id
+ */
+export const getReviewItem = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const item = String(id) === req.params.id ? await reviewQueueService.getReviewItem(id) : null;
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rejected article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    console.error('Error fetching rejected article:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rejected article'
+    });
+  }
+};
+
+/**
+ * Publish a rejected article with the reviewer's categories
+ * POST /api/review/:id/publish
+ * Body: { categories: [names], main category first, keywords?: [words] }
+ * Keywords must appear in the article; they become rules of the main category.
+ */
+export const publishReviewItem = async (req, res) => {
+  try {
+    const { categories, keywords = [] } = req.body;
+
+    const validCategories = Array.isArray(categories) && categories.length > 0 &&
+      categories.every(category => typeof category === 'string' && category.trim() && category.length <= 100);
+    if (!validCategories) {
+      return res.status(400).json({
+        success: false,
+        message: 'categories must be a non-empty array of category names'
+      });
+    }
+
+    const validKeywords = Array.isArray(keywords) &&
+      keywords.every(keyword => typeof keyword === 'string' && keyword.trim() && keyword.length <= MAX_KEYWORD_LENGTH);
+    if (!validKeywords) {
+      return res.status(400).json({
+        success: false,
+        message: `keywords must be an array of words of at most ${MAX_KEYWORD_LENGTH} characters`
+      });
+    }
+
+    const item = await loadPendingItem(req, res);
+    if (!item) return;
+
+    // A keyword rule that would not match this article teaches nothing
+    const text = `${item.title}\n${item.content || ''}`;
+    const names = [...new Set(keywords.map(keyword => keyword.trim()))];
+    const missing = names.filter(keyword => !compileRule({ pattern: keyword }).test(text));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Keywords not found in the article: ${missing.join(', ')}`
+      });
+    }
+
+    const result = await reviewQueueService.publishReviewItem(item, {
+      categories: [...new Set(categories.map(category => category.trim()))],
+      keywords: names
+    }, req.user.userId);
+
+    if (result.duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: result.match === 'url'
+          ? 'This article is already published'
+          : 'This article is a near-duplicate of a published article',
+        data: { duplicate: result.duplicate }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Article published',
+      data: result
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This article is already published'
+      });
+    }
+    console.error('Error publishing rejected article:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing rejected article'
+    });
+  }
+};
+
+/**
+ * Discard a rejected article for good
+ * POST /api/review/:id/discard
+ */
+export const discardReviewItem = async (req, res) => {
+  try {
+    const item = await loadPendingItem(req, res);
+    if (!item) return;
+
+    await reviewQueueService.discardReviewItem(item, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Article discarded'
+    });
+  } catch (error) {
+    console.error('Error discarding rejected article:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error discarding rejected article'
+    });
+  }
+};
@@ -8,6 +8,21 @@
 import scraperService from '../services/scraperService.js';
 import notificationService from '../services/notificationService.js';
 import dataProcessingService from '../services/dataProcessingService.js';
+import releaseService from '../services/releaseService.js';
+import scrapeJobService from '../services/scrapeJobService.js';
+import schedulerService from '../services/schedulerService.js';
+import scrapeRunService from '../services/scrapeRunService.js';
+import scraperHealthService from '../services/scraperHealthService.js';
+import snapshotService from '../services/snapshotService.js';
+import newsSourceService from '../services/newsSourceService.js';
+
+// Upper bound for a backfill's maxPages
+const MAX_BACKFILL_PAGES = 500;
+
+/**
+ * Whether a value is a valid YYYY-MM-DD date
+ */
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
 
 /**
  * Trigger daily scrapers (automatic)
@@ -111,7 +126,7 @@ export const startNonBlockingScraping = async (req, res) => {
       scrapeReleases: req.body.scrapeReleases !== false
     };
     
-    const result = await scraperService.startNonBlockingScraping(options);
+    const result = await scraperService.startNonBlockingScraping(options, req.user.userId);
     
     if (!result.success) {
       const statusCode = result.error === 'Daily limit reached' ? 429 : 409;
@@ -130,17 +145,150 @@ export const startNonBlockingScraping = async (req, res) => {
 };
 
 /**
- * Get current scraping job status
+ * Queue a backfill of a news source's older articles
+ * POST /api/scraper/backfill
+ * Body: { sourceId, from, to?, maxPages? } - dates as YYYY-MM-DD, to defaults to today
+ */
+export const startBackfill = async (req, res) => {
+  try {
+    const { sourceId, from, maxPages } = req.body;
+    const to = req.body.to || new Date().toISOString().split('T')[0];
+    
+    if (!sourceId || !from) {
+      return res.status(400).json({
+        success: false,
+        message: 'sourceId and from are required'
+      });
+    }
+    
+    if (!isDate(from) || !isDate(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates (YYYY-MM-DD)'
+      });
+    }
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must not be after to'
+      });
+    }
+    
+    if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_BACKFILL_PAGES)) {
+      return res.status(400).json({
+        success: false,
+        message: `maxPages must be an integer between 1 and ${MAX_BACKFILL_PAGES}`
+      });
+    }
+    
+    const source = await newsSourceService.getSourceById(sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source not found'
+      });
+    }
+    
+    const job = await scraperService.queueBackfill(
+      { sourceId, from, to, ...(maxPages ? { maxPages } : {}) },
+      { requestedBy: req.user.userId }
+    );
+    
+    res.status(202).json({
+      success: true,
+      message: 'Backfill démarré en arrière-plan',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error starting backfill:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du démarrage du backfill',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Queue a reprocessing of stored articles (cleaning and categorization)
+ * POST /api/scraper/reprocess
+ * Body: { dryRun? (default true), ids?, category?, source?, from?, to? } -
+ * dates as YYYY-MM-DD. The job's result is the report of category changes.
+ */
+export const startReprocessing = async (req, res) => {
+  try {
+    const { dryRun = true, ids, category, source, from, to } = req.body;
+    
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'dryRun must be a boolean'
+      });
+    }
+    
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be a non-empty array of article ids'
+      });
+    }
+    
+    if ((category !== undefined && typeof category !== 'string') || (source !== undefined && typeof source !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'category and source must be strings'
+      });
+    }
+    
+    if ((from !== undefined && !isDate(from)) || (to !== undefined && !isDate(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates (YYYY-MM-DD)'
+      });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must not be after to'
+      });
+    }
+    
+    const filters = Object.fromEntries(
+      Object.entries({ ids, category, source, from, to }).filter(([, value]) => value !== undefined)
+    );
+    const job = await scraperService.queueReprocessing(
+      { filters, dryRun },
+      { requestedBy: req.user.userId }
+    );
+    
+    res.status(202).json({
+      success: true,
+      message: dryRun ? 'Simulation du retraitement démarrée' : 'Retraitement démarré en arrière-plan',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error starting reprocessing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du démarrage du retraitement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the latest scraping job status
  * GET /api/scraper/job-status
  */
-export const getScrapingJobStatus = (req, res) => {
+export const getScrapingJobStatus = async (req, res) => {
   try {
-    const status = scraperService.getScrapingJobStatus();
+    const status = await scraperService.getScrapingJobStatus();
     res.json({
       success: true,
       ...status
     });
   } catch (error) {
+    console.error('Error getting job status:', error);
     res.status(500).json({
       success: false,
       message: 'Error getting job status',
@@ -150,16 +298,86 @@ export const getScrapingJobStatus = (req, res) => {
 };
 
 /**
- * Get scraper status with execution limits
+ * List recent scraping jobs (newest first)
+ * GET /api/scraper/jobs?limit=20&status=completed
+ */
+export const getScrapingJobs = async (req, res) => {
+  try {
+    const { limit, status } = req.query;
+    
+    if (status && !scrapeJobService.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Expected one of: ${scrapeJobService.JOB_STATUSES.join(', ')}`
+      });
+    }
+    
+    const jobs = await scrapeJobService.getRecentJobs({ limit, status });
+    
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        count: jobs.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching scraping jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scraping jobs'
+    });
+  }
+};
+
+/**
+ * Get a scraping job with its step progress and result
+ * GET /api/scraper/jobs/:id
+ */
+export const getScrapingJob = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const job = Number.isNaN(id) ? null : await scrapeJobService.getJobById(id);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching scraping job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scraping job'
+    });
+  }
+};
+
+/**
+ * Get scraper status with execution limits and schedules
  * GET /api/scraper/status
  */
 export const getScraperStatus = async (req, res) => {
   try {
     const status = await scraperService.getScraperStatus();
+    const schedules = await schedulerService.getSchedules();
+    const nextRuns = schedules
+      .filter(schedule => schedule.enabled && schedule.nextRunAt)
+      .map(schedule => new Date(schedule.nextRunAt));
     
     res.json({
       success: true,
-      data: status
+      data: {
+        ...status,
+        schedules,
+        nextRunAt: nextRuns.length > 0 ? new Date(Math.min(...nextRuns)) : null
+      }
     });
   } catch (error) {
     console.error('Error checking scraper status:', error);
@@ -242,12 +460,55 @@ export const getRemainingExecutions = async (req, res) => {
 };
 
 /**
- * Get scraping history by source
- * GET /api/scraper/history
+ * Parse a history date filter (ISO date or date-time)
+ * A plain date used as upper bound covers that whole day.
+ * Returns undefined when absent, null when invalid.
+ */
+const parseHistoryDate = (value, { endOfDay = false } = {}) => {
+  if (!value) return undefined;
+  
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+/**
+ * Get scraping history: last state per source plus the run log
+ * GET /api/scraper/history?source=infoq&kind=news&status=error&from=2025-01-01&to=2025-01-31&limit=100
  */
 export const getScrapingHistory = async (req, res) => {
   try {
     const { query: dbQuery } = await import('../config/database.js');
+    const { source, kind, status, limit } = req.query;
+    const from = parseHistoryDate(req.query.from);
+    const to = parseHistoryDate(req.query.to, { endOfDay: true });
+    
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date. Use YYYY-MM-DD or an ISO date-time for from/to.'
+      });
+    }
+    if (kind && !scrapeRunService.RUN_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid kind. Expected one of: ${scrapeRunService.RUN_KINDS.join(', ')}`
+      });
+    }
+    if (status && !scrapeRunService.RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Expected one of: ${scrapeRunService.RUN_STATUSES.join(', ')}`
+      });
+    }
+    
+    const filters = { source, kind, status, from, to };
+    const runs = await scrapeRunService.getScrapeRuns({ ...filters, limit });
+    const summary = await scrapeRunService.getScrapeRunSummary(filters);
     
     const result = await dbQuery(`
       SELECT 
@@ -264,7 +525,17 @@ export const getScrapingHistory = async (req, res) => {
       success: true,
       data: {
         sources: result.rows,
-        lastUpdate: result.rows[0]?.last_scrape_timestamp || null
+        lastUpdate: result.rows[0]?.last_scrape_timestamp || null,
+        filters: {
+          source: source || null,
+          kind: kind || null,
+          status: status || null,
+          from: from || null,
+          to: to || null
+        },
+        summary,
+        runs,
+        count: runs.length
       }
     });
   } catch (error) {
@@ -276,6 +547,163 @@ export const getScrapingHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get the health dashboard: per-source status and success rates
+ * GET /api/scraper/health?days=30
+ */
+export const getScraperHealth = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    
+    const summary = await scrapeRunService.getScrapeRunSummary({ from });
+    const states = await scraperHealthService.getHealthStates();
+    
+    // Union of sources with runs in the window and sources with a health state
+    const byKey = new Map();
+    for (const state of states) {
+      byKey.set(`${state.kind}:${state.source}`, { kind: state.kind, source: state.source, health: state, stats: null });
+    }
+    for (const stats of summary) {
+      const key = `${stats.kind}:${stats.source}`;
+      const entry = byKey.get(key) || { kind: stats.kind, source: stats.source, health: null };
+      byKey.set(key, { ...entry, stats });
+    }
+    
+    const sources = [...byKey.values()].map(({ kind, source, health, stats }) => ({
+      kind,
+      source,
+      status: health?.status || 'healthy',
+      consecutiveFailures: health?.consecutiveFailures || 0,
+      degradedSince: health?.degradedSince || null,
+      lastError: health?.lastError || null,
+      runs: stats?.runs || 0,
+      successes: stats?.successes || 0,
+      errors: stats?.errors || 0,
+      emptyRuns: stats?.emptyRuns || 0,
+      successRate: stats?.successRate ?? null,
+      avgDurationMs: stats?.avgDurationMs ?? null,
+      lastRunAt: stats?.lastRunAt || null,
+      lastFoundAt: stats?.lastFoundAt || null
+    }));
+    
+    res.json({
+      success: true,
+      data: {
+        windowDays: days,
+        threshold: scraperHealthService.HEALTH_FAILURE_THRESHOLD,
+        degraded: sources.filter(source => source.status === 'degraded').length,
+        sources
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching scraper health:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scraper health'
+    });
+  }
+};
+
+/**
+ * List stored HTML snapshots (without their HTML)
+ * GET /api/scraper/snapshots?kind=&source=&limit=
+ */
+export const getSnapshots = async (req, res) => {
+  try {
+    const { kind, source, limit } = req.query;
+    
+    if (kind && !scrapeRunService.RUN_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid kind. Must be one of: ${scrapeRunService.RUN_KINDS.join(', ')}`
+      });
+    }
+    
+    const snapshots = await snapshotService.getSnapshots({ kind, source, limit });
+    
+    res.json({
+      success: true,
+      data: {
+        enabled: snapshotService.isSnapshotEnabled(),
+        snapshots,
+        count: snapshots.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching snapshots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching snapshots'
+    });
+  }
+};
+
+/**
+ * Download the stored HTML of a snapshot
+ * GET /api/scraper/snapshots/:id
+ * Scraped HTML is untrusted: it is sent as an attachment and sandboxed,
+ * so its scripts never run on the API's origin.
+ */
+export const getSnapshotHtml = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const snapshot = Number.isNaN(id) ? null : await snapshotService.getSnapshotById(id);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      });
+    }
+    
+    res.set({
+      'Content-Disposition': `attachment; filename="snapshot-${snapshot.id}.html"`,
+      'Content-Security-Policy': 'sandbox',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.type('html').send(snapshot.html);
+  } catch (error) {
+    console.error('Error fetching snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching snapshot'
+    });
+  }
+};
+
+/**
+ * Re-run a source's extractor against a stored snapshot (no network)
+ * POST /api/scraper/snapshots/:id/replay
+ */
+export const replaySnapshot = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const snapshot = Number.isNaN(id) ? null : await snapshotService.getSnapshotById(id);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      });
+    }
+    
+    const result = await snapshotService.replaySnapshot(snapshot.id);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error replaying snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying snapshot',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get today's news articles
  * GET /api/news/today
@@ -333,8 +761,10 @@ export const getAllReleases = async (req, res) => {
   try {
     const { query: dbQuery } = await import('../config/database.js');
     
+    await releaseService.ensureReleasesTable();
+    
     const result = await dbQuery(
-      `SELECT id, name, version, release_url, scraped_date
+      `SELECT id, name, version, release_url, scraped_date, change_type, previous_version
        FROM releases
        ORDER BY scraped_date DESC, name ASC`
     );
@@ -356,21 +786,56 @@ export const getAllReleases = async (req, res) => {
 };
 
 /**
- * Get notifications
+ * Get the version history timeline of a database (newest first)
+ * GET /api/scraper/releases/:name/history
+ */
+export const getReleaseHistory = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const history = await releaseService.getReleaseHistory(name);
+    
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No releases found for ${name}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        name: history[0].name,
+        latest: history[0],
+        history,
+        count: history.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching release history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching release history'
+    });
+  }
+};
+
+/**
+ * Get notifications with the current user's read state
  * GET /api/notifications
  */
 export const getNotifications = async (req, res) => {
   try {
     const { unreadOnly } = req.query;
+    const { userId } = req.user;
     
     let notifications;
     if (unreadOnly === 'true') {
-      notifications = await notificationService.getUnreadNotifications();
+      notifications = await notificationService.getUnreadNotifications(userId);
     } else {
-      notifications = await notificationService.getAllNotifications();
+      notifications = await notificationService.getAllNotifications(userId);
     }
     
-    const unreadCount = await notificationService.getUnreadCount();
+    const unreadCount = await notificationService.getUnreadCount(userId);
     
     res.json({
       success: true,
@@ -389,14 +854,14 @@ export const getNotifications = async (req, res) => {
 };
 
 /**
- * Mark notification as read
+ * Mark notification as read (for the current user only)
  * PUT /api/notifications/:id/read
  */
 export const markNotificationRead = async (req, res) => {
   try {
     const { id } = req.params;
     
-    await notificationService.markAsRead(parseInt(id));
+    await notificationService.markAsRead(parseInt(id), req.user.userId);
     
     res.json({
       success: true,
@@ -412,12 +877,12 @@ export const markNotificationRead = async (req, res) => {
 };
 
 /**
- * Mark all notifications as read
+ * Mark all notifications as read (for the current user only)
  * PUT /api/notifications/read-all
  */
 export const markAllNotificationsRead = async (req, res) => {
   try {
-    await notificationService.markAllAsRead();
+    await notificationService.markAllAsRead(req.user.userId);
     
     res.json({
       success: true,
@@ -0,0 +1,166 @@
+/**
+ * Sources Controller
+ * 
+ * Admin API for the news source registry (news_sources table).
+ */
+
+import newsSourceService from '../services/newsSourceService.js';
+import { isHttpUrl } from '../scripts/sources/feed.js';
+
+// Source ids are used as scrape_state keys and in URLs
+const SOURCE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+/**
+ * List all sources and available adapters
+ * GET /api/sources
+ */
+export const getSources = async (req, res) => {
+  try {
+    const sources = await newsSourceService.getSources();
+    
+    res.json({
+      success: true,
+      data: {
+        sources,
+        adapters: newsSourceService.getAdapters()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sources:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sources'
+    });
+  }
+};
+
+/**
+ * Add a new source
+ * POST /api/sources
+ * Body: { id, name, adapter, url, baseUrl?, enabled?, config? }
+ */
+export const addSource = async (req, res) => {
+  try {
+    const { id, name, adapter, url, baseUrl, enabled, config } = req.body;
+    
+    if (!id || !name || !adapter || !url) {
+      return res.status(400).json({
+        success: false,
+        message: 'id, name, adapter and url are required'
+      });
+    }
+    
+    if (!SOURCE_ID_PATTERN.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be lowercase letters, digits and dashes'
+      });
+    }
+    
+    const adapters = newsSourceService.getAdapters().map(a => a.id);
+    if (!adapters.includes(adapter)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown adapter. Available: ${adapters.join(', ')}`
+      });
+    }
+    
+    if (!isHttpUrl(url) || (baseUrl && !isHttpUrl(baseUrl))) {
+      return res.status(400).json({
+        success: false,
+        message: 'url and baseUrl must be absolute http(s) URLs'
+      });
+    }
+    
+    const source = await newsSourceService.addSource({
+      id,
+      name,
+      adapter,
+      url,
+      baseUrl,
+      enabled: enabled !== false,
+      config: config || {}
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Source added',
+      data: source
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A source with this id already exists'
+      });
+    }
+    console.error('Error adding source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding source'
+    });
+  }
+};
+
+/**
+ * Build a handler that enables or disables a source
+ * PUT /api/sources/:id/enable, PUT /api/sources/:id/disable
+ */
+const setSourceEnabled = (enabled) => async (req, res) => {
+  try {
+    const source = await newsSourceService.setSourceEnabled(req.params.id, enabled);
+    
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: enabled ? 'Source enabled' : 'Source disabled',
+      data: source
+    });
+  } catch (error) {
+    console.error('Error updating source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating source'
+    });
+  }
+};
+
+export const enableSource = setSourceEnabled(true);
+export const disableSource = setSourceEnabled(false);
+
+/**
+ * Test-run a source without inserting articles
+ * POST /api/sources/:id/test
+ */
+export const testSource = async (req, res) => {
+  try {
+    const source = await newsSourceService.getSourceById(req.params.id);
+    
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source not found'
+      });
+    }
+    
+    const result = await newsSourceService.testRunSource(source);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error test-running source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error test-running source',
+      error: error.message
+    });
+  }
+};
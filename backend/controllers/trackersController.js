@@ -0,0 +1,272 @@
+/**
+ * Trackers Controller
+ * 
+ * API for the release tracker list (release_trackers table).
+ */
+
+import releaseTrackerService from '../services/releaseTrackerService.js';
+import { STRATEGY_TYPES, validateStrategies } from '../scripts/releases/strategies.js';
+import { isHttpUrl } from '../scripts/sources/feed.js';
+
+// Tracker ids are used in URLs
+const TRACKER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+/**
+ * Validate tracker fields shared by create and update
+ * Returns an error message, or null when the fields are valid
+ */
+const validateTrackerFields = ({ name, releaseUrl, strategies, renderJs, ignoreRobots }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'name must be a non-empty string of at most 100 characters';
+  }
+  
+  if (releaseUrl !== undefined && !isHttpUrl(releaseUrl)) {
+    return 'releaseUrl must be an absolute http(s) URL';
+  }
+  
+  if (renderJs !== undefined && typeof renderJs !== 'boolean') {
+    return 'renderJs must be a boolean';
+  }
+  
+  if (ignoreRobots !== undefined && typeof ignoreRobots !== 'boolean') {
+    return 'ignoreRobots must be a boolean';
+  }
+  
+  if (strategies !== undefined) {
+    return validateStrategies(strategies);
+  }
+  
+  return null;
+};
+
+/**
+ * List all trackers and the available strategy types
+ * GET /api/trackers
+ */
+export const getTrackers = async (req, res) => {
+  try {
+    const trackers = await releaseTrackerService.getTrackers();
+    
+    res.json({
+      success: true,
+      data: {
+        trackers,
+        strategyTypes: Object.keys(STRATEGY_TYPES)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trackers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trackers'
+    });
+  }
+};
+
+/**
+ * Get a single tracker
+ * GET /api/trackers/:id
+ */
+export const getTrackerById = async (req, res) => {
+  try {
+    const tracker = await releaseTrackerService.getTrackerById(req.params.id);
+    
+    if (!tracker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracker not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: tracker
+    });
+  } catch (error) {
+    console.error('Error fetching tracker:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tracker'
+    });
+  }
+};
+
+/**
+ * Add a new tracker
+ * POST /api/trackers
+ * Body: { id, name, releaseUrl, strategies, renderJs?, ignoreRobots?, enabled? }
+ */
+export const addTracker = async (req, res) => {
+  try {
+    const { id, name, releaseUrl, strategies, renderJs, ignoreRobots, enabled } = req.body;
+    
+    if (!id || !name || !releaseUrl || !strategies) {
+      return res.status(400).json({
+        success: false,
+        message: 'id, name, releaseUrl and strategies are required'
+      });
+    }
+    
+    if (!TRACKER_ID_PATTERN.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be lowercase letters, digits and dashes'
+      });
+    }
+    
+    const validationError = validateTrackerFields({ name, releaseUrl, strategies, renderJs, ignoreRobots });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const tracker = await releaseTrackerService.addTracker({
+      id,
+      name: name.trim(),
+      releaseUrl,
+      strategies,
+      renderJs: renderJs === true,
+      ignoreRobots: ignoreRobots === true,
+      enabled: enabled !== false
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Tracker added',
+      data: tracker
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A tracker with this id or name already exists'
+      });
+    }
+    console.error('Error adding tracker:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding tracker'
+    });
+  }
+};
+
+/**
+ * Update a tracker (partial)
+ * PUT /api/trackers/:id
+ * Body: { name?, releaseUrl?, strategies?, renderJs?, ignoreRobots?, enabled? }
+ */
+export const updateTracker = async (req, res) => {
+  try {
+    const { name, releaseUrl, strategies, renderJs, ignoreRobots, enabled } = req.body;
+    
+    const validationError = validateTrackerFields({ name, releaseUrl, strategies, renderJs, ignoreRobots });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be a boolean'
+      });
+    }
+    
+    const tracker = await releaseTrackerService.updateTracker(req.params.id, {
+      name: name?.trim(),
+      releaseUrl,
+      strategies,
+      renderJs,
+      ignoreRobots,
+      enabled
+    });
+    
+    if (!tracker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracker not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Tracker updated',
+      data: tracker
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A tracker with this name already exists'
+      });
+    }
+    console.error('Error updating tracker:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tracker'
+    });
+  }
+};
+
+/**
+ * Delete a tracker (releases already stored are kept)
+ * DELETE /api/trackers/:id
+ */
+export const deleteTracker = async (req, res) => {
+  try {
+    const deleted = await releaseTrackerService.deleteTracker(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracker not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Tracker deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting tracker:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tracker'
+    });
+  }
+};
+
+/**
+ * Test-run a tracker without inserting releases
+ * POST /api/trackers/:id/test
+ */
+export const testTracker = async (req, res) => {
+  try {
+    const tracker = await releaseTrackerService.getTrackerById(req.params.id);
+    
+    if (!tracker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracker not found'
+      });
+    }
+    
+    const result = await releaseTrackerService.testRunTracker(tracker);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error test-running tracker:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error test-running tracker',
+      error: error.message
+    });
+  }
+};
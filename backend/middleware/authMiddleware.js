@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import feedService from '../services/feedService.js';
 
 /**
  * Middleware to verify JWT token and protect routes
@@ -20,8 +21,16 @@ export const verifyToken = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Attach user info to request object
-    req.user = decoded;
+    // Tokens issued before user ids were embedded cannot be scoped per user
+    if (!decoded.userId) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Session outdated. Please login again.' 
+      });
+    }
+    
+    // Attach user info to request object (tokens issued before roles were stored are plain users)
+    req.user = { ...decoded, role: decoded.role || 'user' };
     
     next();
   } catch (error) {
@@ -40,7 +49,39 @@ export const verifyToken = (req, res, next) => {
 };
 
 /**
- * Optional: Role-based access control middleware
+ * Middleware to authenticate feed readers by per-user feed token
+ * Token is passed as ?token=... since feed readers cannot send headers
+ */
+export const verifyFeedToken = async (req, res, next) => {
+  const { token } = req.query;
+  
+  if (!token) {
+    return res.status(401).json({ 
+      success: false,
+      message: 'Access denied. No feed token provided.' 
+    });
+  }
+
+  try {
+    const user = await feedService.findUserByFeedToken(token);
+    
+    if (!user) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Invalid feed token.' 
+      });
+    }
+    
+    req.user = { userId: user.id, username: user.username };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Role-based access control middleware (use after verifyToken)
+ * Usage: router.post('/start', verifyToken, checkRole(['admin']), handler)
  */
 export const checkRole = (roles) => {
   return (req, res, next) => {
@@ -0,0 +1,28 @@
+/**
+ * Admin Routes
+ * 
+ * User role management. Admin only.
+ */
+
+import express from 'express';
+import { getUsers, setUserRole } from '../controllers/adminController.js';
+import { verifyToken, checkRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/users
+ * List users with their roles
+ * Protected - admin only
+ */
+router.get('/users', verifyToken, checkRole(['admin']), getUsers);
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Promote or demote a user
+ * Body: { role: 'admin' | 'user' }
+ * Protected - admin only
+ */
+router.put('/users/:id/role', verifyToken, checkRole(['admin']), setUserRole);
+
+export default router;
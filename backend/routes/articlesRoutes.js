@@ -1,11 +1,13 @@
 import express from 'express';
 import {
   getArticles,
+  searchArticles,
   getArticleById,
   getArticleByUrl,
-  getCategories
+  getCategories,
+  confirmCategories
 } from '../controllers/articlesController.js';
-import { verifyToken } from '../middleware/authMiddleware.js';
+import { verifyToken, checkRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -16,10 +18,17 @@ const router = express.Router();
 /**
  * GET /api/articles
  * Get paginated articles with optional filtering and sorting
- * Query params: page, limit, category, sort
+ * Query params: page, limit, category (matches any assigned category), sort
  */
 router.get('/', verifyToken, getArticles);
 
+/**
+ * GET /api/articles/search
+ * Full-text search with ranking and highlighted snippets
+ * Query params: q (required), page, limit, category, sort (relevance|newest|oldest)
+ */
+router.get('/search', verifyToken, searchArticles);
+
 /**
  * GET /api/articles/categories
  * Get all available categories
@@ -28,15 +37,23 @@ router.get('/categories', verifyToken, getCategories);
 
 /**
  * GET /api/articles/by-url
- * Get article by URL
+ * Get article by URL (or by the URL of one of its variants)
  * Query param: url
  */
 router.get('/by-url', verifyToken, getArticleByUrl);
 
 /**
  * GET /api/articles/:id
- * Get single article by ID
+ * Get single article by ID, with its variants (near-duplicates from other URLs)
  */
 router.get('/:id', verifyToken, getArticleById);
 
+/**
+ * PUT /api/articles/:id/categories
+ * Confirm or correct an article's categories (training data of the category model)
+ * Body: { categories: [names], main category first }
+ * Protected - admin only
+ */
+router.put('/:id/categories', verifyToken, checkRole(['admin']), confirmCategories);
+
 export default router;
\ No newline at end of file
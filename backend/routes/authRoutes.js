@@ -1,5 +1,16 @@
 import express from 'express';
-import { login, verifyToken, register } from '../controllers/authController.js';
+import {
+  login,
+  verifyToken,
+  register,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} from '../controllers/authController.js';
 import { verifyToken as authMiddleware } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -16,6 +27,54 @@ router.post('/login', login);
  */
 router.post('/register', register);
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ * Body: { refreshToken }
+ */
+router.post('/refresh', refresh);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the session of a refresh token
+ * Body: { refreshToken }
+ */
+router.post('/logout', logout);
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke all sessions of the current user (protected)
+ */
+router.post('/logout-all', authMiddleware, logoutAll);
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address from the emailed link
+ * Body: { token }
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link
+ * Body: { email }
+ */
+router.post('/resend-verification', resendVerification);
+
+/**
+ * POST /api/auth/forgot-password
+ * Send a password reset link
+ * Body: { email }
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password from a reset link
+ * Body: { token, password }
+ */
+router.post('/reset-password', resetPassword);
+
 /**
  * GET /api/auth/verify
  * Verify token endpoint (protected)
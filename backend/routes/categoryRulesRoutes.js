@@ -0,0 +1,57 @@
+/**
+ * Category Rules Routes
+ *
+ * Admin API endpoints for the weighted keyword rules articles are
+ * categorized with.
+ */
+
+import express from 'express';
+import {
+  getRules,
+  addRule,
+  updateRule,
+  deleteRule,
+  testCategorize
+} from '../controllers/categoryRulesController.js';
+import { verifyToken, checkRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/category-rules
+ * List all category rules, the registered categorizers and the trained model's metrics
+ * Protected - admin only
+ */
+router.get('/', verifyToken, checkRole(['admin']), getRules);
+
+/**
+ * POST /api/category-rules
+ * Add a category rule
+ * Body: { category, pattern, isRegex?, weight?, enabled? }
+ * Protected - admin only
+ */
+router.post('/', verifyToken, checkRole(['admin']), addRule);
+
+/**
+ * POST /api/category-rules/test
+ * Categorize a sample article without storing it
+ * Body: { title, content? }
+ * Protected - admin only
+ */
+router.post('/test', verifyToken, checkRole(['admin']), testCategorize);
+
+/**
+ * PUT /api/category-rules/:id
+ * Update a category rule
+ * Protected - admin only
+ */
+router.put('/:id', verifyToken, checkRole(['admin']), updateRule);
+
+/**
+ * DELETE /api/category-rules/:id
+ * Delete a category rule
+ * Protected - admin only
+ */
+router.delete('/:id', verifyToken, checkRole(['admin']), deleteRule);
+
+export default router;
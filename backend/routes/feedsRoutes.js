@@ -0,0 +1,63 @@
+/**
+ * Feeds Routes
+ * 
+ * RSS/Atom feeds for feed readers. Feed routes authenticate with a
+ * per-user feed token (?token=...) instead of a Bearer header.
+ */
+
+import express from 'express';
+import {
+  getArticlesRss,
+  getArticlesAtom,
+  getReleasesRss,
+  getReleasesAtom,
+  getFeedToken,
+  regenerateFeedToken
+} from '../controllers/feedsController.js';
+import { verifyToken, verifyFeedToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/feeds/articles.rss
+ * Articles as RSS 2.0
+ * Query params: token, category
+ */
+router.get('/articles.rss', verifyFeedToken, getArticlesRss);
+
+/**
+ * GET /api/feeds/articles.atom
+ * Articles as Atom
+ * Query params: token, category
+ */
+router.get('/articles.atom', verifyFeedToken, getArticlesAtom);
+
+/**
+ * GET /api/feeds/releases.rss
+ * Releases as RSS 2.0
+ * Query params: token, name
+ */
+router.get('/releases.rss', verifyFeedToken, getReleasesRss);
+
+/**
+ * GET /api/feeds/releases.atom
+ * Releases as Atom
+ * Query params: token, name
+ */
+router.get('/releases.atom', verifyFeedToken, getReleasesAtom);
+
+/**
+ * GET /api/feeds/token
+ * Get the current user's feed token and subscription URLs
+ * Protected - requires authentication
+ */
+router.get('/token', verifyToken, getFeedToken);
+
+/**
+ * POST /api/feeds/token/regenerate
+ * Replace the current user's feed token
+ * Protected - requires authentication
+ */
+router.post('/token/regenerate', verifyToken, regenerateFeedToken);
+
+export default router;
@@ -8,12 +8,17 @@ import express from 'express';
 import {
   getNotifications,
   markNotificationRead,
-  markAllNotificationsRead
+  markAllNotificationsRead,
+  dismissNotification
 } from '../controllers/newsController.js';
 import { verifyToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+/**
+ * All notification state is scoped to the authenticated user (req.user.userId)
+ */
+
 /**
  * GET /api/notifications
  * Get notifications (optional ?unreadOnly=true)
@@ -32,4 +37,10 @@ router.put('/read-all', verifyToken, markAllNotificationsRead);
  */
 router.put('/:id/read', verifyToken, markNotificationRead);
 
+/**
+ * PUT /api/notifications/:id/dismiss
+ * Dismiss a notification (hide it from the current user's list)
+ */
+router.put('/:id/dismiss', verifyToken, dismissNotification);
+
 export default router;
@@ -0,0 +1,48 @@
+/**
+ * Review Routes
+ *
+ * Admin API endpoints for the queue of raw articles rejected by
+ * processing.
+ */
+
+import express from 'express';
+import {
+  getReviewQueue,
+  getReviewItem,
+  publishReviewItem,
+  discardReviewItem
+} from '../controllers/reviewController.js';
+import { verifyToken, checkRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/review
+ * List rejected articles by review status and rejection reason
+ * Protected - admin only
+ */
+router.get('/', verifyToken, checkRole(['admin']), getReviewQueue);
+
+/**
+ * GET /api/review/:id
+ * Get a rejected article with its full content
+ * Protected - admin only
+ */
+router.get('/:id', verifyToken, checkRole(['admin']), getReviewItem);
+
+/**
+ * POST /api/review/:id/publish
+ * Publish a rejected article with the reviewer's categories
+ * Body: { categories: [names], keywords?: [words] }
+ * Protected - admin only
+ */
+router.post('/:id/publish', verifyToken, checkRole(['admin']), publishReviewItem);
+
+/**
+ * POST /api/review/:id/discard
+ * Discard a rejected article for good
+ * Protected - admin only
+ */
+router.post('/:id/discard', verifyToken, checkRole(['admin']), discardReviewItem);
+
+export default router;
@@ -10,10 +10,15 @@ import {
   triggerScrapers,
   triggerManualScraping,
   startNonBlockingScraping,
+  startBackfill,
+  startReprocessing,
   getScrapingJobStatus,
+  getScrapingJobs,
+  getScrapingJob,
   getTodaysNews,
   getTodaysReleases,
   getAllReleases,
+  getReleaseHistory,
   getNotifications,
   markNotificationRead,
   markAllNotificationsRead,
@@ -21,52 +26,86 @@ import {
   processArticles,
   getProcessingStats,
   getRemainingExecutions,
-  getScrapingHistory
+  getScrapingHistory,
+  getScraperHealth,
+  getSnapshots,
+  getSnapshotHtml,
+  replaySnapshot
 } from '../controllers/scraperController.js';
-import { verifyToken } from '../middleware/authMiddleware.js';
+import { verifyToken, checkRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 /**
  * POST /api/scraper/trigger
  * Trigger daily scrapers (called on first website visit)
- * Protected - requires authentication
+ * Protected - admin only
  */
-router.post('/trigger', verifyToken, triggerScrapers);
+router.post('/trigger', verifyToken, checkRole(['admin']), triggerScrapers);
 
 /**
  * POST /api/scraper/manual
  * Manually trigger scrapers (limited to 5/day) - BLOCKING
  * Body: { scrapeNews?: boolean, scrapeReleases?: boolean }
- * Protected - requires authentication
+ * Protected - admin only
  */
-router.post('/manual', verifyToken, triggerManualScraping);
+router.post('/manual', verifyToken, checkRole(['admin']), triggerManualScraping);
 
 /**
  * POST /api/scraper/start
  * Start non-blocking scraping (returns immediately)
  * Body: { scrapeNews?: boolean, scrapeReleases?: boolean }
- * Protected - requires authentication
+ * Protected - admin only
+ */
+router.post('/start', verifyToken, checkRole(['admin']), startNonBlockingScraping);
+
+/**
+ * POST /api/scraper/backfill
+ * Queue a backfill of a news source's older articles (runs as a scraping job)
+ * Body: { sourceId, from, to?, maxPages? }
+ * Protected - admin only
+ */
+router.post('/backfill', verifyToken, checkRole(['admin']), startBackfill);
+
+/**
+ * POST /api/scraper/reprocess
+ * Queue a reprocessing of stored articles (runs as a scraping job; dry run by default)
+ * Body: { dryRun?, ids?, category?, source?, from?, to? }
+ * Protected - admin only
  */
-router.post('/start', verifyToken, startNonBlockingScraping);
+router.post('/reprocess', verifyToken, checkRole(['admin']), startReprocessing);
 
 /**
  * GET /api/scraper/job-status
- * Get current scraping job status (for polling)
+ * Get the latest scraping job status (for polling)
  * Protected - requires authentication
  */
 router.get('/job-status', verifyToken, getScrapingJobStatus);
 
+/**
+ * GET /api/scraper/jobs
+ * List recent scraping jobs (?limit=20&status=queued|running|completed|error)
+ * Protected - requires authentication
+ */
+router.get('/jobs', verifyToken, getScrapingJobs);
+
+/**
+ * GET /api/scraper/jobs/:id
+ * Get a scraping job with its step progress and result
+ * Protected - requires authentication
+ */
+router.get('/jobs/:id', verifyToken, getScrapingJob);
+
 /**
  * POST /api/scraper/process
  * Process raw articles (run data processing)
- * Protected - requires authentication
+ * Protected - admin only
  */
-router.post('/process', verifyToken, processArticles);
+router.post('/process', verifyToken, checkRole(['admin']), processArticles);
 
 /**
  * GET /api/scraper/status
- * Get full scraper status with execution limits
+ * Get full scraper status with execution limits, schedules and next run time
  * Protected - requires authentication
  */
 router.get('/status', verifyToken, getScraperStatus);
@@ -87,11 +126,41 @@ router.get('/processing-stats', verifyToken, getProcessingStats);
 
 /**
  * GET /api/scraper/history
- * Get scraping history by source
+ * Get scraping history: last state per source and the per-source run log
+ * Query: ?source=&kind=news|releases&status=success|error|skipped&from=&to=&limit=
  * Protected - requires authentication
  */
 router.get('/history', verifyToken, getScrapingHistory);
 
+/**
+ * GET /api/scraper/health
+ * Get per-source health (degraded after repeated empty/failed runs) and success rates
+ * Query: ?days=30 (window for the success rates)
+ * Protected - requires authentication
+ */
+router.get('/health', verifyToken, getScraperHealth);
+
+/**
+ * GET /api/scraper/snapshots
+ * List stored HTML snapshots of scraped pages (?kind=news|releases&source=&limit=20)
+ * Protected - admin only
+ */
+router.get('/snapshots', verifyToken, checkRole(['admin']), getSnapshots);
+
+/**
+ * GET /api/scraper/snapshots/:id
+ * Download a snapshot's HTML (e.g. to keep as an extractor fixture)
+ * Protected - admin only
+ */
+router.get('/snapshots/:id', verifyToken, checkRole(['admin']), getSnapshotHtml);
+
+/**
+ * POST /api/scraper/snapshots/:id/replay
+ * Re-run the source's extractor against the snapshot, offline
+ * Protected - admin only
+ */
+router.post('/snapshots/:id/replay', verifyToken, checkRole(['admin']), replaySnapshot);
+
 /**
  * GET /api/news/today
  * Get today's news articles
@@ -113,6 +182,13 @@ router.get('/releases/today', verifyToken, getTodaysReleases);
  */
 router.get('/releases', verifyToken, getAllReleases);
 
+/**
+ * GET /api/scraper/releases/:name/history
+ * Get a database's version history with major/minor/patch classification
+ * Protected - requires authentication
+ */
+router.get('/releases/:name/history', verifyToken, getReleaseHistory);
+
 /**
  * GET /api/notifications
  * Get notifications (optional ?unreadOnly=true)
@@ -0,0 +1,51 @@
+/**
+ * Sources Routes
+ * 
+ * Admin API endpoints for the news source registry.
+ * Listing is open to any user; changes and test runs are admin only.
+ */
+
+import express from 'express';
+import {
+  getSources,
+  addSource,
+  enableSource,
+  disableSource,
+  testSource
+} from '../controllers/sourcesController.js';
+import { verifyToken, checkRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/sources
+ * List all news sources and registered adapters
+ */
+router.get('/', verifyToken, getSources);
+
+/**
+ * POST /api/sources
+ * Add a news source
+ * Body: { id, name, adapter, url, baseUrl?, enabled?, config? }
+ */
+router.post('/', verifyToken, checkRole(['admin']), addSource);
+
+/**
+ * PUT /api/sources/:id/enable
+ * Enable a news source
+ */
+router.put('/:id/enable', verifyToken, checkRole(['admin']), enableSource);
+
+/**
+ * PUT /api/sources/:id/disable
+ * Disable a news source (kept in the table, skipped by the scraper)
+ */
+router.put('/:id/disable', verifyToken, checkRole(['admin']), disableSource);
+
+/**
+ * POST /api/sources/:id/test
+ * Test-run a source: fetch and extract its listing without inserting
+ */
+router.post('/:id/test', verifyToken, checkRole(['admin']), testSource);
+
+export default router;
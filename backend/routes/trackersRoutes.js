@@ -0,0 +1,58 @@
+/**
+ * Trackers Routes
+ * 
+ * API endpoints for the release tracker list.
+ * Listing is open to any user; changes and test runs are admin only.
+ */
+
+import express from 'express';
+import {
+  getTrackers,
+  getTrackerById,
+  addTracker,
+  updateTracker,
+  deleteTracker,
+  testTracker
+} from '../controllers/trackersController.js';
+import { verifyToken, checkRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/trackers
+ * List all release trackers and strategy types
+ */
+router.get('/', verifyToken, getTrackers);
+
+/**
+ * GET /api/trackers/:id
+ * Get a single release tracker
+ */
+router.get('/:id', verifyToken, getTrackerById);
+
+/**
+ * POST /api/trackers
+ * Add a release tracker
+ * Body: { id, name, releaseUrl, strategies, enabled? }
+ */
+router.post('/', verifyToken, checkRole(['admin']), addTracker);
+
+/**
+ * PUT /api/trackers/:id
+ * Update a release tracker (name, releaseUrl, strategies, enabled)
+ */
+router.put('/:id', verifyToken, checkRole(['admin']), updateTracker);
+
+/**
+ * DELETE /api/trackers/:id
+ * Delete a release tracker (stored releases are kept)
+ */
+router.delete('/:id', verifyToken, checkRole(['admin']), deleteTracker);
+
+/**
+ * POST /api/trackers/:id/test
+ * Test-run a tracker: extract versions without inserting
+ */
+router.post('/:id/test', verifyToken, checkRole(['admin']), testTracker);
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * News Backfill
+ *
+ * Populates raw_articles with a source's older articles: follows its
+ * listing pages back to --from and inserts what was published between
+ * --from and --to (default today). Run by backfill jobs (POST
+ * /api/scraper/backfill), which get the result over IPC, or by hand.
+ *
+ * Usage:
+ *   node scripts/backfillNews.js <sourceId> --from YYYY-MM-DD [--to YYYY-MM-DD] [--max-pages N]
+ */
+
+import pool from '../config/database.js';
+import { backfillSource, BACKFILL_MAX_PAGES } from './scrapeNews.js';
+import { reportResult } from './concurrency.js';
+
+/**
+ * Read --flag values from the command line
+ */
+function readFlag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Command line entry point
+ */
+async function main(args) {
+  const sourceId = args[0];
+  const from = readFlag(args, 'from');
+  if (!sourceId || sourceId.startsWith('--') || !from) {
+    throw new Error('A source id and --from are required');
+  }
+
+  const result = await backfillSource(sourceId, {
+    from,
+    to: readFlag(args, 'to'),
+    maxPages: parseInt(readFlag(args, 'max-pages')) || BACKFILL_MAX_PAGES
+  });
+  if (!reportResult(result)) {
+    console.log(JSON.stringify(result, null, 2));
+  }
+}
+
+// Allow running directly
+if (process.argv[1] && process.argv[1].includes('backfillNews.js')) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.error('Usage: node scripts/backfillNews.js <sourceId> --from YYYY-MM-DD [--to YYYY-MM-DD] [--max-pages N]');
+    process.exit(1);
+  }
+
+  main(args)
+    .catch(error => {
+      console.error('❌ Error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,166 @@
+/**
+ * Scraper Concurrency
+ *
+ * Bounded task pool, per-host politeness limits and timeouts shared by
+ * the scrapers. Configured from the environment:
+ * - SCRAPE_CONCURRENCY: sources, trackers or article pages handled at once (default 4)
+ * - SCRAPE_HOST_MAX_IN_FLIGHT: page loads in flight per host (default 2)
+ * - SCRAPE_HOST_MIN_DELAY_MS: minimum delay between page loads from one host (default 500)
+ * - SCRAPE_PAGE_TIMEOUT_MS: time limit for loading one page, retries included (default 60000)
+ * - SCRAPE_RUN_TIMEOUT_MS: time limit for a whole scraper run; pages not
+ *   started by then fail and sources not started are skipped (default 1800000)
+ */
+
+export const SCRAPE_CONCURRENCY = parseInt(process.env.SCRAPE_CONCURRENCY) || 4;
+export const HOST_MAX_IN_FLIGHT = parseInt(process.env.SCRAPE_HOST_MAX_IN_FLIGHT) || 2;
+export const HOST_MIN_DELAY_MS = parseInt(process.env.SCRAPE_HOST_MIN_DELAY_MS) || 500;
+export const PAGE_TIMEOUT_MS = parseInt(process.env.SCRAPE_PAGE_TIMEOUT_MS) || 60000;
+export const RUN_TIMEOUT_MS = parseInt(process.env.SCRAPE_RUN_TIMEOUT_MS) || 30 * 60 * 1000;
+
+/**
+ * Reject with a timeout error if promise does not settle within ms
+ */
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message || `Timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Deadline of a scraper run (epoch ms)
+ */
+export function createRunDeadline(timeoutMs = RUN_TIMEOUT_MS) {
+  return Date.now() + timeoutMs;
+}
+
+/**
+ * Whether a run deadline has passed (no deadline never expires)
+ */
+export function isPastDeadline(deadline) {
+  return Boolean(deadline) && Date.now() > deadline;
+}
+
+/**
+ * Per-host politeness limiter
+ * schedule(url, task) runs task once the URL's host has fewer than
+ * maxInFlight tasks running and minDelayMs have passed since the last
+ * one started. Only wrap the network part of a page load: a task that
+ * waits on another task of the same host can deadlock.
+ * schedule(url, task, { minDelayMs }) raises the host's delay (e.g. to
+ * its robots.txt Crawl-delay); it never goes back down.
+ */
+export function createHostLimiter({ maxInFlight = HOST_MAX_IN_FLIGHT, minDelayMs = HOST_MIN_DELAY_MS } = {}) {
+  const hosts = new Map();
+
+  const pump = (state) => {
+    while (state.queue.length > 0 && state.inFlight < maxInFlight) {
+      const wait = state.lastStartedAt + state.minDelayMs - Date.now();
+      if (wait > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            pump(state);
+          }, wait);
+        }
+        return;
+      }
+
+      const start = state.queue.shift();
+      state.inFlight++;
+      state.lastStartedAt = Date.now();
+      start();
+    }
+  };
+
+  return {
+    schedule: (url, task, options = {}) => new Promise((resolve, reject) => {
+      const host = new URL(url).host;
+      if (!hosts.has(host)) {
+        hosts.set(host, { inFlight: 0, lastStartedAt: 0, minDelayMs, queue: [], timer: null });
+      }
+      const state = hosts.get(host);
+      if (options.minDelayMs > state.minDelayMs) {
+        state.minDelayMs = options.minDelayMs;
+      }
+
+      state.queue.push(() => {
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            state.inFlight--;
+            pump(state);
+          });
+      });
+      pump(state);
+    })
+  };
+}
+
+// Shared by every page load of this process
+export const hostLimiter = createHostLimiter();
+
+/**
+ * Run worker(item, index) over items, at most `concurrency` at a time
+ * Resolves to the results in the order of items. Workers are expected to
+ * handle their own errors; a thrown error rejects the whole pool.
+ */
+export async function runPool(items, worker, { concurrency = SCRAPE_CONCURRENCY } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Report scraper progress to the parent process (the scrape job worker)
+ * No-op when the script was not started with an IPC channel.
+ * event: { scraper, done, total, source, status }
+ */
+export function reportProgress(event) {
+  if (process.send) {
+    process.send({ type: 'scrape-progress', ...event });
+  }
+}
+
+/**
+ * Send a script's result to the parent process (see runScript in
+ * services/scraperService.js), which resolves with the last one sent
+ * No-op when the script was not started with an IPC channel; returns
+ * whether the result was sent.
+ */
+export function reportResult(result) {
+  if (!process.send) return false;
+  process.send({ type: 'script-result', result });
+  return true;
+}
+
+export default {
+  SCRAPE_CONCURRENCY,
+  HOST_MAX_IN_FLIGHT,
+  HOST_MIN_DELAY_MS,
+  PAGE_TIMEOUT_MS,
+  RUN_TIMEOUT_MS,
+  withTimeout,
+  createRunDeadline,
+  isPastDeadline,
+  createHostLimiter,
+  hostLimiter,
+  runPool,
+  reportProgress,
+  reportResult
+};
@@ -0,0 +1,281 @@
+/**
+ * Page Fetcher
+ *
+ * Loads the pages the scrapers extract from. A page is first fetched
+ * with a plain HTTP GET and parsed with linkedom; Chromium is only used
+ * for sources flagged as JS-rendered (renderJs), or as a fallback when
+ * the HTTP fetch fails or the static HTML yields nothing.
+ *
+ * Static pages expose the part of the Puppeteer Page API extractors use
+ * (evaluate, content, url, close), so an extractor runs unchanged
+ * whichever way its page was loaded.
+ *
+ * Every page load goes through the shared per-host limiter and is capped
+ * at SCRAPE_PAGE_TIMEOUT_MS (see concurrency.js): the HTTP request and the
+ * browser navigations are given the time left, so a timed out load really
+ * stops, and keeps its host slot until it has. Pages are checked against
+ * robots.txt before loading (see robots.js).
+ */
+
+import { parseHTML } from 'linkedom';
+import { PAGE_TIMEOUT_MS, hostLimiter, withTimeout, isPastDeadline } from './concurrency.js';
+import { USER_AGENT, createRobotsPolicy } from './robots.js';
+
+const FETCH_TIMEOUT_MS = 30000;
+
+// Browser navigations are retried with a growing backoff (2s, 4s...);
+// all attempts and backoffs fit in the page timeout
+const MAX_NAVIGATION_ATTEMPTS = 3;
+const NAVIGATION_BACKOFF_MS = 2000;
+const NAVIGATION_TIMEOUT_MS = Math.max(
+  1000,
+  Math.floor((PAGE_TIMEOUT_MS - NAVIGATION_BACKOFF_MS * MAX_NAVIGATION_ATTEMPTS * (MAX_NAVIGATION_ATTEMPTS - 1) / 2) / MAX_NAVIGATION_ATTEMPTS)
+);
+
+/**
+ * Time left until a load deadline (epoch ms), capped at ms
+ */
+const timeLeft = (deadline, ms) => deadline ? Math.min(ms, deadline - Date.now()) : ms;
+
+/**
+ * Error for a load that ran out of time
+ */
+const timeoutError = (url) => {
+  const error = new Error(`Loading ${url} timed out after ${PAGE_TIMEOUT_MS}ms`);
+  error.code = 'ETIMEDOUT';
+  return error;
+};
+
+/**
+ * Wrap HTML in a page-like object
+ * evaluate(fn, ...args) runs fn with this document as `document`, like
+ * page.evaluate does in the browser. Page scripts are never run.
+ */
+export function createStaticPage(html, url) {
+  const { window, document } = parseHTML(html);
+
+  // There is no layout, so innerText is missing and extractors fall back
+  // to textContent, which would include script and style bodies
+  document.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+
+  return {
+    isStatic: true,
+    url: () => url,
+    content: async () => html,
+    evaluate: async (fn, ...args) => {
+      const body = typeof fn === 'function'
+        ? `return (${fn.toString()})(...args);`
+        : `return (${fn});`;
+      return await new Function('window', 'document', 'args', body)(window, document, args);
+    },
+    close: async () => {}
+  };
+}
+
+/**
+ * Fetch a page over plain HTTP
+ * deadline: epoch ms by which the request (body included) is aborted
+ * Returns { page (static), httpStatus }. Throws (with error.httpStatus)
+ * on HTTP errors and non-HTML responses.
+ */
+export async function fetchStaticPage(url, { deadline = null } = {}) {
+  const ms = timeLeft(deadline, FETCH_TIMEOUT_MS);
+  if (ms <= 0) throw timeoutError(url);
+
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+    },
+    signal: AbortSignal.timeout(ms)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Page request failed with HTTP ${response.status}`);
+    error.httpStatus = response.status;
+    throw error;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !contentType.includes('html')) {
+    const error = new Error(`Expected an HTML page, got ${contentType}`);
+    error.httpStatus = response.status;
+    throw error;
+  }
+
+  return {
+    page: createStaticPage(await response.text(), response.url || url),
+    httpStatus: response.status
+  };
+}
+
+/**
+ * Navigate a browser page to URL with retries, until the deadline
+ * Returns the main document response (null if the browser reports none)
+ */
+async function navigateWithRetry(page, url, deadline) {
+  for (let attempt = 1; attempt <= MAX_NAVIGATION_ATTEMPTS; attempt++) {
+    const timeout = timeLeft(deadline, NAVIGATION_TIMEOUT_MS);
+    if (timeout <= 0) throw timeoutError(url);
+
+    try {
+      return await page.goto(url, { waitUntil: 'networkidle2', timeout });
+    } catch (error) {
+      console.log(`  ⚠ Attempt ${attempt}/${MAX_NAVIGATION_ATTEMPTS} failed: ${error.message}`);
+      const backoffMs = NAVIGATION_BACKOFF_MS * attempt;
+      if (attempt === MAX_NAVIGATION_ATTEMPTS || timeLeft(deadline, Infinity) <= backoffMs) throw error;
+      await new Promise(resolve => setTimeout(resolve, backoffMs));
+    }
+  }
+  return null;
+}
+
+/**
+ * Open URL in a new browser tab
+ * deadline: epoch ms after which navigation is not retried or waited for
+ * Returns { page, httpStatus }; the caller closes the page.
+ */
+export async function openBrowserPage(browser, url, { deadline = null } = {}) {
+  const page = await browser.newPage();
+  await page.setUserAgent(USER_AGENT);
+
+  try {
+    const response = await navigateWithRetry(page, url, deadline);
+    return { page, httpStatus: response ? response.status() : null };
+  } catch (error) {
+    await page.close();
+    throw error;
+  }
+}
+
+/**
+ * Browser shared by a scrape run, launched on first use
+ * launch: the scraper's launchBrowser function. Runs whose pages are all
+ * served over HTTP never start Chromium.
+ */
+export function createBrowserLauncher(launch) {
+  let browserPromise = null;
+
+  return {
+    get: () => {
+      if (!browserPromise) {
+        browserPromise = launch().then(browser => {
+          console.log('✓ Puppeteer browser launched');
+          return browser;
+        });
+        // A failed launch can be retried by the next page that needs it
+        browserPromise.catch(() => { browserPromise = null; });
+      }
+      return browserPromise;
+    },
+    // Closes the browser if it was launched; resolves to whether it was
+    close: async () => {
+      if (!browserPromise) return false;
+
+      const browser = await browserPromise.catch(() => null);
+      browserPromise = null;
+      if (!browser) return false;
+
+      await browser.close();
+      return true;
+    }
+  };
+}
+
+/**
+ * Load a page within the host's politeness limits and the page timeout
+ * load(deadline) resolves to { page, httpStatus } and should give up by the
+ * deadline (epoch ms). The caller gets a timeout error at the deadline
+ * regardless, but the host's slot stays taken until the load settles, and
+ * a page that still opens after the timeout is closed.
+ * crawlDelayMs: the host's robots.txt Crawl-delay, if any
+ */
+const loadPage = (url, load, crawlDelayMs = null) => new Promise((resolve, reject) => {
+  hostLimiter.schedule(url, () => {
+    const loading = load(Date.now() + PAGE_TIMEOUT_MS);
+
+    withTimeout(loading, PAGE_TIMEOUT_MS, timeoutError(url).message).then(resolve, error => {
+      reject(error);
+      loading.then(({ page }) => page.close(), () => {});
+    });
+    return loading;
+  }, { minDelayMs: crawlDelayMs }).catch(reject);
+});
+
+/**
+ * Whether an extraction result counts as "nothing found"
+ */
+const isEmptyResult = (result) => !result || result.length === 0;
+
+/**
+ * Load URL and run an extractor on it, over HTTP first
+ * options:
+ * - extract(page): the extractor (any page-like object)
+ * - renderJs: skip HTTP, the page needs JavaScript to render
+ * - launcher: from createBrowserLauncher (null: HTTP only, no fallback)
+ * - isEmpty(result): when true, the extraction is retried in the browser
+ * - onPage(page, { httpStatus, fetcher }): called once, for the page the
+ *   result comes from: before extracting when it is the last attempt (so a
+ *   page the extractor chokes on is still seen), after it when an HTTP
+ *   page could still fall back to the browser
+ * - deadline: run deadline (epoch ms); pages are not loaded after it
+ * - robots: the run's robots.txt policy (from createRobotsPolicy); throws
+ *   (code EROBOTS) if robots.txt disallows the URL
+ * Returns { result, httpStatus, fetcher: 'http' | 'browser' }
+ */
+export async function fetchAndExtract(url, { extract, renderJs = false, launcher = null, isEmpty = isEmptyResult, onPage = null, deadline = null, robots = createRobotsPolicy() }) {
+  if (isPastDeadline(deadline)) {
+    throw new Error(`Scrape run timed out before loading ${url}`);
+  }
+  const { crawlDelayMs } = await robots.check(url);
+
+  if (!renderJs) {
+    let httpStatus = null;
+    try {
+      const fetched = await loadPage(url, pageDeadline => fetchStaticPage(url, { deadline: pageDeadline }), crawlDelayMs);
+      httpStatus = fetched.httpStatus;
+      if (onPage && !launcher) await onPage(fetched.page, { httpStatus, fetcher: 'http' });
+
+      const result = await extract(fetched.page);
+      if (!launcher || !isEmpty(result)) {
+        if (onPage && launcher) await onPage(fetched.page, { httpStatus, fetcher: 'http' });
+        return { result, httpStatus, fetcher: 'http' };
+      }
+      console.log(`  ↪ Nothing found in the HTML of ${url}, retrying in the browser`);
+    } catch (error) {
+      if (!launcher) {
+        error.httpStatus = error.httpStatus || httpStatus;
+        throw error;
+      }
+      console.log(`  ↪ HTTP fetch of ${url} failed (${error.message}), retrying in the browser`);
+    }
+  }
+
+  if (!launcher) {
+    throw new Error(`${url} needs a browser to render`);
+  }
+  if (isPastDeadline(deadline)) {
+    throw new Error(`Scrape run timed out before loading ${url} in the browser`);
+  }
+
+  const browser = await launcher.get();
+  const { page, httpStatus } = await loadPage(url, pageDeadline => openBrowserPage(browser, url, { deadline: pageDeadline }), crawlDelayMs);
+
+  try {
+    if (onPage) await onPage(page, { httpStatus, fetcher: 'browser' });
+    return { result: await extract(page), httpStatus, fetcher: 'browser' };
+  } catch (error) {
+    error.httpStatus = error.httpStatus || httpStatus;
+    throw error;
+  } finally {
+    await page.close();
+  }
+}
+
+export default {
+  createStaticPage,
+  fetchStaticPage,
+  openBrowserPage,
+  createBrowserLauncher,
+  fetchAndExtract
+};
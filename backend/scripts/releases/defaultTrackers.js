@@ -0,0 +1,81 @@
+/**
+ * Default Release Trackers
+ * 
+ * Seeded into the release_trackers table on first run. Existing rows
+ * are never overwritten, so edits made through the API are kept.
+ * See strategies.js for the strategy format.
+ */
+
+export default [
+  {
+    id: 'mongodb',
+    name: 'MongoDB',
+    releaseUrl: 'https://www.mongodb.com/docs/manual/release-notes/',
+    strategies: [
+      { type: 'link', selector: 'a[href*="/release-notes/"]', pattern: 'release-notes\\/(\\d+\\.\\d+)' },
+      { type: 'text', pattern: 'MongoDB\\s+(\\d+\\.\\d+)', flags: 'i' }
+    ]
+  },
+  {
+    id: 'neo4j',
+    name: 'Neo4j',
+    releaseUrl: 'https://neo4j.com/release-notes/',
+    strategies: [
+      { type: 'link', selector: '.recent-releases a[href*="/database/neo4j-"]', attribute: 'text', pattern: 'Neo4j\\s+([\\d.]+)', flags: 'i' },
+      { type: 'link', selector: 'a[href*="neo4j-5-"], a[href*="neo4j-2025"], a[href*="neo4j-2024"]', pattern: 'neo4j-([\\d-]+)\\/?$', replace: { from: '-', to: '.' } },
+      { type: 'text', pattern: 'Neo4j\\s+([\\d.]+)', flags: 'i', fallback: true },
+      { type: 'github', repo: 'neo4j/neo4j', kind: 'tags', fallback: true }
+    ]
+  },
+  {
+    id: 'redis',
+    name: 'Redis',
+    releaseUrl: 'https://redis.io/docs/latest/operate/rs/release-notes/',
+    strategies: [
+      { type: 'text', pattern: 'Redis\\s+(?:Enterprise\\s+)?(?:Software\\s+)?(\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' },
+      { type: 'text', pattern: 'version\\s+(\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' },
+      { type: 'text', pattern: 'v(\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' },
+      { type: 'link', selector: 'a[href*="release-notes"]', pattern: 'rs-(\\d+)-(\\d+)(?:-(\\d+))?' }
+    ]
+  },
+  {
+    id: 'tidb',
+    name: 'TiDB',
+    releaseUrl: 'https://docs.pingcap.com/tidb/stable/release-notes/',
+    strategies: [
+      { type: 'meta', name: 'description', pattern: '(\\d+\\.\\d+\\.\\d+(?:-\\w+)?)' },
+      { type: 'text', selector: 'head > title', pattern: 'TiDB\\s+v?(\\d+\\.\\d+\\.\\d+(?:-\\w+)?)', flags: 'i' },
+      { type: 'text', pattern: 'TiDB\\s+v?(\\d+\\.\\d+\\.\\d+(?:-\\w+)?)', flags: 'i' },
+      { type: 'link', selector: 'a[href*="release-"]', pattern: 'release-(\\d+\\.\\d+\\.\\d+)' }
+    ]
+  },
+  {
+    id: 'yugabytedb',
+    name: 'YugabyteDB',
+    releaseUrl: 'https://docs.yugabyte.com/stable/releases/ybdb-releases/',
+    strategies: [
+      { type: 'link', selector: 'a[href*="/releases/ybdb-releases/v"]', pattern: 'v(\\d{4}\\.\\d+(?:\\.\\d+)?|\\d+\\.\\d+(?:\\.\\d+)?)' },
+      { type: 'text', pattern: 'v(\\d{4}\\.\\d+(?:\\.\\d+)?)' }
+    ]
+  },
+  {
+    id: 'cockroachdb',
+    name: 'CockroachDB',
+    releaseUrl: 'https://www.cockroachlabs.com/docs/releases/',
+    strategies: [
+      { type: 'link', selector: 'a[href*="/releases/v"]', pattern: 'releases\\/v(\\d+\\.\\d+(?:\\.\\d+)?)' },
+      { type: 'text', pattern: 'CockroachDB\\s+v?(\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' }
+    ]
+  },
+  {
+    id: 'cassandra',
+    name: 'Cassandra',
+    releaseUrl: 'https://cassandra.apache.org/_/download.html',
+    strategies: [
+      { type: 'text', pattern: 'Apache\\s+Cassandra\\s+(\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' },
+      { type: 'text', pattern: 'Cassandra\\s+(\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' },
+      { type: 'text', pattern: 'version\\s+(\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' },
+      { type: 'link', selector: 'a[href*="cassandra"]', pattern: 'cassandra[/-](\\d+\\.\\d+(?:\\.\\d+)?)', flags: 'i' }
+    ]
+  }
+];
@@ -0,0 +1,143 @@
+/**
+ * GitHub Releases / Tags Strategy
+ * 
+ * Reads versions from the GitHub REST API instead of rendered docs pages:
+ *   { type: 'github', repo: 'owner/name', kind?: 'releases' | 'tags',
+ *     includePrereleases?: false, tagPrefix?, pattern?, baseUrl? }
+ * 
+ * - releases: GET /repos/:repo/releases - drafts are always skipped,
+ *   pre-releases unless includePrereleases; keeps published date,
+ *   release notes body and the release page URL
+ * - tags: GET /repos/:repo/tags - names only
+ * 
+ * Tag prefixes (v1.2.3, release-1.2) are stripped; tagPrefix adds a
+ * product specific one (e.g. 'cassandra-'). The API base URL comes from
+ * the strategy's baseUrl, then GITHUB_API_URL, so a local mock server
+ * can stand in for api.github.com. GITHUB_TOKEN raises the rate limit; it
+ * is only sent to api.github.com and GITHUB_API_URL, never to a base URL
+ * set on a strategy.
+ */
+
+import { parseVersion } from '../../services/versionService.js';
+import { USER_AGENT } from '../robots.js';
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const FETCH_TIMEOUT_MS = 30000;
+const PER_PAGE = 100;
+
+// Common tag prefixes in front of the version number
+const TAG_PREFIX_PATTERN = /^(?:release|rel|version|ver)?[-_/]?v?(?=\d)/i;
+
+/**
+ * Strip the tag prefix (custom one first, then the common ones)
+ * v1.2.3 -> 1.2.3, release-1.2 -> 1.2, cassandra-4.1.5 (tagPrefix 'cassandra-') -> 4.1.5
+ */
+export function stripTagPrefix(tag, tagPrefix) {
+  let value = String(tag || '').trim();
+  if (tagPrefix && value.toLowerCase().startsWith(tagPrefix.toLowerCase())) {
+    value = value.slice(tagPrefix.length);
+  }
+  return value.replace(TAG_PREFIX_PATTERN, '');
+}
+
+/**
+ * Resolve the API base URL (strategy setting, environment, public API)
+ */
+export function getApiBaseUrl(strategy = {}) {
+  return (strategy.baseUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Whether a base URL is one GITHUB_TOKEN may be sent to (the public API
+ * or the configured GITHUB_API_URL; strategies are editable by admins)
+ */
+export function isTrustedApiUrl(baseUrl) {
+  const trusted = [DEFAULT_API_URL, process.env.GITHUB_API_URL].filter(Boolean);
+  try {
+    const origin = new URL(baseUrl).origin;
+    return trusted.some(url => new URL(url).origin === origin);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * GET a GitHub API path and parse the JSON body
+ */
+async function fetchGithub(strategy, path) {
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'application/vnd.github+json'
+  };
+  const baseUrl = getApiBaseUrl(strategy);
+  if (process.env.GITHUB_TOKEN && isTrustedApiUrl(baseUrl)) {
+    headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+  
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  
+  if (!response.ok) {
+    const error = new Error(`GitHub request ${path} failed with HTTP ${response.status}`);
+    error.httpStatus = response.status;
+    throw error;
+  }
+  
+  return await response.json();
+}
+
+/**
+ * Map GitHub releases / tags to version entries
+ * Returns [{ version, tag, publishedAt, notes, url, prerelease }]
+ */
+export function toVersionEntries(items, strategy) {
+  const kind = strategy.kind || 'releases';
+  const entries = [];
+  
+  for (const item of items || []) {
+    if (kind === 'releases' && item.draft) continue;
+    
+    const tag = kind === 'releases' ? item.tag_name || item.name : item.name;
+    const version = stripTagPrefix(tag, strategy.tagPrefix);
+    if (!version) continue;
+    
+    // Flagged on GitHub, or a pre-release label in the tag itself (rc, beta...)
+    const prerelease = Boolean(item.prerelease) || Boolean(parseVersion(version)?.prerelease);
+    if (prerelease && !strategy.includePrereleases) continue;
+    
+    entries.push({
+      version,
+      tag,
+      publishedAt: kind === 'releases' ? item.published_at || item.created_at || null : null,
+      notes: kind === 'releases' ? item.body || null : null,
+      url: kind === 'releases' ? item.html_url || null : null,
+      prerelease
+    });
+  }
+  
+  return entries;
+}
+
+/**
+ * Fetch the repository's releases or tags
+ */
+export async function extractGithubVersions(strategy) {
+  const kind = strategy.kind || 'releases';
+  const items = await fetchGithub(strategy, `/repos/${strategy.repo}/${kind}?per_page=${PER_PAGE}`);
+  
+  if (!Array.isArray(items)) {
+    throw new Error(`Unexpected GitHub ${kind} response for ${strategy.repo}`);
+  }
+  
+  return toVersionEntries(items, strategy);
+}
+
+export default {
+  stripTagPrefix,
+  getApiBaseUrl,
+  isTrustedApiUrl,
+  toVersionEntries,
+  extractGithubVersions
+};
@@ -0,0 +1,299 @@
+/**
+ * Release Version Extraction Strategies
+ * 
+ * A release tracker declares how versions are read from its release
+ * page as a list of strategies, tried in order and merged:
+ * - link: regex over link hrefs (or link text) matching a selector
+ *   { type: 'link', selector?, attribute?: 'href' | 'text', pattern, flags?, replace? }
+ * - text: regex over the visible text of the page (or of a selector)
+ *   { type: 'text', selector?, pattern, flags?, replace? }
+ * - meta: regex over a meta tag's content
+ *   { type: 'meta', name, pattern?, flags?, replace? }
+ * - json: values at a JSON path of a JSON document (no browser needed)
+ *   { type: 'json', url?, path, pattern?, flags?, replace? }
+ * - github: GitHub releases or tags API (no browser needed, see github.js)
+ *   { type: 'github', repo, kind?, includePrereleases?, tagPrefix?, pattern?, baseUrl? }
+ * 
+ * Every strategy may set `fallback: true` to run only when the previous
+ * strategies found nothing. When a pattern has several capture groups,
+ * the matched groups are joined with dots (rs-7-4-2 -> 7.4.2);
+ * `replace: { from, to }` rewrites the captured text (7-4-2 -> 7.4.2).
+ */
+
+import { extractGithubVersions } from './github.js';
+import { hostLimiter } from '../concurrency.js';
+import { USER_AGENT, createRobotsPolicy } from '../robots.js';
+import { isHttpUrl } from '../sources/feed.js';
+
+// Strategy types and whether they read the release page (over HTTP or in
+// the browser, see scripts/fetcher.js)
+export const STRATEGY_TYPES = {
+  link: { requiresBrowser: true },
+  text: { requiresBrowser: true },
+  meta: { requiresBrowser: true },
+  json: { requiresBrowser: false },
+  github: { requiresBrowser: false }
+};
+
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Validate a strategy list
+ * Returns an error message, or null when the list is valid
+ */
+export function validateStrategies(strategies) {
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    return 'strategies must be a non-empty array';
+  }
+  
+  for (const [index, strategy] of strategies.entries()) {
+    const label = `strategies[${index}]`;
+    
+    if (!strategy || typeof strategy !== 'object') {
+      return `${label} must be an object`;
+    }
+    if (!STRATEGY_TYPES[strategy.type]) {
+      return `${label}.type must be one of: ${Object.keys(STRATEGY_TYPES).join(', ')}`;
+    }
+    if (['link', 'text'].includes(strategy.type) && !strategy.pattern) {
+      return `${label}.pattern is required for ${strategy.type} strategies`;
+    }
+    if (strategy.type === 'meta' && !/^[\w:.-]+$/.test(strategy.name || '')) {
+      return `${label}.name is required for meta strategies (letters, digits, _ : . -)`;
+    }
+    if (strategy.type === 'json' && !strategy.path) {
+      return `${label}.path is required for json strategies`;
+    }
+    if (strategy.type === 'json' && strategy.url && !isHttpUrl(strategy.url)) {
+      return `${label}.url must be an absolute http(s) URL`;
+    }
+    if (strategy.type === 'github') {
+      if (!/^[\w.-]+\/[\w.-]+$/.test(strategy.repo || '')) {
+        return `${label}.repo must be "owner/name" for github strategies`;
+      }
+      if (strategy.kind && !['releases', 'tags'].includes(strategy.kind)) {
+        return `${label}.kind must be releases or tags`;
+      }
+      if (strategy.baseUrl && !isHttpUrl(strategy.baseUrl)) {
+        return `${label}.baseUrl must be an absolute http(s) URL`;
+      }
+    }
+    if (strategy.attribute && !['href', 'text'].includes(strategy.attribute)) {
+      return `${label}.attribute must be href or text`;
+    }
+    if (strategy.replace && (typeof strategy.replace.from !== 'string' || typeof strategy.replace.to !== 'string')) {
+      return `${label}.replace must be { from, to } strings`;
+    }
+    if (strategy.pattern) {
+      try {
+        new RegExp(strategy.pattern, (strategy.flags || '').replace('g', ''));
+      } catch (error) {
+        return `${label}.pattern is not a valid regular expression: ${error.message}`;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Whether a tracker's strategies need its release page
+ */
+export function requiresBrowser(tracker) {
+  return tracker.strategies.some(strategy => STRATEGY_TYPES[strategy.type]?.requiresBrowser);
+}
+
+/**
+ * Apply a strategy's pattern to a piece of text
+ * Without a pattern the whole (trimmed) text is the version.
+ */
+export function matchVersions(text, strategy) {
+  const found = [];
+  if (!text) return found;
+  
+  const flags = (strategy.flags || '').replace('g', '') + 'g';
+  const matches = strategy.pattern
+    ? [...text.matchAll(new RegExp(strategy.pattern, flags))]
+    : [[text.trim()]];
+  
+  for (const match of matches) {
+    const groups = match.slice(1).filter(group => group !== undefined);
+    let version = groups.length > 0 ? groups.join('.') : match[0];
+    if (strategy.replace) {
+      version = version.split(strategy.replace.from).join(strategy.replace.to);
+    }
+    if (version) found.push(version);
+  }
+  return found;
+}
+
+/**
+ * Run the DOM strategies (link, text, meta) against a document
+ * Uses only matchVersions, so both can be shipped to page.evaluate.
+ * Returns { results, versions } with the raw versions found per strategy.
+ */
+export function extractDomVersions(document, strategies) {
+  const versions = [];
+  const results = [];
+  
+  for (const strategy of strategies) {
+    if (strategy.fallback && versions.length > 0) continue;
+    
+    const found = [];
+    if (strategy.type === 'link') {
+      for (const link of document.querySelectorAll(strategy.selector || 'a[href]')) {
+        const value = strategy.attribute === 'text'
+          ? link.textContent
+          : link.getAttribute('href');
+        found.push(...matchVersions(value || '', strategy));
+      }
+    } else if (strategy.type === 'text') {
+      for (const element of document.querySelectorAll(strategy.selector || 'body')) {
+        found.push(...matchVersions(element.innerText || element.textContent || '', strategy));
+      }
+    } else if (strategy.type === 'meta') {
+      const meta = document.querySelector(`meta[name="${strategy.name}"], meta[property="${strategy.name}"]`);
+      found.push(...matchVersions(meta?.getAttribute('content') || '', strategy));
+    } else {
+      continue;
+    }
+    
+    results.push({ type: strategy.type, found: found.length });
+    versions.push(...found);
+  }
+  
+  return { results, versions };
+}
+
+/**
+ * Read the values at a JSON path ($.releases[*].tag_name, items[0].version)
+ */
+export function readJsonPath(data, path) {
+  const tokens = path.replace(/^\$\.?/, '').match(/[^.[\]]+|\[(\*|\d+)\]/g) || [];
+  let nodes = [data];
+  
+  for (const token of tokens) {
+    const next = [];
+    for (const node of nodes) {
+      if (node === null || node === undefined) continue;
+      if (token === '[*]' || token === '*') {
+        next.push(...(Array.isArray(node) ? node : Object.values(node)));
+      } else if (token.startsWith('[')) {
+        next.push(node[parseInt(token.slice(1))]);
+      } else {
+        next.push(node[token]);
+      }
+    }
+    nodes = next;
+  }
+  
+  return nodes
+    .flat()
+    .filter(value => typeof value === 'string' || typeof value === 'number')
+    .map(String);
+}
+
+/**
+ * Fetch a JSON document and read versions at the strategy's path
+ * robots: the run's robots.txt policy (see scripts/robots.js)
+ */
+export async function extractJsonVersions(strategy, tracker, { robots = createRobotsPolicy() } = {}) {
+  const url = strategy.url || tracker.releaseUrl;
+  const { crawlDelayMs } = await robots.check(url);
+  const response = await hostLimiter.schedule(url, () => fetch(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/json'
+    },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  }), { minDelayMs: crawlDelayMs });
+  
+  if (!response.ok) {
+    const error = new Error(`JSON request failed with HTTP ${response.status}`);
+    error.httpStatus = response.status;
+    throw error;
+  }
+  
+  const values = readJsonPath(await response.json(), strategy.path);
+  return values.flatMap(value => matchVersions(value, strategy));
+}
+
+/**
+ * Run a GitHub strategy
+ * Returns the raw versions plus their details (published date, notes, URL)
+ */
+async function runGithubStrategy(strategy) {
+  const entries = await extractGithubVersions(strategy);
+  const versions = [];
+  const details = {};
+  
+  for (const entry of entries) {
+    const matched = strategy.pattern ? matchVersions(entry.version, strategy) : [entry.version];
+    for (const version of matched) {
+      versions.push(version);
+      details[version] = {
+        tag: entry.tag,
+        publishedAt: entry.publishedAt,
+        notes: entry.notes,
+        url: entry.url
+      };
+    }
+  }
+  
+  return { versions, details };
+}
+
+/**
+ * Extract raw versions for a tracker
+ * page: a page (static or browser) loaded from tracker.releaseUrl (null for trackers
+ * without DOM strategies)
+ * Returns { versions, results, details } - results lists matches per
+ * strategy, details maps a raw version to { publishedAt, notes, url }
+ * when the source provides them
+ * options.robots: the run's robots.txt policy, for JSON documents
+ */
+export async function extractTrackerVersions(page, tracker, { robots } = {}) {
+  const domStrategies = tracker.strategies.filter(strategy => STRATEGY_TYPES[strategy.type]?.requiresBrowser);
+  
+  const versions = [];
+  const results = [];
+  const details = {};
+  
+  for (const strategy of tracker.strategies) {
+    if (strategy.fallback && versions.length > 0) continue;
+    
+    if (strategy.type === 'json') {
+      const found = await extractJsonVersions(strategy, tracker, { robots });
+      results.push({ type: 'json', found: found.length });
+      versions.push(...found);
+    } else if (strategy.type === 'github') {
+      const github = await runGithubStrategy(strategy);
+      results.push({ type: 'github', found: github.versions.length });
+      versions.push(...github.versions);
+      for (const [version, detail] of Object.entries(github.details)) {
+        details[version] = details[version] || detail;
+      }
+    } else if (strategy === domStrategies[0]) {
+      // DOM strategies run together in one evaluate call
+      const dom = await page.evaluate(`(() => {
+        ${matchVersions.toString()}
+        return (${extractDomVersions.toString()})(document, ${JSON.stringify(domStrategies)});
+      })()`);
+      results.push(...dom.results);
+      versions.push(...dom.versions);
+    }
+  }
+  
+  return { versions: [...new Set(versions)], results, details };
+}
+
+export default {
+  STRATEGY_TYPES,
+  validateStrategies,
+  requiresBrowser,
+  matchVersions,
+  extractDomVersions,
+  readJsonPath,
+  extractJsonVersions,
+  extractTrackerVersions
+};
@@ -0,0 +1,215 @@
+/**
+ * Snapshot Replay
+ *
+ * Re-runs a scraper's extraction against stored HTML instead of the live
+ * site. The page is served from the snapshot and every other request is
+ * aborted, so a replay works offline and gives the same result each time.
+ * News sources replay in preview mode (listing only, no article pages);
+ * release trackers replay their page strategies (link, text, meta).
+ *
+ * Usage:
+ *   node scripts/replaySnapshot.js <snapshotId> [--save <file.html>]
+ *   node scripts/replaySnapshot.js --file <file.html> --kind news|releases --source <id>
+ *
+ * --save also writes the snapshot's HTML to a file (e.g. to keep it as an
+ * extractor fixture); --file replays such a file against a source or tracker.
+ * POST /api/scraper/snapshots/:id/replay runs this script too, and gets
+ * the result over IPC.
+ */
+
+import fs from 'fs/promises';
+import pool from '../config/database.js';
+import { getAdapter } from './sources/index.js';
+import { STRATEGY_TYPES, extractTrackerVersions } from './releases/strategies.js';
+import { launchBrowser, parseDate } from './scrapeNews.js';
+import { normalizeScrapedVersions } from './scrapeReleases.js';
+import { reportResult } from './concurrency.js';
+import { getSourceById } from '../services/newsSourceService.js';
+import { getTrackers } from '../services/releaseTrackerService.js';
+import { getSnapshotById } from '../services/snapshotService.js';
+
+/**
+ * Open a browser page that serves the snapshot's HTML at its original URL
+ * Page scripts stay disabled: the snapshot already holds the rendered DOM.
+ */
+export async function openSnapshotPage(browser, snapshot) {
+  const page = await browser.newPage();
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+
+  let served = false;
+  page.on('request', request => {
+    if (!served && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      served = true;
+      request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: snapshot.html });
+    } else {
+      request.abort();
+    }
+  });
+
+  await page.goto(snapshot.url, { waitUntil: 'domcontentloaded' });
+  return page;
+}
+
+/**
+ * Find the news source or release tracker a snapshot belongs to
+ * Trackers are matched by name (as recorded by the release scraper) or id.
+ */
+export async function findSnapshotTarget(kind, source) {
+  if (kind === 'news') {
+    const newsSource = await getSourceById(source);
+    if (!newsSource) throw new Error(`Unknown news source: ${source}`);
+    return newsSource;
+  }
+
+  if (kind === 'releases') {
+    const trackers = await getTrackers();
+    const tracker = trackers.find(t => t.name.toLowerCase() === String(source).toLowerCase() || t.id === source);
+    if (!tracker) throw new Error(`Unknown release tracker: ${source}`);
+    return tracker;
+  }
+
+  throw new Error(`Unknown snapshot kind: ${kind}`);
+}
+
+/**
+ * Run a snapshot through its source's extractor
+ * target: the news source or release tracker (looked up when omitted)
+ * Returns { found, articles } for news, { found, strategies, latest, versions }
+ * for releases
+ */
+export async function extractFromSnapshot(browser, snapshot, target = null) {
+  target = target || await findSnapshotTarget(snapshot.kind, snapshot.source);
+  const page = await openSnapshotPage(browser, snapshot);
+
+  try {
+    if (snapshot.kind === 'news') {
+      const adapter = getAdapter(target.adapter);
+      if (!adapter) throw new Error(`Unknown adapter "${target.adapter}" for source ${target.id}`);
+
+      const articles = await adapter.extract({ page, preview: true }, target);
+      return {
+        found: articles.length,
+        articles: articles.map(article => ({
+          title: article.title,
+          url: article.url,
+          author: article.author || null,
+          pubdate: article.pubdate || parseDate(article.dateText),
+          tags: article.tags || []
+        }))
+      };
+    }
+
+    // JSON and GitHub strategies read APIs, not the page: nothing to replay
+    const pageTracker = {
+      ...target,
+      strategies: target.strategies.filter(strategy => STRATEGY_TYPES[strategy.type]?.requiresBrowser)
+    };
+    if (pageTracker.strategies.length === 0) {
+      throw new Error(`Tracker ${target.name} has no page strategies to replay`);
+    }
+
+    const { versions, results, details } = await extractTrackerVersions(page, pageTracker);
+    const parsed = normalizeScrapedVersions(target.name, versions, details);
+    return {
+      found: parsed.length,
+      strategies: results,
+      latest: parsed.length > 0 ? parsed[parsed.length - 1].normalized : null,
+      versions: parsed.map(version => version.normalized).reverse()
+    };
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Replay a snapshot in a freshly launched browser
+ * snapshot needs { id, kind, source, url, html }
+ */
+export async function runReplay(snapshot) {
+  const startedAt = Date.now();
+  const browser = await launchBrowser();
+
+  try {
+    const result = await extractFromSnapshot(browser, snapshot);
+
+    return {
+      snapshotId: snapshot.id,
+      kind: snapshot.kind,
+      source: snapshot.source,
+      url: snapshot.url,
+      capturedAt: snapshot.capturedAt || null,
+      durationMs: Date.now() - startedAt,
+      ...result
+    };
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Read --flag values from the command line
+ */
+function readFlag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Command line entry point
+ */
+async function main(args) {
+  const file = readFlag(args, 'file');
+  let snapshot;
+
+  if (file) {
+    const kind = readFlag(args, 'kind');
+    const source = readFlag(args, 'source');
+    if (!kind || !source) {
+      throw new Error('--file needs --kind news|releases and --source <id>');
+    }
+    const target = await findSnapshotTarget(kind, source);
+    snapshot = {
+      id: null,
+      kind,
+      source: kind === 'releases' ? target.name : target.id,
+      url: kind === 'releases' ? target.releaseUrl : target.url,
+      html: await fs.readFile(file, 'utf8')
+    };
+  } else {
+    const id = parseInt(args[0]);
+    snapshot = Number.isNaN(id) ? null : await getSnapshotById(id);
+    if (!snapshot) throw new Error(`Snapshot not found: ${args[0]}`);
+
+    const save = readFlag(args, 'save');
+    if (save) {
+      await fs.writeFile(save, snapshot.html);
+      console.log(`💾 Saved ${snapshot.url} to ${save}`);
+    }
+  }
+
+  console.log(`🔁 Replaying ${snapshot.kind} snapshot of ${snapshot.source} (${snapshot.url})`);
+  const result = await runReplay(snapshot);
+  // Replays started by the API get the result over IPC
+  if (!reportResult(result)) {
+    console.log(JSON.stringify(result, null, 2));
+  }
+}
+
+// Allow running directly
+if (process.argv[1] && process.argv[1].includes('replaySnapshot.js')) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.error('Usage: node scripts/replaySnapshot.js <snapshotId> [--save <file.html>]');
+    console.error('       node scripts/replaySnapshot.js --file <file.html> --kind news|releases --source <id>');
+    process.exit(1);
+  }
+
+  main(args)
+    .catch(error => {
+      console.error('❌ Error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,117 @@
+/**
+ * Article Reprocessing
+ *
+ * Re-runs content cleaning and categorization over stored articles (see
+ * services/reprocessingService.js), after the noise patterns, the
+ * category rules or the category model changed. Prints the category
+ * changes; run with --dry-run first to review them without writing.
+ * Reprocessing jobs (POST /api/scraper/reprocess) do the same in the
+ * server's job worker.
+ *
+ * Usage:
+ *   node scripts/reprocessArticles.js [--dry-run] [--ids 1,2,3] [--category NAME]
+ *     [--source NAME] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ */
+
+import pool from '../config/database.js';
+import { reprocessArticles } from '../services/reprocessingService.js';
+
+/**
+ * Read --flag values from the command line
+ * Throws when the flag is given without a value
+ */
+function readFlag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index < 0) return undefined;
+
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`--${name} needs a value`);
+  }
+  return value;
+}
+
+/**
+ * Read the --ids list; every id must be a positive integer
+ */
+function readIds(args) {
+  const ids = readFlag(args, 'ids');
+  if (ids === undefined) return undefined;
+
+  const parsed = ids.split(',').map(id => id.trim());
+  if (!parsed.every(id => /^[1-9]\d*$/.test(id))) {
+    throw new Error(`--ids must be a comma separated list of article ids, got "${ids}"`);
+  }
+  return parsed.map(id => parseInt(id));
+}
+
+/**
+ * Print a reprocessing report
+ */
+function printReport(report) {
+  console.log(`\n${report.articles} articles re-evaluated with the ${report.categorizer} categorizer`);
+  console.log(`  Category changes:     ${report.changed}`);
+  console.log(`  Content changes:      ${report.contentChanged}`);
+  console.log(`  No category anymore:  ${report.uncategorized} (categories kept)`);
+  console.log(`  Confirmed (kept):     ${report.confirmed}`);
+  console.log(`  Without raw content:  ${report.withoutRawContent}`);
+
+  const rows = Object.entries(report.byCategory).sort(([a], [b]) => a.localeCompare(b));
+  if (rows.length > 0) {
+    const width = Math.max(8, ...rows.map(([category]) => category.length));
+    const cell = (value) => String(value).padStart(8);
+    console.log(`\n${'Category'.padEnd(width)}${cell('Before')}${cell('After')}${cell('Diff')}`);
+    for (const [category, { before, after }] of rows) {
+      const diff = after - before;
+      console.log(`${category.padEnd(width)}${cell(before)}${cell(after)}${cell(diff > 0 ? `+${diff}` : diff)}`);
+    }
+  }
+
+  if (report.changes.length > 0) {
+    console.log('\nChanges:');
+    for (const change of report.changes) {
+      const added = change.added.map(name => `+${name}`);
+      const removed = change.removed.map(name => `-${name}`);
+      const delta = [...added, ...removed].join(' ') || `main: ${change.after[0]}`;
+      console.log(`  #${change.id} ${change.title.substring(0, 50)}: [${change.before.join(', ')}] → [${change.after.join(', ')}] (${delta})`);
+    }
+    if (report.changed > report.changes.length) {
+      console.log(`  ... and ${report.changed - report.changes.length} more`);
+    }
+  }
+
+  for (const article of report.uncategorizedArticles) {
+    console.log(`  ⚠ #${article.id} ${article.title.substring(0, 50)}: no category anymore (${article.reason})`);
+  }
+}
+
+// Allow running directly
+if (process.argv[1] && process.argv[1].includes('reprocessArticles.js')) {
+  const args = process.argv.slice(2);
+  let filters;
+  try {
+    filters = Object.fromEntries(Object.entries({
+      ids: readIds(args),
+      category: readFlag(args, 'category'),
+      source: readFlag(args, 'source'),
+      from: readFlag(args, 'from'),
+      to: readFlag(args, 'to')
+    }).filter(([, value]) => value !== undefined));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: node scripts/reprocessArticles.js [--dry-run] [--ids 1,2,3] [--category NAME] [--source NAME] [--from YYYY-MM-DD] [--to YYYY-MM-DD]');
+    process.exit(1);
+  }
+  const dryRun = args.includes('--dry-run');
+
+  reprocessArticles({ filters, dryRun })
+    .then(report => {
+      printReport(report);
+      console.log(dryRun ? '\nDry run: nothing written' : `\n✓ ${report.updated} articles updated`);
+    })
+    .catch(error => {
+      console.error('❌ Error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
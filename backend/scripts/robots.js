@@ -0,0 +1,233 @@
+/**
+ * robots.txt Compliance
+ *
+ * Every page, feed and JSON document the scrapers fetch is checked
+ * against the site's robots.txt first (RFC 9309), and requests to a host
+ * are spaced by its Crawl-delay. The scrapers identify themselves with
+ * SCRAPE_USER_AGENT; its product token (the part before the first "/")
+ * is the name matched against User-agent lines.
+ *
+ * robots.txt files are cached per origin for SCRAPE_ROBOTS_CACHE_MS
+ * (default 24 hours). A missing robots.txt (4xx) allows everything; one
+ * that cannot be fetched (5xx, network error) disallows everything until
+ * it can be. A source or tracker can opt out with ignoreRobots: its
+ * disallowed fetches go through and are listed in the run log. The
+ * GitHub strategy reads the GitHub REST API, which is not crawled, and
+ * is not checked.
+ */
+
+import { hostLimiter } from './concurrency.js';
+
+const DEFAULT_USER_AGENT = 'VTProjectBot/1.0 (database news and release tracker)';
+const ROBOTS_CACHE_MS = parseInt(process.env.SCRAPE_ROBOTS_CACHE_MS) || 24 * 60 * 60 * 1000;
+const ROBOTS_FETCH_TIMEOUT_MS = 10000;
+const ROBOTS_MAX_BYTES = 500 * 1024;
+
+export const USER_AGENT = process.env.SCRAPE_USER_AGENT || DEFAULT_USER_AGENT;
+
+// Name matched against User-agent lines, e.g. "vtprojectbot"
+const AGENT_TOKEN = USER_AGENT.split('/')[0].trim().toLowerCase();
+
+// origin -> { robots, fetchedAt } or a pending fetch promise
+const robotsCache = new Map();
+
+/**
+ * Parse robots.txt into groups of { agents, rules: [{ allow, path }], crawlDelay }
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let group = null;
+
+  for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (!group) {
+      continue;
+    } else if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow allows everything: no rule needed
+      if (value) group.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Rules and Crawl-delay that apply to an agent token
+ * Groups naming the agent are merged; without any, the "*" groups apply.
+ */
+export function getAgentRules(groups, agentToken = AGENT_TOKEN) {
+  const token = agentToken.toLowerCase();
+  let matching = groups.filter(group => group.agents.includes(token));
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Convert a robots.txt path pattern (* and a trailing $) to a RegExp
+ */
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Whether rules allow a path (path + query)
+ * The longest matching rule wins; Allow wins a tie.
+ */
+export function isPathAllowed(rules, path) {
+  if (path === '/robots.txt') return true;
+
+  let match = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+    if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+      match = rule;
+    }
+  }
+  return match ? match.allow : true;
+}
+
+/**
+ * Download and parse an origin's robots.txt
+ * Returns { rules, crawlDelay, status } where status is 'ok', 'missing'
+ * (4xx: allow all) or 'unreachable' (disallow all)
+ */
+async function fetchRobots(origin) {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  try {
+    const response = await hostLimiter.schedule(robotsUrl, () => fetch(robotsUrl, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/plain,*/*;q=0.8' },
+      signal: AbortSignal.timeout(ROBOTS_FETCH_TIMEOUT_MS)
+    }));
+
+    if (response.status >= 400 && response.status < 500) {
+      return { rules: [], crawlDelay: null, status: 'missing' };
+    }
+    if (!response.ok) {
+      return { rules: [{ allow: false, path: '/' }], crawlDelay: null, status: 'unreachable' };
+    }
+
+    const text = (await response.text()).slice(0, ROBOTS_MAX_BYTES);
+    return { ...getAgentRules(parseRobotsTxt(text)), status: 'ok' };
+  } catch (error) {
+    console.log(`  ⚠ Could not fetch ${robotsUrl}: ${error.message}`);
+    return { rules: [{ allow: false, path: '/' }], crawlDelay: null, status: 'unreachable' };
+  }
+}
+
+/**
+ * Get an origin's robots.txt rules, from the cache when fresh
+ * Unreachable robots.txt files are not cached, so the next run retries.
+ */
+async function getRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached instanceof Promise) return await cached;
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_CACHE_MS) return cached.robots;
+
+  const pending = fetchRobots(origin);
+  robotsCache.set(origin, pending);
+
+  const robots = await pending;
+  if (robots.status === 'unreachable') {
+    robotsCache.delete(origin);
+  } else {
+    robotsCache.set(origin, { robots, fetchedAt: Date.now() });
+  }
+  return robots;
+}
+
+/**
+ * Check a URL against its site's robots.txt
+ * Returns { allowed, crawlDelayMs (null if none), status }
+ */
+export async function checkRobots(url) {
+  const { protocol, origin, pathname, search } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    return { allowed: true, crawlDelayMs: null, status: 'not-http' };
+  }
+
+  const robots = await getRobots(origin);
+  return {
+    allowed: isPathAllowed(robots.rules, `${pathname}${search}`),
+    crawlDelayMs: robots.crawlDelay !== null ? robots.crawlDelay * 1000 : null,
+    status: robots.status
+  };
+}
+
+/**
+ * robots.txt policy of one source or tracker run
+ * check(url) resolves to { crawlDelayMs } or throws (code EROBOTS) when
+ * robots.txt disallows the URL. With ignore, disallowed URLs are let
+ * through and collected in ignoredUrls for the run log; Crawl-delay is
+ * honored either way.
+ */
+export function createRobotsPolicy({ ignore = false } = {}) {
+  const ignoredUrls = [];
+
+  return {
+    ignore,
+    ignoredUrls,
+    check: async (url) => {
+      const { allowed, crawlDelayMs, status } = await checkRobots(url);
+
+      if (!allowed) {
+        if (!ignore) {
+          const error = new Error(status === 'unreachable'
+            ? `robots.txt of ${new URL(url).origin} could not be fetched, not loading ${url}`
+            : `robots.txt disallows ${url}`);
+          error.code = 'EROBOTS';
+          throw error;
+        }
+        console.log(`  ⚠ robots.txt disallows ${url}, loading it anyway (ignoreRobots)`);
+        ignoredUrls.push(url);
+      }
+
+      return { crawlDelayMs };
+    }
+  };
+}
+
+/**
+ * Forget cached robots.txt files
+ */
+export function clearRobotsCache() {
+  robotsCache.clear();
+}
+
+export default {
+  USER_AGENT,
+  parseRobotsTxt,
+  getAgentRules,
+  isPathAllowed,
+  checkRobots,
+  createRobotsPolicy,
+  clearRobotsCache
+};
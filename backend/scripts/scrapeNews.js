@@ -1,51 +1,37 @@
 /**
  * News Scraper Script
  * 
- * Scrapes articles from DB-Engines and InfoQ
- * - DB-Engines: Unchanged logic
- * - InfoQ: Now fetches ALL paragraphs from article content
+ * Scrapes articles from the sources configured in the news_sources table.
+ * Extraction logic lives in source adapters (scripts/sources/), e.g.
+ * - DB-Engines: blog index entries
+ * - InfoQ: fetches ALL paragraphs from article content
  * 
  * Category assignment is now done in post-processing
  */
 
 import puppeteer from 'puppeteer';
-import pg from 'pg';
+import pool from '../config/database.js';
+import { getAdapter } from './sources/index.js';
+import { getEnabledSources, getSourceById } from '../services/newsSourceService.js';
+import { recordScrapeRun } from '../services/scrapeRunService.js';
+import { capturePageSnapshot } from '../services/snapshotService.js';
+import { ensureArticlesTable } from '../services/dataProcessingService.js';
+import { canonicalizeUrl, ensureDedupSchema } from '../services/articleDedupService.js';
+import { createBrowserLauncher, fetchAndExtract } from './fetcher.js';
+import { runPool, createRunDeadline, isPastDeadline, reportProgress } from './concurrency.js';
+import { createRobotsPolicy } from './robots.js';
 
-const { Pool } = pg;
+// Listing pages followed per source and run (config.maxPages overrides it)
+const MAX_PAGES = parseInt(process.env.SCRAPE_MAX_PAGES) || 5;
 
-// PostgreSQL connection configuration
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'articales-db',
-  password: process.env.DB_PASSWORD || '3afsawa7do5ra#oui123',
-  port: parseInt(process.env.DB_PORT) || 5432,
-});
+// Listing pages a backfill follows at most (unless told otherwise)
+export const BACKFILL_MAX_PAGES = parseInt(process.env.SCRAPE_BACKFILL_MAX_PAGES) || 50;
 
-// Source configurations - LIVE URLs
-const SOURCES = [
-  {
-    id: 'infoq-nosql',
-    name: 'InfoQ NoSQL',
-    url: 'https://www.infoq.com/nosql/',
-    baseUrl: 'https://www.infoq.com',
-    type: 'infoq'
-  },
-  {
-    id: 'infoq-data',
-    name: 'InfoQ Data',
-    url: 'https://www.infoq.com/data/',
-    baseUrl: 'https://www.infoq.com',
-    type: 'infoq'
-  },
-  {
-    id: 'db-engines',
-    name: 'DB-Engines Blog',
-    url: 'https://db-engines.com/en/blog',
-    baseUrl: 'https://db-engines.com',
-    type: 'db-engines'
-  },
-];
+// How far back a source's first run follows listing pages
+const FIRST_RUN_DAYS = parseInt(process.env.SCRAPE_FIRST_RUN_DAYS) || 30;
+
+// Next-page link followed when neither the source nor its adapter names one
+const DEFAULT_NEXT_PAGE_SELECTOR = 'link[rel="next"], a[rel="next"]';
 
 /**
  * Get today's date in YYYY-MM-DD format
@@ -58,7 +44,7 @@ function getTodayDate() {
 /**
  * Parse a date string into a Date object
  */
-function parseDate(dateStr) {
+export function parseDate(dateStr) {
   if (!dateStr) return null;
   
   const cleaned = dateStr.trim().replace(/^on\s*/i, '').replace(/\s+/g, ' ');
@@ -131,10 +117,13 @@ async function ensureRawArticlesTable() {
       tags TEXT[],
       source TEXT NOT NULL,
       processed BOOLEAN DEFAULT FALSE,
+      canonical_url TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
   `;
   await pool.query(createTableQuery);
+  await ensureArticlesTable();
+  await ensureDedupSchema();
   console.log('✓ Table raw_articles ready');
 }
 
@@ -180,10 +169,12 @@ async function insertRawArticles(articles, sourceId) {
     let skipped = 0;
     
     for (const article of articles) {
-      // Check if article already exists
+      // Check if article already exists, under this URL or another form
+      // of it (tracking parameters, www., trailing slash...)
+      const canonicalUrl = canonicalizeUrl(article.url);
       const exists = await client.query(
-        'SELECT id FROM raw_articles WHERE url = $1',
-        [article.url]
+        'SELECT id FROM raw_articles WHERE url = $1 OR canonical_url = $2',
+        [article.url, canonicalUrl]
       );
       
       if (exists.rows.length > 0) {
@@ -193,8 +184,8 @@ async function insertRawArticles(articles, sourceId) {
       
       // Also check processed articles table
       const existsProcessed = await client.query(
-        'SELECT id FROM articles WHERE url = $1',
-        [article.url]
+        'SELECT id FROM articles WHERE url = $1 OR canonical_url = $2',
+        [article.url, canonicalUrl]
       );
       
       if (existsProcessed.rows.length > 0) {
@@ -204,8 +195,8 @@ async function insertRawArticles(articles, sourceId) {
       
       // Insert the raw article
       await client.query(
-        `INSERT INTO raw_articles (title, url, author, pubdate, content_text, tags, source)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        `INSERT INTO raw_articles (title, url, author, pubdate, content_text, tags, source, canonical_url)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
         [
           article.title,
           article.url,
@@ -213,7 +204,8 @@ async function insertRawArticles(articles, sourceId) {
           article.pubdate,
           article.content_text || null,
           article.tags || [],
-          sourceId
+          sourceId,
+          canonicalUrl
         ]
       );
       
@@ -233,202 +225,195 @@ async function insertRawArticles(articles, sourceId) {
 }
 
 /**
- * Extract articles from InfoQ page
- * Now also fetches article detail page to get ALL paragraphs
+ * Launch the headless browser used by source adapters
  */
-async function extractInfoQArticles(browser, page, source) {
-  const articleCards = await page.evaluate((baseUrl) => {
-    const articles = [];
-    const cards = document.querySelectorAll('li[data-path*="/news/"], li[data-path*="/articles/"], .card');
-    
-    cards.forEach(card => {
-      try {
-        let dataPath = card.getAttribute('data-path');
-        
-        if (!dataPath) {
-          const linkEl = card.querySelector('a[href*="/news/"], a[href*="/articles/"]');
-          if (linkEl) dataPath = linkEl.getAttribute('href');
-        }
-        
-        if (!dataPath) return;
-        if (!dataPath.includes('/news/') && !dataPath.includes('/articles/')) return;
-        
-        let url = dataPath.split('?')[0];
-        if (!url.startsWith('http')) url = baseUrl + url;
-        
-        const titleEl = card.querySelector('h3.card__title a, h4.card__title a, .card__title a, h3 a, h4 a');
-        const title = titleEl ? titleEl.textContent.trim() : null;
-        if (!title) return;
-        
-        const authorEl = card.querySelector('.card__authors a, .authors a, .author a');
-        const author = authorEl ? authorEl.textContent.trim() : null;
-        
-        const dateEl = card.querySelector('.card__date span, .date span, time, .card__date');
-        const dateText = dateEl ? (dateEl.getAttribute('datetime') || dateEl.textContent.trim()) : null;
-        
-        const topicEls = card.querySelectorAll('.card__topics a, .topics a, .tags a');
-        const tags = Array.from(topicEls).map(el => el.textContent.trim()).filter(t => t);
-        
-        articles.push({ title, url, author, dateText, tags });
-      } catch (e) {}
-    });
-    
-    return articles;
-  }, source.baseUrl);
+export async function launchBrowser() {
+  return await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  });
+}
+
+/**
+ * Date of a raw article (feed adapters give a pubdate, page adapters a dateText)
+ */
+function getArticleDate(article) {
+  return article.pubdate || parseDate(article.dateText);
+}
+
+/**
+ * Find the URL of the listing page after pageNumber
+ * Sources can set config.pageUrlTemplate ("...?page={page}") or
+ * config.nextPageSelector; otherwise the adapter's nextPageSelector, then
+ * rel="next" links, are followed. Returns null on the last page.
+ */
+async function getNextPageUrl(page, adapter, source, pageNumber) {
+  if (source.config?.pageUrlTemplate) {
+    return source.config.pageUrlTemplate.replace('{page}', String(pageNumber + 1));
+  }
   
-  // Now fetch full content for each article by visiting the article page
-  const fullArticles = [];
+  const selector = source.config?.nextPageSelector || adapter.nextPageSelector || DEFAULT_NEXT_PAGE_SELECTOR;
+  const href = await page.evaluate((nextSelector) => {
+    const link = document.querySelector(nextSelector);
+    return link ? link.getAttribute('href') : null;
+  }, selector);
+  if (!href) return null;
   
-  for (const article of articleCards) {
-    try {
-      console.log(`    📄 Fetching full content: ${article.title.substring(0, 40)}...`);
-      
-      const articlePage = await browser.newPage();
-      await articlePage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-      
-      try {
-        await articlePage.goto(article.url, { waitUntil: 'networkidle2', timeout: 15000 });
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Extract ALL paragraphs from the article content
-        const fullContent = await articlePage.evaluate(() => {
-          const paragraphs = [];
-          
-          // Main article content selectors
-          const contentSelectors = [
-            'article .article__content p',
-            '.article-body p',
-            '.article__text p',
-            '.content-body p',
-            'article p',
-            '.post-content p',
-            '.entry-content p'
-          ];
-          
-          for (const selector of contentSelectors) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-              elements.forEach(p => {
-                const text = p.textContent.trim();
-                // Filter out short texts (likely nav, ads, etc.)
-                if (text.length > 50) {
-                  paragraphs.push(text);
-                }
-              });
-              break;
-            }
-          }
-          
-          return paragraphs.join('\n\n');
-        });
-        
-        fullArticles.push({
-          ...article,
-          content_text: fullContent || ''
-        });
-        
-      } finally {
-        await articlePage.close();
-      }
-      
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-    } catch (error) {
-      console.log(`    ⚠ Could not fetch article: ${error.message}`);
-      fullArticles.push({ ...article, content_text: '' });
-    }
+  try {
+    return new URL(href, page.url()).href;
+  } catch (e) {
+    return null;
   }
-  
-  return fullArticles;
 }
 
 /**
- * Extract articles from DB-Engines page (UNCHANGED)
+ * Fetch a source's listing pages and run its adapter
+ * Returns raw articles ({ title, url, author, dateText | pubdate, content_text, tags })
+ * Pages are fetched over HTTP first; launcher (from createBrowserLauncher)
+ * provides Chromium for sources with config.renderJs and as a fallback.
+ * options:
+ * - meta: receives the first listing page's httpStatus, the fetcher used
+ *   ('http' or 'browser'), snapshotId (when SCRAPE_SNAPSHOTS is on) and
+ *   the number of listing pages read
+ * - deadline: run deadline (epoch ms) after which no page is loaded
+ * - maxPages: listing pages to follow (feeds always have one)
+ * - horizon: stop following pages once one holds an article older than this date
+ * - wants(article): whether an article will be kept, so adapters can skip
+ *   visiting the others
+ * - onPageRead({ pageNumber, found }): called after each listing page
+ * Every fetch is checked against robots.txt unless the source sets
+ * config.ignoreRobots; the URLs that override let through go to
+ * meta.robotsIgnored.
  */
-async function extractDBEnginesArticles(page, source) {
-  return await page.evaluate((baseUrl) => {
-    const articles = [];
-    const blogEntries = document.querySelectorAll('.blog_index');
+export async function extractSourceArticles(launcher, source, options = {}) {
+  const { meta = {}, deadline = null, maxPages = 1, horizon = null, onPageRead = null, ...adapterOptions } = options;
+  const adapter = getAdapter(source.adapter);
+  if (!adapter) {
+    throw new Error(`Unknown adapter "${source.adapter}" for source ${source.id}`);
+  }
+  
+  const robots = createRobotsPolicy({ ignore: Boolean(source.config?.ignoreRobots) });
+  
+  try {
+    // Feed-style adapters fetch their own data, no page needed
+    if (adapter.requiresBrowser === false) {
+      console.log(`  📡 Fetching: ${source.url}`);
+      const articles = await adapter.extract({ robots, ...adapterOptions }, source);
+      meta.pages = 1;
+      if (onPageRead) await onPageRead({ pageNumber: 1, found: articles.length });
+      return articles;
+    }
+    
+    const renderJs = Boolean(source.config?.renderJs);
+    
+    // Lets adapters load further pages (e.g. articles) the same way
+    const fetchPage = async (url, extract) => {
+      const { result } = await fetchAndExtract(url, { extract, renderJs, launcher, deadline, robots });
+      return result;
+    };
     
-    blogEntries.forEach(entry => {
+    const articles = new Map();
+    const visited = new Set();
+    let url = source.url;
+    
+    for (let pageNumber = 1; url && pageNumber <= maxPages; pageNumber++) {
+      const isFirstPage = pageNumber === 1;
+      visited.add(url);
+      console.log(`  🌐 Fetching${isFirstPage ? '' : ` page ${pageNumber}`}: ${url}`);
+      
+      let listing;
       try {
-        const titleLink = entry.querySelector('a.blog_header');
-        if (!titleLink) return;
-        
-        const title = titleLink.textContent.trim();
-        let url = titleLink.getAttribute('href');
-        if (!url) return;
-        
-        if (!url.startsWith('http')) url = baseUrl + url;
-        
-        const metaSpan = entry.querySelector('.blog_date');
-        let author = null;
-        let dateText = null;
-        
-        if (metaSpan) {
-          const metaText = metaSpan.textContent;
-          
-          const authorLink = metaSpan.querySelector('a.nound');
-          const sponsorSpan = metaSpan.querySelector('.blog_sponsor');
-          
-          if (authorLink) {
-            author = authorLink.textContent.trim();
-          } else if (sponsorSpan) {
-            author = sponsorSpan.textContent.trim();
-          } else {
-            const byMatch = metaText.match(/by\s+([^,]+),/);
-            if (byMatch) author = byMatch[1].trim();
-          }
-          
-          const dateMatch = metaText.match(/(\d{1,2}\s+\w+\s+\d{4})/);
-          if (dateMatch) dateText = dateMatch[1];
-        }
-        
-        const paragraphs = entry.querySelectorAll('p');
-        let content_text = null;
-        for (const p of paragraphs) {
-          if (!p.querySelector('.blog_date') && !p.querySelector('a.blog_header')) {
-            const text = p.textContent.trim();
-            if (text && text.length > 20) {
-              content_text = text;
-              break;
-            }
-          }
-        }
-        
-        const tagLinks = metaSpan ? metaSpan.querySelectorAll('a.nound[href*="/blog/"]') : [];
-        const tags = Array.from(tagLinks).map(el => el.textContent.trim()).filter(tag => tag && !tag.includes('Tags'));
-        
-        articles.push({ title, url, author, dateText, content_text, tags });
-      } catch (e) {}
-    });
+        listing = await fetchAndExtract(url, {
+          renderJs,
+          launcher,
+          deadline,
+          robots,
+          extract: async page => ({
+            articles: await adapter.extract({ page, fetchPage, ...adapterOptions }, source),
+            nextUrl: pageNumber < maxPages ? await getNextPageUrl(page, adapter, source, pageNumber) : null
+          }),
+          isEmpty: ({ articles: pageArticles }) => pageArticles.length === 0,
+          onPage: isFirstPage ? async (page, { httpStatus }) => {
+            meta.httpStatus = httpStatus;
+            meta.snapshotId = await capturePageSnapshot(page, {
+              kind: 'news',
+              source: source.id,
+              httpStatus
+            });
+          } : null
+        });
+      } catch (error) {
+        if (isFirstPage) throw error;
+        // A failing later page keeps the articles read so far
+        console.log(`  ⚠ Could not read page ${pageNumber}: ${error.message}`);
+        meta.pageError = error.message;
+        break;
+      }
+      
+      if (isFirstPage) {
+        meta.httpStatus = listing.httpStatus;
+        meta.fetcher = listing.fetcher;
+      }
+      meta.pages = pageNumber;
+      
+      const pageArticles = listing.result.articles;
+      for (const article of pageArticles) {
+        if (!articles.has(article.url)) articles.set(article.url, article);
+      }
+      if (onPageRead) await onPageRead({ pageNumber, found: pageArticles.length });
+      
+      // Listings are newest first: pages past the horizon are not needed
+      const reachedHorizon = horizon && pageArticles.some(article => {
+        const pubdate = getArticleDate(article);
+        return pubdate && pubdate < horizon;
+      });
+      if (pageArticles.length === 0 || reachedHorizon) break;
+      
+      url = listing.result.nextUrl;
+      if (url && visited.has(url)) break;
+    }
     
-    return articles;
-  }, source.baseUrl);
+    return Array.from(articles.values());
+  } finally {
+    if (robots.ignoredUrls.length > 0) {
+      meta.robotsIgnored = robots.ignoredUrls;
+    }
+  }
 }
 
 /**
- * Navigate to URL with retries
+ * Whether a regular run keeps an article (undated ones are kept)
+ * Kept: today's articles, and older ones newer than the last scrape
+ * (all of them on a source's first run)
  */
-async function navigateWithRetry(page, url, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      return true;
-    } catch (error) {
-      console.log(`  ⚠ Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
-      if (attempt === maxRetries) throw error;
-      await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
-    }
-  }
-  return false;
+function isInScrapeWindow(pubdate, { today, todayDate, lastScrapeDate }) {
+  if (!pubdate) return true;
+  if (pubdate > todayDate) return false;
+  if (pubdate.toISOString().split('T')[0] === today) return true;
+  if (lastScrapeDate) return pubdate > new Date(lastScrapeDate);
+  return true;
 }
 
 /**
  * Process a single source
+ * Every outcome (including skips and errors) is appended to scrape_runs
  */
-async function processSource(browser, source) {
+async function processSource(launcher, source, deadline = null) {
+  const startedAt = Date.now();
+  const meta = {};
+  
+  if (isPastDeadline(deadline)) {
+    console.log(`⏭ ${source.id}: scrape run timed out before this source started. Skipping.`);
+    await recordScrapeRun({
+      kind: 'news',
+      source: source.id,
+      status: 'skipped',
+      startedAt,
+      details: { reason: 'run timed out' }
+    });
+    return { source: source.id, status: 'skipped', reason: 'run timed out' };
+  }
+  
   console.log(`\n${'='.repeat(60)}`);
   console.log(`Processing source: ${source.name} (${source.id})`);
   console.log(`URL: ${source.url}`);
@@ -443,6 +428,13 @@ async function processSource(browser, source) {
     const lastDate = new Date(lastScrapeDate).toISOString().split('T')[0];
     if (lastDate === today) {
       console.log(`⏭ Already scraped today (${today}). Skipping.`);
+      await recordScrapeRun({
+        kind: 'news',
+        source: source.id,
+        status: 'skipped',
+        startedAt,
+        details: { reason: 'already scraped today' }
+      });
       return { source: source.id, status: 'skipped', reason: 'already scraped today' };
     }
     console.log(`Last scrape: ${lastDate}`);
@@ -450,59 +442,51 @@ async function processSource(browser, source) {
     console.log('First time scraping this source');
   }
   
-  const page = await browser.newPage();
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+  const scrapeWindow = { today, todayDate, lastScrapeDate };
+  
+  // Follow older listing pages down to the last scrape (or FIRST_RUN_DAYS back)
+  const horizon = lastScrapeDate
+    ? new Date(lastScrapeDate)
+    : new Date(todayDate.getTime() - FIRST_RUN_DAYS * 24 * 60 * 60 * 1000);
   
   try {
-    console.log(`  🌐 Fetching: ${source.url}`);
-    await navigateWithRetry(page, source.url);
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    let articles;
-    if (source.type === 'infoq') {
-      articles = await extractInfoQArticles(browser, page, source);
-    } else if (source.type === 'db-engines') {
-      articles = await extractDBEnginesArticles(page, source);
-    } else {
-      articles = [];
-    }
+    const articles = await extractSourceArticles(launcher, source, {
+      meta,
+      deadline,
+      maxPages: parseInt(source.config?.maxPages) || MAX_PAGES,
+      horizon,
+      wants: article => isInScrapeWindow(getArticleDate(article), scrapeWindow)
+    });
     
-    console.log(`  📰 Found ${articles.length} articles on page`);
+    console.log(`  📰 Found ${articles.length} articles on ${meta.pages || 1} page(s)`);
     
     // Filter by date
-    const filteredArticles = [];
-    
-    for (const article of articles) {
-      const pubdate = parseDate(article.dateText);
-      
-      if (!pubdate) {
-        filteredArticles.push({ ...article, pubdate: todayDate });
-        continue;
-      }
-      
-      if (pubdate > todayDate) continue;
-      
-      const articleDateStr = pubdate.toISOString().split('T')[0];
-      let shouldScrape = false;
-      
-      if (articleDateStr === today) {
-        shouldScrape = true;
-      } else if (lastScrapeDate) {
-        if (pubdate > new Date(lastScrapeDate)) shouldScrape = true;
-      } else {
-        shouldScrape = true;
-      }
-      
-      if (shouldScrape) {
-        filteredArticles.push({ ...article, pubdate });
-      }
-    }
+    const filteredArticles = articles
+      .filter(article => isInScrapeWindow(getArticleDate(article), scrapeWindow))
+      .map(article => ({ ...article, pubdate: getArticleDate(article) || todayDate }));
     
     console.log(`  📋 Articles in date range: ${filteredArticles.length}`);
     
     if (filteredArticles.length === 0) {
       console.log('  ℹ No new articles to insert');
       await updateScrapeState(source.id, today, 0);
+      await recordScrapeRun({
+        kind: 'news',
+        source: source.id,
+        status: 'success',
+        startedAt,
+        itemsFound: articles.length,
+        itemsSkipped: articles.length,
+        httpStatus: meta.httpStatus,
+        details: {
+          inDateRange: 0,
+          duplicates: 0,
+          pages: meta.pages || null,
+          fetcher: meta.fetcher || null,
+          snapshotId: meta.snapshotId || null,
+          robotsIgnored: meta.robotsIgnored || null
+        }
+      });
       return { source: source.id, status: 'success', inserted: 0, skipped: 0 };
     }
     
@@ -514,51 +498,180 @@ async function processSource(browser, source) {
     console.log(`    - Skipped (duplicates): ${skipped}`);
     
     await updateScrapeState(source.id, today, inserted);
+    await recordScrapeRun({
+      kind: 'news',
+      source: source.id,
+      status: 'success',
+      startedAt,
+      itemsFound: articles.length,
+      itemsInserted: inserted,
+      itemsSkipped: articles.length - inserted,
+      httpStatus: meta.httpStatus,
+      details: {
+        inDateRange: filteredArticles.length,
+        duplicates: skipped,
+        pages: meta.pages || null,
+        fetcher: meta.fetcher || null,
+        snapshotId: meta.snapshotId || null,
+        robotsIgnored: meta.robotsIgnored || null
+      }
+    });
     
     return { source: source.id, status: 'success', inserted, skipped };
     
   } catch (error) {
     console.error(`  ✗ Error: ${error.message}`);
+    await recordScrapeRun({
+      kind: 'news',
+      source: source.id,
+      status: 'error',
+      startedAt,
+      httpStatus: error.httpStatus || meta.httpStatus || null,
+      errorMessage: error.message,
+      details: { snapshotId: meta.snapshotId || null, robotsIgnored: meta.robotsIgnored || null }
+    });
     return { source: source.id, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Backfill a source: follow its listing pages back to `from` and insert
+ * the articles published between from and to (YYYY-MM-DD, both included)
+ * Undated articles are skipped and scrape_state is left alone, so the
+ * daily runs are not affected. The run is recorded in scrape_runs with
+ * details.backfill. onProgress is called after each listing page.
+ */
+export async function backfillSource(sourceId, { from, to = getTodayDate(), maxPages = BACKFILL_MAX_PAGES, onProgress = reportProgress } = {}) {
+  const source = await getSourceById(sourceId);
+  if (!source) {
+    throw new Error(`Unknown news source: ${sourceId}`);
+  }
+  
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate > toDate) {
+    throw new Error('Backfill needs from <= to, as YYYY-MM-DD dates');
+  }
+  // to covers its whole day
+  const toEnd = new Date(toDate.getTime() + 24 * 60 * 60 * 1000);
+  
+  const isInRange = (article) => {
+    const pubdate = getArticleDate(article);
+    return Boolean(pubdate) && pubdate >= fromDate && pubdate < toEnd;
+  };
+  
+  console.log(`\n⏪ Backfilling ${source.name} (${source.id}) from ${from} to ${to}, up to ${maxPages} page(s)`);
+  
+  await ensureRawArticlesTable();
+  
+  const launcher = createBrowserLauncher(launchBrowser);
+  const startedAt = Date.now();
+  const meta = {};
+  const backfill = { from, to, maxPages };
+  
+  try {
+    const articles = await extractSourceArticles(launcher, source, {
+      meta,
+      deadline: createRunDeadline(),
+      maxPages,
+      horizon: fromDate,
+      wants: isInRange,
+      onPageRead: ({ pageNumber, found }) => {
+        onProgress({ scraper: 'backfill', done: pageNumber, total: maxPages, source: source.id, status: 'running', found });
+      }
+    });
+    
+    const matching = articles
+      .filter(isInRange)
+      .map(article => ({ ...article, pubdate: getArticleDate(article) }));
+    console.log(`  📋 ${matching.length} of ${articles.length} articles between ${from} and ${to}`);
+    
+    const { inserted, skipped } = await insertRawArticles(matching, source.id);
+    
+    await recordScrapeRun({
+      kind: 'news',
+      source: source.id,
+      status: 'success',
+      startedAt,
+      itemsFound: articles.length,
+      itemsInserted: inserted,
+      itemsSkipped: articles.length - inserted,
+      httpStatus: meta.httpStatus,
+      details: {
+        backfill,
+        inDateRange: matching.length,
+        duplicates: skipped,
+        pages: meta.pages || null,
+        pageError: meta.pageError || null,
+        fetcher: meta.fetcher || null,
+        snapshotId: meta.snapshotId || null,
+        robotsIgnored: meta.robotsIgnored || null
+      }
+    });
+    
+    console.log(`  ✓ Backfill of ${source.id}: ${inserted} inserted, ${skipped} already known`);
+    return { source: source.id, from, to, pages: meta.pages || 0, found: articles.length, inRange: matching.length, inserted, skipped };
+  } catch (error) {
+    console.error(`  ✗ Backfill error: ${error.message}`);
+    await recordScrapeRun({
+      kind: 'news',
+      source: source.id,
+      status: 'error',
+      startedAt,
+      httpStatus: error.httpStatus || meta.httpStatus || null,
+      errorMessage: error.message,
+      details: { backfill, pages: meta.pages || null, snapshotId: meta.snapshotId || null, robotsIgnored: meta.robotsIgnored || null }
+    });
+    throw error;
   } finally {
-    await page.close();
+    await launcher.close();
   }
 }
 
 /**
  * Main scraping function - exported for use by service
+ * Sources are scraped SCRAPE_CONCURRENCY at a time (see concurrency.js).
+ * onProgress({ scraper, done, total, source, status }) is called as each
+ * source finishes; by default it reports to the parent scrape job.
  */
-export async function runNewsScraper() {
+export async function runNewsScraper({ onProgress = reportProgress } = {}) {
   console.log('╔══════════════════════════════════════════════════════════╗');
-  console.log('║      News Scraping Agent - LIVE from InfoQ & DB-Engines  ║');
+  console.log('║      News Scraping Agent - LIVE from configured sources  ║');
   console.log('╚══════════════════════════════════════════════════════════╝');
   console.log(`\nStarting at: ${new Date().toISOString()}`);
   console.log(`Today's date: ${getTodayDate()}`);
   
-  let browser;
+  // Chromium only starts if a page needs it (JS-rendered source or HTTP fallback)
+  const launcher = createBrowserLauncher(launchBrowser);
   const results = { totalInserted: 0, totalSkipped: 0, sources: [] };
   
   try {
     await ensureScrapeStateTable();
     await ensureRawArticlesTable();
     
-    browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-    });
+    const sources = await getEnabledSources();
+    console.log(`✓ ${sources.length} enabled source(s): ${sources.map(s => s.id).join(', ')}`);
     
-    console.log('✓ Puppeteer browser launched');
+    const deadline = createRunDeadline();
+    let done = 0;
     
-    for (const source of SOURCES) {
+    results.sources = await runPool(sources, async (source) => {
+      let result;
       try {
-        const result = await processSource(browser, source);
-        results.sources.push(result);
-        if (result.inserted) results.totalInserted += result.inserted;
-        if (result.skipped) results.totalSkipped += result.skipped;
+        result = await processSource(launcher, source, deadline);
       } catch (error) {
         console.error(`Error processing ${source.id}:`, error.message);
-        results.sources.push({ source: source.id, status: 'error', error: error.message });
+        result = { source: source.id, status: 'error', error: error.message };
       }
+      
+      done++;
+      onProgress({ scraper: 'news', done, total: sources.length, source: source.id, status: result.status });
+      return result;
+    });
+    
+    for (const result of results.sources) {
+      if (result.inserted) results.totalInserted += result.inserted;
+      if (result.skipped) results.totalSkipped += result.skipped;
     }
     
     console.log('\n' + '═'.repeat(60));
@@ -571,16 +684,18 @@ export async function runNewsScraper() {
     return results;
     
   } finally {
-    if (browser) {
-      await browser.close();
+    if (await launcher.close()) {
       console.log('\n✓ Browser closed');
     }
-    await pool.end();
-    console.log('✓ Database connection closed');
   }
 }
 
 // Allow running directly
 if (process.argv[1] && process.argv[1].includes('scrapeNews.js')) {
-  runNewsScraper().catch(console.error);
+  runNewsScraper()
+    .catch(console.error)
+    .finally(async () => {
+      await pool.end();
+      console.log('✓ Database connection closed');
+    });
 }
@@ -3,273 +3,15 @@
 // Scrapes LIVE from websites - no local HTML files needed
 import puppeteer from 'puppeteer';
 import { query } from '../config/database.js';
-
-// Database configurations for LIVE scraping
-const databases = [
-    {
-        name: 'MongoDB',
-        releaseUrl: 'https://www.mongodb.com/docs/manual/release-notes/',
-        extractVersion: async (page) => {
-            return await page.evaluate(() => {
-                const versions = [];
-                
-                const links = document.querySelectorAll('a[href*="/release-notes/"]');
-                for (const link of links) {
-                    const href = link.getAttribute('href') || '';
-                    const match = href.match(/release-notes\/(\d+\.\d+)/);
-                    if (match) {
-                        versions.push(match[1]);
-                    }
-                }
-                
-                const text = document.body.innerText || '';
-                const textMatch = text.match(/MongoDB\s+(\d+\.\d+)/gi);
-                if (textMatch) {
-                    for (const m of textMatch) {
-                        const ver = m.match(/(\d+\.\d+)/);
-                        if (ver) versions.push(ver[1]);
-                    }
-                }
-                
-                if (versions.length === 0) return null;
-                return [...new Set(versions)].sort((a, b) => {
-                    const [aMajor, aMinor] = a.split('.').map(Number);
-                    const [bMajor, bMinor] = b.split('.').map(Number);
-                    return bMajor - aMajor || bMinor - aMinor;
-                })[0];
-            });
-        }
-    },
-    {
-        name: 'Neo4j',
-        releaseUrl: 'https://neo4j.com/release-notes/',
-        extractVersion: async (page) => {
-            return await page.evaluate(() => {
-                const databaseSection = document.querySelector('.recent-releases');
-                if (databaseSection) {
-                    const links = databaseSection.querySelectorAll('a[href*="/database/neo4j-"]');
-                    for (const link of links) {
-                        const text = link.textContent.trim();
-                        const match = text.match(/Neo4j\s+([\d.]+)/i);
-                        if (match) {
-                            return match[1];
-                        }
-                    }
-                }
-                
-                const allLinks = document.querySelectorAll('a[href*="neo4j-5-"], a[href*="neo4j-2025"], a[href*="neo4j-2024"]');
-                for (const link of allLinks) {
-                    const href = link.getAttribute('href') || '';
-                    const match = href.match(/neo4j-([\d-]+)\/?$/);
-                    if (match) {
-                        return match[1].replace(/-/g, '.');
-                    }
-                }
-                
-                const text = document.body.innerText || '';
-                const textMatch = text.match(/Neo4j\s+([\d.]+)/i);
-                if (textMatch) {
-                    return textMatch[1];
-                }
-                
-                return null;
-            });
-        }
-    },
-    {
-        name: 'Redis',
-        releaseUrl: 'https://redis.io/docs/latest/operate/rs/release-notes/',
-        extractVersion: async (page) => {
-            return await page.evaluate(() => {
-                const versions = [];
-                const text = document.body.innerText || '';
-                
-                const patterns = [
-                    /Redis\s+(?:Enterprise\s+)?(?:Software\s+)?(\d+\.\d+(?:\.\d+)?)/gi,
-                    /version\s+(\d+\.\d+(?:\.\d+)?)/gi,
-                    /v(\d+\.\d+(?:\.\d+)?)/gi
-                ];
-                
-                for (const pattern of patterns) {
-                    let match;
-                    while ((match = pattern.exec(text)) !== null) {
-                        versions.push(match[1]);
-                    }
-                }
-                
-                const links = document.querySelectorAll('a[href*="release-notes"]');
-                for (const link of links) {
-                    const href = link.getAttribute('href') || '';
-                    const match = href.match(/rs-(\d+)-(\d+)(?:-(\d+))?/);
-                    if (match) {
-                        versions.push(`${match[1]}.${match[2]}${match[3] ? '.' + match[3] : ''}`);
-                    }
-                }
-                
-                if (versions.length === 0) return null;
-                return [...new Set(versions)].sort((a, b) => {
-                    const aParts = a.split('.').map(Number);
-                    const bParts = b.split('.').map(Number);
-                    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-                        const diff = (bParts[i] || 0) - (aParts[i] || 0);
-                        if (diff !== 0) return diff;
-                    }
-                    return 0;
-                })[0];
-            });
-        }
-    },
-    {
-        name: 'TiDB',
-        releaseUrl: 'https://docs.pingcap.com/tidb/stable/release-notes/',
-        extractVersion: async (page) => {
-            return await page.evaluate(() => {
-                const metaDesc = document.querySelector('meta[name="description"]');
-                if (metaDesc) {
-                    const content = metaDesc.getAttribute('content') || '';
-                    const match = content.match(/(\d+\.\d+\.\d+(?:-\w+)?)/);
-                    if (match) return match[1];
-                }
-                
-                const title = document.title || '';
-                const titleMatch = title.match(/TiDB\s+v?(\d+\.\d+\.\d+)/i);
-                if (titleMatch) return titleMatch[1];
-                
-                const text = document.body.innerText || '';
-                const match = text.match(/TiDB\s+v?(\d+\.\d+\.\d+)/i);
-                if (match) return match[1];
-                
-                const links = document.querySelectorAll('a[href*="release-"]');
-                for (const link of links) {
-                    const href = link.getAttribute('href') || '';
-                    const match = href.match(/release-(\d+\.\d+\.\d+)/);
-                    if (match) return match[1];
-                }
-                
-                return null;
-            });
-        }
-    },
-    {
-        name: 'YugabyteDB',
-        releaseUrl: 'https://docs.yugabyte.com/stable/releases/ybdb-releases/',
-        extractVersion: async (page) => {
-            return await page.evaluate(() => {
-                const versions = [];
-                
-                const links = document.querySelectorAll('a[href*="/releases/ybdb-releases/v"]');
-                for (const link of links) {
-                    const href = link.getAttribute('href') || '';
-                    const match = href.match(/v(\d{4}\.\d+(?:\.\d+)?|\d+\.\d+(?:\.\d+)?)/);
-                    if (match) {
-                        versions.push(match[1]);
-                    }
-                }
-                
-                const text = document.body.innerText || '';
-                const textMatches = text.match(/v(\d{4}\.\d+(?:\.\d+)?)/g);
-                if (textMatches) {
-                    for (const m of textMatches) {
-                        const ver = m.match(/v(\d{4}\.\d+(?:\.\d+)?)/);
-                        if (ver) versions.push(ver[1]);
-                    }
-                }
-                
-                if (versions.length === 0) return null;
-                return [...new Set(versions)].sort((a, b) => {
-                    const aParts = a.split('.').map(Number);
-                    const bParts = b.split('.').map(Number);
-                    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-                        const diff = (bParts[i] || 0) - (aParts[i] || 0);
-                        if (diff !== 0) return diff;
-                    }
-                    return 0;
-                })[0];
-            });
-        }
-    },
-    {
-        name: 'CockroachDB',
-        releaseUrl: 'https://www.cockroachlabs.com/docs/releases/',
-        extractVersion: async (page) => {
-            return await page.evaluate(() => {
-                const versions = [];
-                
-                const links = document.querySelectorAll('a[href*="/releases/v"]');
-                for (const link of links) {
-                    const href = link.getAttribute('href') || '';
-                    const match = href.match(/releases\/v(\d+\.\d+(?:\.\d+)?)/);
-                    if (match) {
-                        versions.push(match[1]);
-                    }
-                }
-                
-                const text = document.body.innerText || '';
-                const textMatches = text.match(/CockroachDB\s+v?(\d+\.\d+(?:\.\d+)?)/gi);
-                if (textMatches) {
-                    for (const m of textMatches) {
-                        const ver = m.match(/(\d+\.\d+(?:\.\d+)?)/);
-                        if (ver) versions.push(ver[1]);
-                    }
-                }
-                
-                if (versions.length === 0) return null;
-                return [...new Set(versions)].sort((a, b) => {
-                    const aParts = a.split('.').map(Number);
-                    const bParts = b.split('.').map(Number);
-                    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-                        const diff = (bParts[i] || 0) - (aParts[i] || 0);
-                        if (diff !== 0) return diff;
-                    }
-                    return 0;
-                })[0];
-            });
-        }
-    },
-    {
-        name: 'Cassandra',
-        releaseUrl: 'https://cassandra.apache.org/_/download.html',
-        extractVersion: async (page) => {
-            return await page.evaluate(() => {
-                const versions = [];
-                
-                const text = document.body.innerText || '';
-                const patterns = [
-                    /Apache\s+Cassandra\s+(\d+\.\d+(?:\.\d+)?)/gi,
-                    /Cassandra\s+(\d+\.\d+(?:\.\d+)?)/gi,
-                    /version\s+(\d+\.\d+(?:\.\d+)?)/gi
-                ];
-                
-                for (const pattern of patterns) {
-                    let match;
-                    while ((match = pattern.exec(text)) !== null) {
-                        versions.push(match[1]);
-                    }
-                }
-                
-                const links = document.querySelectorAll('a[href*="cassandra"]');
-                for (const link of links) {
-                    const href = link.getAttribute('href') || '';
-                    const match = href.match(/cassandra[/-](\d+\.\d+(?:\.\d+)?)/i);
-                    if (match) {
-                        versions.push(match[1]);
-                    }
-                }
-                
-                if (versions.length === 0) return null;
-                return [...new Set(versions)].sort((a, b) => {
-                    const aParts = a.split('.').map(Number);
-                    const bParts = b.split('.').map(Number);
-                    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-                        const diff = (bParts[i] || 0) - (aParts[i] || 0);
-                        if (diff !== 0) return diff;
-                    }
-                    return 0;
-                })[0];
-            });
-        }
-    }
-];
+import { ensureReleasesTable, getKnownReleases, refreshReleaseVersions } from '../services/releaseService.js';
+import { parseVersion, compareVersions } from '../services/versionService.js';
+import { getEnabledTrackers } from '../services/releaseTrackerService.js';
+import { requiresBrowser, extractTrackerVersions } from './releases/strategies.js';
+import { recordScrapeRun } from '../services/scrapeRunService.js';
+import { capturePageSnapshot } from '../services/snapshotService.js';
+import { createBrowserLauncher, fetchAndExtract } from './fetcher.js';
+import { runPool, createRunDeadline, isPastDeadline, reportProgress } from './concurrency.js';
+import { createRobotsPolicy } from './robots.js';
 
 /**
  * Get today's date in YYYY-MM-DD format
@@ -279,34 +21,19 @@ function getTodayDate() {
     return now.toISOString().split('T')[0];
 }
 
-/**
- * Check if a specific version already exists for a database
- */
-async function versionExists(name, version) {
-    try {
-        const result = await query(
-            'SELECT COUNT(*) as count FROM releases WHERE name = $1 AND version = $2',
-            [name, version]
-        );
-        return parseInt(result.rows[0].count) > 0;
-    } catch (error) {
-        console.error(`Error checking version existence:`, error.message);
-        return false;
-    }
-}
-
 /**
  * Insert a new release into the database
+ * details: { publishedAt, notes } when the source provides them
  */
-async function insertRelease(name, version, releaseUrl) {
+async function insertRelease(name, version, releaseUrl, isBackfill = false, details = {}) {
     const today = getTodayDate();
     
     try {
         const result = await query(
-            `INSERT INTO releases (name, version, release_url, scraped_date)
-             VALUES ($1, $2, $3, $4)
+            `INSERT INTO releases (name, version, release_url, scraped_date, is_backfill, published_at, release_notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
              RETURNING id`,
-            [name, version, releaseUrl, today]
+            [name, version, releaseUrl, today, isBackfill, details.publishedAt || null, details.notes || null]
         );
         console.log(`✅ Inserted new release: ${name} ${version} (id: ${result.rows[0].id})`);
         return result.rows[0].id;
@@ -321,20 +48,11 @@ async function insertRelease(name, version, releaseUrl) {
 }
 
 /**
- * Create the releases table if it doesn't exist
+ * Create the releases table (with version columns) if it doesn't exist
  */
 async function ensureTableExists() {
     try {
-        await query(`
-            CREATE TABLE IF NOT EXISTS releases (
-                id SERIAL PRIMARY KEY,
-                name VARCHAR(100) NOT NULL,
-                version VARCHAR(50) NOT NULL,
-                release_url TEXT,
-                scraped_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(name, version)
-            )
-        `);
+        await ensureReleasesTable();
         console.log('✅ Releases table ready');
     } catch (error) {
         console.error('❌ Error creating releases table:', error.message);
@@ -343,40 +61,26 @@ async function ensureTableExists() {
 }
 
 /**
- * Navigate to URL with retries
+ * Parse scraped versions, drop unparsable ones and duplicates
+ * (8.0 and 8.0.0 are the same release). Returns oldest first, each
+ * carrying the source's details (published date, notes, URL) if any.
  */
-async function navigateWithRetry(page, url, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            await page.goto(url, { 
-                waitUntil: 'networkidle2', 
-                timeout: 30000 
-            });
-            return true;
-        } catch (error) {
-            console.log(`   ⚠️ Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
-            if (attempt === maxRetries) {
-                throw error;
-            }
-            await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+export function normalizeScrapedVersions(name, rawVersions, details = {}) {
+    const byNormalized = new Map();
+    for (const raw of rawVersions || []) {
+        const parsed = parseVersion(raw, name);
+        if (parsed && !byNormalized.has(parsed.normalized)) {
+            byNormalized.set(parsed.normalized, { ...parsed, details: details[raw] || {} });
         }
     }
-    return false;
+    return [...byNormalized.values()].sort((a, b) => compareVersions(a, b, name));
 }
 
 /**
- * Main scraping function - exported for use by service
+ * Launch the headless browser used for release pages
  */
-export async function scrapeReleases() {
-    console.log('╔══════════════════════════════════════════════════════════╗');
-    console.log('║     Database Release Scraper - LIVE from Websites        ║');
-    console.log('╚══════════════════════════════════════════════════════════╝');
-    console.log(`\n🚀 Starting at: ${new Date().toISOString()}`);
-    console.log(`📅 Today's date: ${getTodayDate()}`);
-    
-    await ensureTableExists();
-    
-    const browser = await puppeteer.launch({
+export async function launchBrowser() {
+    return await puppeteer.launch({
         headless: true,
         args: [
             '--no-sandbox', 
@@ -386,61 +90,229 @@ export async function scrapeReleases() {
             '--disable-gpu'
         ]
     });
+}
+
+/**
+ * Run a tracker's extraction strategies
+ * The release page is fetched over HTTP first; launcher (from
+ * createBrowserLauncher) provides Chromium for trackers with renderJs and
+ * as a fallback. Returns { versions (parsed, oldest first), results,
+ * httpStatus (of the release page, null when no page was needed),
+ * fetcher ('http' or 'browser'), snapshotId (when SCRAPE_SNAPSHOTS is on),
+ * robotsIgnored (URLs the tracker's ignoreRobots override let through, or null) }
+ * deadline: run deadline (epoch ms) after which the page is not loaded
+ */
+export async function extractReleaseVersions(launcher, tracker, deadline = null) {
+    const robots = createRobotsPolicy({ ignore: tracker.ignoreRobots });
+    const getRobotsIgnored = () => robots.ignoredUrls.length > 0 ? robots.ignoredUrls : null;
+    let snapshotId = null;
+    
+    try {
+        if (!requiresBrowser(tracker)) {
+            const { versions, results, details } = await extractTrackerVersions(null, tracker, { robots });
+            return {
+                versions: normalizeScrapedVersions(tracker.name, versions, details),
+                results,
+                httpStatus: null,
+                fetcher: null,
+                snapshotId: null,
+                robotsIgnored: getRobotsIgnored()
+            };
+        }
+        
+        console.log(`   🌐 Fetching live page...`);
+        const { result, httpStatus, fetcher } = await fetchAndExtract(tracker.releaseUrl, {
+            renderJs: tracker.renderJs,
+            launcher,
+            deadline,
+            robots,
+            extract: page => extractTrackerVersions(page, tracker, { robots }),
+            isEmpty: ({ versions }) => versions.length === 0,
+            onPage: async (page, { httpStatus }) => {
+                snapshotId = await capturePageSnapshot(page, {
+                    kind: 'releases',
+                    source: tracker.name,
+                    httpStatus
+                });
+            }
+        });
+        
+        const { versions, results, details } = result;
+        return {
+            versions: normalizeScrapedVersions(tracker.name, versions, details),
+            results,
+            httpStatus,
+            fetcher,
+            snapshotId,
+            robotsIgnored: getRobotsIgnored()
+        };
+    } catch (error) {
+        error.snapshotId = snapshotId;
+        error.robotsIgnored = getRobotsIgnored();
+        throw error;
+    }
+}
+
+/**
+ * Scrape one tracker: extract its versions, store the new ones and record
+ * the run in scrape_runs. Returns the tracker's results (one per version
+ * stored or found existing, or a single error/no-version/skipped entry).
+ */
+async function scrapeTracker(launcher, tracker, deadline = null) {
+    if (isPastDeadline(deadline)) {
+        console.log(`⏭ ${tracker.name}: scrape run timed out before this tracker started. Skipping.`);
+        await recordScrapeRun({
+            kind: 'releases',
+            source: tracker.name,
+            status: 'skipped',
+            startedAt: Date.now(),
+            details: { reason: 'run timed out' }
+        });
+        return [{ name: tracker.name, status: 'skipped', reason: 'run timed out' }];
+    }
     
-    console.log('✓ Puppeteer browser launched');
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`📦 Scraping ${tracker.name}...`);
+    console.log(`   URL: ${tracker.releaseUrl}`);
     
+    const startedAt = Date.now();
     const results = [];
     
     try {
-        for (const db of databases) {
-            console.log(`\n${'─'.repeat(50)}`);
-            console.log(`📦 Scraping ${db.name}...`);
-            console.log(`   URL: ${db.releaseUrl}`);
+        const { versions, httpStatus, fetcher, snapshotId, robotsIgnored } = await extractReleaseVersions(launcher, tracker, deadline);
+        
+        if (versions.length > 0) {
+            const latest = versions[versions.length - 1];
+            console.log(`   📌 Found ${versions.length} version(s), latest: ${latest.normalized}`);
             
-            const page = await browser.newPage();
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+            // Stored releases, compared by normalized version
+            const known = await getKnownReleases(tracker.name);
+            const knownNormalized = new Set(known.map(r => r.parsed?.normalized).filter(Boolean));
+            const highestKnown = known.length > 0 ? known[known.length - 1].parsed : null;
             
-            try {
-                console.log(`   🌐 Fetching live page...`);
-                await navigateWithRetry(page, db.releaseUrl);
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                
-                const version = await db.extractVersion(page);
+            const newVersions = versions.filter(v => !knownNormalized.has(v.normalized));
+            
+            if (newVersions.length === 0) {
+                console.log(`   ℹ️  Version ${latest.normalized} already exists in database`);
+                results.push({ name: tracker.name, version: latest.normalized, status: 'exists' });
+            }
+            
+            for (const version of newVersions) {
+                // Older than what we already know (or not the latest on a first
+                // scrape): history backfill, not a new release
+                const isBackfill = highestKnown
+                    ? compareVersions(version, highestKnown, tracker.name) < 0
+                    : version !== latest;
                 
-                if (version) {
-                    console.log(`   📌 Found version: ${version}`);
-                    
-                    const exists = await versionExists(db.name, version);
-                    
-                    if (exists) {
-                        console.log(`   ℹ️  Version ${version} already exists in database`);
-                        results.push({ name: db.name, version, status: 'exists' });
-                    } else {
-                        const id = await insertRelease(db.name, version, db.releaseUrl);
-                        if (id) {
-                            results.push({ name: db.name, version, id, status: 'inserted' });
-                        } else {
-                            results.push({ name: db.name, version, status: 'duplicate' });
-                        }
-                    }
+                const id = await insertRelease(
+                    tracker.name,
+                    version.normalized,
+                    version.details.url || tracker.releaseUrl,
+                    isBackfill,
+                    version.details
+                );
+                if (!id) {
+                    results.push({ name: tracker.name, version: version.normalized, status: 'duplicate' });
+                } else if (isBackfill) {
+                    results.push({ name: tracker.name, version: version.normalized, id, status: 'backfilled' });
                 } else {
-                    console.log(`   ⚠️  Could not extract version from page`);
-                    results.push({ name: db.name, status: 'no-version' });
+                    results.push({ name: tracker.name, version: version.normalized, id, status: 'inserted' });
                 }
-            } catch (error) {
-                console.error(`   ❌ Error: ${error.message}`);
-                results.push({ name: db.name, status: 'error', error: error.message });
-            } finally {
-                await page.close();
             }
+            
+            if (newVersions.length > 0) {
+                await refreshReleaseVersions(tracker.name);
+            }
+        } else {
+            console.log(`   ⚠️  Could not extract version from page`);
+            results.push({ name: tracker.name, status: 'no-version' });
         }
+        
+        const added = results.filter(r => r.status === 'inserted' || r.status === 'backfilled');
+        await recordScrapeRun({
+            kind: 'releases',
+            source: tracker.name,
+            status: 'success',
+            startedAt,
+            itemsFound: versions.length,
+            itemsInserted: added.length,
+            itemsSkipped: versions.length - added.length,
+            httpStatus,
+            details: {
+                latest: versions.length > 0 ? versions[versions.length - 1].normalized : null,
+                backfilled: results.filter(r => r.status === 'backfilled').length,
+                fetcher,
+                snapshotId,
+                robotsIgnored
+            }
+        });
+    } catch (error) {
+        console.error(`   ❌ Error: ${error.message}`);
+        results.push({ name: tracker.name, status: 'error', error: error.message });
+        await recordScrapeRun({
+            kind: 'releases',
+            source: tracker.name,
+            status: 'error',
+            startedAt,
+            httpStatus: error.httpStatus || null,
+            errorMessage: error.message,
+            details: { snapshotId: error.snapshotId || null, robotsIgnored: error.robotsIgnored || null }
+        });
+    }
+    
+    return results;
+}
+
+/**
+ * Main scraping function - exported for use by service
+ * Trackers are scraped SCRAPE_CONCURRENCY at a time (see concurrency.js).
+ * onProgress({ scraper, done, total, source, status }) is called as each
+ * tracker finishes; by default it reports to the parent scrape job.
+ */
+export async function scrapeReleases({ onProgress = reportProgress } = {}) {
+    console.log('╔══════════════════════════════════════════════════════════╗');
+    console.log('║     Database Release Scraper - LIVE from Websites        ║');
+    console.log('╚══════════════════════════════════════════════════════════╝');
+    console.log(`\n🚀 Starting at: ${new Date().toISOString()}`);
+    console.log(`📅 Today's date: ${getTodayDate()}`);
+    
+    await ensureTableExists();
+    
+    const trackers = await getEnabledTrackers();
+    console.log(`📋 ${trackers.length} enabled release tracker(s)`);
+    
+    // Chromium only starts if a page needs it (JS-rendered tracker or HTTP fallback)
+    const launcher = createBrowserLauncher(launchBrowser);
+    
+    const results = [];
+    
+    try {
+        const deadline = createRunDeadline();
+        let done = 0;
+        
+        const trackerResults = await runPool(trackers, async (tracker) => {
+            const trackerResult = await scrapeTracker(launcher, tracker, deadline);
+            
+            done++;
+            onProgress({
+                scraper: 'releases',
+                done,
+                total: trackers.length,
+                source: tracker.name,
+                status: trackerResult.some(r => r.status === 'error') ? 'error' : 'success'
+            });
+            return trackerResult;
+        });
+        results.push(...trackerResults.flat());
     } finally {
-        await browser.close();
-        console.log('\n✓ Browser closed');
+        if (await launcher.close()) {
+            console.log('\n✓ Browser closed');
+        }
     }
     
     // Summary
     const inserted = results.filter(r => r.status === 'inserted');
+    const backfilled = results.filter(r => r.status === 'backfilled');
     const existing = results.filter(r => r.status === 'exists' || r.status === 'duplicate');
     const failed = results.filter(r => r.status === 'error' || r.status === 'no-version');
     
@@ -448,6 +320,7 @@ export async function scrapeReleases() {
     console.log('📊 SCRAPING SUMMARY');
     console.log('═'.repeat(50));
     console.log(`✅ New releases inserted: ${inserted.length}`);
+    console.log(`🕘 Older versions backfilled: ${backfilled.length}`);
     console.log(`ℹ️  Already existing: ${existing.length}`);
     console.log(`⚠️  Failed/No version: ${failed.length}`);
     console.log(`🏁 Completed at: ${new Date().toISOString()}`);
@@ -457,6 +330,7 @@ export async function scrapeReleases() {
         results,
         summary: {
             inserted: inserted.length,
+            backfilled: backfilled.length,
             existing: existing.length,
             failed: failed.length,
             total: results.length
@@ -0,0 +1,30 @@
+/**
+ * Set a user's role from the command line
+ * Used to create the first admin, since only admins can promote users:
+ *   node scripts/setUserRole.js <username> <admin|user>
+ */
+
+import pool from '../config/database.js';
+import { ROLES, setUserRole } from '../services/userService.js';
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/setUserRole.js <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+setUserRole({ username }, role)
+  .then(user => {
+    if (!user) {
+      console.error(`❌ User not found: ${username}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ ${user.username} is now ${user.role}`);
+  })
+  .catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,85 @@
+/**
+ * DB-Engines Source Adapter
+ * 
+ * Reads the DB-Engines blog index. Each entry already carries its
+ * teaser paragraph, so no article page visits are needed.
+ */
+
+/**
+ * Extract articles from the DB-Engines blog index page
+ */
+async function extract({ page }, source) {
+  return await page.evaluate((baseUrl) => {
+    const articles = [];
+    const blogEntries = document.querySelectorAll('.blog_index');
+    
+    blogEntries.forEach(entry => {
+      try {
+        const titleLink = entry.querySelector('a.blog_header');
+        if (!titleLink) return;
+        
+        const title = titleLink.textContent.trim();
+        let url = titleLink.getAttribute('href');
+        if (!url) return;
+        
+        if (!url.startsWith('http')) url = baseUrl + url;
+        
+        const metaSpan = entry.querySelector('.blog_date');
+        let author = null;
+        let dateText = null;
+        
+        if (metaSpan) {
+          const metaText = metaSpan.textContent;
+          
+          const authorLink = metaSpan.querySelector('a.nound');
+          const sponsorSpan = metaSpan.querySelector('.blog_sponsor');
+          
+          if (authorLink) {
+            author = authorLink.textContent.trim();
+          } else if (sponsorSpan) {
+            author = sponsorSpan.textContent.trim();
+          } else {
+            const byMatch = metaText.match(/by\s+([^,]+),/);
+            if (byMatch) author = byMatch[1].trim();
+          }
+          
+          const dateMatch = metaText.match(/(\d{1,2}\s+\w+\s+\d{4})/);
+          if (dateMatch) dateText = dateMatch[1];
+        }
+        
+        const paragraphs = entry.querySelectorAll('p');
+        let content_text = null;
+        for (const p of paragraphs) {
+          if (!p.querySelector('.blog_date') && !p.querySelector('a.blog_header')) {
+            const text = p.textContent.trim();
+            if (text && text.length > 20) {
+              content_text = text;
+              break;
+            }
+          }
+        }
+        
+        const tagLinks = metaSpan ? metaSpan.querySelectorAll('a.nound[href*="/blog/"]') : [];
+        const tags = Array.from(tagLinks).map(el => el.textContent.trim()).filter(tag => tag && !tag.includes('Tags'));
+        
+        articles.push({ title, url, author, dateText, content_text, tags });
+      } catch (e) {}
+    });
+    
+    return articles;
+  }, source.baseUrl);
+}
+
+export default {
+  id: 'db-engines',
+  name: 'DB-Engines blog index',
+  defaultSources: [
+    {
+      id: 'db-engines',
+      name: 'DB-Engines Blog',
+      url: 'https://db-engines.com/en/blog',
+      baseUrl: 'https://db-engines.com'
+    }
+  ],
+  extract
+};
@@ -0,0 +1,256 @@
+/**
+ * RSS/Atom Feed Source Adapter
+ *
+ * Reads RSS 2.0, RSS 1.0 (RDF) and Atom feeds over plain HTTP - no
+ * headless browser and no CSS selectors. Items are mapped to the
+ * raw article shape ({ title, url, author, pubdate, content_text, tags }).
+ *
+ * Sources are fetched over http(s) only. Parsing is checked against the
+ * fixture XML in tests/fixtures/feeds (npm test), and the command line
+ * also reads local files:
+ *   node scripts/sources/feed.js tests/fixtures/feeds/rss2.xml
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { XMLParser } from 'fast-xml-parser';
+import { hostLimiter } from '../concurrency.js';
+import { USER_AGENT, createRobotsPolicy } from '../robots.js';
+
+const FETCH_TIMEOUT_MS = 30000;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['item', 'entry', 'category', 'link', 'author', 'dc:subject'].includes(name)
+});
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“'
+};
+
+/**
+ * Decode HTML entities (named subset + numeric)
+ * Numeric entities beyond the last code point are kept as written.
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0x10FFFF ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Convert feed HTML content to plain text paragraphs separated by blank lines
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(p => p.length > 0)
+    .join('\n\n');
+}
+
+/**
+ * Read the text value of a parsed node (string, number or { '#text' })
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return null;
+  if (Array.isArray(node)) return textOf(node[0]);
+  if (typeof node === 'object') return textOf(node['#text']);
+  const value = String(node).trim();
+  return value || null;
+}
+
+/**
+ * Parse a feed date (RFC 822 for RSS, RFC 3339 for Atom)
+ */
+function parseFeedDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * RSS author is often "email (Name)"; keep just the name when present
+ */
+function cleanAuthor(value) {
+  if (!value) return null;
+  const match = value.match(/\(([^)]+)\)\s*$/);
+  return match ? match[1].trim() : value;
+}
+
+/**
+ * Map an RSS 2.0 / RSS 1.0 item
+ */
+function mapRssItem(item) {
+  const guid = item.guid;
+  const guidIsLink = guid && typeof guid === 'object'
+    ? guid['@_isPermaLink'] !== 'false'
+    : Boolean(guid);
+
+  const url = textOf(item.link) || (guidIsLink ? textOf(guid) : null) || item['@_rdf:about'] || null;
+  const categories = [...(item.category || []), ...(item['dc:subject'] || [])];
+
+  return {
+    title: htmlToText(textOf(item.title)),
+    url,
+    author: cleanAuthor(textOf(item['dc:creator']) || textOf(item.author)),
+    pubdate: parseFeedDate(textOf(item.pubDate) || textOf(item['dc:date'])),
+    content_text: htmlToText(textOf(item['content:encoded']) || textOf(item.description)),
+    tags: categories.map(textOf).filter(Boolean)
+  };
+}
+
+/**
+ * Pick the article link of an Atom entry (rel="alternate" or no rel)
+ */
+function atomLink(links = []) {
+  const candidates = links.filter(link => typeof link === 'object');
+  const alternate = candidates.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+  return (alternate || candidates[0])?.['@_href'] || textOf(links[0]);
+}
+
+/**
+ * Map an Atom entry
+ */
+function mapAtomEntry(entry) {
+  const authors = (entry.author || []).map(author => textOf(author.name)).filter(Boolean);
+
+  return {
+    title: htmlToText(textOf(entry.title)),
+    url: atomLink(entry.link),
+    author: authors.length > 0 ? authors.join(', ') : null,
+    pubdate: parseFeedDate(textOf(entry.published) || textOf(entry.updated)),
+    content_text: htmlToText(textOf(entry.content) || textOf(entry.summary)),
+    tags: (entry.category || [])
+      .map(category => category['@_label'] || category['@_term'])
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Parse RSS 2.0, RSS 1.0 or Atom XML into raw articles
+ * Items without a title or link are dropped
+ */
+export function parseFeed(xml) {
+  const doc = parser.parse(xml);
+
+  let items;
+  if (doc.rss?.channel) {
+    const channel = Array.isArray(doc.rss.channel) ? doc.rss.channel[0] : doc.rss.channel;
+    items = (channel.item || []).map(mapRssItem);
+  } else if (doc['rdf:RDF']) {
+    items = (doc['rdf:RDF'].item || []).map(mapRssItem);
+  } else if (doc.feed) {
+    items = (doc.feed.entry || []).map(mapAtomEntry);
+  } else {
+    throw new Error('Unrecognized feed format (expected RSS or Atom)');
+  }
+
+  return items.filter(item => item.title && item.url);
+}
+
+/**
+ * Whether a location is an http(s) URL
+ */
+export function isHttpUrl(location) {
+  try {
+    return ['http:', 'https:'].includes(new URL(location).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Load feed XML from an http(s) URL
+ * robots: the run's robots.txt policy (see scripts/robots.js)
+ */
+export async function fetchFeed(location, { robots = createRobotsPolicy() } = {}) {
+  if (!isHttpUrl(location)) {
+    throw new Error('Feed URL must be an http(s) URL');
+  }
+
+  const { crawlDelayMs } = await robots.check(location);
+  const response = await hostLimiter.schedule(location, () => fetch(location, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8'
+    },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  }), { minDelayMs: crawlDelayMs });
+
+  if (!response.ok) {
+    const error = new Error(`Feed request failed with HTTP ${response.status}`);
+    error.httpStatus = response.status;
+    throw error;
+  }
+
+  return await response.text();
+}
+
+/**
+ * Fetch and parse the source's feed
+ */
+async function extract(context, source) {
+  const xml = await fetchFeed(source.url, { robots: context.robots });
+  return parseFeed(xml);
+}
+
+export default {
+  id: 'feed',
+  name: 'RSS/Atom feed',
+  requiresBrowser: false,
+  defaultSources: [],
+  extract
+};
+
+// Allow running directly: print parsed items of a feed URL or local file
+if (process.argv[1] && process.argv[1].endsWith('feed.js')) {
+  const location = process.argv[2];
+  if (!location) {
+    console.error('Usage: node scripts/sources/feed.js <feed-url-or-file>');
+    process.exit(1);
+  }
+  const load = isHttpUrl(location)
+    ? fetchFeed(location)
+    : readFile(location.startsWith('file://') ? fileURLToPath(location) : location, 'utf8');
+  load
+    .then(xml => {
+      const articles = parseFeed(xml);
+      console.log(JSON.stringify(articles, null, 2));
+      console.log(`\n${articles.length} item(s) parsed`);
+    })
+    .catch(error => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,61 @@
+/**
+ * News Source Adapter Registry
+ * 
+ * Each adapter module declares:
+ * - id: adapter identifier referenced by news_sources.adapter
+ * - name: human readable description
+ * - defaultSources: listing pages seeded into news_sources on first run
+ * - requiresBrowser: false for adapters that fetch their own data, like
+ *   feeds (default true: the scraper loads source.url as a page)
+ * - nextPageSelector: optional CSS selector of the link to the next
+ *   listing page (default: rel="next" links; see scrapeNews.js)
+ * - extract(context, source): returns raw articles
+ *   ({ title, url, author, dateText or pubdate, content_text, tags })
+ *   context holds { page, fetchPage(url, extract), wants(article) } for
+ *   page adapters; wants tells which articles are worth a page visit.
+ *   Pages are fetched over HTTP, or in Chromium for sources whose config
+ *   sets renderJs (see scripts/fetcher.js); extract only uses page.evaluate.
+ * 
+ * To support a new site, add an adapter module here. New listing pages
+ * for an existing adapter only need a row in news_sources.
+ */
+
+import infoq from './infoq.js';
+import dbEngines from './dbEngines.js';
+import feed from './feed.js';
+
+const adapters = new Map();
+
+/**
+ * Register a source adapter
+ */
+export function registerAdapter(adapter) {
+  if (!adapter.id || typeof adapter.extract !== 'function') {
+    throw new Error('Source adapter must declare an id and an extract function');
+  }
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * Get an adapter by id (undefined if not registered)
+ */
+export function getAdapter(id) {
+  return adapters.get(id);
+}
+
+/**
+ * List all registered adapters
+ */
+export function listAdapters() {
+  return Array.from(adapters.values());
+}
+
+registerAdapter(infoq);
+registerAdapter(dbEngines);
+registerAdapter(feed);
+
+export default {
+  registerAdapter,
+  getAdapter,
+  listAdapters
+};
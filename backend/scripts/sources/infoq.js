@@ -0,0 +1,132 @@
+/**
+ * InfoQ Source Adapter
+ * 
+ * Reads InfoQ topic listing pages (cards with data-path) and visits
+ * each article page to collect ALL content paragraphs.
+ */
+
+import { runPool } from '../concurrency.js';
+
+/**
+ * Fetch the full paragraph content of a single InfoQ article
+ * fetchPage(url, extract) loads the page over HTTP or in the browser
+ */
+async function fetchArticleContent(fetchPage, url) {
+  // Extract ALL paragraphs from the article content
+  return await fetchPage(url, articlePage => articlePage.evaluate(() => {
+    const paragraphs = [];
+    
+    // Main article content selectors
+    const contentSelectors = [
+      'article .article__content p',
+      '.article-body p',
+      '.article__text p',
+      '.content-body p',
+      'article p',
+      '.post-content p',
+      '.entry-content p'
+    ];
+    
+    for (const selector of contentSelectors) {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length > 0) {
+        elements.forEach(p => {
+          const text = p.textContent.trim();
+          // Filter out short texts (likely nav, ads, etc.)
+          if (text.length > 50) {
+            paragraphs.push(text);
+          }
+        });
+        break;
+      }
+    }
+    
+    return paragraphs.join('\n\n');
+  }));
+}
+
+/**
+ * Extract articles from an InfoQ listing page
+ * In preview mode only the listing is read (no article page visits);
+ * otherwise only the articles the scraper wants are visited
+ */
+async function extract({ page, fetchPage, preview = false, wants = () => true }, source) {
+  const articleCards = await page.evaluate((baseUrl) => {
+    const articles = [];
+    const cards = document.querySelectorAll('li[data-path*="/news/"], li[data-path*="/articles/"], .card');
+    
+    cards.forEach(card => {
+      try {
+        let dataPath = card.getAttribute('data-path');
+        
+        if (!dataPath) {
+          const linkEl = card.querySelector('a[href*="/news/"], a[href*="/articles/"]');
+          if (linkEl) dataPath = linkEl.getAttribute('href');
+        }
+        
+        if (!dataPath) return;
+        if (!dataPath.includes('/news/') && !dataPath.includes('/articles/')) return;
+        
+        let url = dataPath.split('?')[0];
+        if (!url.startsWith('http')) url = baseUrl + url;
+        
+        const titleEl = card.querySelector('h3.card__title a, h4.card__title a, .card__title a, h3 a, h4 a');
+        const title = titleEl ? titleEl.textContent.trim() : null;
+        if (!title) return;
+        
+        const authorEl = card.querySelector('.card__authors a, .authors a, .author a');
+        const author = authorEl ? authorEl.textContent.trim() : null;
+        
+        const dateEl = card.querySelector('.card__date span, .date span, time, .card__date');
+        const dateText = dateEl ? (dateEl.getAttribute('datetime') || dateEl.textContent.trim()) : null;
+        
+        const topicEls = card.querySelectorAll('.card__topics a, .topics a, .tags a');
+        const tags = Array.from(topicEls).map(el => el.textContent.trim()).filter(t => t);
+        
+        articles.push({ title, url, author, dateText, tags });
+      } catch (e) {}
+    });
+    
+    return articles;
+  }, source.baseUrl);
+  
+  if (preview) {
+    return articleCards;
+  }
+  
+  // Now fetch full content for each article by visiting the article page
+  // (several at once; fetchPage applies the per-host rate limits)
+  return await runPool(articleCards, async (article) => {
+    if (!wants(article)) return article;
+    
+    try {
+      console.log(`    📄 Fetching full content: ${article.title.substring(0, 40)}...`);
+      
+      const fullContent = await fetchArticleContent(fetchPage, article.url);
+      return { ...article, content_text: fullContent || '' };
+    } catch (error) {
+      console.log(`    ⚠ Could not fetch article: ${error.message}`);
+      return { ...article, content_text: '' };
+    }
+  });
+}
+
+export default {
+  id: 'infoq',
+  name: 'InfoQ topic listing',
+  defaultSources: [
+    {
+      id: 'infoq-nosql',
+      name: 'InfoQ NoSQL',
+      url: 'https://www.infoq.com/nosql/',
+      baseUrl: 'https://www.infoq.com'
+    },
+    {
+      id: 'infoq-data',
+      name: 'InfoQ Data',
+      url: 'https://www.infoq.com/data/',
+      baseUrl: 'https://www.infoq.com'
+    }
+  ],
+  extract
+};
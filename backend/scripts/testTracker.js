@@ -0,0 +1,76 @@
+/**
+ * Release Tracker Test Run
+ *
+ * Loads a tracker's release page and runs its extraction strategies
+ * without inserting anything. POST /api/trackers/:id/test runs this
+ * script in a child process and gets the result over IPC, so the
+ * tracker's patterns never run in the API server.
+ *
+ * Usage:
+ *   node scripts/testTracker.js <trackerId>
+ */
+
+import pool from '../config/database.js';
+import { launchBrowser, extractReleaseVersions } from './scrapeReleases.js';
+import { createBrowserLauncher } from './fetcher.js';
+import { reportResult } from './concurrency.js';
+import { getTrackerById } from '../services/releaseTrackerService.js';
+
+/**
+ * Run a tracker's strategies against its live release page
+ * Returns what the scraper would find, newest version first
+ */
+export async function runTrackerTest(tracker) {
+  const startedAt = Date.now();
+  const launcher = createBrowserLauncher(launchBrowser);
+
+  try {
+    const { versions, results, fetcher, robotsIgnored } = await extractReleaseVersions(launcher, tracker);
+
+    return {
+      tracker: tracker.id,
+      durationMs: Date.now() - startedAt,
+      fetcher,
+      robotsIgnored,
+      strategies: results,
+      found: versions.length,
+      latest: versions.length > 0 ? versions[versions.length - 1].normalized : null,
+      versions: versions
+        .map(version => ({
+          version: version.normalized,
+          publishedAt: version.details.publishedAt || null,
+          url: version.details.url || null
+        }))
+        .reverse()
+    };
+  } finally {
+    await launcher.close();
+  }
+}
+
+// Allow running directly
+if (process.argv[1] && process.argv[1].includes('testTracker.js')) {
+  const [id] = process.argv.slice(2);
+
+  if (!id) {
+    console.error('Usage: node scripts/testTracker.js <trackerId>');
+    process.exit(1);
+  }
+
+  getTrackerById(id)
+    .then(async tracker => {
+      if (!tracker) throw new Error(`Tracker not found: ${id}`);
+
+      console.log(`🧪 Test-running tracker ${tracker.name} (${tracker.releaseUrl})`);
+      const result = await runTrackerTest(tracker);
+      // Test runs started by the API get the result over IPC
+      if (!reportResult(result)) {
+        console.log(JSON.stringify(result, null, 2));
+      }
+    })
+    .catch(error => {
+      console.error('❌ Error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,107 @@
+/**
+ * Category Model Training
+ *
+ * Trains the TF-IDF category classifier (services/categorizers/textModel.js)
+ * on the articles whose categories an admin confirmed
+ * (PUT /api/articles/:id/categories). Every 5th article is held out to
+ * measure precision and recall per category; the saved model is then
+ * trained on all of them. The model and its metrics are written to
+ * CATEGORY_MODEL_PATH (default models/category-model.json, relative to the
+ * backend directory).
+ *
+ * Usage:
+ *   node scripts/trainCategorizer.js [--min-examples N] [--dry-run]
+ *
+ * --min-examples: confirmed articles a category needs to be learned (default 5)
+ * --dry-run: evaluate only, do not write the model
+ */
+
+import pool from '../config/database.js';
+import { getConfirmedArticles } from '../services/articleCategoryService.js';
+import { trainModel, splitHoldout, evaluateModel } from '../services/categorizers/textModel.js';
+import { writeModel, MODEL_MIN_CONFIDENCE } from '../services/categorizers/model.js';
+
+const DEFAULT_MIN_EXAMPLES = 5;
+const MIN_TRAINING_ARTICLES = 10;
+
+/**
+ * Read --flag values from the command line
+ */
+function readFlag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Print evaluation metrics as a table
+ */
+function printMetrics(metrics) {
+  const rows = Object.entries(metrics.categories);
+  const width = Math.max(8, ...rows.map(([category]) => category.length));
+  const cell = (value) => String(value).padStart(9);
+
+  console.log(`\n${'Category'.padEnd(width)}${cell('Precision')}${cell('Recall')}${cell('F1')}${cell('Support')}`);
+  for (const [category, { precision, recall, f1, support }] of rows) {
+    console.log(`${category.padEnd(width)}${cell(precision)}${cell(recall)}${cell(f1)}${cell(support)}`);
+  }
+  const { precision, recall, f1 } = metrics.micro;
+  console.log(`${'(micro)'.padEnd(width)}${cell(precision)}${cell(recall)}${cell(f1)}${cell('')}`);
+}
+
+/**
+ * Train, evaluate and save the category model
+ * Returns { model, metrics, path (null on dry runs) }
+ */
+export async function trainCategorizer({ minExamples = DEFAULT_MIN_EXAMPLES, dryRun = false } = {}) {
+  const examples = await getConfirmedArticles();
+  console.log(`📋 ${examples.length} articles with confirmed categories`);
+
+  if (examples.length < MIN_TRAINING_ARTICLES) {
+    throw new Error(`At least ${MIN_TRAINING_ARTICLES} confirmed articles are needed to train, found ${examples.length}`);
+  }
+
+  const { train, test } = splitHoldout(examples);
+  const evaluationModel = trainModel(train, { minExamples });
+  if (evaluationModel.categories.length === 0) {
+    throw new Error(`No category has ${minExamples} confirmed articles yet`);
+  }
+
+  const metrics = {
+    ...evaluateModel(evaluationModel, test, { minConfidence: MODEL_MIN_CONFIDENCE }),
+    trainingArticles: train.length,
+    minConfidence: MODEL_MIN_CONFIDENCE
+  };
+  console.log(`\nEvaluation on ${test.length} held-out articles (trained on ${train.length}):`);
+  printMetrics(metrics);
+
+  const model = { ...trainModel(examples, { minExamples }), metrics };
+  const skipped = [...new Set(examples.flatMap(example => example.categories))]
+    .filter(category => !model.categories.includes(category));
+  if (skipped.length > 0) {
+    console.log(`\n⚠ Not enough confirmed articles to learn: ${skipped.join(', ')}`);
+  }
+
+  if (dryRun) {
+    console.log('\nDry run: model not saved');
+    return { model, metrics, path: null };
+  }
+
+  const file = await writeModel(model);
+  console.log(`\n✓ Model with ${model.categories.length} categories and ${model.vocabulary.length} terms saved to ${file}`);
+  return { model, metrics, path: file };
+}
+
+// Allow running directly
+if (process.argv[1] && process.argv[1].includes('trainCategorizer.js')) {
+  const args = process.argv.slice(2);
+
+  trainCategorizer({
+    minExamples: parseInt(readFlag(args, 'min-examples')) || DEFAULT_MIN_EXAMPLES,
+    dryRun: args.includes('--dry-run')
+  })
+    .catch(error => {
+      console.error('❌ Error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -1,7 +1,9 @@
 import app from './app.js';
 import dotenv from 'dotenv';
 import pool from './config/database.js';
-import { triggerDailyScrapers } from './services/scraperService.js';
+import { startScrapeWorker } from './services/scraperService.js';
+import { stopWorker } from './services/scrapeJobService.js';
+import { startScheduler, stopScheduler } from './services/schedulerService.js';
 
 dotenv.config();
 
@@ -21,15 +23,15 @@ const startServer = async () => {
       console.log(`✓ Health check: http://localhost:${PORT}/health`);
     });
 
-    // Trigger daily scrapers in BACKGROUND (non-blocking)
-    console.log('📅 Starting daily scrapers in background...');
-    triggerDailyScrapers()
-      .then(() => {
-        console.log('✓ Daily scrapers completed in background');
-      })
-      .catch((scraperError) => {
-        console.error('⚠️ Daily scrapers error (non-fatal):', scraperError.message);
-      });
+    // Run queued scraping jobs (including ones queued before a restart)
+    startScrapeWorker().catch((workerError) => {
+      console.error('⚠️ Scrape worker failed to start:', workerError.message);
+    });
+
+    // Run scrapers on their cron schedules (catches up on runs missed while down)
+    startScheduler().catch((schedulerError) => {
+      console.error('⚠️ Scheduler failed to start:', schedulerError.message);
+    });
 
   } catch (error) {
     console.error('✗ Failed to start server:', error);
@@ -40,12 +42,16 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  stopScheduler();
+  stopWorker();
   await pool.end();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT signal received: closing HTTP server');
+  stopScheduler();
+  stopWorker();
   await pool.end();
   process.exit(0);
 });
@@ -0,0 +1,203 @@
+/**
+ * Account Service
+ * 
+ * Email verification and password reset. Both use single-use tokens
+ * sent by mail; only a SHA-256 hash of each token is stored.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { query } from '../config/database.js';
+import { sendMail } from './mailerService.js';
+import { revokeAllSessions } from './sessionService.js';
+
+// Token purposes and lifetimes (hours)
+const TOKEN_TTL_HOURS = {
+  verify_email: 48,
+  reset_password: 1
+};
+
+// Track if tables have been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Ensure user_tokens table and users.email_verified exist
+ * Accounts created before verification existed count as verified.
+ */
+export const ensureAccountTables = async () => {
+  if (tableInitialized) return;
+  
+  const existing = await query(
+    `SELECT 1 FROM information_schema.columns
+     WHERE table_name = 'users' AND column_name = 'email_verified'`
+  );
+  if (existing.rows.length === 0) {
+    await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE`);
+    await query(`ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE`);
+  }
+  
+  await query(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  
+  tableInitialized = true;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const frontendUrl = (pathname, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Create a single-use token (earlier unused tokens of the same purpose are voided)
+ */
+const createToken = async (userId, purpose) => {
+  await ensureAccountTables();
+  
+  await query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  
+  const token = crypto.randomBytes(32).toString('base64url');
+  await query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' hours')::interval)`,
+    [userId, purpose, hashToken(token), TOKEN_TTL_HOURS[purpose]]
+  );
+  return token;
+};
+
+/**
+ * Use a token: returns its user id, or null if unknown, used or expired
+ */
+const consumeToken = async (token, purpose) => {
+  await ensureAccountTables();
+  
+  const result = await query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2
+       AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+/**
+ * Mail a verification link to a user row ({ id, username, email })
+ */
+export const sendVerificationEmail = async (user) => {
+  const token = await createToken(user.id, 'verify_email');
+  const link = frontendUrl('/verify-email', token);
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n`
+      + `Please confirm your email address by opening this link:\n${link}\n\n`
+      + `The link expires in ${TOKEN_TTL_HOURS.verify_email} hours.`
+  });
+};
+
+/**
+ * Mark the email of a verification token's user as verified
+ * Returns false for unknown, used or expired tokens
+ */
+export const verifyEmail = async (token) => {
+  const userId = await consumeToken(token, 'verify_email');
+  if (!userId) return false;
+  
+  await query('UPDATE users SET email_verified = TRUE WHERE id = $1', [userId]);
+  return true;
+};
+
+/**
+ * Re-send a verification link (silently does nothing for unknown
+ * or already verified addresses; mail errors are only logged, so they
+ * do not reveal which addresses exist either)
+ */
+export const resendVerification = async (email) => {
+  await ensureAccountTables();
+  
+  const result = await query(
+    'SELECT id, username, email FROM users WHERE LOWER(email) = LOWER($1) AND email_verified = FALSE',
+    [email]
+  );
+  if (result.rows.length === 0) return;
+  
+  try {
+    await sendVerificationEmail(result.rows[0]);
+  } catch (error) {
+    console.error('Error sending verification email:', error.message);
+  }
+};
+
+/**
+ * Mail a password reset link (silently does nothing for unknown
+ * addresses, so the endpoint does not reveal which emails exist; for
+ * the same reason mail errors are only logged)
+ */
+export const requestPasswordReset = async (email) => {
+  await ensureAccountTables();
+  
+  const result = await query(
+    'SELECT id, username, email FROM users WHERE LOWER(email) = LOWER($1)',
+    [email]
+  );
+  if (result.rows.length === 0) return;
+  
+  const user = result.rows[0];
+  const token = await createToken(user.id, 'reset_password');
+  const link = frontendUrl('/reset-password', token);
+  
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\n`
+        + `Someone asked to reset the password of your account. To choose a new password, open this link:\n${link}\n\n`
+        + `The link expires in ${TOKEN_TTL_HOURS.reset_password} hour. If you did not ask for this, ignore this email.`
+    });
+  } catch (error) {
+    console.error('Error sending password reset email:', error.message);
+  }
+};
+
+/**
+ * Set a new password from a reset token
+ * Signs the user out everywhere; the email counts as verified since
+ * the user received the link. Returns false for invalid tokens.
+ */
+export const resetPassword = async (token, password) => {
+  const userId = await consumeToken(token, 'reset_password');
+  if (!userId) return false;
+  
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await query(
+    'UPDATE users SET password = $2, email_verified = TRUE WHERE id = $1',
+    [userId, hashedPassword]
+  );
+  await revokeAllSessions(userId);
+  return true;
+};
+
+export default {
+  ensureAccountTables,
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword
+};
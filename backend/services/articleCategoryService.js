@@ -0,0 +1,167 @@
+/**
+ * Article Category Service
+ *
+ * Stores the categories assigned to each article (article_categories
+ * table), with the categorizer's confidence. An article can have several
+ * categories; articles.category keeps the most confident one.
+ *
+ * Articles categorized before multi-label support get their single
+ * category copied over (confidence 1) the first time the table is used.
+ *
+ * An admin can confirm (or correct) an article's categories; confirmed
+ * articles are the training set of the category model (see
+ * scripts/trainCategorizer.js).
+ */
+
+import { query, withTransaction } from '../config/database.js';
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+// SQL condition matching articles assigned the category in parameter $n
+export const categoryFilter = (param) =>
+  `EXISTS (SELECT 1 FROM article_categories ac WHERE ac.article_id = articles.id AND ac.category = ${param})`;
+
+// SQL expression listing an article's categories as JSON, most confident first
+export const CATEGORIES_SELECT = `
+  COALESCE((
+    SELECT json_agg(json_build_object('category', ac.category, 'confidence', ac.confidence)
+                    ORDER BY ac.confidence DESC, ac.category ASC)
+    FROM article_categories ac
+    WHERE ac.article_id = articles.id
+  ), '[]'::json) AS categories`;
+
+/**
+ * Ensure article_categories table exists (articles must exist)
+ */
+export const ensureArticleCategoriesTable = async () => {
+  if (tableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS article_categories (
+      article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+      category VARCHAR(100) NOT NULL,
+      confidence REAL NOT NULL DEFAULT 1,
+      categorizer TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (article_id, category)
+    )
+  `);
+  await query('ALTER TABLE article_categories ADD COLUMN IF NOT EXISTS confirmed_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  await query('ALTER TABLE article_categories ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP');
+  await query('CREATE INDEX IF NOT EXISTS idx_article_categories_category ON article_categories(category)');
+
+  await query(`
+    INSERT INTO article_categories (article_id, category, confidence)
+    SELECT id, category, 1 FROM articles
+    WHERE category IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM article_categories ac WHERE ac.article_id = articles.id)
+  `);
+
+  tableInitialized = true;
+};
+
+/**
+ * Replace an article's categories, in a transaction so they are never
+ * seen (or left) half replaced
+ * categories: [{ category, confidence, categorizer? }], most confident
+ * first; categorizer defaults to the one given. client: a transaction's
+ * client (see withTransaction) to write with instead of a new one.
+ */
+export const setArticleCategories = async (articleId, categories, categorizer = null, client = null) => {
+  await ensureArticleCategoriesTable();
+
+  const replace = async (db) => {
+    await db.query('DELETE FROM article_categories WHERE article_id = $1', [articleId]);
+    for (const category of categories) {
+      await db.query(
+        `INSERT INTO article_categories (article_id, category, confidence, categorizer)
+         VALUES ($1, $2, $3, $4)`,
+        [articleId, category.category, category.confidence, category.categorizer || categorizer]
+      );
+    }
+  };
+
+  if (client) {
+    await replace(client);
+  } else {
+    await withTransaction(replace);
+  }
+};
+
+/**
+ * Confirm an article's categories (replacing the assigned ones)
+ * categories: category names, the main one first. Returns the article's
+ * categories, or null if the article does not exist.
+ */
+export const confirmArticleCategories = async (articleId, categories, userId) => {
+  await ensureArticleCategoriesTable();
+
+  return await withTransaction(async (client) => {
+    const updated = await client.query(
+      'UPDATE articles SET category = $2 WHERE id = $1 RETURNING id',
+      [articleId, categories[0]]
+    );
+    if (updated.rows.length === 0) return null;
+
+    await client.query('DELETE FROM article_categories WHERE article_id = $1', [articleId]);
+    for (const category of categories) {
+      await client.query(
+        `INSERT INTO article_categories (article_id, category, confidence, categorizer, confirmed_by, confirmed_at)
+         VALUES ($1, $2, 1, 'manual', $3, CURRENT_TIMESTAMP)`,
+        [articleId, category, userId]
+      );
+    }
+
+    return categories.map(category => ({ category, confidence: 1 }));
+  });
+};
+
+/**
+ * Articles whose categories were confirmed, for training
+ * Returns [{ id, title, content, categories: [names] }]
+ */
+export const getConfirmedArticles = async () => {
+  await ensureArticleCategoriesTable();
+
+  const result = await query(
+    `SELECT a.id, a.title, a.content_text,
+            array_agg(ac.category ORDER BY ac.category) AS categories
+     FROM articles a
+     JOIN article_categories ac ON ac.article_id = a.id
+     WHERE ac.confirmed_at IS NOT NULL
+     GROUP BY a.id
+     ORDER BY a.id ASC`
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    title: row.title,
+    content: row.content_text,
+    categories: row.categories
+  }));
+};
+
+/**
+ * Categories in use, with their article counts
+ */
+export const getCategoryCounts = async () => {
+  await ensureArticleCategoriesTable();
+
+  const result = await query(
+    `SELECT category, COUNT(*) AS count
+     FROM article_categories
+     GROUP BY category
+     ORDER BY category ASC`
+  );
+  return result.rows.map(row => ({ category: row.category, count: parseInt(row.count) }));
+};
+
+export default {
+  categoryFilter,
+  CATEGORIES_SELECT,
+  ensureArticleCategoriesTable,
+  setArticleCategories,
+  confirmArticleCategories,
+  getConfirmedArticles,
+  getCategoryCounts
+};
@@ -0,0 +1,262 @@
+/**
+ * Article Deduplication Service
+ *
+ * Recognizes articles that are already known, across sources:
+ * - URLs are compared in canonical form: without query string, fragment,
+ *   trailing slash or "www.", http and https alike. Two URLs with the same
+ *   canonical form are the same article and it is only stored once.
+ * - content_text is fingerprinted with a 64-bit SimHash over word
+ *   shingles. An article whose fingerprint is within
+ *   DEDUP_SIMHASH_DISTANCE bits (default 3) of an article published within
+ *   DEDUP_WINDOW_DAYS (default 7) of it is a near-duplicate (the same story
+ *   syndicated or reposted elsewhere).
+ *
+ * Near-duplicates are not inserted into articles again: they are recorded
+ * in article_variants, linked to the article seen first (the canonical one).
+ */
+
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+
+// Fingerprints differing in at most this many bits are near-duplicates
+export const SIMHASH_MAX_DISTANCE = parseInt(process.env.DEDUP_SIMHASH_DISTANCE) || 3;
+
+// Only articles published this close to each other are compared
+const DEDUP_WINDOW_DAYS = parseInt(process.env.DEDUP_WINDOW_DAYS) || 7;
+
+// Words per shingle, and the fewest words worth fingerprinting (short texts
+// share too many shingles by chance)
+const SHINGLE_SIZE = 3;
+const MIN_FINGERPRINT_WORDS = 40;
+
+// Track if schema has been initialized (avoid repeated DDL)
+let variantsTableInitialized = false;
+let schemaInitialized = false;
+
+/**
+ * Canonical form of an article URL
+ * Lowercases the host, drops "www.", the query string, the fragment and
+ * the trailing slash, and treats http as https. Unparseable URLs are
+ * returned trimmed.
+ */
+export const canonicalizeUrl = (url) => {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(String(url).trim());
+    const host = parsed.host.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    const protocol = parsed.protocol === 'http:' ? 'https:' : parsed.protocol;
+    return `${protocol}//${host}${pathname}`;
+  } catch {
+    return String(url).trim();
+  }
+};
+
+/**
+ * 64-bit SimHash of a text, as 16 hex digits
+ * Returns null when the text is too short to fingerprint reliably.
+ */
+export const computeSimhash = (text) => {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+  // Each bit position votes +1/-1 per shingle hash
+  const votes = new Array(64).fill(0);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const digest = crypto.createHash('md5').update(words.slice(i, i + SHINGLE_SIZE).join(' ')).digest();
+    const halves = [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+    for (let bit = 0; bit < 64; bit++) {
+      votes[bit] += (halves[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (votes[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  }
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+};
+
+/**
+ * Count the bits set in a 32-bit integer
+ */
+const popcount = (value) => {
+  let count = 0;
+  for (let v = value >>> 0; v; v &= v - 1) count++;
+  return count;
+};
+
+/**
+ * Number of differing bits between two SimHash fingerprints
+ */
+export const hammingDistance = (a, b) => {
+  return popcount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+    popcount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+};
+
+/**
+ * Convert an article_variants row to the API shape
+ */
+const toVariant = (row) => ({
+  id: row.id,
+  articleId: row.article_id,
+  title: row.title,
+  url: row.url,
+  source: row.source,
+  distance: row.distance,
+  createdAt: row.created_at
+});
+
+/**
+ * Ensure article_variants table exists (articles must exist)
+ */
+export const ensureVariantsTable = async () => {
+  if (variantsTableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS article_variants (
+      id SERIAL PRIMARY KEY,
+      article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+      title TEXT NOT NULL,
+      url TEXT UNIQUE NOT NULL,
+      source TEXT,
+      distance INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_article_variants_article ON article_variants(article_id)');
+
+  variantsTableInitialized = true;
+};
+
+/**
+ * Fill in canonical URLs and fingerprints of rows stored before dedup
+ */
+const backfillFingerprints = async () => {
+  const rawRows = await query('SELECT id, url FROM raw_articles WHERE canonical_url IS NULL');
+  for (const row of rawRows.rows) {
+    await query('UPDATE raw_articles SET canonical_url = $1 WHERE id = $2', [canonicalizeUrl(row.url), row.id]);
+  }
+
+  const articleRows = await query('SELECT id, url, content_text FROM articles WHERE canonical_url IS NULL');
+  for (const row of articleRows.rows) {
+    await query(
+      'UPDATE articles SET canonical_url = $1, simhash = $2 WHERE id = $3',
+      [canonicalizeUrl(row.url), computeSimhash(row.content_text), row.id]
+    );
+  }
+
+  if (rawRows.rows.length > 0 || articleRows.rows.length > 0) {
+    console.log(`✓ Fingerprinted ${rawRows.rows.length} raw and ${articleRows.rows.length} processed articles`);
+  }
+};
+
+/**
+ * Ensure the dedup columns, indexes and variants table exist
+ * raw_articles and articles must exist. Rows stored before dedup are
+ * fingerprinted once.
+ */
+export const ensureDedupSchema = async () => {
+  if (schemaInitialized) return;
+
+  await query('ALTER TABLE raw_articles ADD COLUMN IF NOT EXISTS canonical_url TEXT');
+  await query('ALTER TABLE articles ADD COLUMN IF NOT EXISTS canonical_url TEXT');
+  await query('ALTER TABLE articles ADD COLUMN IF NOT EXISTS simhash VARCHAR(16)');
+  await query('CREATE INDEX IF NOT EXISTS idx_raw_articles_canonical_url ON raw_articles(canonical_url)');
+  await query('CREATE INDEX IF NOT EXISTS idx_articles_canonical_url ON articles(canonical_url)');
+  await ensureVariantsTable();
+  await backfillFingerprints();
+
+  schemaInitialized = true;
+};
+
+/**
+ * Find the stored article a candidate duplicates
+ * candidate: { url, canonicalUrl, simhash, pubdate }
+ * Returns { article: { id, title, url }, match: 'url' | 'content',
+ * distance } or null. A URL match means the same article; a content
+ * match means a near-duplicate under another URL.
+ */
+export const findDuplicateArticle = async ({ url, canonicalUrl = canonicalizeUrl(url), simhash = null, pubdate = null }) => {
+  const byUrl = await query(
+    'SELECT id, title, url FROM articles WHERE url = $1 OR canonical_url = $2 LIMIT 1',
+    [url, canonicalUrl]
+  );
+  if (byUrl.rows.length > 0) {
+    return { article: byUrl.rows[0], match: 'url', distance: null };
+  }
+
+  if (!simhash) return null;
+
+  // Undated articles are compared with the articles stored recently
+  const center = pubdate ? new Date(pubdate) : new Date();
+  const windowMs = DEDUP_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const candidates = await query(
+    `SELECT id, title, url, simhash FROM articles
+     WHERE simhash IS NOT NULL
+       AND COALESCE(pubdate, created_at) BETWEEN $1 AND $2
+     ORDER BY id ASC`,
+    [new Date(center.getTime() - windowMs), new Date(center.getTime() + windowMs)]
+  );
+
+  let best = null;
+  for (const row of candidates.rows) {
+    const distance = hammingDistance(simhash, row.simhash);
+    if (distance <= SIMHASH_MAX_DISTANCE && (!best || distance < best.distance)) {
+      best = { article: { id: row.id, title: row.title, url: row.url }, match: 'content', distance };
+    }
+  }
+  return best;
+};
+
+/**
+ * Record an article as a variant of a canonical article
+ * Returns false if the URL was already recorded.
+ */
+export const addVariant = async (articleId, { title, url, source = null, distance = null }) => {
+  await ensureVariantsTable();
+
+  const result = await query(
+    `INSERT INTO article_variants (article_id, title, url, source, distance)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (url) DO NOTHING`,
+    [articleId, title, url, source, distance]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Variants of an article, oldest first
+ */
+export const getVariants = async (articleId) => {
+  await ensureVariantsTable();
+
+  const result = await query(
+    'SELECT * FROM article_variants WHERE article_id = $1 ORDER BY created_at ASC, id ASC',
+    [articleId]
+  );
+  return result.rows.map(toVariant);
+};
+
+/**
+ * Article a variant URL was linked to (null if none)
+ */
+export const getArticleIdByVariantUrl = async (url) => {
+  await ensureVariantsTable();
+
+  const result = await query('SELECT article_id FROM article_variants WHERE url = $1', [url]);
+  return result.rows.length > 0 ? result.rows[0].article_id : null;
+};
+
+export default {
+  canonicalizeUrl,
+  computeSimhash,
+  hammingDistance,
+  ensureVariantsTable,
+  ensureDedupSchema,
+  findDuplicateArticle,
+  addVariant,
+  getVariants,
+  getArticleIdByVariantUrl
+};
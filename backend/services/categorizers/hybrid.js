@@ -0,0 +1,49 @@
+/**
+ * Hybrid Categorizer
+ *
+ * Categorizes with the keyword rules, and asks the trained model (see
+ * model.js) when the rules are uncertain: they assign no category, or
+ * their most confident category is below CATEGORY_UNCERTAIN_CONFIDENCE
+ * (default 0.6). The model's categories are used when it assigns any;
+ * otherwise the rules' stand. Without a model file this is the rules
+ * categorizer.
+ */
+
+import rules from './rules.js';
+import { loadModelClassifier, getModelPath } from './model.js';
+
+const UNCERTAIN_CONFIDENCE = parseFloat(process.env.CATEGORY_UNCERTAIN_CONFIDENCE) || 0.6;
+
+/**
+ * Tag categories with the categorizer that assigned them
+ */
+const tag = (categories, categorizer) => categories.map(category => ({ ...category, categorizer }));
+
+/**
+ * Whether rule-based categories are too uncertain to keep without asking the model
+ */
+export const isUncertain = (categories) => {
+  return categories.length === 0 || categories[0].confidence < UNCERTAIN_CONFIDENCE;
+};
+
+export default {
+  id: 'hybrid',
+  name: 'Keyword rules, with the trained model when the rules are uncertain',
+
+  load: async () => {
+    const classifyWithRules = await rules.load();
+    const classifyWithModel = await loadModelClassifier();
+    if (!classifyWithModel) {
+      console.log(`  ⚠ No category model at ${getModelPath()}, using the rules only`);
+      return (article) => tag(classifyWithRules(article), rules.id);
+    }
+
+    return (article) => {
+      const fromRules = tag(classifyWithRules(article), rules.id);
+      if (!isUncertain(fromRules)) return fromRules;
+
+      const fromModel = classifyWithModel(article);
+      return fromModel.length > 0 ? tag(fromModel, 'model') : fromRules;
+    };
+  }
+};
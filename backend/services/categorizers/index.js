@@ -0,0 +1,72 @@
+/**
+ * Categorizer Registry
+ *
+ * Article processing assigns categories with the categorizer named by
+ * CATEGORIZER (default "rules"). Each categorizer module declares:
+ * - id: categorizer identifier
+ * - name: human readable description
+ * - load(): resolves to classify({ title, content }), which returns the
+ *   categories assigned to an article, most confident first:
+ *   [{ category, confidence (0-1), categorizer?, ... }] (empty: no
+ *   category fits); categorizer names another categorizer that made the
+ *   call, as hybrid does
+ *
+ * load() is called once per processing run, so a categorizer can read
+ * its rules from the database or its model from disk there.
+ */
+
+import rules from './rules.js';
+import model from './model.js';
+import hybrid from './hybrid.js';
+
+const DEFAULT_CATEGORIZER = 'rules';
+
+const categorizers = new Map();
+
+/**
+ * Register a categorizer
+ */
+export function registerCategorizer(categorizer) {
+  if (!categorizer.id || typeof categorizer.load !== 'function') {
+    throw new Error('Categorizer must declare an id and a load function');
+  }
+  categorizers.set(categorizer.id, categorizer);
+}
+
+/**
+ * Get a categorizer by id (undefined if not registered)
+ */
+export function getCategorizer(id) {
+  return categorizers.get(id);
+}
+
+/**
+ * List all registered categorizers
+ */
+export function listCategorizers() {
+  return Array.from(categorizers.values());
+}
+
+/**
+ * The categorizer article processing uses
+ * Throws if CATEGORIZER names an unknown categorizer.
+ */
+export function getActiveCategorizer() {
+  const id = process.env.CATEGORIZER || DEFAULT_CATEGORIZER;
+  const categorizer = getCategorizer(id);
+  if (!categorizer) {
+    throw new Error(`Unknown categorizer: ${id}`);
+  }
+  return categorizer;
+}
+
+registerCategorizer(rules);
+registerCategorizer(model);
+registerCategorizer(hybrid);
+
+export default {
+  registerCategorizer,
+  getCategorizer,
+  listCategorizers,
+  getActiveCategorizer
+};
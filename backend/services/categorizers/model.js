@@ -0,0 +1,79 @@
+/**
+ * Model Categorizer
+ *
+ * Categorizes articles with the TF-IDF classifier trained from confirmed
+ * article categories (see textModel.js). The model is read from
+ * CATEGORY_MODEL_PATH (default models/category-model.json, relative to
+ * the backend directory) and written there by scripts/trainCategorizer.js.
+ *
+ * Every category whose probability reaches CATEGORY_MODEL_MIN_CONFIDENCE
+ * (default 0.5) is assigned.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { createPredictor } from './textModel.js';
+
+const DEFAULT_MODEL_PATH = 'models/category-model.json';
+
+// Relative model paths resolve here, not against the working directory:
+// the server and the scripts (started from scripts/) share the same file
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export const MODEL_MIN_CONFIDENCE = parseFloat(process.env.CATEGORY_MODEL_MIN_CONFIDENCE) || 0.5;
+
+/**
+ * Absolute path of the model file
+ */
+export const getModelPath = () => path.resolve(BACKEND_DIR, process.env.CATEGORY_MODEL_PATH || DEFAULT_MODEL_PATH);
+
+/**
+ * Read the model file (null if there is none yet)
+ */
+export const readModel = async () => {
+  try {
+    return JSON.parse(await readFile(getModelPath(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Write the model file; resolves to its path
+ */
+export const writeModel = async (model) => {
+  const file = getModelPath();
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(model));
+  return file;
+};
+
+/**
+ * Load the model; resolves to classify({ title, content }), or null when
+ * no model has been trained yet
+ */
+export const loadModelClassifier = async () => {
+  const model = await readModel();
+  if (!model) return null;
+
+  const predict = createPredictor(model);
+  return (article) => predict(article).filter(prediction => prediction.confidence >= MODEL_MIN_CONFIDENCE);
+};
+
+export default {
+  id: 'model',
+  name: 'TF-IDF classifier trained from confirmed categories (scripts/trainCategorizer.js)',
+
+  /**
+   * Load the model file; throws if no model has been trained
+   */
+  load: async () => {
+    const classify = await loadModelClassifier();
+    if (!classify) {
+      throw new Error(`No category model at ${getModelPath()}; train one with node scripts/trainCategorizer.js`);
+    }
+    return classify;
+  }
+};
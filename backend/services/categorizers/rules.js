@@ -0,0 +1,101 @@
+/**
+ * Rule-based Categorizer
+ *
+ * Scores an article against the weighted keyword rules of the
+ * category_rules table. Each match adds the rule's weight to its
+ * category; title matches count TITLE_WEIGHT times, and a rule counts at
+ * most MAX_MATCHES_PER_RULE matches in the content, so one term repeated
+ * all over an article cannot outweigh the rest.
+ *
+ * Every category scoring at least CATEGORY_MIN_SCORE (default 2) is
+ * assigned, with its share of the article's total score as confidence,
+ * unless that share is below CATEGORY_MIN_CONFIDENCE (default 0.25).
+ */
+
+import { getRules } from '../categoryRuleService.js';
+
+const TITLE_WEIGHT = 3;
+const MAX_MATCHES_PER_RULE = 5;
+
+export const MIN_SCORE = parseFloat(process.env.CATEGORY_MIN_SCORE) || 2;
+export const MIN_CONFIDENCE = parseFloat(process.env.CATEGORY_MIN_CONFIDENCE) || 0.25;
+
+/**
+ * Compile a rule to a global, case-insensitive RegExp
+ * Keywords match whole words; their spaces match any whitespace.
+ */
+export const compileRule = (rule) => {
+  if (rule.isRegex) {
+    return new RegExp(rule.pattern, 'giu');
+  }
+  const body = rule.pattern
+    .trim()
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+/**
+ * Count the matches of a compiled rule in a text
+ */
+const countMatches = (regex, text) => {
+  if (!text) return 0;
+  regex.lastIndex = 0;
+  return (text.match(regex) || []).length;
+};
+
+/**
+ * Score an article against compiled rules
+ * Returns { category: score } for every category with a match
+ */
+export const scoreArticle = (compiledRules, { title, content }) => {
+  const scores = {};
+  for (const { rule, regex } of compiledRules) {
+    const matches = countMatches(regex, title) * TITLE_WEIGHT +
+      Math.min(countMatches(regex, content), MAX_MATCHES_PER_RULE);
+    if (matches > 0) {
+      scores[rule.category] = (scores[rule.category] || 0) + matches * rule.weight;
+    }
+  }
+  return scores;
+};
+
+/**
+ * Turn category scores into assigned categories, most confident first
+ */
+export const assignCategories = (scores) => {
+  const positive = Object.entries(scores).filter(([, score]) => score > 0);
+  const total = positive.reduce((sum, [, score]) => sum + score, 0);
+
+  return positive
+    .map(([category, score]) => ({
+      category,
+      confidence: Math.round((score / total) * 100) / 100,
+      score: Math.round(score * 100) / 100
+    }))
+    .filter(({ score, confidence }) => score >= MIN_SCORE && confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence || a.category.localeCompare(b.category));
+};
+
+export default {
+  id: 'rules',
+  name: 'Weighted keyword rules (category_rules table)',
+
+  /**
+   * Load the enabled rules; resolves to classify({ title, content })
+   * Rules whose regular expression does not compile are skipped.
+   */
+  load: async () => {
+    const compiledRules = [];
+    for (const rule of await getRules({ enabledOnly: true })) {
+      try {
+        compiledRules.push({ rule, regex: compileRule(rule) });
+      } catch (error) {
+        console.log(`  ⚠ Skipping category rule #${rule.id}: ${error.message}`);
+      }
+    }
+
+    return (article) => assignCategories(scoreArticle(compiledRules, article));
+  }
+};
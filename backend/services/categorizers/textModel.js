@@ -0,0 +1,286 @@
+/**
+ * TF-IDF Text Classifier
+ *
+ * A small multi-label text classifier in plain JavaScript (CPU only, no
+ * external service): articles are turned into TF-IDF vectors and one
+ * logistic regression per category (one-vs-rest) gives the probability
+ * that the category applies. Categories are independent, so an article
+ * can get several.
+ *
+ * Training examples are { id, title, content, categories: [names] }.
+ * Models are plain JSON, written to disk by scripts/trainCategorizer.js
+ * and loaded by the "model" and "hybrid" categorizers.
+ */
+
+export const MODEL_VERSION = 1;
+
+// A term must appear in this many training articles to be in the vocabulary
+const MIN_DOCUMENT_FREQUENCY = 2;
+const MAX_VOCABULARY = 20000;
+
+// Title words count this many times (titles are short and on topic)
+const TITLE_REPEAT = 2;
+
+// Stochastic gradient descent settings
+const EPOCHS = 60;
+const LEARNING_RATE = 0.5;
+const L2_PENALTY = 1e-4;
+
+// Every HOLDOUT_EVERY-th article (by id) is kept out of training for evaluation
+const HOLDOUT_EVERY = 5;
+
+const STOP_WORDS = new Set(`
+  a about after all also an and any are as at be been but by can could do does for from
+  has have how if in into is it its more new not of on or our out over so some than that
+  the their them then there these they this to up use used using was we were what when
+  which while who will with you your
+`.trim().split(/\s+/));
+
+/**
+ * Split a text into lowercase terms (stop words and numbers dropped)
+ */
+export const tokenize = (text) => {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+};
+
+/**
+ * Terms of an article, title words repeated
+ */
+const articleTerms = ({ title, content }) => {
+  const titleTerms = tokenize(title);
+  return [...Array(TITLE_REPEAT).fill(titleTerms).flat(), ...tokenize(content)];
+};
+
+/**
+ * Count the occurrences of each term
+ */
+const countTerms = (terms) => {
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Build the vocabulary and inverse document frequencies of a corpus
+ * Returns { vocabulary: [terms], idf: [weights] }
+ */
+const buildVocabulary = (termCounts) => {
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const vocabulary = Array.from(documentFrequency.entries())
+    .filter(([, df]) => df >= MIN_DOCUMENT_FREQUENCY)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_VOCABULARY)
+    .map(([term]) => term);
+
+  const total = termCounts.length;
+  const idf = vocabulary.map(term => Math.log((total + 1) / (documentFrequency.get(term) + 1)) + 1);
+  return { vocabulary, idf };
+};
+
+/**
+ * L2-normalized TF-IDF vector of term counts, as sparse [index, value] pairs
+ */
+const vectorize = (counts, termIndex, idf) => {
+  const vector = [];
+  for (const [term, count] of counts) {
+    const index = termIndex.get(term);
+    if (index !== undefined) {
+      vector.push([index, (1 + Math.log(count)) * idf[index]]);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, [, value]) => sum + value * value, 0));
+  return norm > 0 ? vector.map(([index, value]) => [index, value / norm]) : vector;
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Deterministic shuffle (same model for the same training set)
+ */
+const shuffled = (items, seed) => {
+  const result = [...items];
+  let state = seed;
+  for (let i = result.length - 1; i > 0; i--) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const j = state % (i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Train one logistic regression per category
+ * Positive and negative examples are weighted so that rare categories
+ * are not drowned out by the others.
+ */
+const trainCategory = (vectors, labels, size) => {
+  const weights = new Float64Array(size);
+  let bias = 0;
+
+  const positives = labels.filter(Boolean).length;
+  const negatives = labels.length - positives;
+  const positiveWeight = labels.length / (2 * Math.max(positives, 1));
+  const negativeWeight = labels.length / (2 * Math.max(negatives, 1));
+
+  const order = vectors.map((vector, i) => i);
+  for (let epoch = 0; epoch < EPOCHS; epoch++) {
+    const rate = LEARNING_RATE / (1 + epoch * 0.1);
+
+    for (const i of shuffled(order, epoch + 1)) {
+      const vector = vectors[i];
+      let z = bias;
+      for (const [index, value] of vector) z += weights[index] * value;
+
+      const gradient = (sigmoid(z) - (labels[i] ? 1 : 0)) * (labels[i] ? positiveWeight : negativeWeight);
+      for (const [index, value] of vector) {
+        weights[index] -= rate * (gradient * value + L2_PENALTY * weights[index]);
+      }
+      bias -= rate * gradient;
+    }
+  }
+
+  // Stored sparsely: most terms say nothing about a category
+  const terms = {};
+  weights.forEach((weight, index) => {
+    if (Math.abs(weight) >= 1e-4) terms[index] = Math.round(weight * 1e6) / 1e6;
+  });
+  return { bias: Math.round(bias * 1e6) / 1e6, terms };
+};
+
+/**
+ * Train a model from labelled articles
+ * Categories with fewer than minExamples articles are left out.
+ * Returns the model (plain JSON-serializable object).
+ */
+export const trainModel = (examples, { minExamples = 2 } = {}) => {
+  const categoryCounts = {};
+  for (const example of examples) {
+    for (const category of example.categories) {
+      categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+    }
+  }
+  const categories = Object.keys(categoryCounts)
+    .filter(category => categoryCounts[category] >= minExamples)
+    .sort();
+
+  const termCounts = examples.map(example => countTerms(articleTerms(example)));
+  const { vocabulary, idf } = buildVocabulary(termCounts);
+  const termIndex = new Map(vocabulary.map((term, index) => [term, index]));
+  const vectors = termCounts.map(counts => vectorize(counts, termIndex, idf));
+
+  const weights = {};
+  for (const category of categories) {
+    const labels = examples.map(example => example.categories.includes(category));
+    weights[category] = trainCategory(vectors, labels, vocabulary.length);
+  }
+
+  return {
+    version: MODEL_VERSION,
+    type: 'tfidf-logistic-regression',
+    trainedAt: new Date().toISOString(),
+    trainingArticles: examples.length,
+    categories,
+    examplesPerCategory: Object.fromEntries(categories.map(category => [category, categoryCounts[category]])),
+    vocabulary,
+    idf: idf.map(value => Math.round(value * 1e6) / 1e6),
+    weights
+  };
+};
+
+/**
+ * Prepare a model for prediction
+ * Returns predict({ title, content }), which lists every category of the
+ * model with its probability: [{ category, confidence }], most probable first.
+ */
+export const createPredictor = (model) => {
+  if (model.version !== MODEL_VERSION) {
+    throw new Error(`Unsupported category model version ${model.version}`);
+  }
+  const termIndex = new Map(model.vocabulary.map((term, index) => [term, index]));
+
+  return (article) => {
+    const vector = vectorize(countTerms(articleTerms(article)), termIndex, model.idf);
+
+    return model.categories
+      .map(category => {
+        const { bias, terms } = model.weights[category];
+        let z = bias;
+        for (const [index, value] of vector) z += (terms[index] || 0) * value;
+        return { category, confidence: Math.round(sigmoid(z) * 100) / 100 };
+      })
+      .sort((a, b) => b.confidence - a.confidence || a.category.localeCompare(b.category));
+  };
+};
+
+/**
+ * Split labelled articles into training and evaluation sets
+ */
+export const splitHoldout = (examples) => ({
+  train: examples.filter(example => example.id % HOLDOUT_EVERY !== 0),
+  test: examples.filter(example => example.id % HOLDOUT_EVERY === 0)
+});
+
+/**
+ * Precision, recall and F1 per category on labelled articles
+ * A category is predicted when its probability reaches minConfidence.
+ * Returns { articles, categories: { name: { precision, recall, f1,
+ * support } }, micro: { precision, recall, f1 } }
+ */
+export const evaluateModel = (model, examples, { minConfidence = 0.5 } = {}) => {
+  const predict = createPredictor(model);
+  const counts = Object.fromEntries(model.categories.map(category => [category, { tp: 0, fp: 0, fn: 0 }]));
+
+  for (const example of examples) {
+    const predicted = new Set(predict(example)
+      .filter(prediction => prediction.confidence >= minConfidence)
+      .map(prediction => prediction.category));
+
+    for (const category of model.categories) {
+      const actual = example.categories.includes(category);
+      if (predicted.has(category) && actual) counts[category].tp++;
+      else if (predicted.has(category)) counts[category].fp++;
+      else if (actual) counts[category].fn++;
+    }
+  }
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const score = ({ tp, fp, fn }) => {
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { precision: round(precision), recall: round(recall), f1: round(f1) };
+  };
+
+  const total = Object.values(counts).reduce(
+    (sum, count) => ({ tp: sum.tp + count.tp, fp: sum.fp + count.fp, fn: sum.fn + count.fn }),
+    { tp: 0, fp: 0, fn: 0 }
+  );
+
+  return {
+    articles: examples.length,
+    categories: Object.fromEntries(Object.entries(counts).map(([category, count]) => [
+      category,
+      { ...score(count), support: count.tp + count.fn }
+    ])),
+    micro: score(total)
+  };
+};
+
+export default {
+  MODEL_VERSION,
+  tokenize,
+  trainModel,
+  createPredictor,
+  splitHoldout,
+  evaluateModel
+};
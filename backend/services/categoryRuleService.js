@@ -0,0 +1,183 @@
+/**
+ * Category Rule Service
+ *
+ * Manages the category_rules table: the weighted keyword rules the
+ * "rules" categorizer scores articles with (see categorizers/rules.js).
+ * A rule adds its weight to its category for each match of its keyword
+ * (or regular expression) in an article; negative weights count against
+ * the category. Rules can be added, tuned or disabled at runtime.
+ *
+ * The default rules are seeded when the table is created.
+ */
+
+import { query } from '../config/database.js';
+
+// Seeded rules: product names are strong signals, generic terms weak ones
+const DEFAULT_RULES = [
+  ...['redis', 'riak', 'memcached', 'dynamodb', 'aerospike', 'valkey', 'etcd', 'hazelcast', 'infinispan']
+    .map(pattern => ({ category: 'Key-Value', pattern, weight: 3 })),
+  { category: 'Key-Value', pattern: 'key[\\s-]?value', isRegex: true, weight: 2 },
+
+  ...['cassandra', 'clickhouse', 'hbase', 'scylladb', 'bigtable', 'druid', 'influxdb']
+    .map(pattern => ({ category: 'Columnar', pattern, weight: 3 })),
+  { category: 'Columnar', pattern: 'columnar', weight: 2 },
+  { category: 'Columnar', pattern: 'wide column', weight: 2 },
+  { category: 'Columnar', pattern: 'column[\\s-](store|oriented|family)', isRegex: true, weight: 2 },
+  { category: 'Columnar', pattern: 'time[\\s-]?series', isRegex: true, weight: 1 },
+
+  ...['neo4j', 'tigergraph', 'orientdb', 'arangodb', 'dgraph', 'janusgraph']
+    .map(pattern => ({ category: 'Graph', pattern, weight: 3 })),
+  { category: 'Graph', pattern: 'graph database', weight: 3 },
+  { category: 'Graph', pattern: 'graph db', weight: 3 },
+  { category: 'Graph', pattern: 'neptune', weight: 2 },
+
+  ...['mongodb', 'couchdb', 'couchbase', 'documentdb', 'firestore', 'ravendb', 'marklogic']
+    .map(pattern => ({ category: 'Document', pattern, weight: 3 })),
+  { category: 'Document', pattern: 'document database', weight: 3 },
+  { category: 'Document', pattern: 'jnosql', weight: 2 },
+  { category: 'Document', pattern: 'nosql', weight: 1 },
+
+  ...['cockroachdb', 'tidb', 'yugabytedb', 'newsql', 'vitess', 'spanner', 'planetscale', 'singlestore']
+    .map(pattern => ({ category: 'Distributed SQL', pattern, weight: 3 })),
+  { category: 'Distributed SQL', pattern: 'distributed sql', weight: 3 },
+  { category: 'Distributed SQL', pattern: 'postgres(ql)?[\\s-]compatible', isRegex: true, weight: 2 },
+  { category: 'Distributed SQL', pattern: 'distributed transactions?', isRegex: true, weight: 1 },
+  { category: 'Distributed SQL', pattern: 'database cluster', weight: 1 },
+  { category: 'Distributed SQL', pattern: 'neon', weight: 1 }
+];
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Convert a category_rules row to the API shape
+ */
+const toRule = (row) => ({
+  id: row.id,
+  category: row.category,
+  pattern: row.pattern,
+  isRegex: row.is_regex,
+  weight: parseFloat(row.weight),
+  enabled: row.enabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Ensure category_rules table exists, seeding the default rules when it
+ * is first created
+ */
+export const ensureCategoryRulesTable = async () => {
+  if (tableInitialized) return;
+
+  // Seed only a new table: an admin may delete every rule on purpose
+  const existing = await query(`SELECT to_regclass('category_rules') AS name`);
+  const created = existing.rows[0].name === null;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS category_rules (
+      id SERIAL PRIMARY KEY,
+      category VARCHAR(100) NOT NULL,
+      pattern TEXT NOT NULL,
+      is_regex BOOLEAN DEFAULT FALSE,
+      weight NUMERIC(6, 2) NOT NULL DEFAULT 1,
+      enabled BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (category, pattern)
+    )
+  `);
+
+  if (created) {
+    for (const rule of DEFAULT_RULES) {
+      await query(
+        `INSERT INTO category_rules (category, pattern, is_regex, weight)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (category, pattern) DO NOTHING`,
+        [rule.category, rule.pattern, rule.isRegex === true, rule.weight]
+      );
+    }
+    console.log(`✓ Seeded ${DEFAULT_RULES.length} category rules`);
+  }
+
+  tableInitialized = true;
+};
+
+/**
+ * Get all rules, or only the enabled ones
+ */
+export const getRules = async ({ enabledOnly = false } = {}) => {
+  await ensureCategoryRulesTable();
+
+  const result = await query(
+    `SELECT * FROM category_rules
+     ${enabledOnly ? 'WHERE enabled = TRUE' : ''}
+     ORDER BY category ASC, weight DESC, id ASC`
+  );
+  return result.rows.map(toRule);
+};
+
+/**
+ * Get a rule by id (null if not found)
+ */
+export const getRuleById = async (id) => {
+  await ensureCategoryRulesTable();
+
+  const result = await query('SELECT * FROM category_rules WHERE id = $1', [id]);
+  return result.rows.length > 0 ? toRule(result.rows[0]) : null;
+};
+
+/**
+ * Add a rule
+ */
+export const addRule = async ({ category, pattern, isRegex = false, weight = 1, enabled = true }) => {
+  await ensureCategoryRulesTable();
+
+  const result = await query(
+    `INSERT INTO category_rules (category, pattern, is_regex, weight, enabled)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [category, pattern, isRegex, weight, enabled]
+  );
+  return toRule(result.rows[0]);
+};
+
+/**
+ * Update a rule (partial; null if not found)
+ */
+export const updateRule = async (id, { category, pattern, isRegex, weight, enabled }) => {
+  await ensureCategoryRulesTable();
+
+  const result = await query(
+    `UPDATE category_rules
+     SET category = COALESCE($2, category),
+         pattern = COALESCE($3, pattern),
+         is_regex = COALESCE($4, is_regex),
+         weight = COALESCE($5, weight),
+         enabled = COALESCE($6, enabled),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, category ?? null, pattern ?? null, isRegex ?? null, weight ?? null, enabled ?? null]
+  );
+  return result.rows.length > 0 ? toRule(result.rows[0]) : null;
+};
+
+/**
+ * Delete a rule. Returns false if not found.
+ */
+export const deleteRule = async (id) => {
+  await ensureCategoryRulesTable();
+
+  const result = await query('DELETE FROM category_rules WHERE id = $1', [id]);
+  return result.rowCount > 0;
+};
+
+export default {
+  ensureCategoryRulesTable,
+  getRules,
+  getRuleById,
+  addRule,
+  updateRule,
+  deleteRule
+};
@@ -4,15 +4,31 @@
  * Post-scraping processing for raw articles:
  * 1. Validates that content is actual article paragraphs (not ads/menus)
  * 2. Cleans and filters content
- * 3. Assigns categories based on content analysis
- * 4. Moves valid articles to the final articles table
+ * 3. Assigns categories with the active categorizer (see categorizers/);
+ *    an article can have several, each with a confidence score
+ * 4. Links near-duplicates of stored articles as variants (see
+ *    articleDedupService.js) and moves the other valid articles to the
+ *    final articles table
+ *
+ * Rejected articles stay in raw_articles with a reason code and wait in
+ * the review queue (see reviewQueueService.js).
  */
 
-import { query } from '../config/database.js';
+import { query, withTransaction } from '../config/database.js';
+import { canonicalizeUrl, computeSimhash, ensureDedupSchema, findDuplicateArticle, addVariant } from './articleDedupService.js';
+import { ensureArticleCategoriesTable, setArticleCategories } from './articleCategoryService.js';
+import { getActiveCategorizer } from './categorizers/index.js';
 
-// Allowed categories for articles
+// Categories assigned by the default category rules
 const ALLOWED_CATEGORIES = ['Key-Value', 'Columnar', 'Graph', 'Document', 'Distributed SQL'];
 
+// Why an article was rejected (raw_articles.rejection_reason)
+export const REJECTION_REASONS = {
+  NO_CONTENT: 'no_content',
+  NO_CATEGORY: 'no_category',
+  INSERT_FAILED: 'insert_failed'
+};
+
 // Patterns to filter out non-article content
 const NOISE_PATTERNS = [
   /subscribe\s+to\s+newsletter/i,
@@ -39,40 +55,8 @@ const NOISE_PATTERNS = [
 const MIN_CONTENT_LENGTH = 100;
 const MIN_PARAGRAPH_LENGTH = 30;
 
-/**
- * Determine the category based on title and content
- * Returns null if article doesn't match any allowed category
- */
-function determineCategory(title, content) {
-  const text = (title + ' ' + (content || '')).toLowerCase();
-  
-  // Key-Value stores
-  if (text.match(/redis|riak|memcached|key-?value|dynamodb|aerospike|valkey|etcd|hazelcast|infinispan/i)) {
-    return 'Key-Value';
-  }
-  
-  // Columnar stores
-  if (text.match(/cassandra|clickhouse|hbase|columnar|column|wide column|scylladb|bigtable|druid|timeseries|time series|influxdb/i)) {
-    return 'Columnar';
-  }
-  
-  // Graph databases
-  if (text.match(/neo4j|tigergraph|graph database|graph db|orientdb|arangodb|titan|dgraph|neptune|janusgraph/i)) {
-    return 'Graph';
-  }
-  
-  // Document stores
-  if (text.match(/mongodb|couchdb|couchbase|document database|documentdb|firestore|ravendb|marklogic|nosql|jnosql|eclipse jnosql/i)) {
-    return 'Document';
-  }
-  
-  // Distributed SQL / NewSQL
-  if (text.match(/cockroachdb|tidb|yugabytedb|distributed sql|distributed transaction|newsql|vitess|spanner|planetscale|neon|singlestore|postgresql|postgres|database cluster/i)) {
-    return 'Distributed SQL';
-  }
-  
-  return null;
-}
+// Track if the rejection columns have been added (avoid repeated DDL)
+let rejectionColumnsInitialized = false;
 
 /**
  * Check if a paragraph is valid article content
@@ -101,7 +85,7 @@ function isValidParagraph(text) {
  * Clean and validate article content
  * Returns cleaned content or null if invalid
  */
-function cleanContent(rawContent) {
+export function cleanContent(rawContent) {
   if (!rawContent || typeof rawContent !== 'string') return null;
   
   // Split into paragraphs
@@ -126,7 +110,7 @@ function cleanContent(rawContent) {
 /**
  * Ensure articles table exists
  */
-async function ensureArticlesTable() {
+export async function ensureArticlesTable() {
   const createTableQuery = `
     CREATE TABLE IF NOT EXISTS articles (
       id SERIAL PRIMARY KEY,
@@ -138,12 +122,91 @@ async function ensureArticlesTable() {
       tags TEXT[],
       category VARCHAR(100),
       source TEXT,
+      canonical_url TEXT,
+      simhash VARCHAR(16),
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
   `;
   await query(createTableQuery);
 }
 
+/**
+ * Ensure raw_articles has the rejection and review columns (raw_articles,
+ * articles and users must exist)
+ */
+export async function ensureRejectionColumns() {
+  if (rejectionColumnsInitialized) return;
+
+  await query('ALTER TABLE raw_articles ADD COLUMN IF NOT EXISTS rejection_reason VARCHAR(20)');
+  await query('ALTER TABLE raw_articles ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP');
+  await query('ALTER TABLE raw_articles ADD COLUMN IF NOT EXISTS review_status VARCHAR(20)');
+  await query('ALTER TABLE raw_articles ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  await query('ALTER TABLE raw_articles ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP');
+  await query('ALTER TABLE raw_articles ADD COLUMN IF NOT EXISTS article_id INTEGER REFERENCES articles(id) ON DELETE SET NULL');
+  await query('CREATE INDEX IF NOT EXISTS idx_raw_articles_review_status ON raw_articles(review_status)');
+  rejectionColumnsInitialized = true;
+}
+
+/**
+ * Mark a raw article processed and rejected, pending review
+ */
+async function rejectRawArticle(id, reason) {
+  await query(
+    `UPDATE raw_articles
+     SET processed = TRUE, rejection_reason = $2, rejected_at = CURRENT_TIMESTAMP, review_status = 'pending'
+     WHERE id = $1`,
+    [id, reason]
+  );
+}
+
+/**
+ * Insert a raw article into the final articles table
+ * fields: { content, category, canonicalUrl, simhash }. client: a
+ * transaction's client to insert with. Returns the new article's id;
+ * throws on a duplicate URL (code 23505).
+ */
+export async function insertArticle(article, { content, category, canonicalUrl, simhash }, client = null) {
+  const result = await (client || { query }).query(
+    `INSERT INTO articles (title, url, author, pubdate, content_text, tags, category, source, canonical_url, simhash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      article.title,
+      article.url,
+      article.author,
+      article.pubdate,
+      content,
+      article.tags,
+      category,
+      article.source,
+      canonicalUrl,
+      simhash
+    ]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Clean and categorize an article's raw content
+ * classify: the active categorizer's classify function. Returns
+ * { content, categories }, or { rejection, content? } with a
+ * REJECTION_REASONS code.
+ */
+export async function evaluateArticle(classify, { title, content_text }) {
+  const cleanedContent = cleanContent(content_text);
+  if (!cleanedContent && !title) {
+    return { rejection: REJECTION_REASONS.NO_CONTENT };
+  }
+  
+  const content = cleanedContent || content_text;
+  const categories = await classify({ title, content });
+  if (categories.length === 0) {
+    return { rejection: REJECTION_REASONS.NO_CATEGORY, content };
+  }
+  
+  return { content, categories };
+}
+
 /**
  * Process all unprocessed raw articles
  */
@@ -154,6 +217,9 @@ export async function processRawArticles() {
   console.log(`\nStarting at: ${new Date().toISOString()}`);
   
   await ensureArticlesTable();
+  await ensureDedupSchema();
+  await ensureArticleCategoriesTable();
+  await ensureRejectionColumns();
   
   // Get unprocessed raw articles
   const result = await query(
@@ -165,77 +231,100 @@ export async function processRawArticles() {
   
   if (rawArticles.length === 0) {
     console.log('✓ No articles to process');
-    return { processed: 0, inserted: 0, rejected: 0 };
+    return { processed: 0, inserted: 0, rejected: 0, skipped: 0, variants: 0 };
   }
   
+  const categorizer = getActiveCategorizer();
+  const classify = await categorizer.load();
+  
   let inserted = 0;
   let rejected = 0;
   let skipped = 0;
+  let variants = 0;
   
   for (const article of rawArticles) {
     console.log(`\nProcessing: ${article.title.substring(0, 50)}...`);
     
-    // Step 1: Clean and validate content
-    const cleanedContent = cleanContent(article.content_text);
+    // Steps 1-2: Clean and validate content, then determine categories
+    // (the most confident one is the article's category)
+    const evaluation = await evaluateArticle(classify, article);
     
-    if (!cleanedContent && !article.title) {
+    if (evaluation.rejection === REJECTION_REASONS.NO_CONTENT) {
       console.log('  ✗ Rejected: No valid content');
       rejected++;
-      await query('UPDATE raw_articles SET processed = TRUE WHERE id = $1', [article.id]);
+      await rejectRawArticle(article.id, REJECTION_REASONS.NO_CONTENT);
       continue;
     }
     
-    // Step 2: Determine category
-    const category = determineCategory(article.title, cleanedContent || article.content_text);
-    
-    if (!category) {
+    if (evaluation.rejection === REJECTION_REASONS.NO_CATEGORY) {
       console.log('  ✗ Rejected: No matching category');
       rejected++;
-      await query('UPDATE raw_articles SET processed = TRUE WHERE id = $1', [article.id]);
+      await rejectRawArticle(article.id, REJECTION_REASONS.NO_CATEGORY);
       continue;
     }
     
-    // Step 3: Check if already exists in articles table
-    const exists = await query('SELECT id FROM articles WHERE url = $1', [article.url]);
-    if (exists.rows.length > 0) {
+    const { content, categories } = evaluation;
+    const category = categories[0].category;
+    
+    // Step 3: Check if already stored (same canonical URL), or a
+    // near-duplicate of a stored article (similar content)
+    const canonicalUrl = article.canonical_url || canonicalizeUrl(article.url);
+    const simhash = computeSimhash(content);
+    const duplicate = await findDuplicateArticle({
+      url: article.url,
+      canonicalUrl,
+      simhash,
+      pubdate: article.pubdate
+    });
+    
+    if (duplicate && duplicate.match === 'url') {
       console.log('  ⏭ Skipped: Already exists');
       skipped++;
       await query('UPDATE raw_articles SET processed = TRUE WHERE id = $1', [article.id]);
       continue;
     }
     
-    // Step 4: Insert into final articles table
+    if (duplicate) {
+      await addVariant(duplicate.article.id, {
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        distance: duplicate.distance
+      });
+      console.log(`  ↪ Variant of #${duplicate.article.id} (${duplicate.distance} bits apart): ${duplicate.article.title.substring(0, 40)}...`);
+      variants++;
+      await query('UPDATE raw_articles SET processed = TRUE WHERE id = $1', [article.id]);
+      continue;
+    }
+    
+    // Step 4: Insert into final articles table, with its categories (all
+    // or nothing)
     try {
-      await query(
-        `INSERT INTO articles (title, url, author, pubdate, content_text, tags, category, source)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [
-          article.title,
-          article.url,
-          article.author,
-          article.pubdate,
-          cleanedContent || article.content_text,
-          article.tags,
-          category,
-          article.source
-        ]
-      );
+      await withTransaction(async (client) => {
+        const articleId = await insertArticle(article, { content, category, canonicalUrl, simhash }, client);
+        await setArticleCategories(articleId, categories, categorizer.id, client);
+        await client.query(
+          'UPDATE raw_articles SET processed = TRUE, article_id = $2 WHERE id = $1',
+          [article.id, articleId]
+        );
+      });
       
-      console.log(`  ✓ Inserted [${category}]: ${article.title.substring(0, 40)}...`);
+      const labels = categories.map(c => `${c.category} ${c.confidence}`).join(', ');
+      console.log(`  ✓ Inserted [${labels}]: ${article.title.substring(0, 40)}...`);
       inserted++;
       
     } catch (error) {
       if (error.code === '23505') { // Unique violation
         console.log('  ⏭ Skipped: Duplicate URL');
         skipped++;
+        await query('UPDATE raw_articles SET processed = TRUE WHERE id = $1', [article.id]);
       } else {
+        // Left for review rather than dropped
         console.error(`  ✗ Error inserting: ${error.message}`);
         rejected++;
+        await rejectRawArticle(article.id, REJECTION_REASONS.INSERT_FAILED);
       }
     }
-    
-    // Mark as processed
-    await query('UPDATE raw_articles SET processed = TRUE WHERE id = $1', [article.id]);
   }
   
   console.log('\n' + '═'.repeat(60));
@@ -245,9 +334,10 @@ export async function processRawArticles() {
   console.log(`Inserted: ${inserted}`);
   console.log(`Rejected: ${rejected}`);
   console.log(`Skipped (duplicates): ${skipped}`);
+  console.log(`Linked as variants: ${variants}`);
   console.log(`\nCompleted at: ${new Date().toISOString()}`);
   
-  return { processed: rawArticles.length, inserted, rejected, skipped };
+  return { processed: rawArticles.length, inserted, rejected, skipped, variants };
 }
 
 /**
@@ -257,20 +347,31 @@ export async function getProcessingStats() {
   const rawCount = await query('SELECT COUNT(*) as count FROM raw_articles WHERE processed = FALSE');
   const processedCount = await query('SELECT COUNT(*) as count FROM raw_articles WHERE processed = TRUE');
   const articleCount = await query('SELECT COUNT(*) as count FROM articles');
+  await ensureRejectionColumns();
+  const reviewCount = await query("SELECT COUNT(*) as count FROM raw_articles WHERE review_status = 'pending'");
+  // Articles count once per category assigned to them
+  await ensureArticleCategoriesTable();
   const categoryStats = await query(
-    'SELECT category, COUNT(*) as count FROM articles GROUP BY category ORDER BY count DESC'
+    'SELECT category, COUNT(*) as count FROM article_categories GROUP BY category ORDER BY count DESC'
   );
   
   return {
     pendingRaw: parseInt(rawCount.rows[0].count),
     processedRaw: parseInt(processedCount.rows[0].count),
     totalArticles: parseInt(articleCount.rows[0].count),
+    pendingReview: parseInt(reviewCount.rows[0].count),
     byCategory: categoryStats.rows
   };
 }
 
 export default {
+  ensureArticlesTable,
+  ensureRejectionColumns,
+  insertArticle,
+  evaluateArticle,
   processRawArticles,
   getProcessingStats,
-  ALLOWED_CATEGORIES
+  cleanContent,
+  ALLOWED_CATEGORIES,
+  REJECTION_REASONS
 };
@@ -0,0 +1,269 @@
+/**
+ * Feed Service
+ *
+ * Publishes articles and releases as RSS 2.0 / Atom feeds and manages
+ * per-user feed tokens, so feed readers can subscribe with a token in
+ * the URL instead of a Bearer header.
+ */
+
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+import { categoryFilter, CATEGORIES_SELECT, ensureArticleCategoriesTable } from './articleCategoryService.js';
+
+// Number of items included in each feed
+const DEFAULT_FEED_LIMIT = 50;
+
+// Length of the description excerpt in feed items
+const EXCERPT_LENGTH = 500;
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Ensure feed_tokens table exists (one active token per user)
+ */
+export const ensureFeedTokensTable = async () => {
+  if (tableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS feed_tokens (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      token VARCHAR(64) UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP
+    )
+  `);
+
+  tableInitialized = true;
+};
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Get the user's feed token, creating one on first use
+ */
+export const getOrCreateFeedToken = async (userId) => {
+  await ensureFeedTokensTable();
+
+  const existing = await query('SELECT token FROM feed_tokens WHERE user_id = $1', [userId]);
+  if (existing.rows.length > 0) {
+    return existing.rows[0].token;
+  }
+
+  const result = await query(
+    `INSERT INTO feed_tokens (user_id, token)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE SET token = feed_tokens.token
+     RETURNING token`,
+    [userId, generateToken()]
+  );
+  return result.rows[0].token;
+};
+
+/**
+ * Replace the user's feed token (old subscription URLs stop working)
+ */
+export const regenerateFeedToken = async (userId) => {
+  await ensureFeedTokensTable();
+
+  const result = await query(
+    `INSERT INTO feed_tokens (user_id, token)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, created_at = CURRENT_TIMESTAMP, last_used_at = NULL
+     RETURNING token`,
+    [userId, generateToken()]
+  );
+  return result.rows[0].token;
+};
+
+/**
+ * Resolve a feed token to its user (null if unknown)
+ */
+export const findUserByFeedToken = async (token) => {
+  await ensureFeedTokensTable();
+
+  const result = await query(
+    `UPDATE feed_tokens ft
+     SET last_used_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE ft.token = $1 AND u.id = ft.user_id
+     RETURNING u.id, u.username`,
+    [token]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+/**
+ * Get latest articles for a feed (same category filter as getArticles)
+ */
+export const getArticlesForFeed = async ({ category, limit = DEFAULT_FEED_LIMIT } = {}) => {
+  await ensureArticleCategoriesTable();
+
+  const queryParams = [];
+  let whereClause = '';
+
+  if (category && category !== 'all') {
+    whereClause = `WHERE ${categoryFilter('$1')}`;
+    queryParams.push(category);
+  }
+
+  queryParams.push(limit);
+  const result = await query(
+    `SELECT id, title, url, author, pubdate, content_text, category, tags, created_at, ${CATEGORIES_SELECT}
+     FROM articles
+     ${whereClause}
+     ORDER BY pubdate DESC NULLS LAST
+     LIMIT $${queryParams.length}`,
+    queryParams
+  );
+  return result.rows;
+};
+
+/**
+ * Get latest releases for a feed (optionally for one database)
+ */
+export const getReleasesForFeed = async ({ name, limit = DEFAULT_FEED_LIMIT } = {}) => {
+  const queryParams = [];
+  let whereClause = '';
+
+  if (name) {
+    whereClause = 'WHERE LOWER(name) = LOWER($1)';
+    queryParams.push(name);
+  }
+
+  queryParams.push(limit);
+  const result = await query(
+    `SELECT id, name, version, release_url, scraped_date
+     FROM releases
+     ${whereClause}
+     ORDER BY scraped_date DESC, id DESC
+     LIMIT $${queryParams.length}`,
+    queryParams
+  );
+  return result.rows;
+};
+
+/**
+ * Escape text for XML element content and attributes
+ */
+const escapeXml = (value) => String(value ?? '')
+  // Strip characters that are invalid in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const excerpt = (text) => {
+  if (!text) return '';
+  return text.length > EXCERPT_LENGTH ? text.substring(0, EXCERPT_LENGTH).trim() + '…' : text;
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+/**
+ * Map an article row to a generic feed item
+ */
+export const articleToFeedItem = (article) => ({
+  id: `urn:vt:article:${article.id}`,
+  title: article.title,
+  link: article.url,
+  author: article.author,
+  date: toDate(article.pubdate || article.created_at),
+  summary: excerpt(article.content_text),
+  categories: [...new Set([
+    ...(article.categories || []).map(c => c.category),
+    article.category,
+    ...(article.tags || [])
+  ].filter(Boolean))]
+});
+
+/**
+ * Map a release row to a generic feed item
+ */
+export const releaseToFeedItem = (release) => ({
+  id: `urn:vt:release:${release.id}`,
+  title: `${release.name} ${release.version}`,
+  link: release.release_url,
+  author: null,
+  date: toDate(release.scraped_date),
+  summary: `${release.name} version ${release.version} is now available.`,
+  categories: [release.name]
+});
+
+/**
+ * Build an RSS 2.0 document
+ * feed: { title, description, link, selfUrl, items }
+ */
+export const buildRss = (feed) => {
+  const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      ${item.link ? `<link>${escapeXml(item.link)}</link>` : ''}
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      ${item.author ? `<dc:creator>${escapeXml(item.author)}</dc:creator>` : ''}
+      ${item.categories.map(c => `<category>${escapeXml(c)}</category>`).join('')}
+      <description>${escapeXml(item.summary)}</description>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Build an Atom 1.0 document
+ * feed: { id, title, description, link, selfUrl, items }
+ */
+export const buildAtom = (feed) => {
+  const updated = feed.items.length > 0
+    ? new Date(Math.max(...feed.items.map(item => item.date.getTime())))
+    : new Date();
+
+  const entries = feed.items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    ${item.link ? `<link rel="alternate" href="${escapeXml(item.link)}"/>` : ''}
+    <updated>${item.date.toISOString()}</updated>
+    <published>${item.date.toISOString()}</published>
+    ${item.author ? `<author><name>${escapeXml(item.author)}</name></author>` : ''}
+    ${item.categories.map(c => `<category term="${escapeXml(c)}"/>`).join('')}
+    <summary>${escapeXml(item.summary)}</summary>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" href="${escapeXml(feed.link)}"/>
+  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>VT Articles &amp; Releases Tracker</name></author>
+${entries}
+</feed>
+`;
+};
+
+export default {
+  ensureFeedTokensTable,
+  getOrCreateFeedToken,
+  regenerateFeedToken,
+  findUserByFeedToken,
+  getArticlesForFeed,
+  getReleasesForFeed,
+  articleToFeedItem,
+  releaseToFeedItem,
+  buildRss,
+  buildAtom
+};
@@ -0,0 +1,117 @@
+/**
+ * Mailer Service
+ * 
+ * Sends mail through a pluggable transport chosen by MAIL_TRANSPORT:
+ * - console (default): prints the message to stdout
+ * - file: writes each message as JSON into MAIL_FILE_DIR, so flows can
+ *   be checked offline by reading the files
+ * - smtp: sends through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER, SMTP_PASSWORD)
+ * 
+ * A transport is an object with send(message), where message is
+ * { from, to, subject, text, html? }.
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_FROM = 'VT Articles & Releases Tracker <no-reply@localhost>';
+const DEFAULT_FILE_DIR = 'mail-outbox';
+
+const transports = new Map();
+
+/**
+ * Register a transport factory under a name
+ * factory() returns { send(message) } and is called once, on first use
+ */
+export function registerTransport(name, factory) {
+  transports.set(name, { factory, instance: null });
+}
+
+/**
+ * Console transport: log the message (development default)
+ */
+registerTransport('console', () => ({
+  send: async (message) => {
+    console.log('📧 ─── Outgoing mail ───');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+    return { transport: 'console' };
+  }
+}));
+
+/**
+ * File transport: one JSON file per message in MAIL_FILE_DIR
+ */
+registerTransport('file', () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR);
+  let counter = 0;
+  
+  return {
+    send: async (message) => {
+      await mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(dir, `${Date.now()}-${++counter}-${safeTo}.json`);
+      await writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      return { transport: 'file', file };
+    }
+  };
+});
+
+/**
+ * SMTP transport through nodemailer (loaded only when used)
+ */
+registerTransport('smtp', async () => {
+  const { default: nodemailer } = await import('nodemailer');
+  
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+  
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { transport: 'smtp', messageId: info.messageId };
+    }
+  };
+});
+
+/**
+ * Get the configured transport instance
+ */
+const getTransport = async () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const entry = transports.get(name);
+  
+  if (!entry) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (!entry.instance) {
+    entry.instance = await entry.factory();
+  }
+  return entry.instance;
+};
+
+/**
+ * Send a message through the configured transport
+ * message: { to, subject, text, html? } - from defaults to MAIL_FROM
+ */
+export async function sendMail(message) {
+  const transport = await getTransport();
+  
+  return await transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+}
+
+export default {
+  registerTransport,
+  sendMail
+};
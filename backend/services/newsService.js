@@ -6,6 +6,7 @@
  */
 
 import { query } from '../config/database.js';
+import { ensureReleasesTable } from './releaseService.js';
 
 /**
  * Get today's date in YYYY-MM-DD format
@@ -45,10 +46,12 @@ export const getTodaysReleases = async () => {
   const today = getTodayDate();
   
   try {
+    await ensureReleasesTable();
+    
     const result = await query(
-      `SELECT id, name, version, release_url, scraped_date
+      `SELECT id, name, version, release_url, scraped_date, change_type
        FROM releases 
-       WHERE DATE(scraped_date) = $1
+       WHERE DATE(scraped_date) = $1 AND is_backfill IS NOT TRUE
        ORDER BY scraped_date DESC`,
       [today]
     );
@@ -65,8 +68,10 @@ export const getTodaysReleases = async () => {
  */
 export const getAllReleases = async () => {
   try {
+    await ensureReleasesTable();
+    
     const result = await query(
-      `SELECT id, name, version, release_url, scraped_date
+      `SELECT id, name, version, release_url, scraped_date, change_type, previous_version
        FROM releases
        ORDER BY scraped_date DESC, name ASC`
     );
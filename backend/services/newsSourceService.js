@@ -0,0 +1,189 @@
+/**
+ * News Source Service
+ *
+ * Manages the news_sources table: which listing pages are scraped
+ * and which adapter extracts them. Sources can be added, enabled or
+ * disabled at runtime without code changes.
+ */
+
+import { query } from '../config/database.js';
+import { getAdapter, listAdapters } from '../scripts/sources/index.js';
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Convert a news_sources row to the source shape adapters expect
+ */
+const toSource = (row) => ({
+  id: row.id,
+  name: row.name,
+  adapter: row.adapter,
+  url: row.url,
+  baseUrl: row.base_url || new URL(row.url).origin,
+  enabled: row.enabled,
+  config: row.config || {},
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Ensure news_sources table exists and seed adapter default sources
+ */
+export const ensureNewsSourcesTable = async () => {
+  if (tableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS news_sources (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      adapter TEXT NOT NULL,
+      url TEXT NOT NULL,
+      base_url TEXT,
+      enabled BOOLEAN DEFAULT TRUE,
+      config JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Seed defaults; existing rows (including disabled ones) are left untouched
+  for (const adapter of listAdapters()) {
+    for (const source of adapter.defaultSources || []) {
+      await query(
+        `INSERT INTO news_sources (id, name, adapter, url, base_url)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO NOTHING`,
+        [source.id, source.name, adapter.id, source.url, source.baseUrl || null]
+      );
+    }
+  }
+
+  tableInitialized = true;
+};
+
+/**
+ * Get all sources
+ */
+export const getSources = async () => {
+  await ensureNewsSourcesTable();
+
+  const result = await query('SELECT * FROM news_sources ORDER BY created_at ASC, id ASC');
+  return result.rows.map(toSource);
+};
+
+/**
+ * Get enabled sources (the ones the news scraper runs)
+ */
+export const getEnabledSources = async () => {
+  await ensureNewsSourcesTable();
+
+  const result = await query(
+    'SELECT * FROM news_sources WHERE enabled = TRUE ORDER BY created_at ASC, id ASC'
+  );
+  return result.rows.map(toSource);
+};
+
+/**
+ * Get a single source by id (null if not found)
+ */
+export const getSourceById = async (id) => {
+  await ensureNewsSourcesTable();
+
+  const result = await query('SELECT * FROM news_sources WHERE id = $1', [id]);
+  return result.rows.length > 0 ? toSource(result.rows[0]) : null;
+};
+
+/**
+ * Add a new source
+ * Throws if the adapter is unknown
+ */
+export const addSource = async ({ id, name, adapter, url, baseUrl, enabled = true, config = {} }) => {
+  await ensureNewsSourcesTable();
+
+  if (!getAdapter(adapter)) {
+    throw new Error(`Unknown adapter: ${adapter}`);
+  }
+
+  const result = await query(
+    `INSERT INTO news_sources (id, name, adapter, url, base_url, enabled, config)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [id, name, adapter, url, baseUrl || null, enabled, JSON.stringify(config)]
+  );
+
+  return toSource(result.rows[0]);
+};
+
+/**
+ * Enable or disable a source (null if not found)
+ */
+export const setSourceEnabled = async (id, enabled) => {
+  await ensureNewsSourcesTable();
+
+  const result = await query(
+    `UPDATE news_sources
+     SET enabled = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, enabled]
+  );
+
+  return result.rows.length > 0 ? toSource(result.rows[0]) : null;
+};
+
+/**
+ * Test-run a source: fetch and extract its listing page or feed without
+ * inserting anything. Article pages are not visited (preview mode).
+ */
+export const testRunSource = async (source) => {
+  const { launchBrowser, extractSourceArticles, parseDate } = await import('../scripts/scrapeNews.js');
+  const { createBrowserLauncher } = await import('../scripts/fetcher.js');
+
+  const startedAt = Date.now();
+  const launcher = createBrowserLauncher(launchBrowser);
+  const meta = {};
+
+  try {
+    const articles = await extractSourceArticles(launcher, source, { preview: true, meta });
+
+    return {
+      source: source.id,
+      adapter: source.adapter,
+      durationMs: Date.now() - startedAt,
+      fetcher: meta.fetcher || null,
+      robotsIgnored: meta.robotsIgnored || null,
+      found: articles.length,
+      articles: articles.map(article => ({
+        title: article.title,
+        url: article.url,
+        author: article.author || null,
+        pubdate: article.pubdate || parseDate(article.dateText),
+        tags: article.tags || []
+      }))
+    };
+  } finally {
+    await launcher.close();
+  }
+};
+
+/**
+ * List registered adapters (for admin UIs)
+ */
+export const getAdapters = () => {
+  return listAdapters().map(adapter => ({
+    id: adapter.id,
+    name: adapter.name
+  }));
+};
+
+export default {
+  ensureNewsSourcesTable,
+  getSources,
+  getEnabledSources,
+  getSourceById,
+  addSource,
+  setSourceEnabled,
+  testRunSource,
+  getAdapters
+};
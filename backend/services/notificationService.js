@@ -5,12 +5,15 @@
  */
 
 import { query } from '../config/database.js';
+import { ensureReleasesTable } from './releaseService.js';
 
 // Track if table has been initialized (avoid repeated logs)
 let tableInitialized = false;
 
 /**
- * Ensure notifications table exists
+ * Ensure notifications table and per-user state table exist
+ * Read/dismissed state lives in notification_user_state, one row per
+ * (notification, user), so one user's actions never affect another's bell.
  */
 export const ensureNotificationsTable = async () => {
   if (tableInitialized) return; // Skip if already done
@@ -22,13 +25,23 @@ export const ensureNotificationsTable = async () => {
       title VARCHAR(255) NOT NULL,
       message TEXT,
       data JSONB DEFAULT '{}',
-      is_read BOOLEAN DEFAULT FALSE,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
   `;
   
+  const createStateTableQuery = `
+    CREATE TABLE IF NOT EXISTS notification_user_state (
+      notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      read_at TIMESTAMP,
+      dismissed_at TIMESTAMP,
+      PRIMARY KEY (notification_id, user_id)
+    )
+  `;
+  
   try {
     await query(createTableQuery);
+    await query(createStateTableQuery);
     tableInitialized = true;
   } catch (error) {
     console.error('Error creating notifications table:', error);
@@ -46,14 +59,16 @@ export const createReleaseNotification = async (release) => {
     RETURNING id
   `;
   
-  // Title format: "New MongoDB release: 7.0.5"
-  const title = `New ${release.name} release: ${release.version}`;
+  // Title format: "New MongoDB release: 7.0.5" or "New MongoDB major release: 8.0.0"
+  const changeType = ['major', 'minor', 'patch'].includes(release.change_type) ? `${release.change_type} ` : '';
+  const title = `New ${release.name} ${changeType}release: ${release.version}`;
   const message = `${release.name} version ${release.version} is now available. Click to view release notes.`;
   const data = {
     releaseId: release.id,
     name: release.name,
     version: release.version,
-    releaseUrl: release.release_url
+    releaseUrl: release.release_url,
+    changeType: release.change_type || null
   };
   
   try {
@@ -82,16 +97,54 @@ export const createReleaseNotifications = async (releases) => {
 };
 
 /**
- * Get unread notifications
+ * Create a notification when a scraper source becomes degraded or recovers
+ * health: { kind, source, status, consecutiveFailures, lastError }
+ */
+export const createScraperHealthNotification = async (health) => {
+  await ensureNotificationsTable();
+  
+  const label = health.kind === 'releases' ? `${health.source} release tracker` : `${health.source} news source`;
+  const degraded = health.status === 'degraded';
+  const title = degraded ? `Scraper degraded: ${label}` : `Scraper recovered: ${label}`;
+  const message = degraded
+    ? `${health.consecutiveFailures} consecutive runs failed or found nothing. Last error: ${health.lastError || 'unknown'}`
+    : `${label} is returning results again.`;
+  const data = {
+    kind: health.kind,
+    source: health.source,
+    status: health.status,
+    consecutiveFailures: health.consecutiveFailures,
+    lastError: health.lastError || null
+  };
+  
+  try {
+    const result = await query(
+      `INSERT INTO notifications (type, title, message, data)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      ['scraper_health', title, message, JSON.stringify(data)]
+    );
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('Error creating scraper health notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Get unread notifications for a user
  */
-export const getUnreadNotifications = async () => {
+export const getUnreadNotifications = async (userId) => {
   try {
     const result = await query(
-      `SELECT id, type, title, message, data, created_at
-       FROM notifications
-       WHERE is_read = FALSE
-       ORDER BY created_at DESC
-       LIMIT 50`
+      `SELECT n.id, n.type, n.title, n.message, n.data, n.created_at
+       FROM notifications n
+       LEFT JOIN notification_user_state s
+         ON s.notification_id = n.id AND s.user_id = $1
+       WHERE s.read_at IS NULL AND s.dismissed_at IS NULL
+       ORDER BY n.created_at DESC
+       LIMIT 50`,
+      [userId]
     );
     
     return result.rows;
@@ -102,16 +155,21 @@ export const getUnreadNotifications = async () => {
 };
 
 /**
- * Get all notifications (with optional limit)
+ * Get all non-dismissed notifications for a user (with optional limit)
+ * is_read reflects the given user's state only
  */
-export const getAllNotifications = async (limit = 50) => {
+export const getAllNotifications = async (userId, limit = 50) => {
   try {
     const result = await query(
-      `SELECT id, type, title, message, data, is_read, created_at
-       FROM notifications
-       ORDER BY created_at DESC
-       LIMIT $1`,
-      [limit]
+      `SELECT n.id, n.type, n.title, n.message, n.data,
+              (s.read_at IS NOT NULL) AS is_read, n.created_at
+       FROM notifications n
+       LEFT JOIN notification_user_state s
+         ON s.notification_id = n.id AND s.user_id = $1
+       WHERE s.dismissed_at IS NULL
+       ORDER BY n.created_at DESC
+       LIMIT $2`,
+      [userId, limit]
     );
     
     return result.rows;
@@ -122,13 +180,16 @@ export const getAllNotifications = async (limit = 50) => {
 };
 
 /**
- * Mark a notification as read
+ * Mark a notification as read for a user
  */
-export const markAsRead = async (notificationId) => {
+export const markAsRead = async (notificationId, userId) => {
   try {
     await query(
-      'UPDATE notifications SET is_read = TRUE WHERE id = $1',
-      [notificationId]
+      `INSERT INTO notification_user_state (notification_id, user_id, read_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (notification_id, user_id)
+       DO UPDATE SET read_at = COALESCE(notification_user_state.read_at, CURRENT_TIMESTAMP)`,
+      [notificationId, userId]
     );
     return true;
   } catch (error) {
@@ -138,11 +199,17 @@ export const markAsRead = async (notificationId) => {
 };
 
 /**
- * Mark all notifications as read
+ * Mark all notifications as read for a user
  */
-export const markAllAsRead = async () => {
+export const markAllAsRead = async (userId) => {
   try {
-    await query('UPDATE notifications SET is_read = TRUE WHERE is_read = FALSE');
+    await query(
+      `INSERT INTO notification_user_state (notification_id, user_id, read_at)
+       SELECT id, $1, CURRENT_TIMESTAMP FROM notifications
+       ON CONFLICT (notification_id, user_id)
+       DO UPDATE SET read_at = COALESCE(notification_user_state.read_at, CURRENT_TIMESTAMP)`,
+      [userId]
+    );
     return true;
   } catch (error) {
     console.error('Error marking all notifications as read:', error);
@@ -151,12 +218,38 @@ export const markAllAsRead = async () => {
 };
 
 /**
- * Get notification count (unread)
+ * Dismiss a notification for a user (hides it from their list)
+ */
+export const dismissNotification = async (notificationId, userId) => {
+  try {
+    await query(
+      `INSERT INTO notification_user_state (notification_id, user_id, read_at, dismissed_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (notification_id, user_id)
+       DO UPDATE SET
+         read_at = COALESCE(notification_user_state.read_at, CURRENT_TIMESTAMP),
+         dismissed_at = CURRENT_TIMESTAMP`,
+      [notificationId, userId]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error dismissing notification:', error);
+    return false;
+  }
+};
+
+/**
+ * Get notification count (unread) for a user
  */
-export const getUnreadCount = async () => {
+export const getUnreadCount = async (userId) => {
   try {
     const result = await query(
-      'SELECT COUNT(*) as count FROM notifications WHERE is_read = FALSE'
+      `SELECT COUNT(*) as count
+       FROM notifications n
+       LEFT JOIN notification_user_state s
+         ON s.notification_id = n.id AND s.user_id = $1
+       WHERE s.read_at IS NULL AND s.dismissed_at IS NULL`,
+      [userId]
     );
     return parseInt(result.rows[0].count);
   } catch (error) {
@@ -172,6 +265,7 @@ export const getUnreadCount = async () => {
 export const generateNotificationsFromTodaysReleases = async () => {
   try {
     await ensureNotificationsTable();
+    await ensureReleasesTable();
     
     // Get today's date
     const today = new Date().toISOString().split('T')[0];
@@ -179,9 +273,10 @@ export const generateNotificationsFromTodaysReleases = async () => {
     // Find releases from today that don't have a notification yet
     // We check by looking at the notification data->name and data->version
     const result = await query(`
-      SELECT r.id, r.name, r.version, r.release_url
+      SELECT r.id, r.name, r.version, r.release_url, r.change_type
       FROM releases r
       WHERE DATE(r.scraped_date) = $1
+      AND r.is_backfill IS NOT TRUE
       AND NOT EXISTS (
         SELECT 1 FROM notifications n 
         WHERE n.type = 'release' 
@@ -222,10 +317,12 @@ export default {
   ensureNotificationsTable,
   createReleaseNotification,
   createReleaseNotifications,
+  createScraperHealthNotification,
   getUnreadNotifications,
   getAllNotifications,
   markAsRead,
   markAllAsRead,
+  dismissNotification,
   getUnreadCount,
   generateNotificationsFromTodaysReleases
 };
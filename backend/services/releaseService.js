@@ -0,0 +1,142 @@
+/**
+ * Release Service
+ * 
+ * Release version history per database: normalized version parts,
+ * ordering and major/minor/patch classification of each release.
+ */
+
+import { query } from '../config/database.js';
+import { parseVersion, compareVersions, classifyChange } from './versionService.js';
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Ensure the releases table exists with version metadata columns
+ */
+export const ensureReleasesTable = async () => {
+  if (tableInitialized) return;
+  
+  await query(`
+    CREATE TABLE IF NOT EXISTS releases (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      version VARCHAR(50) NOT NULL,
+      release_url TEXT,
+      scraped_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(name, version)
+    )
+  `);
+  
+  // Version model columns (added to existing tables too)
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS normalized_version VARCHAR(50)`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS major INTEGER`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS minor INTEGER`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS patch INTEGER`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS build INTEGER`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS prerelease VARCHAR(50)`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS change_type VARCHAR(20)`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS previous_version VARCHAR(50)`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS is_backfill BOOLEAN DEFAULT FALSE`);
+  // Published date and notes, when the source provides them (GitHub releases)
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS published_at TIMESTAMP`);
+  await query(`ALTER TABLE releases ADD COLUMN IF NOT EXISTS release_notes TEXT`);
+  
+  tableInitialized = true;
+  
+  // Fill version metadata for rows stored before the version model existed
+  const pending = await query('SELECT DISTINCT name FROM releases WHERE normalized_version IS NULL');
+  for (const row of pending.rows) {
+    await refreshReleaseVersions(row.name);
+  }
+};
+
+/**
+ * Get known releases of a database, ordered oldest to newest version
+ * Name matching is case-insensitive; each row carries its parsed version
+ */
+export const getKnownReleases = async (name) => {
+  const result = await query('SELECT * FROM releases WHERE LOWER(name) = LOWER($1)', [name]);
+  
+  return result.rows
+    .map(row => ({ ...row, parsed: parseVersion(row.version, row.name) }))
+    .sort((a, b) => compareVersions(a.parsed, b.parsed, name) || a.id - b.id);
+};
+
+/**
+ * Recompute version parts, predecessor and classification for a database
+ * Each release is classified against the version that precedes it in
+ * version order, so out-of-order discoveries still get a correct history.
+ */
+export const refreshReleaseVersions = async (name) => {
+  const releases = await getKnownReleases(name);
+  
+  let previous = null;
+  for (const release of releases) {
+    const parsed = release.parsed;
+    await query(
+      `UPDATE releases
+       SET normalized_version = $2, major = $3, minor = $4, patch = $5, build = $6,
+           prerelease = $7, change_type = $8, previous_version = $9
+       WHERE id = $1`,
+      [
+        release.id,
+        parsed?.normalized || null,
+        parsed?.major ?? null,
+        parsed?.minor ?? null,
+        parsed?.patch ?? null,
+        parsed?.build ?? null,
+        parsed?.prerelease || null,
+        parsed ? classifyChange(previous?.parsed, parsed, name) : null,
+        previous?.version || null
+      ]
+    );
+    if (parsed) previous = release;
+  }
+};
+
+/**
+ * Get the version history timeline of a database, newest first
+ */
+export const getReleaseHistory = async (name) => {
+  await ensureReleasesTable();
+  
+  const releases = await getKnownReleases(name);
+  
+  return releases.reverse().map(release => ({
+    id: release.id,
+    name: release.name,
+    version: release.version,
+    normalizedVersion: release.normalized_version,
+    major: release.major,
+    minor: release.minor,
+    patch: release.patch,
+    build: release.build,
+    prerelease: release.prerelease,
+    changeType: release.change_type,
+    previousVersion: release.previous_version,
+    isBackfill: release.is_backfill,
+    releaseUrl: release.release_url,
+    publishedAt: release.published_at,
+    releaseNotes: release.release_notes,
+    scrapedDate: release.scraped_date
+  }));
+};
+
+/**
+ * Get the names of all tracked databases that have releases
+ */
+export const getReleaseNames = async () => {
+  await ensureReleasesTable();
+  
+  const result = await query('SELECT DISTINCT name FROM releases ORDER BY name ASC');
+  return result.rows.map(row => row.name);
+};
+
+export default {
+  ensureReleasesTable,
+  getKnownReleases,
+  refreshReleaseVersions,
+  getReleaseHistory,
+  getReleaseNames
+};
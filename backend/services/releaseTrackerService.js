@@ -0,0 +1,192 @@
+/**
+ * Release Tracker Service
+ * 
+ * Manages the release_trackers table: which products are tracked, where
+ * their release notes live and how versions are extracted from them.
+ * Products can be added or changed at runtime without code changes.
+ */
+
+import path from 'path';
+import { query } from '../config/database.js';
+import defaultTrackers from '../scripts/releases/defaultTrackers.js';
+
+// A test run loads one page, possibly twice (HTTP, then the browser)
+const TEST_RUN_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Convert a release_trackers row to the tracker shape the scraper expects
+ */
+const toTracker = (row) => ({
+  id: row.id,
+  name: row.name,
+  releaseUrl: row.release_url,
+  strategies: row.strategies || [],
+  renderJs: row.render_js || false,
+  ignoreRobots: row.ignore_robots || false,
+  enabled: row.enabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Ensure release_trackers table exists, seeding the default trackers when
+ * it is first created
+ */
+export const ensureReleaseTrackersTable = async () => {
+  if (tableInitialized) return;
+  
+  // Scrapes run in their own process, so seeding on every start would bring
+  // back the default trackers an admin deleted
+  const existing = await query(`SELECT to_regclass('release_trackers') AS name`);
+  const created = existing.rows[0].name === null;
+  
+  await query(`
+    CREATE TABLE IF NOT EXISTS release_trackers (
+      id TEXT PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      release_url TEXT NOT NULL,
+      strategies JSONB NOT NULL DEFAULT '[]',
+      enabled BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // Release pages that only render with JavaScript skip the plain HTTP fetch
+  await query(`ALTER TABLE release_trackers ADD COLUMN IF NOT EXISTS render_js BOOLEAN DEFAULT FALSE`);
+  // Lets the scraper fetch pages the site's robots.txt disallows (logged per run)
+  await query(`ALTER TABLE release_trackers ADD COLUMN IF NOT EXISTS ignore_robots BOOLEAN DEFAULT FALSE`);
+  
+  if (created) {
+    for (const tracker of defaultTrackers) {
+      await query(
+        `INSERT INTO release_trackers (id, name, release_url, strategies, render_js)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT DO NOTHING`,
+        [tracker.id, tracker.name, tracker.releaseUrl, JSON.stringify(tracker.strategies), tracker.renderJs || false]
+      );
+    }
+  }
+  
+  tableInitialized = true;
+};
+
+/**
+ * Get all trackers
+ */
+export const getTrackers = async () => {
+  await ensureReleaseTrackersTable();
+  
+  const result = await query('SELECT * FROM release_trackers ORDER BY created_at ASC, id ASC');
+  return result.rows.map(toTracker);
+};
+
+/**
+ * Get enabled trackers (the ones the release scraper runs)
+ */
+export const getEnabledTrackers = async () => {
+  await ensureReleaseTrackersTable();
+  
+  const result = await query(
+    'SELECT * FROM release_trackers WHERE enabled = TRUE ORDER BY created_at ASC, id ASC'
+  );
+  return result.rows.map(toTracker);
+};
+
+/**
+ * Get a single tracker by id (null if not found)
+ */
+export const getTrackerById = async (id) => {
+  await ensureReleaseTrackersTable();
+  
+  const result = await query('SELECT * FROM release_trackers WHERE id = $1', [id]);
+  return result.rows.length > 0 ? toTracker(result.rows[0]) : null;
+};
+
+/**
+ * Add a new tracker
+ */
+export const addTracker = async ({ id, name, releaseUrl, strategies, renderJs = false, ignoreRobots = false, enabled = true }) => {
+  await ensureReleaseTrackersTable();
+  
+  const result = await query(
+    `INSERT INTO release_trackers (id, name, release_url, strategies, render_js, ignore_robots, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [id, name, releaseUrl, JSON.stringify(strategies), renderJs, ignoreRobots, enabled]
+  );
+  
+  return toTracker(result.rows[0]);
+};
+
+/**
+ * Update a tracker (only the given fields; null if not found)
+ */
+export const updateTracker = async (id, { name, releaseUrl, strategies, renderJs, ignoreRobots, enabled }) => {
+  await ensureReleaseTrackersTable();
+  
+  const result = await query(
+    `UPDATE release_trackers
+     SET name = COALESCE($2, name),
+         release_url = COALESCE($3, release_url),
+         strategies = COALESCE($4, strategies),
+         enabled = COALESCE($5, enabled),
+         render_js = COALESCE($6, render_js),
+         ignore_robots = COALESCE($7, ignore_robots),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [
+      id,
+      name ?? null,
+      releaseUrl ?? null,
+      strategies ? JSON.stringify(strategies) : null,
+      enabled ?? null,
+      renderJs ?? null,
+      ignoreRobots ?? null
+    ]
+  );
+  
+  return result.rows.length > 0 ? toTracker(result.rows[0]) : null;
+};
+
+/**
+ * Delete a tracker (stored releases are kept). Returns false if not found.
+ */
+export const deleteTracker = async (id) => {
+  await ensureReleaseTrackersTable();
+  
+  const result = await query('DELETE FROM release_trackers WHERE id = $1', [id]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Test-run a tracker: load its release page and run the extraction
+ * strategies without inserting anything
+ * Runs in a child process (scripts/testTracker.js), like the scrapers:
+ * strategies hold admin-written patterns, which must not be able to
+ * block the API server.
+ */
+export const testRunTracker = async (tracker) => {
+  const { runScript, SCRIPTS_DIR } = await import('./scraperService.js');
+  
+  const { result } = await runScript(path.join(SCRIPTS_DIR, 'testTracker.js'), {
+    args: [tracker.id],
+    timeoutMs: TEST_RUN_TIMEOUT_MS
+  });
+  if (!result) throw new Error(`Test run of tracker ${tracker.id} returned no result`);
+  return result;
+};
+
+export default {
+  ensureReleaseTrackersTable,
+  getTrackers,
+  getEnabledTrackers,
+  getTrackerById,
+  addTracker,
+  updateTracker,
+  deleteTracker,
+  testRunTracker
+};
@@ -0,0 +1,251 @@
+/**
+ * Reprocessing Service
+ *
+ * Re-runs content cleaning and categorization (see
+ * dataProcessingService.evaluateArticle) over articles already stored,
+ * so changes to the noise patterns, the category rules or the category
+ * model apply to them too. Each article is re-evaluated from its raw
+ * content in raw_articles; articles without one (stored before raw
+ * articles were kept) are re-evaluated from their stored content.
+ *
+ * A dry run only reports what would change. Articles whose categories an
+ * admin confirmed keep them (their content is still re-cleaned), and
+ * articles that would get no category keep their current ones: they are
+ * listed in the report for review rather than unpublished.
+ */
+
+import { query } from '../config/database.js';
+import {
+  ensureArticlesTable,
+  ensureRejectionColumns,
+  evaluateArticle
+} from './dataProcessingService.js';
+import { computeSimhash, ensureDedupSchema } from './articleDedupService.js';
+import {
+  categoryFilter,
+  CATEGORIES_SELECT,
+  ensureArticleCategoriesTable,
+  setArticleCategories
+} from './articleCategoryService.js';
+import { getActiveCategorizer } from './categorizers/index.js';
+
+// Articles loaded and re-evaluated at a time
+const BATCH_SIZE = 200;
+
+// Changed (or uncategorized) articles listed in a report; the counts cover all
+const MAX_REPORTED_ARTICLES = 200;
+
+/**
+ * Build the WHERE conditions selecting the articles to reprocess
+ * filters: { ids, category, source, from, to } (dates as YYYY-MM-DD)
+ */
+const buildFilter = ({ ids, category, source, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (ids && ids.length > 0) {
+    params.push(ids);
+    conditions.push(`articles.id = ANY($${params.length}::int[])`);
+  }
+  if (category) {
+    params.push(category);
+    conditions.push(categoryFilter(`$${params.length}`));
+  }
+  if (source) {
+    params.push(source);
+    conditions.push(`articles.source = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`articles.pubdate >= $${params.length}::date`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`articles.pubdate < $${params.length}::date + 1`);
+  }
+
+  return { conditions, params };
+};
+
+/**
+ * Load the next batch of articles to reprocess, with their raw content
+ */
+const loadBatch = async (filters, afterId) => {
+  const { conditions, params } = buildFilter(filters);
+  params.push(afterId);
+  conditions.push(`articles.id > $${params.length}`);
+
+  const result = await query(
+    `SELECT articles.id, articles.title, articles.content_text, articles.category,
+            raw.content_text AS raw_content,
+            EXISTS (
+              SELECT 1 FROM article_categories ac
+              WHERE ac.article_id = articles.id AND ac.confirmed_at IS NOT NULL
+            ) AS confirmed,
+            ${CATEGORIES_SELECT}
+     FROM articles
+     LEFT JOIN LATERAL (
+       SELECT r.content_text FROM raw_articles r
+       WHERE r.article_id = articles.id OR r.url = articles.url
+       ORDER BY (r.article_id = articles.id) DESC NULLS LAST, r.id DESC
+       LIMIT 1
+     ) raw ON TRUE
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY articles.id ASC
+     LIMIT ${BATCH_SIZE}`,
+    params
+  );
+  return result.rows;
+};
+
+/**
+ * Count the articles matching the filters
+ */
+const countArticles = async (filters) => {
+  const { conditions, params } = buildFilter(filters);
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await query(`SELECT COUNT(*) FROM articles ${whereClause}`, params);
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Whether two category lists differ in their categories or main category
+ */
+const categoriesDiffer = (before, after) => {
+  if (before.length !== after.length) return true;
+  if (before.length > 0 && before[0].category !== after[0].category) return true;
+  const names = new Set(before.map(c => c.category));
+  return after.some(c => !names.has(c.category));
+};
+
+/**
+ * Whether two category lists differ at all, confidences included
+ */
+const confidencesDiffer = (before, after) => {
+  return before.length !== after.length ||
+    before.some((c, i) => c.category !== after[i].category || Math.abs(c.confidence - after[i].confidence) > 0.005);
+};
+
+/**
+ * Re-evaluate stored articles and (unless dryRun) store the new content
+ * and categories
+ * options: { filters: { ids, category, source, from, to }, dryRun,
+ * onProgress({ done, total }) }
+ * Returns a report: counts, category totals before and after, and the
+ * articles whose categories change, with what was added and removed
+ */
+export const reprocessArticles = async ({ filters = {}, dryRun = false, onProgress = null } = {}) => {
+  await ensureArticlesTable();
+  await ensureDedupSchema();
+  await ensureRejectionColumns();
+  await ensureArticleCategoriesTable();
+
+  const categorizer = getActiveCategorizer();
+  const classify = await categorizer.load();
+
+  const total = await countArticles(filters);
+  const report = {
+    dryRun,
+    categorizer: categorizer.id,
+    filters,
+    articles: 0,
+    changed: 0,
+    contentChanged: 0,
+    uncategorized: 0,
+    confirmed: 0,
+    withoutRawContent: 0,
+    updated: 0,
+    byCategory: {},
+    changes: [],
+    uncategorizedArticles: []
+  };
+
+  const countCategories = (categories, key) => {
+    for (const { category } of categories) {
+      report.byCategory[category] = report.byCategory[category] || { before: 0, after: 0 };
+      report.byCategory[category][key]++;
+    }
+  };
+
+  let afterId = 0;
+  for (;;) {
+    const rows = await loadBatch(filters, afterId);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      afterId = row.id;
+      report.articles++;
+
+      const before = row.categories.map(({ category, confidence }) => ({ category, confidence }));
+      if (row.raw_content === null) report.withoutRawContent++;
+
+      const evaluation = await evaluateArticle(classify, {
+        title: row.title,
+        content_text: row.raw_content ?? row.content_text
+      });
+      const content = evaluation.content || row.content_text;
+      const contentChanged = content !== row.content_text;
+      if (contentChanged) report.contentChanged++;
+
+      // Confirmed categories are an admin's call; no category at all
+      // is left to a reviewer
+      let after = before;
+      if (row.confirmed) {
+        report.confirmed++;
+      } else if (evaluation.rejection) {
+        report.uncategorized++;
+        if (report.uncategorizedArticles.length < MAX_REPORTED_ARTICLES) {
+          report.uncategorizedArticles.push({
+            id: row.id,
+            title: row.title,
+            reason: evaluation.rejection,
+            categories: before.map(c => c.category)
+          });
+        }
+      } else {
+        after = evaluation.categories;
+      }
+
+      countCategories(before, 'before');
+      countCategories(after, 'after');
+
+      if (after !== before && categoriesDiffer(before, after)) {
+        report.changed++;
+        if (report.changes.length < MAX_REPORTED_ARTICLES) {
+          const beforeNames = before.map(c => c.category);
+          const afterNames = after.map(c => c.category);
+          report.changes.push({
+            id: row.id,
+            title: row.title,
+            before: beforeNames,
+            after: afterNames,
+            added: afterNames.filter(name => !beforeNames.includes(name)),
+            removed: beforeNames.filter(name => !afterNames.includes(name))
+          });
+        }
+      }
+
+      const categoriesChanged = after !== before && confidencesDiffer(before, after);
+      if (dryRun || (!contentChanged && !categoriesChanged)) continue;
+
+      await query(
+        'UPDATE articles SET content_text = $2, simhash = $3, category = $4 WHERE id = $1',
+        [row.id, content, computeSimhash(content), categoriesChanged ? after[0].category : row.category]
+      );
+      if (categoriesChanged) {
+        await setArticleCategories(row.id, after, categorizer.id);
+      }
+      report.updated++;
+    }
+
+    if (onProgress) {
+      await onProgress({ done: report.articles, total });
+    }
+  }
+
+  return report;
+};
+
+export default {
+  reprocessArticles
+};
@@ -0,0 +1,207 @@
+/**
+ * Review Queue Service
+ *
+ * Raw articles rejected by processing (no valid content, or no matching
+ * category) keep their rejection reason and wait for a reviewer in
+ * raw_articles (review_status 'pending'). A reviewer either publishes one
+ * with the categories they choose, or discards it. Discarded articles
+ * stay in raw_articles so the scraper does not collect them again.
+ *
+ * Review decisions feed categorization back: a published article's
+ * categories are stored as confirmed (training data for the category
+ * model, see scripts/trainCategorizer.js), and the reviewer can add the
+ * keywords that identify its category as category rules.
+ */
+
+import { query } from '../config/database.js';
+import {
+  ensureArticlesTable,
+  ensureRejectionColumns,
+  insertArticle,
+  cleanContent,
+  REJECTION_REASONS
+} from './dataProcessingService.js';
+import { canonicalizeUrl, computeSimhash, ensureDedupSchema, findDuplicateArticle } from './articleDedupService.js';
+import { confirmArticleCategories } from './articleCategoryService.js';
+import categoryRuleService from './categoryRuleService.js';
+
+export const REVIEW_STATUSES = ['pending', 'published', 'discarded'];
+
+// Weight of the keyword rules added from a review: one match in the
+// content is enough to reach the rules' minimum score
+const REVIEW_RULE_WEIGHT = 2;
+
+// Content shown for each queued article
+const EXCERPT_LENGTH = 1000;
+
+// Track if columns have been initialized (avoid repeated DDL)
+let columnsInitialized = false;
+
+/**
+ * Convert a raw_articles row to the API shape
+ */
+const toReviewItem = (row) => ({
+  id: row.id,
+  title: row.title,
+  url: row.url,
+  author: row.author,
+  pubdate: row.pubdate,
+  source: row.source,
+  tags: row.tags,
+  excerpt: row.excerpt,
+  rejectionReason: row.rejection_reason,
+  rejectedAt: row.rejected_at,
+  reviewStatus: row.review_status,
+  reviewedBy: row.reviewed_by_username || null,
+  reviewedAt: row.reviewed_at,
+  articleId: row.article_id
+});
+
+/**
+ * Ensure the tables and columns the review queue uses exist
+ */
+const ensureReviewColumns = async () => {
+  if (columnsInitialized) return;
+
+  await ensureArticlesTable();
+  await ensureDedupSchema();
+  await ensureRejectionColumns();
+
+  columnsInitialized = true;
+};
+
+/**
+ * List rejected raw articles, most recently rejected first
+ * filters: { status (default 'pending'), reason, page, limit }
+ * Returns { items, total, counts: { reason: pending count } }
+ */
+export const getReviewQueue = async ({ status = 'pending', reason = null, page = 1, limit = 20 } = {}) => {
+  await ensureReviewColumns();
+
+  const conditions = ['r.rejection_reason IS NOT NULL', 'r.review_status = $1'];
+  const params = [status];
+  if (reason) {
+    params.push(reason);
+    conditions.push(`r.rejection_reason = $${params.length}`);
+  }
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const countResult = await query(`SELECT COUNT(*) FROM raw_articles r ${whereClause}`, params);
+
+  const result = await query(
+    `SELECT r.id, r.title, r.url, r.author, r.pubdate, r.source, r.tags,
+            LEFT(r.content_text, ${EXCERPT_LENGTH}) AS excerpt,
+            r.rejection_reason, r.rejected_at, r.review_status, r.reviewed_at, r.article_id,
+            u.username AS reviewed_by_username
+     FROM raw_articles r
+     LEFT JOIN users u ON u.id = r.reviewed_by
+     ${whereClause}
+     ORDER BY r.rejected_at DESC NULLS LAST, r.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  const countsResult = await query(
+    `SELECT rejection_reason, COUNT(*) AS count
+     FROM raw_articles
+     WHERE review_status = 'pending'
+     GROUP BY rejection_reason`
+  );
+  const counts = Object.fromEntries(Object.values(REJECTION_REASONS).map(code => [code, 0]));
+  for (const row of countsResult.rows) {
+    counts[row.rejection_reason] = parseInt(row.count);
+  }
+
+  return {
+    items: result.rows.map(toReviewItem),
+    total: parseInt(countResult.rows[0].count),
+    counts
+  };
+};
+
+/**
+ * Get a rejected raw article with its full content (null if not found)
+ */
+export const getReviewItem = async (id) => {
+  await ensureReviewColumns();
+
+  const result = await query(
+    `SELECT r.*, LEFT(r.content_text, ${EXCERPT_LENGTH}) AS excerpt, u.username AS reviewed_by_username
+     FROM raw_articles r
+     LEFT JOIN users u ON u.id = r.reviewed_by
+     WHERE r.id = $1 AND r.rejection_reason IS NOT NULL`,
+    [id]
+  );
+  if (result.rows.length === 0) return null;
+
+  return { ...toReviewItem(result.rows[0]), content: result.rows[0].content_text };
+};
+
+/**
+ * Record a review decision on a raw article
+ */
+const markReviewed = async (id, status, userId, articleId = null) => {
+  await query(
+    `UPDATE raw_articles
+     SET review_status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, article_id = $4
+     WHERE id = $1`,
+    [id, status, userId, articleId]
+  );
+};
+
+/**
+ * Publish a pending rejected article with the reviewer's categories
+ * categories: category names, the main one first. keywords: words that
+ * identify the main category, added as category rules (ones the category
+ * already has are ignored).
+ * Returns { articleId, categories, rules } or, when the article is
+ * already stored, { duplicate: { id, title, url }, match }.
+ */
+export const publishReviewItem = async (item, { categories, keywords = [] }, userId) => {
+  await ensureReviewColumns();
+
+  const content = cleanContent(item.content) || item.content;
+  const canonicalUrl = canonicalizeUrl(item.url);
+  const simhash = computeSimhash(content);
+
+  const duplicate = await findDuplicateArticle({ url: item.url, canonicalUrl, simhash, pubdate: item.pubdate });
+  if (duplicate) {
+    return { duplicate: duplicate.article, match: duplicate.match };
+  }
+
+  const articleId = await insertArticle(item, { content, category: categories[0], canonicalUrl, simhash });
+  const confirmed = await confirmArticleCategories(articleId, categories, userId);
+
+  const rules = [];
+  for (const keyword of keywords) {
+    try {
+      rules.push(await categoryRuleService.addRule({
+        category: categories[0],
+        pattern: keyword,
+        weight: REVIEW_RULE_WEIGHT
+      }));
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+    }
+  }
+
+  await markReviewed(item.id, 'published', userId, articleId);
+
+  return { articleId, categories: confirmed, rules };
+};
+
+/**
+ * Discard a pending rejected article for good
+ */
+export const discardReviewItem = async (item, userId) => {
+  await ensureReviewColumns();
+  await markReviewed(item.id, 'discarded', userId);
+};
+
+export default {
+  REVIEW_STATUSES,
+  getReviewQueue,
+  getReviewItem,
+  publishReviewItem,
+  discardReviewItem
+};
@@ -0,0 +1,393 @@
+/**
+ * Scheduler Service
+ *
+ * In-process cron scheduler for the scrapers. Each scraper has a
+ * 5-field cron expression (minute hour day-of-month month day-of-week,
+ * evaluated in UTC), configured through environment variables:
+ *   SCRAPE_RELEASES_CRON=0 *\/6 * * *   (every 6 hours, default)
+ *   SCRAPE_NEWS_CRON=0 7 * * *          (07:00 UTC, default)
+ * Use "off" to disable a scraper's schedule.
+ *
+ * Due runs are queued as scrape jobs (trigger 'schedule'). The next run
+ * time is stored in scraper_schedules, so runs that fell due while the
+ * server was down are detected on start-up: one catch-up run is queued
+ * and the skipped ones are recorded as missed. A run is also recorded as
+ * missed when the previous run of the same scraper is still in progress.
+ */
+
+import { query } from '../config/database.js';
+import scrapeJobService from './scrapeJobService.js';
+import { queueScraping } from './scraperService.js';
+
+// How often the scheduler checks for due runs
+const SCHEDULER_TICK_MS = 30000;
+
+// Scrapers that can be scheduled
+const SCHEDULED_SCRAPERS = {
+  releases: {
+    label: 'Releases',
+    envVar: 'SCRAPE_RELEASES_CRON',
+    defaultCron: '0 */6 * * *',
+    options: { scrapeReleases: true, scrapeNews: false }
+  },
+  news: {
+    label: 'News articles',
+    envVar: 'SCRAPE_NEWS_CRON',
+    defaultCron: '0 7 * * *',
+    options: { scrapeReleases: false, scrapeNews: true }
+  }
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+
+// Upper bound when searching for the next matching minute
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+// Scheduler timer of this process (null when not started)
+let schedulerTimer = null;
+
+/**
+ * Parse one cron field (*, 5, 1-5, *\/15, 0-30/10, lists of these)
+ */
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${text}"`);
+    }
+
+    const [, star, start, end, step] = match;
+    const from = star ? min : parseInt(start);
+    const to = star ? max : end !== undefined ? parseInt(end) : step ? max : from;
+    const by = step ? parseInt(step) : 1;
+
+    if (from < min || to > max || from > to || by < 1) {
+      throw new Error(`Cron ${name} field out of range (${min}-${max}): "${text}"`);
+    }
+    for (let value = from; value <= to; value += by) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a 5-field cron expression
+ * Throws on invalid expressions
+ */
+export const parseCron = (expression) => {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(
+    (field, index) => parseCronField(field, CRON_FIELDS[index])
+  );
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    expression: fields.join(' '),
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted: fields[2] !== '*',
+    dayOfWeekRestricted: fields[4] !== '*'
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  if (cron.dayOfMonthRestricted) return dayOfMonth;
+  if (cron.dayOfWeekRestricted) return dayOfWeek;
+  return true;
+};
+
+/**
+ * Get the first time strictly after `after` matching a cron expression
+ * (parsed or string). Returns null if nothing matches (e.g. 30 February).
+ */
+export const getNextRun = (cron, after = new Date()) => {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + MAX_SEARCH_MS;
+
+  while (date.getTime() <= limit) {
+    if (!parsed.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the configured cron expression of a scraper (null when disabled)
+ */
+const getConfiguredCron = (scraper) => {
+  const { envVar, defaultCron } = SCHEDULED_SCRAPERS[scraper];
+  const value = (process.env[envVar] || defaultCron).trim();
+  return ['off', 'false', 'disabled', ''].includes(value.toLowerCase()) ? null : value;
+};
+
+/**
+ * Convert a scraper_schedules row to the API schedule shape
+ */
+const toSchedule = (row) => ({
+  scraper: row.scraper,
+  label: SCHEDULED_SCRAPERS[row.scraper]?.label || row.scraper,
+  cron: row.cron_expression,
+  enabled: row.enabled,
+  nextRunAt: row.next_run_at,
+  lastRunAt: row.last_run_at,
+  lastJobId: row.last_job_id,
+  lastJobStatus: row.last_job_status || null,
+  missedRuns: row.missed_runs,
+  lastMissedAt: row.last_missed_at,
+  lastMissedReason: row.last_missed_reason
+});
+
+/**
+ * Ensure scraper_schedules table exists
+ */
+export const ensureSchedulesTable = async () => {
+  if (tableInitialized) return;
+
+  await scrapeJobService.ensureScrapeJobsTable();
+  await query(`
+    CREATE TABLE IF NOT EXISTS scraper_schedules (
+      scraper TEXT PRIMARY KEY,
+      cron_expression TEXT,
+      enabled BOOLEAN DEFAULT TRUE,
+      next_run_at TIMESTAMP,
+      last_run_at TIMESTAMP,
+      last_job_id INTEGER REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+      missed_runs INTEGER DEFAULT 0,
+      last_missed_at TIMESTAMP,
+      last_missed_reason TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  tableInitialized = true;
+};
+
+/**
+ * Store the configured schedules
+ * A stored next run time is kept while the expression is unchanged, so
+ * runs that fell due during downtime are still picked up.
+ */
+export const syncSchedules = async (now = new Date()) => {
+  await ensureSchedulesTable();
+
+  for (const scraper of Object.keys(SCHEDULED_SCRAPERS)) {
+    const cron = getConfiguredCron(scraper);
+    const nextRunAt = cron ? getNextRun(parseCron(cron), now) : null;
+
+    await query(
+      `INSERT INTO scraper_schedules (scraper, cron_expression, enabled, next_run_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (scraper) DO UPDATE SET
+         cron_expression = EXCLUDED.cron_expression,
+         enabled = EXCLUDED.enabled,
+         next_run_at = CASE
+           WHEN scraper_schedules.enabled AND EXCLUDED.enabled
+             AND scraper_schedules.cron_expression = EXCLUDED.cron_expression
+             AND scraper_schedules.next_run_at IS NOT NULL
+           THEN scraper_schedules.next_run_at
+           ELSE EXCLUDED.next_run_at
+         END,
+         updated_at = CURRENT_TIMESTAMP`,
+      [scraper, cron, cron !== null, nextRunAt]
+    );
+  }
+};
+
+/**
+ * Record runs of a schedule that did not happen
+ */
+const recordMissedRuns = async (scraper, count, missedAt, reason) => {
+  await query(
+    `UPDATE scraper_schedules
+     SET missed_runs = missed_runs + $2, last_missed_at = $3, last_missed_reason = $4,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE scraper = $1`,
+    [scraper, count, missedAt, reason]
+  );
+  console.log(`⏭️ Scheduled ${scraper} scraping: ${count} missed run(s) (${reason})`);
+};
+
+/**
+ * Queue the due run of a schedule
+ */
+const runSchedule = async (row, now) => {
+  const cron = parseCron(row.cron_expression);
+  const dueAt = new Date(row.next_run_at);
+
+  // Occurrences after the due one that also passed (server was down);
+  // they collapse into this single catch-up run
+  let skipped = 0;
+  let lastSkippedAt = null;
+  for (let at = getNextRun(cron, dueAt); at && at <= now; at = getNextRun(cron, at)) {
+    skipped++;
+    lastSkippedAt = at;
+  }
+
+  // Claim the run; another server process may have claimed it already
+  const claimed = await query(
+    `UPDATE scraper_schedules
+     SET next_run_at = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE scraper = $1 AND next_run_at = $2
+     RETURNING scraper`,
+    [row.scraper, row.next_run_at, getNextRun(cron, now)]
+  );
+  if (claimed.rows.length === 0) return null;
+
+  if (skipped > 0) {
+    await recordMissedRuns(row.scraper, skipped, lastSkippedAt, 'server offline');
+  }
+
+  // Overlap: the previous run of this scraper has not finished yet
+  const previousJob = row.last_job_id ? await scrapeJobService.getJobById(row.last_job_id) : null;
+  if (previousJob && ['queued', 'running'].includes(previousJob.status)) {
+    await recordMissedRuns(row.scraper, 1, dueAt, `previous run (job ${previousJob.id}) still ${previousJob.status}`);
+    return null;
+  }
+
+  const job = await queueScraping(
+    { ...SCHEDULED_SCRAPERS[row.scraper].options, schedule: row.scraper },
+    { trigger: 'schedule' }
+  );
+
+  await query(
+    `UPDATE scraper_schedules
+     SET last_run_at = $2, last_job_id = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE scraper = $1`,
+    [row.scraper, now, job.id]
+  );
+  console.log(`⏰ Scheduled ${row.scraper} scraping queued as job ${job.id}`);
+
+  return job;
+};
+
+/**
+ * Queue every schedule that is due
+ */
+export const runDueSchedules = async (now = new Date()) => {
+  await ensureSchedulesTable();
+
+  const due = await query(
+    `SELECT * FROM scraper_schedules
+     WHERE enabled = TRUE AND next_run_at IS NOT NULL AND next_run_at <= $1
+     ORDER BY next_run_at ASC`,
+    [now]
+  );
+
+  const jobs = [];
+  for (const row of due.rows) {
+    if (!SCHEDULED_SCRAPERS[row.scraper]) continue;
+    try {
+      const job = await runSchedule(row, now);
+      if (job) jobs.push(job);
+    } catch (error) {
+      console.error(`Error running ${row.scraper} schedule:`, error);
+    }
+  }
+  return jobs;
+};
+
+/**
+ * Get all schedules with the status of their last job
+ */
+export const getSchedules = async () => {
+  await ensureSchedulesTable();
+
+  const result = await query(
+    `SELECT s.*, j.status AS last_job_status
+     FROM scraper_schedules s
+     LEFT JOIN scrape_jobs j ON j.id = s.last_job_id
+     ORDER BY s.scraper ASC`
+  );
+  return result.rows.map(toSchedule);
+};
+
+/**
+ * Start the scheduler of this process
+ * Invalid cron expressions, and ones that never match (31 April), are
+ * reported and fail start-up of the scheduler.
+ */
+export const startScheduler = async () => {
+  if (schedulerTimer) return;
+
+  for (const scraper of Object.keys(SCHEDULED_SCRAPERS)) {
+    const cron = getConfiguredCron(scraper);
+    if (cron && getNextRun(parseCron(cron)) === null) {
+      throw new Error(`${SCHEDULED_SCRAPERS[scraper].envVar} never matches a date: "${cron}"`);
+    }
+  }
+
+  await syncSchedules();
+
+  const tick = () => {
+    runDueSchedules().catch(error => console.error('Scheduler error:', error));
+  };
+  schedulerTimer = setInterval(tick, SCHEDULER_TICK_MS);
+  tick();
+
+  for (const schedule of await getSchedules()) {
+    console.log(schedule.enabled
+      ? `✓ ${schedule.label} scheduled "${schedule.cron}" (UTC), next run ${new Date(schedule.nextRunAt).toISOString()}`
+      : `ℹ️ ${schedule.label} schedule disabled`);
+  }
+};
+
+/**
+ * Stop the scheduler of this process
+ */
+export const stopScheduler = () => {
+  if (!schedulerTimer) return;
+
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+export default {
+  parseCron,
+  getNextRun,
+  ensureSchedulesTable,
+  syncSchedules,
+  runDueSchedules,
+  getSchedules,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,435 @@
+/**
+ * Scrape Job Service
+ *
+ * Persistent queue of scraping jobs (scrape_jobs table) and the worker
+ * that runs them. Jobs survive server restarts and keep their options,
+ * per-step progress and result, so past runs can be listed.
+ *
+ * Workers claim queued jobs with FOR UPDATE SKIP LOCKED, so several
+ * server processes can share one queue without running a job twice.
+ * A worker refreshes the heartbeat of its running job on every poll;
+ * running jobs without a recent heartbeat are marked as interrupted.
+ */
+
+import os from 'os';
+import pool, { query } from '../config/database.js';
+
+// How often a worker looks for queued jobs and refreshes its heartbeat
+const WORKER_POLL_INTERVAL_MS = parseInt(process.env.SCRAPE_WORKER_POLL_MS) || 5000;
+
+// A running job whose worker has not sent a heartbeat for this long is
+// considered interrupted (its process died or restarted)
+const STALE_JOB_SECONDS = Math.max(60, Math.ceil(WORKER_POLL_INTERVAL_MS * 6 / 1000));
+
+// Advisory lock serializing idle-only enqueues (see enqueueJob)
+const ENQUEUE_LOCK_ID = 482917;
+
+// Default and maximum page size of job listings
+const DEFAULT_JOB_LIMIT = 20;
+const MAX_JOB_LIMIT = 100;
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'error'];
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+// Worker state of this process (null when not started)
+let worker = null;
+
+/**
+ * Convert a scrape_jobs row to the API job shape
+ */
+const toJob = (row) => ({
+  id: row.id,
+  requestedBy: row.requested_by,
+  requestedByUsername: row.requested_by_username || null,
+  trigger: row.trigger,
+  options: row.options || {},
+  status: row.status,
+  message: row.message,
+  steps: row.steps || [],
+  result: row.result,
+  error: row.error,
+  workerId: row.worker_id,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at
+});
+
+/**
+ * Ensure scrape_jobs table exists
+ */
+export const ensureScrapeJobsTable = async () => {
+  if (tableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS scrape_jobs (
+      id SERIAL PRIMARY KEY,
+      requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      trigger VARCHAR(20) NOT NULL DEFAULT 'manual',
+      options JSONB DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      message TEXT,
+      steps JSONB DEFAULT '[]',
+      result JSONB,
+      error TEXT,
+      worker_id TEXT,
+      heartbeat_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status, created_at)');
+
+  tableInitialized = true;
+};
+
+const JOB_SELECT = `
+  SELECT j.*, u.username AS requested_by_username
+  FROM scrape_jobs j
+  LEFT JOIN users u ON u.id = j.requested_by
+`;
+
+/**
+ * Add a job to the queue
+ * steps: [{ name, label }] - the steps the worker will report progress for
+ * onlyIfIdle: only add the job when no job is queued or running; returns
+ * null otherwise. The check and the insert run under an advisory lock, so
+ * two concurrent requests cannot both get a job queued.
+ */
+export const enqueueJob = async ({ requestedBy = null, trigger = 'manual', options = {}, steps = [], message = null, onlyIfIdle = false }) => {
+  await ensureScrapeJobsTable();
+
+  const initialSteps = steps.map(step => ({
+    name: step.name,
+    label: step.label || step.name,
+    status: 'pending',
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null
+  }));
+  const params = [requestedBy, trigger, JSON.stringify(options), JSON.stringify(initialSteps), message];
+
+  if (!onlyIfIdle) {
+    const result = await query(
+      `INSERT INTO scrape_jobs (requested_by, trigger, options, steps, message)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      params
+    );
+    return toJob(result.rows[0]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [ENQUEUE_LOCK_ID]);
+    const result = await client.query(
+      `INSERT INTO scrape_jobs (requested_by, trigger, options, steps, message)
+       SELECT $1, $2, $3, $4, $5
+       WHERE NOT EXISTS (SELECT 1 FROM scrape_jobs WHERE status IN ('queued', 'running'))
+       RETURNING *`,
+      params
+    );
+    await client.query('COMMIT');
+    return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get a job by id (null if not found)
+ */
+export const getJobById = async (id) => {
+  await ensureScrapeJobsTable();
+
+  const result = await query(`${JOB_SELECT} WHERE j.id = $1`, [id]);
+  return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+};
+
+/**
+ * Get the most recently created job (null if there is none)
+ */
+export const getLatestJob = async () => {
+  await ensureScrapeJobsTable();
+
+  const result = await query(`${JOB_SELECT} ORDER BY j.created_at DESC, j.id DESC LIMIT 1`);
+  return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+};
+
+/**
+ * Get the queued or running job, if any
+ */
+export const getActiveJob = async () => {
+  await ensureScrapeJobsTable();
+
+  const result = await query(
+    `${JOB_SELECT}
+     WHERE j.status IN ('queued', 'running')
+     ORDER BY j.created_at ASC, j.id ASC
+     LIMIT 1`
+  );
+  return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+};
+
+/**
+ * List recent jobs, newest first (optionally filtered by status)
+ */
+export const getRecentJobs = async ({ limit = DEFAULT_JOB_LIMIT, status } = {}) => {
+  await ensureScrapeJobsTable();
+
+  const queryParams = [];
+  let whereClause = '';
+
+  if (status) {
+    queryParams.push(status);
+    whereClause = `WHERE j.status = $${queryParams.length}`;
+  }
+
+  queryParams.push(Math.min(Math.max(parseInt(limit) || DEFAULT_JOB_LIMIT, 1), MAX_JOB_LIMIT));
+  const result = await query(
+    `${JOB_SELECT}
+     ${whereClause}
+     ORDER BY j.created_at DESC, j.id DESC
+     LIMIT $${queryParams.length}`,
+    queryParams
+  );
+
+  return result.rows.map(toJob);
+};
+
+/**
+ * Claim the oldest queued job for a worker (null if the queue is empty)
+ */
+export const claimNextJob = async (workerId) => {
+  await ensureScrapeJobsTable();
+
+  const result = await query(
+    `UPDATE scrape_jobs
+     SET status = 'running', worker_id = $1, started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM scrape_jobs
+       WHERE status = 'queued'
+       ORDER BY created_at ASC, id ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId]
+  );
+
+  return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+};
+
+/**
+ * Save the progress message and steps of a running job
+ */
+const saveProgress = async (job) => {
+  await query(
+    'UPDATE scrape_jobs SET message = $2, steps = $3 WHERE id = $1',
+    [job.id, job.message, JSON.stringify(job.steps)]
+  );
+};
+
+/**
+ * Mark a job as finished ('completed' or 'error')
+ */
+const finishJob = async (job, { status, message, result = null, error = null }) => {
+  await query(
+    `UPDATE scrape_jobs
+     SET status = $2, message = $3, steps = $4, result = $5, error = $6, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, status, message, JSON.stringify(job.steps), result === null ? null : JSON.stringify(result), error]
+  );
+};
+
+/**
+ * Fail running jobs whose worker stopped sending heartbeats
+ * (server restarted or crashed mid-job). Their side effects may be
+ * partial, so they are not retried automatically.
+ */
+export const recoverInterruptedJobs = async () => {
+  await ensureScrapeJobsTable();
+
+  const result = await query(
+    `UPDATE scrape_jobs
+     SET status = 'error',
+         error = 'Interrupted: worker stopped responding',
+         message = 'Scraping interrompu (redémarrage du serveur)',
+         finished_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'
+       AND COALESCE(heartbeat_at, started_at) < CURRENT_TIMESTAMP - ($1 || ' seconds')::interval
+     RETURNING id`,
+    [STALE_JOB_SECONDS]
+  );
+
+  if (result.rows.length > 0) {
+    console.log(`⚠️ Marked ${result.rows.length} interrupted scrape job(s) as failed`);
+  }
+  return result.rows.length;
+};
+
+/**
+ * Refresh the heartbeat of the jobs this worker is running
+ */
+const sendHeartbeat = async (workerId) => {
+  await query(
+    `UPDATE scrape_jobs SET heartbeat_at = CURRENT_TIMESTAMP
+     WHERE status = 'running' AND worker_id = $1`,
+    [workerId]
+  );
+};
+
+/**
+ * Progress reporter handed to job handlers
+ * Every call is persisted so pollers see it immediately.
+ */
+const createReporter = (job) => {
+  const findStep = (name) => {
+    const step = job.steps.find(s => s.name === name);
+    if (!step) throw new Error(`Unknown job step: ${name}`);
+    return step;
+  };
+
+  return {
+    setMessage: async (message) => {
+      job.message = message;
+      await saveProgress(job);
+    },
+    startStep: async (name, message) => {
+      Object.assign(findStep(name), { status: 'running', startedAt: new Date().toISOString() });
+      if (message) job.message = message;
+      await saveProgress(job);
+    },
+    // progress: { done, total, source, status } of the step's scraper
+    progressStep: async (name, progress, message) => {
+      findStep(name).progress = progress;
+      if (message) job.message = message;
+      await saveProgress(job);
+    },
+    completeStep: async (name, result = null) => {
+      Object.assign(findStep(name), { status: 'completed', finishedAt: new Date().toISOString(), result });
+      await saveProgress(job);
+    },
+    failStep: async (name, error) => {
+      Object.assign(findStep(name), { status: 'error', finishedAt: new Date().toISOString(), error: error.message || String(error) });
+      await saveProgress(job);
+    },
+    skipStep: async (name) => {
+      Object.assign(findStep(name), { status: 'skipped' });
+      await saveProgress(job);
+    }
+  };
+};
+
+/**
+ * Run a claimed job with the worker's handler
+ * handler(job, reporter) resolves to { result, message }
+ */
+const runJob = async (job, handler) => {
+  console.log(`🔧 Scrape job ${job.id} started (${job.trigger})`);
+
+  try {
+    const { result, message } = await handler(job, createReporter(job));
+    await finishJob(job, { status: 'completed', message, result });
+    console.log(`✅ Scrape job ${job.id} completed`);
+  } catch (error) {
+    console.error(`❌ Scrape job ${job.id} failed:`, error);
+    await finishJob(job, {
+      status: 'error',
+      message: `Erreur: ${error.message}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Claim and run queued jobs until the queue is empty
+ */
+const drainQueue = async () => {
+  if (!worker || worker.busy) return;
+  worker.busy = true;
+
+  try {
+    let job;
+    while (worker && !worker.stopped && (job = await claimNextJob(worker.id))) {
+      await runJob(job, worker.handler);
+    }
+  } catch (error) {
+    console.error('Scrape worker error:', error);
+  } finally {
+    if (worker) worker.busy = false;
+  }
+};
+
+/**
+ * Periodic worker tick: heartbeat, interrupted job cleanup, queue poll
+ */
+const tick = async () => {
+  if (!worker) return;
+
+  try {
+    await sendHeartbeat(worker.id);
+    await recoverInterruptedJobs();
+  } catch (error) {
+    console.error('Scrape worker error:', error);
+  }
+  drainQueue();
+};
+
+/**
+ * Start this process's worker (one job at a time)
+ * handler(job, reporter) does the actual work of a job
+ */
+export const startWorker = async ({ handler, pollIntervalMs = WORKER_POLL_INTERVAL_MS }) => {
+  if (worker) return worker.id;
+
+  await ensureScrapeJobsTable();
+
+  const workerId = `${os.hostname()}:${process.pid}`;
+  worker = { id: workerId, handler, busy: false, stopped: false, timer: null };
+  worker.timer = setInterval(tick, pollIntervalMs);
+  console.log(`✓ Scrape worker ${workerId} started`);
+
+  tick();
+  return workerId;
+};
+
+/**
+ * Stop polling (a job in progress finishes, nothing new is claimed)
+ */
+export const stopWorker = () => {
+  if (!worker) return;
+
+  clearInterval(worker.timer);
+  worker.stopped = true;
+  worker = null;
+};
+
+/**
+ * Look for queued jobs now instead of waiting for the next poll
+ */
+export const wakeWorker = () => {
+  if (worker) drainQueue();
+};
+
+export default {
+  JOB_STATUSES,
+  ensureScrapeJobsTable,
+  enqueueJob,
+  getJobById,
+  getLatestJob,
+  getActiveJob,
+  getRecentJobs,
+  claimNextJob,
+  recoverInterruptedJobs,
+  startWorker,
+  stopWorker,
+  wakeWorker
+};
@@ -0,0 +1,236 @@
+/**
+ * Scrape Run Service
+ *
+ * Append-only log of scraper runs (scrape_runs table): one row per news
+ * source and per release product each time a scraper visits it, with
+ * duration, item counts, HTTP status and error. Unlike scrape_state and
+ * script_executions, which keep only the latest run, this keeps history
+ * so trends (e.g. a source suddenly returning zero articles) show up.
+ */
+
+import { query } from '../config/database.js';
+import { updateSourceHealth } from './scraperHealthService.js';
+
+export const RUN_KINDS = ['news', 'releases'];
+export const RUN_STATUSES = ['success', 'error', 'skipped'];
+
+// Default and maximum number of runs returned by getScrapeRuns
+const DEFAULT_RUN_LIMIT = 100;
+const MAX_RUN_LIMIT = 1000;
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Convert a scrape_runs row to the API run shape
+ */
+const toRun = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  source: row.source,
+  status: row.status,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  durationMs: row.duration_ms,
+  itemsFound: row.items_found,
+  itemsInserted: row.items_inserted,
+  itemsSkipped: row.items_skipped,
+  httpStatus: row.http_status,
+  errorMessage: row.error_message,
+  details: row.details || {}
+});
+
+/**
+ * Ensure scrape_runs table exists
+ */
+export const ensureScrapeRunsTable = async () => {
+  if (tableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS scrape_runs (
+      id SERIAL PRIMARY KEY,
+      kind VARCHAR(20) NOT NULL,
+      source TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      started_at TIMESTAMP NOT NULL,
+      finished_at TIMESTAMP NOT NULL,
+      duration_ms INTEGER,
+      items_found INTEGER DEFAULT 0,
+      items_inserted INTEGER DEFAULT 0,
+      items_skipped INTEGER DEFAULT 0,
+      http_status INTEGER,
+      error_message TEXT,
+      details JSONB DEFAULT '{}'
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_scrape_runs_source ON scrape_runs(source, started_at)');
+  await query('CREATE INDEX IF NOT EXISTS idx_scrape_runs_started ON scrape_runs(started_at)');
+
+  tableInitialized = true;
+};
+
+/**
+ * Append a run to the log and update the source's health
+ * Never throws: a logging failure must not fail the scrape itself.
+ * startedAt: Date or epoch ms when the source was started
+ */
+export const recordScrapeRun = async ({
+  kind,
+  source,
+  status,
+  startedAt,
+  itemsFound = 0,
+  itemsInserted = 0,
+  itemsSkipped = 0,
+  httpStatus = null,
+  errorMessage = null,
+  details = {}
+}) => {
+  try {
+    await ensureScrapeRunsTable();
+
+    const started = new Date(startedAt);
+    const finished = new Date();
+
+    const result = await query(
+      `INSERT INTO scrape_runs
+         (kind, source, status, started_at, finished_at, duration_ms,
+          items_found, items_inserted, items_skipped, http_status, error_message, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        kind,
+        source,
+        status,
+        started,
+        finished,
+        finished.getTime() - started.getTime(),
+        itemsFound,
+        itemsInserted,
+        itemsSkipped,
+        httpStatus,
+        errorMessage,
+        JSON.stringify(details)
+      ]
+    );
+    const run = toRun(result.rows[0]);
+    await updateSourceHealth(run);
+    return run;
+  } catch (error) {
+    console.error(`Error recording scrape run for ${source}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Build the WHERE clause shared by run listings and summaries
+ * filters: { source, kind, status, from, to } (from/to are Dates)
+ */
+const buildRunFilters = ({ source, kind, status, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (source) {
+    params.push(source);
+    conditions.push(`LOWER(source) = LOWER($${params.length})`);
+  }
+  if (kind) {
+    params.push(kind);
+    conditions.push(`kind = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`started_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`started_at < $${params.length}`);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * List runs, newest first
+ */
+export const getScrapeRuns = async ({ limit = DEFAULT_RUN_LIMIT, ...filters } = {}) => {
+  await ensureScrapeRunsTable();
+
+  const { whereClause, params } = buildRunFilters(filters);
+  params.push(Math.min(Math.max(parseInt(limit) || DEFAULT_RUN_LIMIT, 1), MAX_RUN_LIMIT));
+
+  const result = await query(
+    `SELECT * FROM scrape_runs
+     ${whereClause}
+     ORDER BY started_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(toRun);
+};
+
+/**
+ * Per-source totals over the filtered runs
+ */
+export const getScrapeRunSummary = async (filters = {}) => {
+  await ensureScrapeRunsTable();
+
+  const { whereClause, params } = buildRunFilters(filters);
+
+  const result = await query(
+    `SELECT
+       kind,
+       source,
+       COUNT(*) AS runs,
+       COUNT(*) FILTER (WHERE status = 'success' AND items_found > 0) AS successes,
+       COUNT(*) FILTER (WHERE status = 'skipped') AS skipped,
+       COUNT(*) FILTER (WHERE status = 'error') AS errors,
+       COUNT(*) FILTER (WHERE status = 'success' AND items_found = 0) AS empty_runs,
+       COALESCE(SUM(items_found), 0) AS items_found,
+       COALESCE(SUM(items_inserted), 0) AS items_inserted,
+       ROUND(AVG(duration_ms) FILTER (WHERE status <> 'skipped')) AS avg_duration_ms,
+       MAX(started_at) AS last_run_at,
+       MAX(started_at) FILTER (WHERE status = 'success' AND items_found > 0) AS last_found_at
+     FROM scrape_runs
+     ${whereClause}
+     GROUP BY kind, source
+     ORDER BY kind ASC, source ASC`,
+    params
+  );
+
+  return result.rows.map(row => {
+    const attempted = parseInt(row.runs) - parseInt(row.skipped);
+    return {
+      kind: row.kind,
+      source: row.source,
+      runs: parseInt(row.runs),
+      successes: parseInt(row.successes),
+      skipped: parseInt(row.skipped),
+      errors: parseInt(row.errors),
+      emptyRuns: parseInt(row.empty_runs),
+      itemsFound: parseInt(row.items_found),
+      itemsInserted: parseInt(row.items_inserted),
+      avgDurationMs: row.avg_duration_ms === null ? null : parseInt(row.avg_duration_ms),
+      lastRunAt: row.last_run_at,
+      lastFoundAt: row.last_found_at,
+      // Share of attempted (not skipped) runs that found items, in percent
+      successRate: attempted > 0 ? Math.round(parseInt(row.successes) / attempted * 1000) / 10 : null
+    };
+  });
+};
+
+export default {
+  RUN_KINDS,
+  RUN_STATUSES,
+  ensureScrapeRunsTable,
+  recordScrapeRun,
+  getScrapeRuns,
+  getScrapeRunSummary
+};
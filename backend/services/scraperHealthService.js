@@ -0,0 +1,145 @@
+/**
+ * Scraper Health Service
+ *
+ * Tracks the health of each news source and release product from its
+ * scrape runs. A run fails when it errors or finds nothing (a selector
+ * that stopped matching looks like an empty page). After
+ * SCRAPER_HEALTH_THRESHOLD consecutive failed runs (default 3) the
+ * source is flagged as degraded and a 'scraper_health' notification is
+ * created; the first successful run afterwards marks it recovered.
+ */
+
+import { query } from '../config/database.js';
+import notificationService from './notificationService.js';
+
+// Consecutive empty or failed runs before a source counts as degraded
+export const HEALTH_FAILURE_THRESHOLD = parseInt(process.env.SCRAPER_HEALTH_THRESHOLD) || 3;
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Convert a scraper_health row to the API shape
+ */
+const toHealth = (row) => ({
+  kind: row.kind,
+  source: row.source,
+  status: row.status,
+  consecutiveFailures: row.consecutive_failures,
+  lastRunStatus: row.last_run_status,
+  lastError: row.last_error,
+  degradedSince: row.degraded_since,
+  lastAlertAt: row.last_alert_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Ensure scraper_health table exists
+ */
+export const ensureScraperHealthTable = async () => {
+  if (tableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS scraper_health (
+      kind VARCHAR(20) NOT NULL,
+      source TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'healthy',
+      consecutive_failures INTEGER DEFAULT 0,
+      last_run_status VARCHAR(20),
+      last_error TEXT,
+      degraded_since TIMESTAMP,
+      last_alert_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (kind, source)
+    )
+  `);
+
+  tableInitialized = true;
+};
+
+/**
+ * Whether a run counts against a source's health
+ */
+export const isFailedRun = (run) => {
+  return run.status === 'error' || (run.status === 'success' && !run.itemsFound);
+};
+
+/**
+ * Update a source's health after one of its runs
+ * Skipped runs do not change health. Returns the new health state
+ * (null for skipped runs).
+ */
+export const updateSourceHealth = async (run) => {
+  if (run.status === 'skipped') return null;
+
+  await ensureScraperHealthTable();
+
+  const failed = isFailedRun(run);
+  const lastError = run.status === 'error'
+    ? run.errorMessage
+    : failed ? 'No items found (selector or page may have changed)' : null;
+
+  const existing = await query(
+    'SELECT * FROM scraper_health WHERE kind = $1 AND source = $2',
+    [run.kind, run.source]
+  );
+  const previous = existing.rows[0];
+
+  const consecutiveFailures = failed ? (previous?.consecutive_failures || 0) + 1 : 0;
+  const status = consecutiveFailures >= HEALTH_FAILURE_THRESHOLD ? 'degraded' : 'healthy';
+  const wasDegraded = previous?.status === 'degraded';
+  const changed = (status === 'degraded') !== wasDegraded;
+
+  const result = await query(
+    `INSERT INTO scraper_health
+       (kind, source, status, consecutive_failures, last_run_status, last_error, degraded_since, last_alert_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+     ON CONFLICT (kind, source) DO UPDATE SET
+       status = EXCLUDED.status,
+       consecutive_failures = EXCLUDED.consecutive_failures,
+       last_run_status = EXCLUDED.last_run_status,
+       last_error = COALESCE(EXCLUDED.last_error, scraper_health.last_error),
+       degraded_since = EXCLUDED.degraded_since,
+       last_alert_at = COALESCE(EXCLUDED.last_alert_at, scraper_health.last_alert_at),
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      run.kind,
+      run.source,
+      status,
+      consecutiveFailures,
+      run.status,
+      lastError,
+      status === 'degraded' ? (wasDegraded ? previous.degraded_since : new Date()) : null,
+      changed ? new Date() : null
+    ]
+  );
+  const health = toHealth(result.rows[0]);
+
+  if (changed) {
+    console.log(status === 'degraded'
+      ? `🩺 ${run.kind} source ${run.source} degraded after ${consecutiveFailures} failed run(s)`
+      : `🩺 ${run.kind} source ${run.source} recovered`);
+    await notificationService.createScraperHealthNotification(health);
+  }
+
+  return health;
+};
+
+/**
+ * Get the health state of every tracked source
+ */
+export const getHealthStates = async () => {
+  await ensureScraperHealthTable();
+
+  const result = await query('SELECT * FROM scraper_health ORDER BY kind ASC, source ASC');
+  return result.rows.map(toHealth);
+};
+
+export default {
+  HEALTH_FAILURE_THRESHOLD,
+  ensureScraperHealthTable,
+  isFailedRun,
+  updateSourceHealth,
+  getHealthStates
+};
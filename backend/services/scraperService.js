@@ -5,6 +5,7 @@
  * - 5 executions per day limit
  * - Integration with new scripts folder
  * - Post-processing integration
+ * - Non-blocking runs through the persistent job queue (scrapeJobService)
  */
 
 import { query } from '../config/database.js';
@@ -12,27 +13,25 @@ import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dataProcessingService from './dataProcessingService.js';
+import { ensureReleasesTable } from './releaseService.js';
+import scrapeJobService from './scrapeJobService.js';
+import notificationService from './notificationService.js';
+import scrapeRunService from './scrapeRunService.js';
+import reprocessingService from './reprocessingService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Path to backend scripts directory
-const SCRIPTS_DIR = path.resolve(__dirname, '..', 'scripts');
+export const SCRIPTS_DIR = path.resolve(__dirname, '..', 'scripts');
 const ROOT_DIR = path.resolve(__dirname, '..', '..');
 
+// Time a timed out script gets to exit after SIGTERM before it is killed
+const SCRIPT_KILL_GRACE_MS = 5000;
+
 // Maximum manual scraping executions per day
 const MAX_DAILY_EXECUTIONS = 5;
 
-// In-memory scraping job state for non-blocking execution
-let currentScrapingJob = {
-  isRunning: false,
-  jobId: null,
-  startedAt: null,
-  status: 'idle', // idle, running, completed, error
-  message: '',
-  result: null
-};
-
 /**
  * Ensure tables exist
  */
@@ -153,19 +152,50 @@ export const updateExecutionState = async (scriptName, status = 'success', detai
 
 /**
  * Run a scraping script as a child process
+ * args: command line arguments passed to the script
+ * onProgress(event) receives the script's progress events (see
+ * scripts/concurrency.js reportProgress), one at a time; the script's
+ * promise settles once the last one has been handled.
+ * timeoutMs: stop the script (SIGTERM, then SIGKILL) and reject after this
+ * long; a script stuck in a regex cannot handle SIGTERM
+ * Resolves with { success, stdout, stderr, result }, result being what the
+ * script sent with reportResult (null if nothing).
  */
-const runScript = (scriptPath) => {
+export const runScript = (scriptPath, { args = [], onProgress = null, timeoutMs = null } = {}) => {
   return new Promise((resolve, reject) => {
-    console.log(`🚀 Running script: ${scriptPath}`);
+    console.log(`🚀 Running script: ${scriptPath} ${args.join(' ')}`.trim());
     
-    const child = spawn('node', [scriptPath], {
+    const child = spawn('node', [scriptPath, ...args], {
       cwd: path.dirname(scriptPath),
-      stdio: ['pipe', 'pipe', 'pipe'],
+      stdio: ['pipe', 'pipe', 'pipe', 'ipc'],
       env: { ...process.env }
     });
     
     let stdout = '';
     let stderr = '';
+    let progressHandled = Promise.resolve();
+    let result = null;
+    let timedOut = false;
+    const timers = [];
+    
+    if (timeoutMs) {
+      timers.push(setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+        timers.push(setTimeout(() => child.kill('SIGKILL'), SCRIPT_KILL_GRACE_MS));
+      }, timeoutMs));
+    }
+    
+    child.on('message', (message) => {
+      if (message?.type === 'script-result') {
+        result = message.result;
+        return;
+      }
+      if (!onProgress || message?.type !== 'scrape-progress') return;
+      progressHandled = progressHandled
+        .then(() => onProgress(message))
+        .catch(error => console.error('Error reporting scrape progress:', error.message));
+    });
     
     child.stdout.on('data', (data) => {
       stdout += data.toString();
@@ -177,9 +207,13 @@ const runScript = (scriptPath) => {
       console.error(data.toString());
     });
     
-    child.on('close', (code) => {
-      if (code === 0) {
-        resolve({ success: true, stdout, stderr });
+    child.on('close', async (code) => {
+      timers.forEach(clearTimeout);
+      await progressHandled;
+      if (timedOut) {
+        reject(new Error(`Script timed out after ${timeoutMs}ms`));
+      } else if (code === 0) {
+        resolve({ success: true, stdout, stderr, result });
       } else {
         reject(new Error(`Script exited with code ${code}: ${stderr}`));
       }
@@ -207,7 +241,7 @@ export const runReleasesScraperIfNeeded = async () => {
     const scriptPath = path.join(SCRIPTS_DIR, 'scrapeReleases.js');
     await runScript(scriptPath);
     
-    const afterResult = await query('SELECT id, name, version, release_url, scraped_date FROM releases');
+    const afterResult = await query('SELECT id, name, version, release_url, scraped_date, change_type FROM releases WHERE is_backfill IS NOT TRUE');
     const newReleases = afterResult.rows.filter(r => !beforeReleases.has(`${r.name}:${r.version}`));
     
     await updateExecutionState(scriptName, 'success', {
@@ -320,7 +354,7 @@ export const triggerManualScraping = async (options = {}) => {
       const scriptPath = path.join(SCRIPTS_DIR, 'scrapeReleases.js');
       await runScript(scriptPath);
       
-      const afterResult = await query('SELECT id, name, version, release_url FROM releases');
+      const afterResult = await query('SELECT id, name, version, release_url, change_type FROM releases WHERE is_backfill IS NOT TRUE');
       const newReleases = afterResult.rows.filter(r => !beforeReleases.has(`${r.name}:${r.version}`));
       
       results.releases = { success: true, newReleases };
@@ -356,30 +390,202 @@ export const triggerManualScraping = async (options = {}) => {
   return results;
 };
 
+// Steps a scraping job reports progress for
+const JOB_STEPS = {
+  releases: { name: 'releases', label: 'Releases' },
+  news: { name: 'news', label: 'News articles' },
+  processing: { name: 'processing', label: 'Article processing' },
+  backfill: { name: 'backfill', label: 'News backfill' },
+  reprocessing: { name: 'reprocessing', label: 'Article reprocessing' }
+};
+
 /**
- * Get current scraping job status
+ * Get the status of the latest scraping job (for polling)
+ * Keeps the { isRunning, jobId, status, message, result } shape of the
+ * former in-memory job state.
  */
-export const getScrapingJobStatus = () => {
-  return { ...currentScrapingJob };
+export const getScrapingJobStatus = async () => {
+  const job = await scrapeJobService.getLatestJob();
+  
+  if (!job) {
+    return {
+      isRunning: false,
+      jobId: null,
+      startedAt: null,
+      status: 'idle',
+      message: '',
+      result: null,
+      steps: []
+    };
+  }
+  
+  return {
+    isRunning: job.status === 'queued' || job.status === 'running',
+    jobId: job.id,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    status: job.status,
+    message: job.message || '',
+    result: job.result,
+    steps: job.steps
+  };
 };
 
 /**
- * Start non-blocking manual scraping
- * Returns immediately with job ID, runs scraping in background
+ * Queue a scraping job for the worker (no quota checks)
+ * trigger: 'manual' or 'schedule'; extra options are stored with the job
+ * onlyIfIdle: return null instead of queueing behind another job
  */
-export const startNonBlockingScraping = async (options = {}) => {
+export const queueScraping = async (options = {}, { requestedBy = null, trigger = 'manual', onlyIfIdle = false } = {}) => {
   const { scrapeNews = true, scrapeReleases = true } = options;
   
-  // Check if already running
-  if (currentScrapingJob.isRunning) {
-    return {
-      success: false,
-      error: 'Scraping already in progress',
-      message: 'Un scraping est déjà en cours. Veuillez patienter.',
-      jobId: currentScrapingJob.jobId,
-      status: currentScrapingJob.status
+  const steps = [];
+  if (scrapeReleases) steps.push(JOB_STEPS.releases);
+  if (scrapeNews) steps.push(JOB_STEPS.news, JOB_STEPS.processing);
+  
+  const job = await scrapeJobService.enqueueJob({
+    requestedBy,
+    trigger,
+    options: { ...options, scrapeNews, scrapeReleases },
+    steps,
+    message: 'Scraping en attente...',
+    onlyIfIdle
+  });
+  if (!job) return null;
+  
+  scrapeJobService.wakeWorker();
+  return job;
+};
+
+/**
+ * Queue a backfill job for a news source
+ * backfill: { sourceId, from, to, maxPages? } (dates as YYYY-MM-DD).
+ * Backfills are not counted against the daily manual scraping limit.
+ */
+export const queueBackfill = async (backfill, { requestedBy = null } = {}) => {
+  const job = await scrapeJobService.enqueueJob({
+    requestedBy,
+    trigger: 'manual',
+    options: { scrapeNews: false, scrapeReleases: false, backfill },
+    steps: [JOB_STEPS.backfill, JOB_STEPS.processing],
+    message: 'Backfill en attente...'
+  });
+  
+  scrapeJobService.wakeWorker();
+  return job;
+};
+
+/**
+ * Run a claimed backfill job: backfill script, then article processing
+ */
+const runBackfillJob = async (job, reporter) => {
+  const { sourceId, from, to, maxPages } = job.options.backfill;
+  const results = {
+    timestamp: new Date().toISOString(),
+    backfill: null
+  };
+  
+  await reporter.startStep('backfill', `Backfill de ${sourceId} depuis le ${from}...`);
+  try {
+    const args = [sourceId, '--from', from, '--to', to];
+    if (maxPages) args.push('--max-pages', String(maxPages));
+    
+    const { result } = await runScript(path.join(SCRIPTS_DIR, 'backfillNews.js'), {
+      args,
+      onProgress: ({ done, total, source, status, found }) => reporter.progressStep(
+        'backfill',
+        { done, total, source, status, found },
+        `Backfill de ${sourceId}... (page ${done})`
+      )
+    });
+    
+    if (!result) throw new Error('The backfill script returned no result');
+    results.backfill = {
+      success: true,
+      sourceId,
+      from,
+      to,
+      pages: result.pages,
+      found: result.found,
+      inRange: result.inRange,
+      newArticles: result.inserted
     };
+    await reporter.completeStep('backfill', results.backfill);
+  } catch (error) {
+    results.backfill = { success: false, sourceId, from, to, error: error.message };
+    await reporter.failStep('backfill', error);
+    await reporter.skipStep('processing');
+    return { result: results, message: `Erreur de backfill: ${error.message}` };
+  }
+  
+  await reporter.startStep('processing', 'Traitement des articles...');
+  try {
+    const processingResult = await dataProcessingService.processRawArticles();
+    await reporter.completeStep('processing', processingResult);
+  } catch (error) {
+    await reporter.failStep('processing', error);
+  }
+  
+  return { result: results, message: 'Backfill terminé' };
+};
+
+/**
+ * Queue a reprocessing job for stored articles
+ * reprocess: { filters: { ids, category, source, from, to }, dryRun }.
+ * Not counted against the daily manual scraping limit.
+ */
+export const queueReprocessing = async (reprocess, { requestedBy = null } = {}) => {
+  const job = await scrapeJobService.enqueueJob({
+    requestedBy,
+    trigger: 'manual',
+    options: { scrapeNews: false, scrapeReleases: false, reprocess },
+    steps: [JOB_STEPS.reprocessing],
+    message: 'Retraitement en attente...'
+  });
+  
+  scrapeJobService.wakeWorker();
+  return job;
+};
+
+/**
+ * Run a claimed reprocessing job; its result is the reprocessing report
+ */
+const runReprocessingJob = async (job, reporter) => {
+  const { filters, dryRun } = job.options.reprocess;
+  
+  await reporter.startStep('reprocessing', 'Retraitement des articles...');
+  try {
+    const report = await reprocessingService.reprocessArticles({
+      filters,
+      dryRun,
+      onProgress: ({ done, total }) => reporter.progressStep(
+        'reprocessing',
+        { done, total },
+        `Retraitement des articles... (${done}/${total})`
+      )
+    });
+    await reporter.completeStep('reprocessing', {
+      articles: report.articles,
+      changed: report.changed,
+      updated: report.updated
+    });
+    
+    const message = dryRun
+      ? `Simulation terminée: ${report.changed} articles changeraient de catégorie`
+      : `Retraitement terminé: ${report.updated} articles mis à jour`;
+    return { result: report, message };
+  } catch (error) {
+    await reporter.failStep('reprocessing', error);
+    return { result: { success: false, error: error.message }, message: `Erreur de retraitement: ${error.message}` };
   }
+};
+
+/**
+ * Start non-blocking manual scraping
+ * Queues a job and returns immediately with its ID; the worker runs it
+ */
+export const startNonBlockingScraping = async (options = {}, requestedBy = null) => {
+  const { scrapeNews = true, scrapeReleases = true } = options;
   
   // Check limit
   if (!await canExecuteManually()) {
@@ -392,104 +598,138 @@ export const startNonBlockingScraping = async (options = {}) => {
     };
   }
   
-  // Generate job ID
-  const jobId = `scrape_${Date.now()}`;
-  
-  // Update job state
-  currentScrapingJob = {
-    isRunning: true,
-    jobId,
-    startedAt: new Date().toISOString(),
-    status: 'running',
-    message: 'Scraping en cours...',
-    result: null
-  };
+  // Only queued when no job is queued or running (checked atomically)
+  const job = await queueScraping({ scrapeNews, scrapeReleases }, { requestedBy, onlyIfIdle: true });
+  if (!job) {
+    const activeJob = await scrapeJobService.getActiveJob();
+    return {
+      success: false,
+      error: 'Scraping already in progress',
+      message: 'Un scraping est déjà en cours. Veuillez patienter.',
+      jobId: activeJob?.id ?? null,
+      status: activeJob?.status ?? null
+    };
+  }
   
   // Increment counter immediately
   await incrementExecutionCount();
   const remaining = await getRemainingExecutions();
   
-  // Run scraping in background (don't await)
-  runScrapingInBackground(scrapeNews, scrapeReleases).catch(err => {
-    console.error('Background scraping error:', err);
-    currentScrapingJob.status = 'error';
-    currentScrapingJob.message = 'Erreur lors du scraping';
-    currentScrapingJob.isRunning = false;
-  });
-  
   return {
     success: true,
     message: 'Scraping démarré en arrière-plan',
-    jobId,
-    status: 'running',
+    jobId: job.id,
+    status: job.status,
     remaining
   };
 };
 
 /**
- * Internal: Run scraping in background
+ * Run a claimed scraping job (worker handler)
+ * A failing step is recorded in the result; the remaining steps still run.
+ * Each scraper's run is recorded in script_executions and new releases
+ * get notifications, whether the job was manual or scheduled.
  */
-const runScrapingInBackground = async (scrapeNews, scrapeReleases) => {
+export const runScrapingJob = async (job, reporter) => {
+  if (job.options.backfill) {
+    return await runBackfillJob(job, reporter);
+  }
+  if (job.options.reprocess) {
+    return await runReprocessingJob(job, reporter);
+  }
+  
+  const { scrapeNews = true, scrapeReleases = true } = job.options;
   const results = {
     timestamp: new Date().toISOString(),
     releases: null,
     news: null
   };
   
-  try {
-    if (scrapeReleases) {
-      try {
-        currentScrapingJob.message = 'Scraping des releases...';
-        const beforeResult = await query('SELECT name, version FROM releases');
-        const beforeReleases = new Set(beforeResult.rows.map(r => `${r.name}:${r.version}`));
-        
-        const scriptPath = path.join(SCRIPTS_DIR, 'scrapeReleases.js');
-        await runScript(scriptPath);
-        
-        const afterResult = await query('SELECT id, name, version, release_url FROM releases');
-        const newReleases = afterResult.rows.filter(r => !beforeReleases.has(`${r.name}:${r.version}`));
-        
-        results.releases = { success: true, newReleasesCount: newReleases.length };
-      } catch (error) {
-        results.releases = { success: false, error: error.message };
+  if (scrapeReleases) {
+    await reporter.startStep('releases', 'Scraping des releases...');
+    try {
+      const beforeResult = await query('SELECT name, version FROM releases');
+      const beforeReleases = new Set(beforeResult.rows.map(r => `${r.name}:${r.version}`));
+      
+      const scriptPath = path.join(SCRIPTS_DIR, 'scrapeReleases.js');
+      await runScript(scriptPath, {
+        onProgress: ({ done, total, source, status }) => reporter.progressStep(
+          'releases',
+          { done, total, source, status },
+          `Scraping des releases... (${done}/${total})`
+        )
+      });
+      
+      const afterResult = await query('SELECT id, name, version, release_url, change_type FROM releases WHERE is_backfill IS NOT TRUE');
+      const newReleases = afterResult.rows.filter(r => !beforeReleases.has(`${r.name}:${r.version}`));
+      
+      if (newReleases.length > 0) {
+        await notificationService.createReleaseNotifications(newReleases);
       }
+      await updateExecutionState('scrapeReleases', 'success', {
+        newReleasesCount: newReleases.length,
+        newReleases: newReleases.map(r => ({ name: r.name, version: r.version }))
+      });
+      
+      results.releases = { success: true, newReleasesCount: newReleases.length };
+      await reporter.completeStep('releases', results.releases);
+    } catch (error) {
+      results.releases = { success: false, error: error.message };
+      await updateExecutionState('scrapeReleases', 'error', { error: error.message });
+      await reporter.failStep('releases', error);
     }
-    
-    if (scrapeNews) {
-      try {
-        currentScrapingJob.message = 'Scraping des articles...';
-        const beforeCount = (await query('SELECT COUNT(*) as count FROM articles')).rows[0].count;
-        
-        const scriptPath = path.join(SCRIPTS_DIR, 'scrapeNews.js');
-        await runScript(scriptPath);
-        
-        // Run processing
-        currentScrapingJob.message = 'Traitement des articles...';
-        await dataProcessingService.processRawArticles();
-        
-        const afterCount = (await query('SELECT COUNT(*) as count FROM articles')).rows[0].count;
-        const newArticles = parseInt(afterCount) - parseInt(beforeCount);
-        
-        results.news = { success: true, newArticles };
-      } catch (error) {
-        results.news = { success: false, error: error.message };
-      }
+  }
+  
+  if (scrapeNews) {
+    await reporter.startStep('news', 'Scraping des articles...');
+    try {
+      const beforeCount = (await query('SELECT COUNT(*) as count FROM articles')).rows[0].count;
+      
+      const scriptPath = path.join(SCRIPTS_DIR, 'scrapeNews.js');
+      await runScript(scriptPath, {
+        onProgress: ({ done, total, source, status }) => reporter.progressStep(
+          'news',
+          { done, total, source, status },
+          `Scraping des articles... (${done}/${total})`
+        )
+      });
+      await reporter.completeStep('news');
+      
+      // Run processing
+      await reporter.startStep('processing', 'Traitement des articles...');
+      const processingResult = await dataProcessingService.processRawArticles();
+      
+      const afterCount = (await query('SELECT COUNT(*) as count FROM articles')).rows[0].count;
+      const newArticles = parseInt(afterCount) - parseInt(beforeCount);
+      
+      await updateExecutionState('scrapeNews', 'success', {
+        newArticlesCount: newArticles,
+        totalArticles: parseInt(afterCount),
+        processing: processingResult
+      });
+      
+      results.news = { success: true, newArticles };
+      await reporter.completeStep('processing', processingResult);
+    } catch (error) {
+      results.news = { success: false, error: error.message };
+      await updateExecutionState('scrapeNews', 'error', { error: error.message });
+      const failedStep = job.steps.find(step => step.status === 'running');
+      await reporter.failStep(failedStep ? failedStep.name : 'news', error);
+      if (failedStep?.name === 'news') await reporter.skipStep('processing');
     }
-    
-    // Update job state to completed
-    currentScrapingJob.status = 'completed';
-    currentScrapingJob.message = 'Scraping terminé';
-    currentScrapingJob.result = results;
-    currentScrapingJob.isRunning = false;
-    
-    console.log('✅ Background scraping completed:', results);
-    
-  } catch (error) {
-    currentScrapingJob.status = 'error';
-    currentScrapingJob.message = `Erreur: ${error.message}`;
-    currentScrapingJob.isRunning = false;
-    console.error('❌ Background scraping error:', error);
   }
+  
+  console.log('✅ Background scraping completed:', results);
+  
+  return { result: results, message: 'Scraping terminé' };
+};
+
+/**
+ * Start the worker that runs queued scraping jobs in this process
+ */
+export const startScrapeWorker = async () => {
+  await ensureTables();
+  return await scrapeJobService.startWorker({ handler: runScrapingJob });
 };
 
 /**
@@ -515,10 +755,12 @@ export const getTodaysNews = async () => {
 export const getTodaysReleases = async () => {
   const today = getTodayDate();
   
+  await ensureReleasesTable();
+  
   const result = await query(
-    `SELECT id, name, version, release_url, scraped_date
+    `SELECT id, name, version, release_url, scraped_date, change_type
      FROM releases 
-     WHERE DATE(scraped_date) = $1
+     WHERE DATE(scraped_date) = $1 AND is_backfill IS NOT TRUE
      ORDER BY scraped_date DESC`,
     [today]
   );
@@ -564,9 +806,16 @@ export default {
   triggerDailyScrapers,
   triggerManualScraping,
   startNonBlockingScraping,
+  queueScraping,
+  queueBackfill,
+  queueReprocessing,
   getScrapingJobStatus,
+  runScrapingJob,
+  startScrapeWorker,
   getTodaysNews,
   getTodaysReleases,
   getScraperStatus,
+  runScript,
+  SCRIPTS_DIR,
   MAX_DAILY_EXECUTIONS
 };
@@ -0,0 +1,129 @@
+/**
+ * Search Service
+ *
+ * Full-text search over processed articles using PostgreSQL tsvector.
+ * Title, tags and content are weighted (A, B, C) so title matches rank first.
+ */
+
+import { query } from '../config/database.js';
+import { categoryFilter, CATEGORIES_SELECT, ensureArticleCategoriesTable } from './articleCategoryService.js';
+
+// Text search configuration used for both indexing and querying
+const SEARCH_CONFIG = 'english';
+
+// Markers wrapped around matched terms in highlighted snippets
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_STOP = '</mark>';
+
+// Track if the search column has been initialized (avoid repeated DDL)
+let searchInitialized = false;
+
+/**
+ * Ensure the articles table has a maintained search_vector column and GIN index
+ */
+export const ensureSearchIndex = async () => {
+  if (searchInitialized) return;
+
+  await query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS search_vector tsvector`);
+
+  // Keep search_vector in sync on every insert/update
+  await query(`
+    CREATE OR REPLACE FUNCTION articles_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector :=
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(array_to_string(NEW.tags, ' '), '')), 'B') ||
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.content_text, '')), 'C');
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql
+  `);
+
+  await query(`DROP TRIGGER IF EXISTS articles_search_vector_trigger ON articles`);
+  await query(`
+    CREATE TRIGGER articles_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, tags, content_text ON articles
+    FOR EACH ROW EXECUTE FUNCTION articles_search_vector_update()
+  `);
+
+  await query(`CREATE INDEX IF NOT EXISTS idx_articles_search_vector ON articles USING GIN (search_vector)`);
+
+  // Backfill rows inserted before the trigger existed
+  await query(`UPDATE articles SET title = title WHERE search_vector IS NULL`);
+
+  searchInitialized = true;
+};
+
+/**
+ * Search articles by free text
+ * Supports web-search syntax: "quoted phrases", OR, -excluded
+ * Returns ranked articles with highlighted title and content snippet
+ */
+export const searchArticles = async ({ q, category, page = 1, limit = 10, sort = 'relevance' }) => {
+  await ensureSearchIndex();
+  await ensureArticleCategoriesTable();
+
+  const offset = (page - 1) * limit;
+
+  const queryParams = [q];
+  let whereClause = `WHERE search_vector @@ websearch_to_tsquery('${SEARCH_CONFIG}', $1)`;
+
+  if (category && category !== 'all') {
+    queryParams.push(category);
+    whereClause += ` AND ${categoryFilter(`$${queryParams.length}`)}`;
+  }
+
+  let orderBy;
+  if (sort === 'newest') {
+    orderBy = 'ORDER BY pubdate DESC';
+  } else if (sort === 'oldest') {
+    orderBy = 'ORDER BY pubdate ASC';
+  } else {
+    orderBy = 'ORDER BY rank DESC, pubdate DESC';
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM articles ${whereClause}`,
+    queryParams
+  );
+  const total = parseInt(countResult.rows[0].count);
+
+  const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+  const searchQuery = `
+    SELECT
+      id,
+      title,
+      url,
+      author,
+      pubdate,
+      category,
+      tags,
+      ${CATEGORIES_SELECT},
+      ts_rank_cd(search_vector, websearch_to_tsquery('${SEARCH_CONFIG}', $1)) AS rank,
+      ts_headline('${SEARCH_CONFIG}', title, websearch_to_tsquery('${SEARCH_CONFIG}', $1),
+        'StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true') AS title_highlight,
+      ts_headline('${SEARCH_CONFIG}', coalesce(content_text, ''), websearch_to_tsquery('${SEARCH_CONFIG}', $1),
+        '${headlineOptions}') AS snippet
+    FROM articles
+    ${whereClause}
+    ${orderBy}
+    LIMIT $${queryParams.length + 1}
+    OFFSET $${queryParams.length + 2}
+  `;
+
+  const result = await query(searchQuery, [...queryParams, limit, offset]);
+
+  return {
+    articles: result.rows.map(row => ({
+      ...row,
+      rank: parseFloat(row.rank)
+    })),
+    total
+  };
+};
+
+export default {
+  ensureSearchIndex,
+  searchArticles
+};
@@ -0,0 +1,233 @@
+/**
+ * Session Service
+ * 
+ * Short-lived JWT access tokens plus rotating refresh tokens stored
+ * server-side. Only a SHA-256 hash of each refresh token is kept.
+ * 
+ * Every refresh replaces the token with a new one from the same family
+ * (one family per sign-in). Presenting a token that was already rotated
+ * means it leaked, so the whole family is revoked, unless it was rotated
+ * moments ago: tabs whose access tokens expire together refresh with the
+ * same token, and the later ones get a new token of the family.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { query } from '../config/database.js';
+
+// Access tokens are short-lived; sessions live on through refresh tokens
+// (JWT_EXPIRES_IN held the old 7 day lifetime and is not read)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// How long a rotated refresh token still continues its session
+const ROTATION_GRACE_SECONDS = 10;
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Ensure refresh_tokens table exists
+ */
+export const ensureRefreshTokensTable = async () => {
+  if (tableInitialized) return;
+  
+  await query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      family_id VARCHAR(36) NOT NULL,
+      user_agent TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP,
+      replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)');
+  
+  tableInitialized = true;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token for a user row
+ */
+export const signAccessToken = (user) => {
+  return jwt.sign(
+    {
+      userId: user.id,
+      username: user.username,
+      role: user.role || 'user'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Store a new refresh token and return its raw value
+ * familyId continues an existing session; omitted for a new sign-in
+ */
+const issueRefreshToken = async (userId, { familyId, userAgent } = {}) => {
+  await ensureRefreshTokensTable();
+  
+  const token = crypto.randomBytes(48).toString('base64url');
+  const result = await query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' days')::interval)
+     RETURNING id`,
+    [userId, hashToken(token), familyId || crypto.randomUUID(), userAgent || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  
+  return { id: result.rows[0].id, token };
+};
+
+/**
+ * Start a session for a user row (after a successful login)
+ * Returns { accessToken, refreshToken }
+ */
+export const createSession = async (user, { userAgent } = {}) => {
+  await ensureRefreshTokensTable();
+  
+  // Drop the user's expired tokens while we are here
+  await query(
+    'DELETE FROM refresh_tokens WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP',
+    [user.id]
+  );
+  
+  const { token } = await issueRefreshToken(user.id, { userAgent });
+  
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: token
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair
+ * Returns null when the token is unknown, expired or revoked. A token
+ * that was already rotated revokes its whole family (reuse detection),
+ * unless it was rotated within ROTATION_GRACE_SECONDS and its family is
+ * still active.
+ */
+export const rotateSession = async (refreshToken, { userAgent } = {}) => {
+  await ensureRefreshTokensTable();
+  
+  const result = await query(
+    `SELECT rt.id, rt.user_id, rt.family_id, rt.revoked_at, rt.replaced_by,
+            rt.expires_at < CURRENT_TIMESTAMP AS expired,
+            rt.revoked_at > CURRENT_TIMESTAMP - ($2 || ' seconds')::interval AS recently_revoked,
+            EXISTS (
+              SELECT 1 FROM refresh_tokens f
+              WHERE f.family_id = rt.family_id AND f.revoked_at IS NULL
+                AND f.expires_at > CURRENT_TIMESTAMP
+            ) AS family_active,
+            u.id AS uid, u.username, u.role
+     FROM refresh_tokens rt
+     JOIN users u ON u.id = rt.user_id
+     WHERE rt.token_hash = $1`,
+    [hashToken(refreshToken), ROTATION_GRACE_SECONDS]
+  );
+  
+  if (result.rows.length === 0) return null;
+  const stored = result.rows[0];
+  const user = { id: stored.uid, username: stored.username, role: stored.role };
+  
+  const continueFamily = async () => {
+    const sibling = await issueRefreshToken(stored.user_id, { familyId: stored.family_id, userAgent });
+    return {
+      accessToken: signAccessToken(user),
+      refreshToken: sibling.token,
+      user
+    };
+  };
+  
+  // Another tab refreshed with the same token moments ago
+  if (stored.revoked_at && stored.replaced_by && stored.recently_revoked && stored.family_active) {
+    return await continueFamily();
+  }
+  
+  if (stored.revoked_at) {
+    if (stored.replaced_by) {
+      console.warn(`⚠️ Refresh token reuse for user ${stored.user_id}, revoking session family`);
+      await revokeFamily(stored.family_id);
+    }
+    return null;
+  }
+  if (stored.expired) return null;
+  
+  // Revoke first; a concurrent refresh with the same token (another tab)
+  // then continues the family instead
+  const revoked = await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [stored.id]
+  );
+  if (revoked.rows.length === 0) return await continueFamily();
+  
+  const next = await issueRefreshToken(stored.user_id, { familyId: stored.family_id, userAgent });
+  await query('UPDATE refresh_tokens SET replaced_by = $2 WHERE id = $1', [stored.id, next.id]);
+  
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: next.token,
+    user
+  };
+};
+
+/**
+ * Revoke every token of a session family
+ */
+const revokeFamily = async (familyId) => {
+  await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId]
+  );
+};
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * Returns false if the token is unknown
+ */
+export const revokeSession = async (refreshToken) => {
+  await ensureRefreshTokensTable();
+  
+  const result = await query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+  if (result.rows.length === 0) return false;
+  
+  await revokeFamily(result.rows[0].family_id);
+  return true;
+};
+
+/**
+ * End all sessions of a user (log out everywhere)
+ * Returns the number of sessions ended
+ */
+export const revokeAllSessions = async (userId) => {
+  await ensureRefreshTokensTable();
+  
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL
+     RETURNING family_id`,
+    [userId]
+  );
+  return new Set(result.rows.map(row => row.family_id)).size;
+};
+
+export default {
+  ensureRefreshTokensTable,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
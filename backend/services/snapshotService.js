@@ -0,0 +1,188 @@
+/**
+ * Snapshot Service
+ *
+ * Stores the HTML of pages the scrapers open in the headless browser
+ * (scrape_snapshots table), so a misfiring extractor can be replayed
+ * offline against exactly what it saw (see scripts/replaySnapshot.js).
+ *
+ * Capturing is off by default; enable it with SCRAPE_SNAPSHOTS=true.
+ * Only the newest SCRAPE_SNAPSHOT_RETENTION snapshots (default 5) are
+ * kept per source.
+ */
+
+import path from 'path';
+import { query } from '../config/database.js';
+
+// Snapshots kept per (kind, source); older ones are deleted on capture
+const SNAPSHOT_RETENTION = parseInt(process.env.SCRAPE_SNAPSHOT_RETENTION) || 5;
+
+// A replay needs no network; this only stops extractors that hang
+const REPLAY_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Default and maximum page size of snapshot listings
+const DEFAULT_SNAPSHOT_LIMIT = 20;
+const MAX_SNAPSHOT_LIMIT = 100;
+
+// Track if table has been initialized (avoid repeated DDL)
+let tableInitialized = false;
+
+/**
+ * Whether scrapers should capture snapshots
+ */
+export const isSnapshotEnabled = () => {
+  return ['true', '1', 'yes'].includes(String(process.env.SCRAPE_SNAPSHOTS || '').toLowerCase());
+};
+
+/**
+ * Convert a scrape_snapshots row to the API shape (html only when selected)
+ */
+const toSnapshot = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  source: row.source,
+  url: row.url,
+  httpStatus: row.http_status,
+  sizeBytes: row.size_bytes,
+  capturedAt: row.captured_at,
+  ...(row.html !== undefined ? { html: row.html } : {})
+});
+
+/**
+ * Ensure scrape_snapshots table exists
+ */
+export const ensureSnapshotsTable = async () => {
+  if (tableInitialized) return;
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS scrape_snapshots (
+      id SERIAL PRIMARY KEY,
+      kind VARCHAR(20) NOT NULL,
+      source TEXT NOT NULL,
+      url TEXT NOT NULL,
+      http_status INTEGER,
+      html TEXT NOT NULL,
+      size_bytes INTEGER,
+      captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_scrape_snapshots_source ON scrape_snapshots(kind, source, captured_at)');
+
+  tableInitialized = true;
+};
+
+/**
+ * Store a snapshot and prune the source's older ones
+ * Never throws: a failed capture must not fail the scrape. Returns the
+ * snapshot id, or null.
+ */
+export const saveSnapshot = async ({ kind, source, url, httpStatus = null, html }) => {
+  try {
+    await ensureSnapshotsTable();
+
+    const result = await query(
+      `INSERT INTO scrape_snapshots (kind, source, url, http_status, html, size_bytes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [kind, source, url, httpStatus, html, Buffer.byteLength(html)]
+    );
+
+    await query(
+      `DELETE FROM scrape_snapshots
+       WHERE kind = $1 AND source = $2 AND id NOT IN (
+         SELECT id FROM scrape_snapshots
+         WHERE kind = $1 AND source = $2
+         ORDER BY captured_at DESC, id DESC
+         LIMIT $3
+       )`,
+      [kind, source, SNAPSHOT_RETENTION]
+    );
+
+    console.log(`  📸 Saved snapshot ${result.rows[0].id} of ${url}`);
+    return result.rows[0].id;
+  } catch (error) {
+    console.error(`Error saving snapshot for ${source}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Capture the current HTML of a browser page, if snapshots are enabled
+ * Call it after navigation and before extraction, so a page the
+ * extractor chokes on is still stored. Returns the snapshot id, or null.
+ */
+export const capturePageSnapshot = async (page, { kind, source, httpStatus = null }) => {
+  if (!isSnapshotEnabled()) return null;
+
+  try {
+    const html = await page.content();
+    return await saveSnapshot({ kind, source, url: page.url(), httpStatus, html });
+  } catch (error) {
+    console.error(`Error capturing snapshot for ${source}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * List snapshots without their HTML, newest first
+ */
+export const getSnapshots = async ({ kind, source, limit = DEFAULT_SNAPSHOT_LIMIT } = {}) => {
+  await ensureSnapshotsTable();
+
+  const conditions = [];
+  const params = [];
+  if (kind) {
+    params.push(kind);
+    conditions.push(`kind = $${params.length}`);
+  }
+  if (source) {
+    params.push(source);
+    conditions.push(`LOWER(source) = LOWER($${params.length})`);
+  }
+  params.push(Math.min(Math.max(parseInt(limit) || DEFAULT_SNAPSHOT_LIMIT, 1), MAX_SNAPSHOT_LIMIT));
+
+  const result = await query(
+    `SELECT id, kind, source, url, http_status, size_bytes, captured_at
+     FROM scrape_snapshots
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY captured_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(toSnapshot);
+};
+
+/**
+ * Get a snapshot with its HTML (null if not found)
+ */
+export const getSnapshotById = async (id) => {
+  await ensureSnapshotsTable();
+
+  const result = await query('SELECT * FROM scrape_snapshots WHERE id = $1', [id]);
+  return result.rows.length > 0 ? toSnapshot(result.rows[0]) : null;
+};
+
+/**
+ * Replay a stored snapshot: run its source's extractor against the stored
+ * HTML (no network access). The browser runs in a child process
+ * (scripts/replaySnapshot.js), like the scrapers, not in the API server.
+ */
+export const replaySnapshot = async (snapshotId) => {
+  const { runScript, SCRIPTS_DIR } = await import('./scraperService.js');
+
+  const { result } = await runScript(path.join(SCRIPTS_DIR, 'replaySnapshot.js'), {
+    args: [String(snapshotId)],
+    timeoutMs: REPLAY_TIMEOUT_MS
+  });
+  if (!result) throw new Error(`Replay of snapshot ${snapshotId} returned no result`);
+  return result;
+};
+
+export default {
+  isSnapshotEnabled,
+  ensureSnapshotsTable,
+  saveSnapshot,
+  capturePageSnapshot,
+  getSnapshots,
+  getSnapshotById,
+  replaySnapshot
+};
@@ -0,0 +1,88 @@
+/**
+ * User Service
+ * 
+ * User roles: every account is a 'user' unless promoted to 'admin'.
+ * Admins may run scrapers and manage sources and trackers.
+ */
+
+import { query } from '../config/database.js';
+
+export const ROLES = ['user', 'admin'];
+
+// Track if column has been initialized (avoid repeated DDL)
+let roleColumnInitialized = false;
+
+/**
+ * Ensure users.role exists (existing accounts become 'user')
+ */
+export const ensureUserRoleColumn = async () => {
+  if (roleColumnInitialized) return;
+  
+  await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'`);
+  
+  roleColumnInitialized = true;
+};
+
+/**
+ * List users with their roles (no password hashes)
+ */
+export const getUsers = async () => {
+  await ensureUserRoleColumn();
+  
+  const result = await query(
+    'SELECT id, username, email, role, created_at FROM users ORDER BY id ASC'
+  );
+  return result.rows;
+};
+
+/**
+ * Get a user by id (null if not found)
+ */
+export const getUserById = async (id) => {
+  await ensureUserRoleColumn();
+  
+  const result = await query(
+    'SELECT id, username, email, role, created_at FROM users WHERE id = $1',
+    [id]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+/**
+ * Count admins (used to keep at least one)
+ */
+export const countAdmins = async () => {
+  await ensureUserRoleColumn();
+  
+  const result = await query(`SELECT COUNT(*) AS count FROM users WHERE role = 'admin'`);
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Set a user's role by id or username (null if not found)
+ * Throws on unknown roles
+ */
+export const setUserRole = async ({ id, username }, role) => {
+  await ensureUserRoleColumn();
+  
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  
+  const result = await query(
+    `UPDATE users SET role = $1
+     WHERE ${id !== undefined ? 'id' : 'username'} = $2
+     RETURNING id, username, email, role, created_at`,
+    [role, id !== undefined ? id : username]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+export default {
+  ROLES,
+  ensureUserRoleColumn,
+  getUsers,
+  getUserById,
+  countAdmins,
+  setUserRole
+};
@@ -0,0 +1,140 @@
+/**
+ * Version Service
+ *
+ * Parses, normalizes, orders and classifies database release versions.
+ * Handles the schemes used by the tracked products:
+ * - Semantic style: 8.0, 7.2.4, 25.1.3
+ * - Calendar style: YugabyteDB 2024.1.3.0 (year.series.patch.build),
+ *   Neo4j 2025.01.0 (year.month.patch)
+ * - Suffixes: TiDB 7.6.0-DMR (release channel), 8.0.0-rc.1 (pre-release)
+ */
+
+// Year-like majors mark calendar versions (2024.1, 2025.01)
+const CALENDAR_MAJOR_MIN = 2000;
+
+// Suffixes that name a release channel rather than a pre-release
+const CHANNEL_SUFFIXES = ['dmr', 'lts', 'sts', 'ga', 'stable', 'final'];
+
+// Per-product version rules (keyed by lowercase product name)
+const PRODUCT_SCHEMES = {
+  yugabytedb: { components: 4 },
+  neo4j: { calendarMinorDigits: 2 }
+};
+
+// Version number not glued to a word (so "Neo4j" is not read as 4)
+const VERSION_PATTERN = /(?<![A-Za-z\d.])(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(?:[-_]?((?:alpha|beta|rc|dmr|lts|sts|preview|pre|ga|stable|final)[\w.]*))?/i;
+
+/**
+ * Get version rules for a product
+ */
+const getScheme = (product) => PRODUCT_SCHEMES[(product || '').toLowerCase()] || {};
+
+/**
+ * Parse a raw version string
+ * Returns null when no version number can be found
+ * @returns {{ raw, normalized, major, minor, patch, build, suffix, prerelease, calendar }}
+ */
+export const parseVersion = (raw, product) => {
+  if (raw === null || raw === undefined) return null;
+
+  // Drop "v" prefixes (v8.0, release-v1.2) before matching
+  const text = String(raw).trim().replace(/(^|[^A-Za-z])v(?=\d)/gi, '$1');
+  const match = text.match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const scheme = getScheme(product);
+  const [, major, minor, patch, build, rawSuffix] = match;
+  const suffix = rawSuffix ? rawSuffix.toLowerCase() : null;
+  const isChannel = suffix ? CHANNEL_SUFFIXES.includes(suffix.replace(/[\d.]+$/, '')) : false;
+
+  const parsed = {
+    raw: String(raw),
+    major: parseInt(major),
+    minor: minor !== undefined ? parseInt(minor) : 0,
+    patch: patch !== undefined ? parseInt(patch) : 0,
+    build: build !== undefined ? parseInt(build) : 0,
+    suffix: rawSuffix || null,
+    prerelease: suffix && !isChannel ? suffix : null,
+    calendar: parseInt(major) >= CALENDAR_MAJOR_MIN
+  };
+
+  // Normalized form: fixed component count so 8.0 and 8.0.0 compare equal
+  const components = [parsed.major, parsed.minor, parsed.patch];
+  if (scheme.components === 4 || parsed.build > 0) {
+    components.push(parsed.build);
+  }
+  if (parsed.calendar && scheme.calendarMinorDigits) {
+    components[1] = String(parsed.minor).padStart(scheme.calendarMinorDigits, '0');
+  }
+  // Channel labels upper-case (7.6.0-DMR), pre-release labels lower-case (8.0.0-rc.1)
+  const normalizedSuffix = suffix ? (isChannel ? suffix.toUpperCase() : suffix) : null;
+  parsed.normalized = components.join('.') + (normalizedSuffix ? `-${normalizedSuffix}` : '');
+
+  return parsed;
+};
+
+/**
+ * Compare pre-release labels: rc.2 > rc.1 > beta > alpha
+ */
+const comparePrerelease = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return 1; // Release > pre-release
+  if (!b) return -1;
+
+  const rank = (label) => {
+    const order = ['alpha', 'preview', 'pre', 'beta', 'rc'];
+    const name = label.replace(/[\d.]+$/, '');
+    const index = order.indexOf(name);
+    return index === -1 ? order.length : index;
+  };
+  const number = (label) => parseInt((label.match(/(\d+)$/) || [])[1] || '0');
+
+  return Math.sign(rank(a) - rank(b)) || Math.sign(number(a) - number(b));
+};
+
+/**
+ * Compare two versions (raw strings or parsed objects)
+ * Returns -1, 0 or 1. Unparsable versions sort first.
+ */
+export const compareVersions = (a, b, product) => {
+  const va = typeof a === 'object' && a !== null ? a : parseVersion(a, product);
+  const vb = typeof b === 'object' && b !== null ? b : parseVersion(b, product);
+
+  if (!va || !vb) return !va && !vb ? 0 : (!va ? -1 : 1);
+
+  for (const key of ['major', 'minor', 'patch', 'build']) {
+    if (va[key] !== vb[key]) return va[key] > vb[key] ? 1 : -1;
+  }
+  return comparePrerelease(va.prerelease, vb.prerelease);
+};
+
+/**
+ * Sort versions ascending (oldest first)
+ */
+export const sortVersions = (versions, product) => {
+  return [...versions].sort((a, b) => compareVersions(a, b, product));
+};
+
+/**
+ * Classify a release against the version that precedes it
+ * Returns 'initial', 'major', 'minor' or 'patch'
+ * Moving between numbering schemes (5.26 -> 2025.01) counts as major.
+ */
+export const classifyChange = (previous, next, product) => {
+  const vn = typeof next === 'object' && next !== null ? next : parseVersion(next, product);
+  const vp = typeof previous === 'object' && previous !== null ? previous : parseVersion(previous, product);
+
+  if (!vp) return 'initial';
+  if (!vn) return null;
+
+  if (vn.calendar !== vp.calendar || vn.major !== vp.major) return 'major';
+  if (vn.minor !== vp.minor) return 'minor';
+  return 'patch';
+};
+
+export default {
+  parseVersion,
+  compareVersions,
+  sortVersions,
+  classifyChange
+};
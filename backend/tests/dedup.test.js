@@ -0,0 +1,74 @@
+/**
+ * Deduplication tests: canonical URLs and SimHash fingerprints against
+ * the near-duplicate threshold (DEDUP_SIMHASH_DISTANCE)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalizeUrl,
+  computeSimhash,
+  hammingDistance,
+  SIMHASH_MAX_DISTANCE
+} from '../services/articleDedupService.js';
+
+const REDIS_ARTICLE =
+  'Redis 8 brings the query engine, JSON and time series data types into the core distribution. ' +
+  'The release also changes the license again, adding the AGPL as an option next to the source available ' +
+  'licenses introduced last year. Benchmarks published with the release show faster full-text queries on ' +
+  'large indexes and lower memory use for vector sets. Existing modules keep working, but the team recommends ' +
+  'upgrading them together with the server. The release candidates were tested by several cloud providers over ' +
+  'the last three months before general availability was announced this week.';
+
+const MONGODB_ARTICLE =
+  'MongoDB 8.0 improves query performance across the board, with faster bulk writes, better concurrency for ' +
+  'time series collections and lower latency on replicated clusters. Queryable encryption now supports range ' +
+  'queries, and sharding a collection is quicker because data moves between shards more efficiently. The ' +
+  'company says customers upgrading from version 7 will see throughput gains without changing their ' +
+  'applications, and the release is available on Atlas and for self managed deployments from today onward.';
+
+test('folds www., http, trailing slashes, query strings and fragments', () => {
+  const canonical = 'https://example.com/news/redis-8';
+
+  assert.equal(canonicalizeUrl('https://example.com/news/redis-8'), canonical);
+  assert.equal(canonicalizeUrl('http://www.Example.com/news/redis-8/'), canonical);
+  assert.equal(canonicalizeUrl('https://WWW.example.com/news/redis-8//?utm_source=feed#comments'), canonical);
+  assert.equal(canonicalizeUrl('  https://example.com/news/redis-8?page=2 '), canonical);
+});
+
+test('keeps what tells articles apart', () => {
+  assert.notEqual(canonicalizeUrl('https://example.com/news/redis-8'), canonicalizeUrl('https://example.com/News/redis-8'));
+  assert.notEqual(canonicalizeUrl('https://blog.example.com/redis-8'), canonicalizeUrl('https://example.com/redis-8'));
+  assert.equal(canonicalizeUrl('https://example.com:8443/a/'), 'https://example.com:8443/a');
+  assert.equal(canonicalizeUrl(' not a url '), 'not a url');
+  assert.equal(canonicalizeUrl(''), null);
+});
+
+test('fingerprints texts as 16 hex digits, skipping short ones', () => {
+  assert.match(computeSimhash(REDIS_ARTICLE), /^[0-9a-f]{16}$/);
+  assert.equal(computeSimhash(REDIS_ARTICLE), computeSimhash(REDIS_ARTICLE));
+  assert.equal(computeSimhash('Redis 8 is out.'), null);
+  assert.equal(computeSimhash(null), null);
+});
+
+test('counts differing bits', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(hammingDistance('8000000000000001', '0000000000000000'), 2);
+});
+
+test('finds near-identical texts within the threshold', () => {
+  const fingerprint = computeSimhash(REDIS_ARTICLE);
+
+  // Case and punctuation do not count
+  assert.equal(hammingDistance(fingerprint, computeSimhash(REDIS_ARTICLE.toUpperCase().replace(/[.,]/g, ''))), 0);
+  // A reworded phrase (syndicated copy edited by another site)
+  const edited = computeSimhash(REDIS_ARTICLE.replace('this week', 'on Tuesday'));
+  assert.ok(hammingDistance(fingerprint, edited) <= SIMHASH_MAX_DISTANCE);
+});
+
+test('keeps unrelated texts far beyond the threshold', () => {
+  const distance = hammingDistance(computeSimhash(REDIS_ARTICLE), computeSimhash(MONGODB_ARTICLE));
+
+  assert.ok(distance > SIMHASH_MAX_DISTANCE * 4, `distance ${distance}`);
+});
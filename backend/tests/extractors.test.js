@@ -0,0 +1,152 @@
+/**
+ * Extractor regression tests: run the news adapters and the default
+ * release trackers against saved pages in fixtures/pages, offline
+ *
+ * To add a case, save the page a scraper misread (node
+ * scripts/replaySnapshot.js <id> --save tests/fixtures/pages/<name>.html)
+ * and assert what it should extract.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { createStaticPage } from '../scripts/fetcher.js';
+import infoq from '../scripts/sources/infoq.js';
+import dbEngines from '../scripts/sources/dbEngines.js';
+import defaultTrackers from '../scripts/releases/defaultTrackers.js';
+import { STRATEGY_TYPES, extractTrackerVersions, readJsonPath, matchVersions } from '../scripts/releases/strategies.js';
+import { toVersionEntries } from '../scripts/releases/github.js';
+
+const fixture = (name) => readFile(new URL(`./fixtures/pages/${name}`, import.meta.url), 'utf8');
+const loadPage = async (name, url) => createStaticPage(await fixture(name), url);
+
+test('reads the InfoQ listing cards in preview mode', async () => {
+  const [source] = infoq.defaultSources;
+  const page = await loadPage('infoq-listing.html', source.url);
+
+  const articles = await infoq.extract({ page, preview: true }, source);
+
+  assert.deepEqual(articles, [
+    {
+      title: 'Redis 8 Ships a New Query Engine',
+      url: 'https://www.infoq.com/news/2025/03/redis-8-query-engine/',
+      author: 'Jane Doe',
+      dateText: 'Mar 04, 2025',
+      tags: ['Redis', 'NoSQL']
+    },
+    {
+      title: 'Vector Search in Apache Cassandra 5',
+      url: 'https://www.infoq.com/articles/cassandra-5-vector-search/',
+      author: 'Sam Lee',
+      dateText: 'Feb 27, 2025',
+      tags: []
+    }
+  ]);
+});
+
+test('reads the paragraphs of the InfoQ articles the scraper wants', async () => {
+  const [source] = infoq.defaultSources;
+  const page = await loadPage('infoq-listing.html', source.url);
+  const articleHtml = await fixture('infoq-article.html');
+  const visited = [];
+  const fetchPage = async (url, extract) => {
+    visited.push(url);
+    return await extract(createStaticPage(articleHtml, url));
+  };
+
+  const articles = await infoq.extract({ page, fetchPage, wants: article => article.url.includes('redis') }, source);
+
+  assert.deepEqual(visited, ['https://www.infoq.com/news/2025/03/redis-8-query-engine/']);
+  assert.equal(
+    articles[0].content_text,
+    'Redis 8 brings the query engine, JSON and time series data types into the core distribution.\n\n' +
+      'Benchmarks published with the release show faster full-text queries on large indexes.'
+  );
+  assert.equal(articles[1].content_text, undefined);
+});
+
+test('reads the DB-Engines blog index', async () => {
+  const [source] = dbEngines.defaultSources;
+  const page = await loadPage('db-engines-blog.html', source.url);
+
+  const articles = await dbEngines.extract({ page }, source);
+
+  assert.deepEqual(articles, [
+    {
+      title: 'PostgreSQL is the DBMS of the Year 2024',
+      url: 'https://db-engines.com/en/blog_post/112',
+      author: 'Paul Andlinger',
+      dateText: '6 January 2025',
+      content_text: 'PostgreSQL gained more popularity in our ranking than any other of the monitored systems.',
+      tags: ['DBMS of the year']
+    },
+    {
+      title: 'Vector databases in the ranking',
+      url: 'https://db-engines.com/en/blog_post/111',
+      author: 'Sponsored by Example Corp',
+      dateText: '2 December 2024',
+      content_text: 'Vector support is now a common feature of general purpose database systems.',
+      tags: []
+    }
+  ]);
+});
+
+// Raw versions each default tracker's page strategies read from its fixture
+const EXPECTED_VERSIONS = {
+  mongodb: ['8.0', '7.0', '6.0'],
+  neo4j: ['2025.02', '5.26', '5.25'],
+  redis: ['7.8.4', '7.4.6', '7.8', '7.4.2'],
+  tidb: ['8.5.1', '8.5.0'],
+  yugabytedb: ['2024.2', '2.25'],
+  cockroachdb: ['25.1', '24.3'],
+  cassandra: ['5.0.3', '4.1.8', '4.0.15']
+};
+
+test('every default tracker has a release page fixture', () => {
+  assert.deepEqual(Object.keys(EXPECTED_VERSIONS).sort(), defaultTrackers.map(tracker => tracker.id).sort());
+});
+
+for (const tracker of defaultTrackers) {
+  test(`reads ${tracker.name} versions from its release page`, async () => {
+    // API strategies (json, github) do not read the page
+    const pageTracker = {
+      ...tracker,
+      strategies: tracker.strategies.filter(strategy => STRATEGY_TYPES[strategy.type].requiresBrowser)
+    };
+    const page = await loadPage(`${tracker.id}.html`, tracker.releaseUrl);
+
+    const { versions } = await extractTrackerVersions(page, pageTracker);
+
+    assert.deepEqual(versions, EXPECTED_VERSIONS[tracker.id]);
+  });
+}
+
+test('reads versions at a JSON path', () => {
+  const data = { releases: [{ tag_name: 'v24.3.1' }, { tag_name: 'v24.2.5' }], latest: { version: 25 } };
+  const strategy = { type: 'json', path: '$.releases[*].tag_name', pattern: 'v(\\d+\\.\\d+\\.\\d+)' };
+
+  const values = readJsonPath(data, strategy.path);
+
+  assert.deepEqual(values, ['v24.3.1', 'v24.2.5']);
+  assert.deepEqual(values.flatMap(value => matchVersions(value, strategy)), ['24.3.1', '24.2.5']);
+  assert.deepEqual(readJsonPath(data, 'latest.version'), ['25']);
+});
+
+test('maps GitHub releases to versions, skipping drafts and pre-releases', () => {
+  const releases = [
+    { tag_name: 'cassandra-5.0.3', published_at: '2025-02-10T00:00:00Z', body: 'Fixes', html_url: 'https://github.com/apache/cassandra/releases/5.0.3' },
+    { tag_name: 'cassandra-5.1.0-beta1', prerelease: true },
+    { tag_name: 'cassandra-5.0.4', draft: true }
+  ];
+
+  const entries = toVersionEntries(releases, { type: 'github', repo: 'apache/cassandra', tagPrefix: 'cassandra-' });
+
+  assert.deepEqual(entries, [{
+    version: '5.0.3',
+    tag: 'cassandra-5.0.3',
+    publishedAt: '2025-02-10T00:00:00Z',
+    notes: 'Fixes',
+    url: 'https://github.com/apache/cassandra/releases/5.0.3',
+    prerelease: false
+  }]);
+});
@@ -0,0 +1,94 @@
+/**
+ * Feed adapter tests: parse the fixture feeds in fixtures/feeds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { parseFeed, fetchFeed, htmlToText } from '../scripts/sources/feed.js';
+
+const fixture = (name) => readFile(new URL(`./fixtures/feeds/${name}`, import.meta.url), 'utf8');
+
+test('parses RSS 2.0 items into raw articles', async () => {
+  const articles = parseFeed(await fixture('rss2.xml'));
+
+  assert.equal(articles.length, 2);
+  assert.deepEqual(articles[0], {
+    title: 'Redis 8 & the new query engine',
+    url: 'https://blog.example.com/redis-8',
+    author: 'Jane Doe',
+    pubdate: new Date('2025-03-04T10:30:00Z'),
+    content_text: 'Redis 8 ships a new query engine.\n\nIt is faster — much faster.',
+    tags: ['Redis', 'Key-Value']
+  });
+});
+
+test('uses a permalink guid as the RSS link and keeps the author name', async () => {
+  const [, article] = parseFeed(await fixture('rss2.xml'));
+
+  assert.equal(article.url, 'https://blog.example.com/mongodb-schema');
+  assert.equal(article.author, 'John Smith');
+  assert.equal(article.content_text, 'Model documents around queries. Embed when it helps.');
+  assert.deepEqual(article.tags, []);
+});
+
+test('parses Atom entries with the alternate link and every author', async () => {
+  const articles = parseFeed(await fixture('atom.xml'));
+
+  assert.equal(articles.length, 2);
+  assert.deepEqual(articles[0], {
+    title: 'Neo4j 5.20 released',
+    url: 'https://graph.example.org/neo4j-5-20',
+    author: 'Ada Graph, Bob Node',
+    pubdate: new Date('2025-03-05T09:15:00Z'),
+    content_text: 'Vector indexes are now generally available.',
+    tags: ['Graph', 'neo4j']
+  });
+  assert.equal(articles[1].url, 'https://graph.example.org/traversal');
+  assert.deepEqual(articles[1].pubdate, new Date('2025-03-01T00:00:00Z'));
+  assert.equal(articles[1].content_text, 'Breadth first or depth first?');
+});
+
+test('parses RSS 1.0 (RDF) items', async () => {
+  const articles = parseFeed(await fixture('rdf.xml'));
+
+  assert.deepEqual(articles, [{
+    title: 'ClickHouse joins explained',
+    url: 'https://columns.example.net/clickhouse-joins',
+    author: 'Carl Column',
+    pubdate: new Date('2025-02-20T14:00:00Z'),
+    content_text: 'How joins work in a column store.',
+    tags: ['ClickHouse']
+  }]);
+});
+
+test('rejects documents that are not feeds', async () => {
+  const xml = await fixture('invalid.xml');
+  assert.throws(() => parseFeed(xml), /Unrecognized feed format/);
+});
+
+test('converts feed HTML to paragraphs', () => {
+  assert.equal(htmlToText('<p>One &amp; two</p><script>x()</script><p>Three&#33;</p>'), 'One & two\n\nThree!');
+  assert.equal(htmlToText(''), '');
+});
+
+test('keeps numeric entities beyond the last code point as written', () => {
+  const xml = `<?xml version="1.0"?>
+    <rss version="2.0"><channel><item>
+      <title>Ranges &#38;#99999999; and &#38;#x110000; &#38;#x1F600;</title>
+      <link>https://blog.example.com/entities</link>
+    </item></channel></rss>`;
+
+  const [article] = parseFeed(xml);
+
+  assert.equal(article.title, 'Ranges &#99999999; and &#x110000; 😀');
+  assert.equal(htmlToText('<p>&#99999999;</p>'), '&#99999999;');
+});
+
+test('fetches feeds over http(s) only', async () => {
+  const fixturePath = new URL('./fixtures/feeds/rss2.xml', import.meta.url);
+
+  await assert.rejects(fetchFeed(fixturePath.href), /http\(s\) URL/);
+  await assert.rejects(fetchFeed(fixturePath.pathname), /http\(s\) URL/);
+  await assert.rejects(fetchFeed('/etc/passwd'), /http\(s\) URL/);
+});
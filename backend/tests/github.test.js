@@ -0,0 +1,146 @@
+/**
+ * GitHub strategy tests: which API base URLs may receive GITHUB_TOKEN,
+ * and reading releases and tags from a local mock of the API
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { isTrustedApiUrl, extractGithubVersions } from '../scripts/releases/github.js';
+
+const apiUrl = process.env.GITHUB_API_URL;
+const token = process.env.GITHUB_TOKEN;
+
+afterEach(() => {
+  if (apiUrl === undefined) delete process.env.GITHUB_API_URL;
+  else process.env.GITHUB_API_URL = apiUrl;
+  if (token === undefined) delete process.env.GITHUB_TOKEN;
+  else process.env.GITHUB_TOKEN = token;
+});
+
+const RESPONSES = {
+  '/repos/apache/cassandra/releases': [
+    { tag_name: 'cassandra-5.0.3', published_at: '2025-02-10T00:00:00Z', body: 'Fixes', html_url: 'https://github.com/apache/cassandra/releases/5.0.3' },
+    { tag_name: 'cassandra-5.1.0-beta1', prerelease: true },
+    { tag_name: 'cassandra-5.0.2-rc1' },
+    { tag_name: 'cassandra-5.0.4', draft: true }
+  ],
+  '/repos/redis/redis/tags': [
+    { name: 'v7.4.2' },
+    { name: 'release-7.2' },
+    { name: 'v8.0.0-rc1' }
+  ]
+};
+
+/**
+ * Start a mock GitHub API on a free port, recording the requests it gets
+ */
+const startMockApi = async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, search: url.search, authorization: req.headers.authorization });
+    const body = RESPONSES[url.pathname];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { message: 'Not Found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+let mockApi;
+let otherApi;
+
+before(async () => {
+  mockApi = await startMockApi();
+  otherApi = await startMockApi();
+});
+
+after(() => {
+  mockApi.server.close();
+  otherApi.server.close();
+});
+
+test('trusts the public GitHub API', () => {
+  delete process.env.GITHUB_API_URL;
+
+  assert.equal(isTrustedApiUrl('https://api.github.com'), true);
+  assert.equal(isTrustedApiUrl('http://api.github.com'), false);
+  assert.equal(isTrustedApiUrl('https://api.github.com.example.com'), false);
+});
+
+test('trusts GITHUB_API_URL but not other strategy base URLs', () => {
+  process.env.GITHUB_API_URL = 'http://localhost:8765/api';
+
+  assert.equal(isTrustedApiUrl('http://localhost:8765/api'), true);
+  assert.equal(isTrustedApiUrl('http://localhost:9999'), false);
+  assert.equal(isTrustedApiUrl('https://attacker.example.com'), false);
+  assert.equal(isTrustedApiUrl('not a url'), false);
+});
+
+test('reads releases from GITHUB_API_URL, skipping drafts and pre-releases', async () => {
+  process.env.GITHUB_API_URL = mockApi.url;
+  process.env.GITHUB_TOKEN = 'test-token';
+
+  const entries = await extractGithubVersions({ type: 'github', repo: 'apache/cassandra', tagPrefix: 'cassandra-' });
+
+  assert.deepEqual(entries, [{
+    version: '5.0.3',
+    tag: 'cassandra-5.0.3',
+    publishedAt: '2025-02-10T00:00:00Z',
+    notes: 'Fixes',
+    url: 'https://github.com/apache/cassandra/releases/5.0.3',
+    prerelease: false
+  }]);
+  assert.deepEqual(mockApi.requests.at(-1), {
+    path: '/repos/apache/cassandra/releases',
+    search: '?per_page=100',
+    authorization: 'Bearer test-token'
+  });
+});
+
+test('includes pre-releases when asked', async () => {
+  process.env.GITHUB_API_URL = mockApi.url;
+
+  const entries = await extractGithubVersions({
+    type: 'github', repo: 'apache/cassandra', tagPrefix: 'cassandra-', includePrereleases: true
+  });
+
+  assert.deepEqual(entries.map(entry => [entry.version, entry.prerelease]), [
+    ['5.0.3', false],
+    ['5.1.0-beta1', true],
+    ['5.0.2-rc1', true]
+  ]);
+});
+
+test('reads tags, stripping common tag prefixes', async () => {
+  process.env.GITHUB_API_URL = mockApi.url;
+
+  const entries = await extractGithubVersions({ type: 'github', repo: 'redis/redis', kind: 'tags' });
+
+  assert.deepEqual(entries, [
+    { version: '7.4.2', tag: 'v7.4.2', publishedAt: null, notes: null, url: null, prerelease: false },
+    { version: '7.2', tag: 'release-7.2', publishedAt: null, notes: null, url: null, prerelease: false }
+  ]);
+  assert.equal(mockApi.requests.at(-1).path, '/repos/redis/redis/tags');
+});
+
+test('does not send GITHUB_TOKEN to a strategy base URL', async () => {
+  process.env.GITHUB_API_URL = mockApi.url;
+  process.env.GITHUB_TOKEN = 'test-token';
+
+  const entries = await extractGithubVersions({ type: 'github', repo: 'redis/redis', kind: 'tags', baseUrl: otherApi.url });
+
+  assert.equal(entries.length, 2);
+  assert.equal(otherApi.requests.length, 1);
+  assert.equal(otherApi.requests[0].authorization, undefined);
+});
+
+test('fails on HTTP errors of the API', async () => {
+  process.env.GITHUB_API_URL = mockApi.url;
+
+  await assert.rejects(
+    extractGithubVersions({ type: 'github', repo: 'missing/repo' }),
+    error => error.httpStatus === 404
+  );
+});
@@ -0,0 +1,107 @@
+/**
+ * robots.txt tests: parsing, picking the bot's group and matching paths
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, getAgentRules, isPathAllowed } from '../scripts/robots.js';
+
+const ROBOTS_TXT = `
+# Everyone else
+User-agent: *
+Disallow: /private/
+Crawl-delay: 2
+
+User-agent: OtherBot
+User-Agent: VTProjectBot   # ours
+Disallow: /search
+Allow: /search/about
+Crawl-delay: 5
+
+User-agent: vtprojectbot
+Disallow: /drafts/
+Crawl-delay: 1.5
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+test('groups consecutive User-agent lines', () => {
+  const groups = parseRobotsTxt(ROBOTS_TXT);
+
+  assert.deepEqual(groups, [
+    { agents: ['*'], rules: [{ allow: false, path: '/private/' }], crawlDelay: 2 },
+    {
+      agents: ['otherbot', 'vtprojectbot'],
+      rules: [{ allow: false, path: '/search' }, { allow: true, path: '/search/about' }],
+      crawlDelay: 5
+    },
+    { agents: ['vtprojectbot'], rules: [{ allow: false, path: '/drafts/' }], crawlDelay: 1.5 }
+  ]);
+});
+
+test('ignores rules before any User-agent line and empty Disallow lines', () => {
+  const groups = parseRobotsTxt('Disallow: /\nUser-agent: *\nDisallow:\r\nCrawl-delay: soon');
+
+  assert.deepEqual(groups, [{ agents: ['*'], rules: [], crawlDelay: null }]);
+});
+
+test('merges the groups naming the bot, with the longest Crawl-delay', () => {
+  const { rules, crawlDelay } = getAgentRules(parseRobotsTxt(ROBOTS_TXT), 'VTProjectBot');
+
+  assert.deepEqual(rules, [
+    { allow: false, path: '/search' },
+    { allow: true, path: '/search/about' },
+    { allow: false, path: '/drafts/' }
+  ]);
+  assert.equal(crawlDelay, 5);
+});
+
+test('falls back to the * group when no group names the bot', () => {
+  const { rules, crawlDelay } = getAgentRules(parseRobotsTxt(ROBOTS_TXT), 'somebot');
+
+  assert.deepEqual(rules, [{ allow: false, path: '/private/' }]);
+  assert.equal(crawlDelay, 2);
+  assert.deepEqual(getAgentRules(parseRobotsTxt('User-agent: otherbot\nDisallow: /'), 'somebot'), {
+    rules: [],
+    crawlDelay: null
+  });
+});
+
+test('lets the longest matching rule win', () => {
+  const rules = [
+    { allow: false, path: '/search' },
+    { allow: true, path: '/search/about' }
+  ];
+
+  assert.equal(isPathAllowed(rules, '/search?q=redis'), false);
+  assert.equal(isPathAllowed(rules, '/search/about'), true);
+  assert.equal(isPathAllowed(rules, '/search/about/team'), true);
+  assert.equal(isPathAllowed(rules, '/blog/search'), true);
+  assert.equal(isPathAllowed([], '/anything'), true);
+});
+
+test('lets Allow win a tie between rules of the same length', () => {
+  assert.equal(isPathAllowed([{ allow: false, path: '/page' }, { allow: true, path: '/page' }], '/page'), true);
+  assert.equal(isPathAllowed([{ allow: true, path: '/page' }, { allow: false, path: '/page' }], '/page'), true);
+});
+
+test('matches * wildcards and $ anchors', () => {
+  const rules = [
+    { allow: false, path: '/*.pdf$' },
+    { allow: false, path: '/news/*/print' },
+    { allow: false, path: '/tmp$' }
+  ];
+
+  assert.equal(isPathAllowed(rules, '/files/report.pdf'), false);
+  assert.equal(isPathAllowed(rules, '/files/report.pdf?download=1'), true);
+  assert.equal(isPathAllowed(rules, '/news/2025/redis/print'), false);
+  assert.equal(isPathAllowed(rules, '/news/print'), true);
+  assert.equal(isPathAllowed(rules, '/tmp'), false);
+  assert.equal(isPathAllowed(rules, '/tmp/file'), true);
+  // Other regex characters are literal
+  assert.equal(isPathAllowed([{ allow: false, path: '/a.b' }], '/axb'), true);
+});
+
+test('always allows robots.txt itself', () => {
+  assert.equal(isPathAllowed([{ allow: false, path: '/' }], '/robots.txt'), true);
+});
@@ -0,0 +1,67 @@
+/**
+ * Scheduler tests: cron parsing and next run times (UTC)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextRun, startScheduler } from '../services/schedulerService.js';
+
+const newsCron = process.env.SCRAPE_NEWS_CRON;
+
+afterEach(() => {
+  if (newsCron === undefined) delete process.env.SCRAPE_NEWS_CRON;
+  else process.env.SCRAPE_NEWS_CRON = newsCron;
+});
+
+const nextRun = (expression, after) => getNextRun(expression, new Date(after))?.toISOString() ?? null;
+
+test('parses steps, ranges and lists', () => {
+  const cron = parseCron('*/15 8-10 1,15 1-12/3 1-5');
+
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [8, 9, 10]);
+  assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+  assert.deepEqual([...cron.months], [1, 4, 7, 10]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron('0 0 * * 5/1').daysOfWeek], [5, 6, 7, 0]);
+});
+
+test('rejects malformed and out of range expressions', () => {
+  assert.throws(() => parseCron('0 7 * *'), /5 fields/);
+  assert.throws(() => parseCron('60 7 * * *'), /minute field out of range/);
+  assert.throws(() => parseCron('0 7 0 * *'), /day of month field out of range/);
+  assert.throws(() => parseCron('0 7 * * mon'), /Invalid cron day of week field/);
+  assert.throws(() => parseCron('0 10-8 * * *'), /hour field out of range/);
+});
+
+test('finds the next run strictly after the given time', () => {
+  assert.equal(nextRun('0 */6 * * *', '2025-03-04T06:00:00Z'), '2025-03-04T12:00:00.000Z');
+  assert.equal(nextRun('0 */6 * * *', '2025-03-04T05:59:30Z'), '2025-03-04T06:00:00.000Z');
+  assert.equal(nextRun('30 7 * * *', '2025-03-04T07:31:00Z'), '2025-03-05T07:30:00.000Z');
+});
+
+test('matches either day field when both are restricted', () => {
+  // 2025-03-04 is a Tuesday: the next Friday (7th) comes before the 15th
+  assert.equal(nextRun('0 0 15 * 5', '2025-03-04T12:00:00Z'), '2025-03-07T00:00:00.000Z');
+  assert.equal(nextRun('0 0 5 * 5', '2025-03-04T12:00:00Z'), '2025-03-05T00:00:00.000Z');
+  // Only the day of week restricted: the day of month does not matter
+  assert.equal(nextRun('0 0 * * 0', '2025-03-04T12:00:00Z'), '2025-03-09T00:00:00.000Z');
+  assert.equal(nextRun('0 0 * * 7', '2025-03-04T12:00:00Z'), '2025-03-09T00:00:00.000Z');
+});
+
+test('rolls over months and years', () => {
+  assert.equal(nextRun('0 0 1 * *', '2025-12-31T23:59:00Z'), '2026-01-01T00:00:00.000Z');
+  assert.equal(nextRun('0 12 31 * *', '2025-04-01T00:00:00Z'), '2025-05-31T12:00:00.000Z');
+  assert.equal(nextRun('0 0 29 2 *', '2025-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+});
+
+test('finds no run for dates that never exist', () => {
+  assert.equal(nextRun('0 0 31 4 *', '2025-01-01T00:00:00Z'), null);
+  assert.equal(nextRun('0 0 30 2 *', '2025-01-01T00:00:00Z'), null);
+});
+
+test('fails start-up on a schedule that never runs', async () => {
+  process.env.SCRAPE_NEWS_CRON = '0 0 31 4 *';
+
+  await assert.rejects(startScheduler(), /SCRAPE_NEWS_CRON never matches a date/);
+});
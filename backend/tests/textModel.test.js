@@ -0,0 +1,140 @@
+/**
+ * Text classifier tests: training on a small labelled set, the holdout
+ * split and the per-category evaluation metrics
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MODEL_VERSION,
+  tokenize,
+  trainModel,
+  createPredictor,
+  splitHoldout,
+  evaluateModel
+} from '../services/categorizers/textModel.js';
+
+const TOPICS = {
+  Graph: ['graph', 'nodes', 'edges', 'traversal', 'cypher', 'relationships'],
+  Document: ['document', 'json', 'collections', 'schema', 'embedded', 'bson'],
+  'Key-Value': ['cache', 'keys', 'values', 'eviction', 'memory', 'latency']
+};
+
+// 24 articles, 8 per category; every 4th one of each is also about the next one
+const names = Object.keys(TOPICS);
+const EXAMPLES = Array.from({ length: 24 }, (_, i) => {
+  const category = names[i % 3];
+  const words = TOPICS[category];
+  const categories = [category];
+  let content = `${words.join(' ')} ${words[i % words.length]} database release notes`;
+  if (i % 4 === 3) {
+    const other = names[(i + 1) % 3];
+    categories.push(other);
+    content += ` ${TOPICS[other].join(' ')}`;
+  }
+  return { id: i + 1, title: `${words[i % words.length]} ${words[(i + 1) % words.length]} update`, content, categories };
+});
+
+test('tokenizes lowercase words without stop words and numbers', () => {
+  assert.deepEqual(tokenize('The Graph of 2025: Neo4j 5.26 and a B-tree!'), ['graph', 'neo4j', 'tree']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('trains a model per category from labelled articles', () => {
+  const model = trainModel(EXAMPLES);
+
+  assert.equal(model.version, MODEL_VERSION);
+  assert.equal(model.trainingArticles, 24);
+  assert.deepEqual(model.categories, ['Document', 'Graph', 'Key-Value']);
+  assert.deepEqual(model.examplesPerCategory, { Document: 10, Graph: 10, 'Key-Value': 10 });
+  assert.ok(model.vocabulary.includes('cypher'));
+  assert.equal(model.vocabulary.length, model.idf.length);
+  // Words of a single article stay out of the vocabulary
+  assert.equal(trainModel([...EXAMPLES, { id: 99, title: 'Rare', content: 'zanzibar', categories: ['Graph'] }])
+    .vocabulary.includes('zanzibar'), false);
+});
+
+test('leaves out categories with too few articles', () => {
+  const model = trainModel([...EXAMPLES, { id: 99, title: 'Wide columns', content: 'columnar', categories: ['Columnar'] }]);
+
+  assert.equal(model.categories.includes('Columnar'), false);
+  assert.deepEqual(trainModel(EXAMPLES, { minExamples: 11 }).categories, []);
+});
+
+test('trains the same model from the same articles', () => {
+  const { trainedAt: _a, ...first } = trainModel(EXAMPLES);
+  const { trainedAt: _b, ...second } = trainModel(EXAMPLES);
+
+  assert.deepEqual(first, second);
+});
+
+test('predicts the categories of unseen articles', () => {
+  const predict = createPredictor(trainModel(EXAMPLES));
+
+  const graph = predict({ title: 'Cypher traversal', content: 'Query nodes and edges of a graph.' });
+  assert.equal(graph[0].category, 'Graph');
+  assert.ok(graph[0].confidence >= 0.5);
+  assert.ok(graph.slice(1).every(prediction => prediction.confidence < 0.5));
+
+  const both = predict({ title: 'JSON cache', content: 'Embedded documents, keys and values with eviction.' });
+  assert.deepEqual(both.filter(p => p.confidence >= 0.5).map(p => p.category).sort(), ['Document', 'Key-Value']);
+});
+
+test('rejects models of another version', () => {
+  assert.throws(() => createPredictor({ ...trainModel(EXAMPLES), version: MODEL_VERSION + 1 }), /Unsupported/);
+});
+
+test('holds out every fifth article by id', () => {
+  const { train, test: holdout } = splitHoldout(EXAMPLES);
+
+  assert.deepEqual(holdout.map(example => example.id), [5, 10, 15, 20]);
+  assert.equal(train.length, 20);
+});
+
+test('scores held out articles per category', () => {
+  const { train, test: holdout } = splitHoldout(EXAMPLES);
+
+  const metrics = evaluateModel(trainModel(train), holdout);
+
+  assert.equal(metrics.articles, 4);
+  assert.deepEqual(Object.keys(metrics.categories), ['Document', 'Graph', 'Key-Value']);
+  for (const scores of [...Object.values(metrics.categories), metrics.micro]) {
+    assert.deepEqual(Object.keys(scores).filter(key => key !== 'support'), ['precision', 'recall', 'f1']);
+    assert.equal(scores.f1, 1);
+  }
+  assert.deepEqual(
+    Object.values(metrics.categories).map(scores => scores.support),
+    [2, 1, 2]
+  );
+});
+
+test('computes precision, recall and F1 from the predictions', () => {
+  // Hand-made model: "graph" alone means Graph, "document" alone Document
+  const model = {
+    version: MODEL_VERSION,
+    categories: ['Document', 'Graph'],
+    vocabulary: ['graph', 'document'],
+    idf: [1, 1],
+    weights: {
+      Graph: { bias: -2, terms: { 0: 10 } },
+      Document: { bias: -2, terms: { 1: 10 } }
+    }
+  };
+  const examples = [
+    { id: 1, title: '', content: 'graph', categories: ['Graph'] }, // Graph: true positive
+    { id: 2, title: '', content: 'graph', categories: ['Document'] }, // Graph: false positive, Document: false negative
+    { id: 3, title: '', content: 'document', categories: ['Document'] }, // Document: true positive
+    { id: 4, title: '', content: 'nothing', categories: ['Graph'] } // Graph: false negative
+  ];
+
+  const metrics = evaluateModel(model, examples);
+
+  assert.deepEqual(metrics, {
+    articles: 4,
+    categories: {
+      Document: { precision: 1, recall: 0.5, f1: 0.667, support: 2 },
+      Graph: { precision: 0.5, recall: 0.5, f1: 0.5, support: 2 }
+    },
+    micro: { precision: 0.667, recall: 0.5, f1: 0.571 }
+  });
+});
@@ -7,6 +7,10 @@ import Footer from './components/Footer';
 import Home from './pages/Home';
 import ArticleDetail from './pages/ArticleDetail';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import ReviewQueue from './pages/ReviewQueue';
 import './App.css';
 
 function App() {
@@ -19,6 +23,9 @@ function App() {
           <main className="main-content">
             <Routes>
               <Route path="/login" element={<Login />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
               
               <Route
                 path="/"
@@ -37,6 +44,15 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              
+              <Route
+                path="/review"
+                element={
+                  <ProtectedRoute>
+                    <ReviewQueue />
+                  </ProtectedRoute>
+                }
+              />
             </Routes>
           </main>
           
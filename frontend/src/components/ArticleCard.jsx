@@ -2,6 +2,17 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import './ArticleCard.css';
 
+/**
+ * Render text containing <mark>…</mark> markers from search results.
+ * Markers are split out and rendered as elements, never as raw HTML.
+ */
+const renderHighlighted = (text) => {
+  return text.split(/(<mark>.*?<\/mark>)/g).map((part, index) => {
+    const match = part.match(/^<mark>(.*)<\/mark>$/);
+    return match ? <mark key={index}>{match[1]}</mark> : part;
+  });
+};
+
 const ArticleCard = ({ article }) => {
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -15,7 +26,9 @@ const ArticleCard = ({ article }) => {
   return (
     <div className="article-card">
       <Link to={`/article/${article.id}`} className="article-link">
-        <h2 className="article-title">{article.title}</h2>
+        <h2 className="article-title">
+          {article.title_highlight ? renderHighlighted(article.title_highlight) : article.title}
+        </h2>
       </Link>
       
       <div className="article-meta">
@@ -27,6 +40,10 @@ const ArticleCard = ({ article }) => {
         </span>
       </div>
       
+      {article.snippet && (
+        <p className="article-snippet">{renderHighlighted(article.snippet)}</p>
+      )}
+      
       {article.category && (
         <span className={`article-category category-${article.category.toLowerCase().replace(/\s+/g, '-')}`}>
           {article.category}
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+import './FeedSubscribe.css';
+
+/**
+ * FeedSubscribe Component
+ * 
+ * Shows the current user's RSS/Atom subscription URLs.
+ * URLs carry a personal feed token so feed readers need no login.
+ */
+const FeedSubscribe = ({ selectedCategory }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [urls, setUrls] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchToken = async (regenerate = false) => {
+    setError('');
+    try {
+      const response = regenerate
+        ? await api.post('/feeds/token/regenerate')
+        : await api.get('/feeds/token');
+      if (response.data.success) {
+        setUrls(response.data.data.urls);
+      }
+    } catch (err) {
+      console.error('Error fetching feed token:', err);
+      setError('Could not load feed URLs');
+    }
+  };
+
+  const handleToggle = () => {
+    if (!isOpen && !urls) {
+      fetchToken();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const handleRegenerate = () => {
+    if (window.confirm('Regenerate your feed token? Existing feed subscriptions will stop working.')) {
+      fetchToken(true);
+    }
+  };
+
+  // Apply the current category filter to the article feed URLs
+  const withCategory = (url) => {
+    return selectedCategory && selectedCategory !== 'all'
+      ? `${url}&category=${encodeURIComponent(selectedCategory)}`
+      : url;
+  };
+
+  const feedLinks = urls ? [
+    { label: 'Articles (RSS)', url: withCategory(urls.articlesRss) },
+    { label: 'Articles (Atom)', url: withCategory(urls.articlesAtom) },
+    { label: 'Releases (RSS)', url: urls.releasesRss },
+    { label: 'Releases (Atom)', url: urls.releasesAtom },
+  ] : [];
+
+  return (
+    <div className="feed-subscribe">
+      <button className="feed-toggle" onClick={handleToggle}>
+        {isOpen ? 'Hide feeds' : 'Subscribe via RSS/Atom'}
+      </button>
+
+      {isOpen && (
+        <div className="feed-panel">
+          {error && <div className="feed-error">{error}</div>}
+          {!urls && !error && <div className="feed-loading">Loading...</div>}
+          {feedLinks.map((link) => (
+            <div key={link.label} className="feed-row">
+              <span className="feed-label">{link.label}</span>
+              <input
+                className="feed-url"
+                type="text"
+                readOnly
+                value={link.url}
+                onFocus={(e) => e.target.select()}
+              />
+            </div>
+          ))}
+          {urls && (
+            <div className="feed-footer">
+              <span>These URLs contain your personal feed token. Keep them private.</span>
+              <button className="feed-regenerate" onClick={handleRegenerate}>
+                Regenerate token
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedSubscribe;
@@ -1,15 +1,47 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './FilterSort.css';
 
-const FilterSort = ({ 
-  categories, 
-  selectedCategory, 
-  onCategoryChange, 
-  sortOrder, 
-  onSortChange 
+const FilterSort = ({
+  categories,
+  selectedCategory,
+  onCategoryChange,
+  sortOrder,
+  onSortChange,
+  searchQuery,
+  onSearch
 }) => {
+  const [searchInput, setSearchInput] = useState(searchQuery || '');
+
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    onSearch(searchInput.trim());
+  };
+
+  const handleClearSearch = () => {
+    setSearchInput('');
+    onSearch('');
+  };
+
   return (
     <div className="filter-sort">
+      <form className="search-group" onSubmit={handleSearchSubmit}>
+        <label htmlFor="article-search">Search:</label>
+        <input
+          id="article-search"
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Title, content or tags..."
+          className="search-input"
+        />
+        <button type="submit" className="search-btn">Search</button>
+        {searchQuery && (
+          <button type="button" className="search-clear" onClick={handleClearSearch}>
+            Clear
+          </button>
+        )}
+      </form>
+
       <div className="filter-group">
         <label htmlFor="category-filter">Category:</label>
         <select
@@ -26,19 +58,22 @@ const FilterSort = ({
           ))}
         </select>
       </div>
-      
+
       <div className="sort-group">
         <label htmlFor="sort-order">Sort by:</label>
-        <select id="sort-order"
-value={sortOrder}
-onChange={(e) => onSortChange(e.target.value)}
-className="sort-select"
->
-<option value="newest">Newest First</option>
-<option value="oldest">Oldest First</option>
-</select>
-</div>
-</div>
-);
+        <select
+          id="sort-order"
+          value={sortOrder}
+          onChange={(e) => onSortChange(e.target.value)}
+          className="sort-select"
+        >
+          {searchQuery && <option value="relevance">Most Relevant</option>}
+          <option value="newest">Newest First</option>
+          <option value="oldest">Oldest First</option>
+        </select>
+      </div>
+    </div>
+  );
 };
-export default FilterSort;
\ No newline at end of file
+
+export default FilterSort;
@@ -6,11 +6,20 @@ import ScrapingButton from './ScrapingButton';
 import './Header.css';
 
 const Header = () => {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, logoutAll } = useAuth();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of all sessions on every device?')) return;
+    const result = await logoutAll();
+    if (!result.success) {
+      window.alert(`${result.message}. This device is logged out; try again after logging in.`);
+    }
     navigate('/login');
   };
 
@@ -24,12 +33,20 @@ const Header = () => {
         <nav className="header-nav">
           {isAuthenticated ? (
             <div className="header-user">
-              <ScrapingButton />
+              {user?.role === 'admin' && <ScrapingButton />}
+              {user?.role === 'admin' && (
+                <Link to="/review" className="header-link">
+                  Review
+                </Link>
+              )}
               <NotificationBell />
               <span className="header-username">Welcome, {user?.username}</span>
               <button onClick={handleLogout} className="btn-logout">
                 Logout
               </button>
+              <button onClick={handleLogoutAll} className="btn-logout-all" title="Log out of all sessions">
+                Logout all
+              </button>
             </div>
           ) : (
             <Link to="/login" className="btn-login">
@@ -62,6 +62,14 @@ const NotificationBell = () => {
     setUnreadCount(prev => Math.max(0, prev - 1));
   };
 
+  const handleDismiss = async (notification) => {
+    await newsService.dismissNotification(notification.id);
+    setNotifications(prev => prev.filter(n => n.id !== notification.id));
+    if (!notification.is_read) {
+      setUnreadCount(prev => Math.max(0, prev - 1));
+    }
+  };
+
   const handleMarkAllAsRead = async () => {
     await newsService.markAllNotificationsRead();
     setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
@@ -146,7 +154,7 @@ const NotificationBell = () => {
                     onClick={() => !notification.is_read && handleMarkAsRead(notification.id)}
                   >
                     <div className="notification-icon">
-                      {notification.type === 'release' ? '🚀' : '📢'}
+                      {notification.type === 'release' ? '🚀' : notification.type === 'scraper_health' ? '🩺' : '📢'}
                     </div>
                     <div className="notification-content">
                       <div className="notification-title">{notification.title}</div>
@@ -169,6 +177,17 @@ const NotificationBell = () => {
                     {!notification.is_read && (
                       <div className="notification-unread-dot"></div>
                     )}
+                    <button
+                      className="notification-dismiss"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDismiss(notification);
+                      }}
+                      aria-label="Dismiss notification"
+                      title="Dismiss"
+                    >
+                      ×
+                    </button>
                   </div>
                 );
               })
@@ -28,15 +28,22 @@ export const AuthProvider = ({ children }) => {
     return result;
   };
 
-  const logout = () => {
-    authService.logout();
+  const logout = async () => {
+    await authService.logout();
     setUser(null);
   };
 
+  const logoutAll = async () => {
+    const result = await authService.logoutAll();
+    setUser(null);
+    return result;
+  };
+
   const value = {
     user,
     login,
     logout,
+    logoutAll,
     isAuthenticated: !!user,
     loading,
   };
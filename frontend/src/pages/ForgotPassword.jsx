@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import authService from '../services/authService';
+import './Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!email) {
+      setError('Email is required');
+      return;
+    }
+
+    setLoading(true);
+    const result = await authService.forgotPassword(email);
+    setLoading(false);
+
+    if (result.success) {
+      setSuccess(result.message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <h2>Forgot Password</h2>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          <p className="form-hint">
+            Enter the email address of your account and we will send you a link to choose a new password.
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              disabled={loading}
+            />
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+          {success && <div className="success-message">{success}</div>}
+
+          <button type="submit" className="btn-submit" disabled={loading}>
+            {loading ? 'Sending...' : 'Send reset link'}
+          </button>
+        </form>
+
+        <div className="toggle-mode">
+          <p>
+            Remembered it?
+            <Link to="/login" className="btn-link">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -4,6 +4,7 @@ import ArticleCard from '../components/ArticleCard';
 import Pagination from '../components/Pagination';
 import FilterSort from '../components/FilterSort';
 import NewsSection from '../components/NewsSection';
+import FeedSubscribe from '../components/FeedSubscribe';
 import './Home.css';
 
 const Home = () => {
@@ -17,6 +18,8 @@ const Home = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [sortOrder, setSortOrder] = useState('newest');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [totalResults, setTotalResults] = useState(0);
 
   // Fetch categories on mount
   useEffect(() => {
@@ -51,11 +54,20 @@ const Home = () => {
           params.category = selectedCategory;
         }
 
-        const response = await api.get('/articles', { params });
+        // Use full-text search endpoint when a query is active
+        let response;
+        if (searchQuery) {
+          response = await api.get('/articles/search', {
+            params: { ...params, q: searchQuery }
+          });
+        } else {
+          response = await api.get('/articles', { params });
+        }
 
         if (response.data.success) {
           setArticles(response.data.data.articles);
           setTotalPages(response.data.data.pagination.totalPages);
+          setTotalResults(response.data.data.pagination.totalArticles);
         }
       } catch (err) {
         setError('Failed to load articles. Please try again.');
@@ -66,7 +78,7 @@ const Home = () => {
     };
 
     fetchArticles();
-  }, [currentPage, selectedCategory, sortOrder]);
+  }, [currentPage, selectedCategory, sortOrder, searchQuery]);
 
   const handlePageChange = (page) => {
     setCurrentPage(page);
@@ -83,6 +95,13 @@ const Home = () => {
     setCurrentPage(1); // Reset to first page
   };
 
+  const handleSearch = (searchText) => {
+    setSearchQuery(searchText);
+    // Rank by relevance while searching, back to date order when cleared
+    setSortOrder(searchText ? 'relevance' : 'newest');
+    setCurrentPage(1); // Reset to first page
+  };
+
   if (loading) {
     return (
       <div className="home-page">
@@ -106,6 +125,8 @@ const Home = () => {
         <p>Explore the latest insights from DB-Engines</p>
       </div>
 
+      <FeedSubscribe selectedCategory={selectedCategory} />
+
       {/* Today's News Section - hidden if no news today */}
       <NewsSection />
 
@@ -115,15 +136,25 @@ const Home = () => {
         onCategoryChange={handleCategoryChange}
         sortOrder={sortOrder}
         onSortChange={handleSortChange}
+        searchQuery={searchQuery}
+        onSearch={handleSearch}
       />
 
+      {searchQuery && (
+        <div className="search-summary">
+          {totalResults} result{totalResults !== 1 ? 's' : ''} for "{searchQuery}"
+        </div>
+      )}
+
       <div className="articles-grid">
         {articles.length > 0 ? (
           articles.map((article) => (
             <ArticleCard key={article.id} article={article} />
           ))
         ) : (
-          <div className="no-articles">No articles found</div>
+          <div className="no-articles">
+            {searchQuery ? `No articles match "${searchQuery}"` : 'No articles found'}
+          </div>
         )}
       </div>
 
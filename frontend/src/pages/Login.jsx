@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import authService from '../services/authService';
 import './Login.css';
@@ -12,6 +12,7 @@ const Login = () => {
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
   const [isRegisterMode, setIsRegisterMode] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
   
   const { login } = useAuth();
   const navigate = useNavigate();
@@ -20,6 +21,7 @@ const Login = () => {
     e.preventDefault();
     setError('');
     setSuccess('');
+    setNeedsVerification(false);
 
     // Validation
     if (!username || !password) {
@@ -45,7 +47,7 @@ const Login = () => {
         const result = await authService.register(username, password, email);
         
         if (result.success) {
-          setSuccess('Registration successful! You can now login.');
+          setSuccess(result.message || 'Registration successful! Check your email to verify your address.');
           setIsRegisterMode(false);
           setEmail('');
         } else {
@@ -59,6 +61,7 @@ const Login = () => {
           navigate('/');
         } else {
           setError(result.message || 'Login failed. Please try again.');
+          setNeedsVerification(result.code === 'EMAIL_NOT_VERIFIED');
         }
       }
     } catch (err) {
@@ -72,6 +75,7 @@ const Login = () => {
     setIsRegisterMode(!isRegisterMode);
     setError('');
     setSuccess('');
+    setNeedsVerification(false);
   };
 
   return (
@@ -119,6 +123,11 @@ const Login = () => {
           </div>
           
           {error && <div className="error-message">{error}</div>}
+          {needsVerification && (
+            <Link to="/verify-email" className="form-link">
+              Resend the verification email
+            </Link>
+          )}
           {success && <div className="success-message">{success}</div>}
           
           <button 
@@ -128,6 +137,12 @@ const Login = () => {
           >
             {loading ? (isRegisterMode ? 'Registering...' : 'Logging in...') : (isRegisterMode ? 'Register' : 'Login')}
           </button>
+
+          {!isRegisterMode && (
+            <Link to="/forgot-password" className="form-link">
+              Forgot your password?
+            </Link>
+          )}
         </form>
         
         <div className="toggle-mode">
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import authService from '../services/authService';
+import './Login.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const result = await authService.resetPassword(token, password);
+    setLoading(false);
+
+    if (result.success) {
+      setSuccess(result.message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="login-page">
+        <div className="login-container">
+          <h2>Reset Password</h2>
+          <div className="error-message">This reset link is incomplete. Please request a new one.</div>
+          <div className="toggle-mode">
+            <p>
+              <Link to="/forgot-password" className="btn-link">Request a new link</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <h2>Choose a New Password</h2>
+
+        {success ? (
+          <>
+            <div className="success-message">{success}</div>
+            <div className="toggle-mode">
+              <p>
+                <Link to="/login" className="btn-link">Go to login</Link>
+              </p>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="password">New password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="At least 8 characters"
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirm-password">Confirm password</label>
+              <input
+                type="password"
+                id="confirm-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Repeat the new password"
+                disabled={loading}
+              />
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="btn-submit" disabled={loading}>
+              {loading ? 'Saving...' : 'Set new password'}
+            </button>
+
+            {error && (
+              <Link to="/forgot-password" className="form-link">
+                Request a new link
+              </Link>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import Pagination from '../components/Pagination';
+import './ReviewQueue.css';
+
+const REASON_LABELS = {
+  no_content: 'No valid content',
+  no_category: 'No matching category',
+  insert_failed: 'Could not be stored',
+};
+
+const STATUSES = ['pending', 'published', 'discarded'];
+
+/**
+ * A rejected article, with the publish / discard controls while pending
+ */
+const ReviewItem = ({ item, categories, onReviewed }) => {
+  const [selected, setSelected] = useState([]);
+  const [customCategory, setCustomCategory] = useState('');
+  const [keywords, setKeywords] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleCategory = (category) => {
+    setSelected((current) =>
+      current.includes(category)
+        ? current.filter((name) => name !== category)
+        : [...current, category]
+    );
+  };
+
+  const handlePublish = async () => {
+    const names = [...selected];
+    if (customCategory.trim()) names.push(customCategory.trim());
+    if (names.length === 0) {
+      setError('Choose at least one category (the first one is the main category)');
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      await api.post(`/review/${item.id}/publish`, {
+        categories: names,
+        keywords: keywords.split(',').map((keyword) => keyword.trim()).filter(Boolean),
+      });
+      onReviewed();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to publish the article');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm('Discard this article for good?')) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      await api.post(`/review/${item.id}/discard`);
+      onReviewed();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to discard the article');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="review-item">
+      <div className="review-item-header">
+        <a href={item.url} target="_blank" rel="noopener noreferrer" className="review-item-title">
+          {item.title || item.url}
+        </a>
+        <span className={`review-reason review-reason-${item.rejectionReason}`}>
+          {REASON_LABELS[item.rejectionReason] || item.rejectionReason}
+        </span>
+      </div>
+
+      <div className="review-item-meta">
+        {item.source}
+        {item.pubdate && ` · ${new Date(item.pubdate).toLocaleDateString()}`}
+        {item.reviewedBy && ` · ${item.reviewStatus} by ${item.reviewedBy}`}
+        {item.articleId && (
+          <>
+            {' · '}
+            <Link to={`/article/${item.articleId}`}>View article</Link>
+          </>
+        )}
+      </div>
+
+      {item.excerpt && <p className="review-item-excerpt">{item.excerpt}</p>}
+
+      {item.reviewStatus === 'pending' && (
+        <div className="review-item-actions">
+          <div className="review-categories">
+            {categories.map((category) => (
+              <label key={category} className="review-category">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(category)}
+                  onChange={() => toggleCategory(category)}
+                  disabled={busy}
+                />
+                {category}
+                {selected[0] === category && <span className="review-main"> (main)</span>}
+              </label>
+            ))}
+            <input
+              type="text"
+              className="review-input"
+              placeholder="Other category"
+              value={customCategory}
+              onChange={(e) => setCustomCategory(e.target.value)}
+              disabled={busy}
+            />
+          </div>
+
+          <input
+            type="text"
+            className="review-input review-keywords"
+            placeholder="Keywords that identify the main category, comma separated (added as category rules)"
+            value={keywords}
+            onChange={(e) => setKeywords(e.target.value)}
+            disabled={busy}
+          />
+
+          {error && <div className="review-error">{error}</div>}
+
+          <div className="review-buttons">
+            <button className="btn-publish" onClick={handlePublish} disabled={busy}>
+              Publish
+            </button>
+            <button className="btn-discard" onClick={handleDiscard} disabled={busy}>
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ReviewQueue = () => {
+  const { user } = useAuth();
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [status, setStatus] = useState('pending');
+  const [reason, setReason] = useState('all');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const isAdmin = user?.role === 'admin';
+
+  // Fetch categories on mount
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await api.get('/articles/categories');
+        if (response.data.success) {
+          setCategories(response.data.data);
+        }
+      } catch (err) {
+        console.error('Error fetching categories:', err);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  // Fetch the queue when filters change or an item was reviewed
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    const fetchQueue = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const params = { status, page: currentPage, limit: 20 };
+        if (reason !== 'all') {
+          params.reason = reason;
+        }
+
+        const response = await api.get('/review', { params });
+        if (response.data.success) {
+          setItems(response.data.data.items);
+          setCounts(response.data.data.counts);
+          setTotalPages(response.data.data.pagination.totalPages);
+        }
+      } catch (err) {
+        setError('Failed to load the review queue. Please try again.');
+        console.error('Error fetching review queue:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQueue();
+  }, [isAdmin, status, reason, currentPage, refreshKey]);
+
+  const handleStatusChange = (e) => {
+    setStatus(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const handleReasonChange = (e) => {
+    setReason(e.target.value);
+    setCurrentPage(1);
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="review-page">
+        <div className="error">The review queue is for administrators only.</div>
+      </div>
+    );
+  }
+
+  const pendingTotal = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="review-page">
+      <div className="review-header">
+        <h1>Review Queue</h1>
+        <p>
+          {pendingTotal} rejected article{pendingTotal === 1 ? '' : 's'} waiting for review
+          {Object.entries(counts).map(([code, count]) => ` · ${REASON_LABELS[code] || code}: ${count}`)}
+        </p>
+      </div>
+
+      <div className="review-filters">
+        <label>
+          Status
+          <select className="review-select" value={status} onChange={handleStatusChange}>
+            {STATUSES.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Reason
+          <select className="review-select" value={reason} onChange={handleReasonChange}>
+            <option value="all">All reasons</option>
+            {Object.entries(REASON_LABELS).map(([code, label]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading review queue...</div>
+      ) : error ? (
+        <div className="error">{error}</div>
+      ) : (
+        <>
+          <div className="review-list">
+            {items.length > 0 ? (
+              items.map((item) => (
+                <ReviewItem
+                  key={item.id}
+                  item={item}
+                  categories={categories}
+                  onReviewed={() => setRefreshKey((key) => key + 1)}
+                />
+              ))
+            ) : (
+              <div className="no-articles">No articles to show.</div>
+            )}
+          </div>
+
+          {totalPages > 1 && (
+            <Pagination
+              currentPage={currentPage}
+              totalPages={totalPages}
+              onPageChange={setCurrentPage}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,89 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import authService from '../services/authService';
+import './Login.css';
+
+/**
+ * Opened from the verification email (?token=...), or without a token
+ * to request a new verification link
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'resend');
+  const [message, setMessage] = useState('');
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use: guard against the double effect run in StrictMode
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token).then((result) => {
+      setStatus(result.success ? 'verified' : 'failed');
+      setMessage(result.message);
+    });
+  }, [token]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    if (!email) {
+      setMessage('Email is required');
+      return;
+    }
+
+    setLoading(true);
+    const result = await authService.resendVerification(email);
+    setLoading(false);
+    setStatus(result.success ? 'sent' : 'resend');
+    setMessage(result.message);
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <h2>Email Verification</h2>
+
+        {status === 'verifying' && <p className="form-hint">Verifying your email address...</p>}
+
+        {status === 'verified' && <div className="success-message">{message}</div>}
+
+        {status === 'sent' && <div className="success-message">{message}</div>}
+
+        {(status === 'failed' || status === 'resend') && (
+          <form onSubmit={handleResend} className="login-form">
+            {message && <div className="error-message">{message}</div>}
+            <p className="form-hint">Enter your email address to receive a new verification link.</p>
+
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                disabled={loading}
+              />
+            </div>
+
+            <button type="submit" className="btn-submit" disabled={loading}>
+              {loading ? 'Sending...' : 'Send verification link'}
+            </button>
+          </form>
+        )}
+
+        <div className="toggle-mode">
+          <p>
+            <Link to="/login" className="btn-link">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
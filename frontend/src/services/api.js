@@ -1,14 +1,57 @@
 import axios from 'axios';
 
+const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL,
   timeout: 300000, // 5 minutes for long scraping operations
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Auth endpoints that must not trigger a refresh on 401
+const AUTH_PATHS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+/**
+ * Clear the stored session and go to the login page
+ */
+const redirectToLogin = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Refresh in flight, shared by all requests that failed with 401 meanwhile
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * Resolves with the new access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    // Plain axios call: this request must not go through the interceptors
+    refreshPromise = axios
+      .post(`${baseURL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken, user } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        localStorage.setItem('user', JSON.stringify(user));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor - add token to requests
 api.interceptors.request.use(
   (config) => {
@@ -23,18 +66,31 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor - handle errors globally
+// Response interceptor - refresh expired access tokens, retry once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    const isAuthRequest = AUTH_PATHS.includes(original?.url);
+
+    if (error.response?.status === 401 && original && !isAuthRequest) {
+      if (original._retried || !localStorage.getItem('refreshToken')) {
+        redirectToLogin();
+        return Promise.reject(error);
+      }
+
+      try {
+        const token = await refreshAccessToken();
+        original._retried = true;
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        redirectToLogin();
+        return Promise.reject(error);
+      }
     }
     return Promise.reject(error);
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
@@ -15,10 +15,11 @@ const authService = {
       });
 
       if (response.data.success) {
-        const { token, user } = response.data.data;
+        const { token, refreshToken, user } = response.data.data;
         
-        // Store token and user info
+        // Store tokens and user info
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('user', JSON.stringify(user));
         
         return { success: true, data: response.data.data };
@@ -27,7 +28,8 @@ const authService = {
       return { success: false, message: 'Login failed' };
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
-      return { success: false, message };
+      const code = error.response?.data?.code;
+      return { success: false, message, code };
     }
   },
 
@@ -43,7 +45,7 @@ const authService = {
       });
 
       if (response.data.success) {
-        return { success: true, message: 'Registration successful' };
+        return { success: true, message: response.data.message };
       }
       
       return { success: false, message: 'Registration failed' };
@@ -54,11 +56,81 @@ const authService = {
   },
 
   /**
-   * Logout user
+   * Logout user (revokes this session on the server)
+   */
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (refreshToken) {
+        await api.post('/auth/logout', { refreshToken });
+      }
+    } catch (error) {
+      // Local logout still happens if the server cannot be reached
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+    }
+  },
+
+  /**
+   * Logout from all sessions (every device)
+   * This device is logged out even when the server call fails; the result
+   * tells whether the other sessions were revoked.
    */
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  logoutAll: async () => {
+    try {
+      await api.post('/auth/logout-all');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not log out the other sessions';
+      return { success: false, message };
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+    }
+  },
+
+  /**
+   * Confirm an email address with the token from the emailed link
+   */
+  verifyEmail: async (token) => {
+    return authService.postAccountAction('/auth/verify-email', { token }, 'Email verification failed');
+  },
+
+  /**
+   * Send a new email verification link
+   */
+  resendVerification: async (email) => {
+    return authService.postAccountAction('/auth/resend-verification', { email }, 'Could not send the verification email');
+  },
+
+  /**
+   * Send a password reset link
+   */
+  forgotPassword: async (email) => {
+    return authService.postAccountAction('/auth/forgot-password', { email }, 'Could not send the reset email');
+  },
+
+  /**
+   * Set a new password with the token from the emailed link
+   */
+  resetPassword: async (token, password) => {
+    return authService.postAccountAction('/auth/reset-password', { token, password }, 'Password reset failed');
+  },
+
+  /**
+   * POST an account action and normalize the result to { success, message }
+   */
+  postAccountAction: async (path, body, fallbackMessage) => {
+    try {
+      const response = await api.post(path, body);
+      return { success: response.data.success, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || fallbackMessage;
+      return { success: false, message };
+    }
   },
 
   /**
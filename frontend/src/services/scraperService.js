@@ -57,6 +57,19 @@ const newsService = {
       console.error('Error marking all notifications as read:', error);
       return { success: false };
     }
+  },
+
+  /**
+   * Dismiss a notification (hidden for the current user only)
+   */
+  dismissNotification: async (notificationId) => {
+    try {
+      const response = await api.put(`/notifications/${notificationId}/dismiss`);
+      return response.data;
+    } catch (error) {
+      console.error('Error dismissing notification:', error);
+      return { success: false };
+    }
   }
 };
 